@@ -1,26 +1,54 @@
 import 'dotenv/config';
 
+/**
+ * Read model settings for a pipeline stage, letting LLM_<STAGE>_* environment variables override the defaults
+ * @param {string} stage - Stage name (e.g. 'extraction')
+ * @param {Object} defaults - Default provider, model, temperature and maxTokens
+ * @returns {Object} Stage settings
+ */
+function stageSettings(stage, defaults) {
+  const prefix = `LLM_${stage.toUpperCase()}`;
+  const numberFromEnv = (name, fallback) => (process.env[name] !== undefined && process.env[name] !== '' ? Number(process.env[name]) : fallback);
+
+  return {
+    provider: process.env[`${prefix}_PROVIDER`] || defaults.provider,
+    model: process.env[`${prefix}_MODEL`] || defaults.model,
+    temperature: numberFromEnv(`${prefix}_TEMPERATURE`, defaults.temperature),
+    maxTokens: numberFromEnv(`${prefix}_MAX_TOKENS`, defaults.maxTokens)
+  };
+}
+
 export const llmConfig = {
   // Default to OpenAI GPT-4o-mini for cost efficiency
   defaultModel: 'gpt-4o-mini',
-  
+
   // API keys from environment
   openai: {
     apiKey: process.env.OPENAI_API_KEY
   },
-  
+
   anthropic: {
     apiKey: process.env.ANTHROPIC_API_KEY
   },
-  
+
   google: {
     apiKey: process.env.GOOGLE_API_KEY
   },
-  
+
   // Common settings for scheduling tasks
   scheduling: {
     temperature: 0.1, // Low temperature for consistent scheduling decisions
     maxTokens: 1000,
     responseFormat: 'json'
+  },
+
+  // Per-stage models. A null model falls back to defaultModel, a null temperature to scheduling.temperature
+  // (reasoning models such as o3 ignore it) and a null maxTokens to the provider default
+  stages: {
+    extraction: stageSettings('extraction', { provider: 'openai', model: 'o3', temperature: 1, maxTokens: null }),
+    suggestion: stageSettings('suggestion', { provider: 'openai', model: 'gpt-4o', temperature: 0.3, maxTokens: null }),
+    selection: stageSettings('selection', { provider: 'openai', model: 'o3', temperature: null, maxTokens: 8000 }),
+    // Only called for participant preference text the patterns in preference-parser.js cannot read
+    preference: stageSettings('preference', { provider: 'openai', model: 'gpt-4o-mini', temperature: 0, maxTokens: null })
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,367 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { getLogger } from './utils/logger.js';
+import { hasHardDailyShapeViolation } from './utils/scheduling-policy.js';
+import { resolveResilienceSettings, withTimeout } from './utils/resilience.js';
+
+const logger = getLogger('appointment-booker');
+
+/**
+ * Writes selected appointments back to Splose through the Windmill create_appointment flow.
+ * Each appointment is re-checked against live availability just before it is written, and
+ * retries look for the booking in Splose first so a lost response never creates a duplicate.
+ * Dry-run is the default: nothing is written unless dryRun is explicitly disabled.
+ */
+class AppointmentBooker {
+    /**
+     * @param {Object} options - Booker options
+     * @param {boolean} options.dryRun - Validate and build payloads without writing (default true, or BOOKING_DRY_RUN=false)
+     * @param {number} options.maxAttempts - Attempts per appointment for network and 5xx failures
+     * @param {number} options.retryDelayMs - Base delay between attempts (doubles each retry)
+     * @param {Object} options.availabilityCalculator - Calculator used for the pre-write availability re-check
+     * @param {Object} options.resilience - Windmill timeout override ({ timeoutMs }, default WINDMILL_TIMEOUT_MS)
+     */
+    constructor(options = {}) {
+        this.windmillBaseUrl = process.env.WINDMILL_BASE_URL;
+        this.windmillWorkspaceId = process.env.WINDMILL_WORKSPACE_ID;
+        this.windmillToken = process.env.WINDMILL_TOKEN;
+
+        if (!this.windmillBaseUrl || !this.windmillWorkspaceId || !this.windmillToken) {
+            throw new Error('Missing required environment variables: WINDMILL_BASE_URL, WINDMILL_WORKSPACE_ID, WINDMILL_TOKEN');
+        }
+
+        this.dryRun = options.dryRun ?? process.env.BOOKING_DRY_RUN !== 'false';
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelayMs = options.retryDelayMs ?? 1000;
+        this.timeoutMs = resolveResilienceSettings('windmill', options.resilience).timeoutMs;
+        this.availabilityCalculator = options.availabilityCalculator || new PractitionerAvailabilityCalculator();
+        this.conflictChecker = new ConflictChecker();
+    }
+
+    /**
+     * Book every selected appointment and return a per-appointment ledger
+     * @param {Object} selectionResult - Result from AppointmentSelector (UTC timestamps)
+     * @returns {Object} Ledger with one entry per appointment and a summary
+     */
+    async bookAppointments(selectionResult) {
+        const { structured_response } = selectionResult;
+        const practitionerId = structured_response.practitionerId;
+
+        logger.info(`${this.dryRun ? 'DRY RUN - validating' : 'Booking'} ${structured_response.appointments.length} appointments for practitioner ${practitionerId}`, { practitionerId, dryRun: this.dryRun });
+
+        const entries = [];
+        // Book sequentially so each re-check sees the bookings made before it
+        for (const appointment of structured_response.appointments) {
+            const entry = await this.bookSingleAppointment({
+                ...appointment,
+                practitionerId: appointment.practitionerId ?? practitionerId,
+                caseId: appointment.caseId ?? structured_response.caseId
+            });
+            logger.log(entry.status === 'failed' ? 'warn' : 'info', `${entry.service} ${entry.start}: ${entry.status}${entry.error ? ` - ${entry.error}` : ''}`, {
+                originalAppointmentIndex: entry.originalAppointmentIndex,
+                bookingStatus: entry.status
+            });
+            entries.push(entry);
+        }
+
+        const count = (status) => entries.filter(entry => entry.status === status).length;
+        return {
+            dryRun: this.dryRun,
+            practitionerId,
+            processedAt: new Date().toISOString(),
+            summary: {
+                total: entries.length,
+                booked: count('booked'),
+                dryRun: count('dry_run'),
+                skipped: count('skipped'),
+                failed: count('failed')
+            },
+            entries
+        };
+    }
+
+    /**
+     * Re-check and book a single appointment
+     * @param {Object} appointment - Selected appointment with practitioner and case IDs resolved
+     * @returns {Object} Ledger entry
+     */
+    async bookSingleAppointment(appointment) {
+        const payload = this.buildPayload(appointment);
+        const entry = {
+            originalAppointmentIndex: appointment.originalAppointmentIndex,
+            service: appointment.service,
+            start: appointment.start,
+            end: appointment.end,
+            idempotencyKey: payload.idempotencyKey,
+            status: 'failed',
+            sploseAppointmentId: null,
+            alreadyExisted: false,
+            attempts: 0,
+            error: null,
+            payload
+        };
+
+        if (appointment.hasConflict) {
+            entry.status = 'skipped';
+            entry.error = 'Selection is marked as conflicted';
+            return entry;
+        }
+
+        if (appointment.exceedsBudget) {
+            entry.status = 'skipped';
+            entry.error = 'Selection would exceed the plan budget';
+            return entry;
+        }
+
+        if (hasHardDailyShapeViolation(appointment)) {
+            entry.status = 'skipped';
+            entry.error = `Selection breaks the practitioner's day: ${appointment.dailyShapeViolations.filter(violation => violation.strength === 'hard').map(violation => violation.message).join('; ')}`;
+            return entry;
+        }
+
+        const invalidFields = this.validatePayload(payload);
+        if (invalidFields.length > 0) {
+            entry.error = `Missing or invalid booking fields: ${invalidFields.join(', ')}`;
+            return entry;
+        }
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            entry.attempts = attempt;
+
+            // Re-read Splose before every write so a retry after a lost response is a no-op
+            const recheck = await this.recheckAvailability(appointment);
+            if (recheck.status === 'error') {
+                entry.error = recheck.error_message;
+                if (attempt < this.maxAttempts) {
+                    await this.delay(attempt);
+                    continue;
+                }
+                return entry;
+            }
+
+            if (recheck.existingBooking) {
+                entry.status = this.dryRun ? 'dry_run' : 'booked';
+                entry.alreadyExisted = true;
+                entry.sploseAppointmentId = recheck.existingBooking.id ?? null;
+                entry.error = null;
+                return entry;
+            }
+
+            if (!recheck.isAvailable) {
+                entry.error = `Slot is no longer available: ${recheck.reason}`;
+                return entry;
+            }
+
+            if (this.dryRun) {
+                entry.status = 'dry_run';
+                entry.error = null;
+                return entry;
+            }
+
+            const result = await this.createAppointment(payload);
+            if (result.status === 'success') {
+                entry.status = 'booked';
+                entry.sploseAppointmentId = result.data?.id ?? result.data?.appointmentId ?? null;
+                entry.error = null;
+                return entry;
+            }
+
+            entry.error = result.error_message;
+            if (!result.retryable || attempt === this.maxAttempts) {
+                return entry;
+            }
+            await this.delay(attempt);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Check that the slot is still free and whether this booking already exists in Splose
+     * @param {Object} appointment - Selected appointment (UTC timestamps)
+     * @returns {Object} Re-check result with isAvailable, reason and any existing matching booking
+     */
+    async recheckAvailability(appointment) {
+        const start = new Date(appointment.start);
+        const end = new Date(appointment.end);
+        const dayBefore = new Date(start.getTime() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+        const dayAfter = new Date(end.getTime() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+        const scheduleResult = await this.availabilityCalculator.getPractitionerCurrentSchedule(appointment.practitionerId, dayBefore, dayAfter);
+        if (scheduleResult.status === 'error') {
+            return scheduleResult;
+        }
+
+        const bookings = scheduleResult.data || [];
+        // A booking carrying an idempotency key must also carry this appointment's key
+        const existingBooking = bookings.find(booking => this.conflictChecker.isBookingOf(booking, appointment) &&
+            (!booking.idempotencyKey || booking.idempotencyKey === this.buildIdempotencyKey(appointment)));
+        if (existingBooking) {
+            return { status: 'success', isAvailable: false, existingBooking };
+        }
+
+        const clash = bookings.find(booking =>
+            this.conflictChecker.hasTimeOverlap(start, end, new Date(booking.start), new Date(booking.end))
+        );
+        if (clash) {
+            return { status: 'success', isAvailable: false, reason: `overlaps existing booking ${clash.start} to ${clash.end}` };
+        }
+
+        const availabilityResult = await this.availabilityCalculator.getPractitionerCurrentAvailability(appointment.practitionerId, dayBefore, dayAfter);
+        if (availabilityResult.status === 'error') {
+            return availabilityResult;
+        }
+
+        const availabilitySlots = this.availabilityCalculator.parseAvailabilitySlots(availabilityResult.data);
+        const freeSlots = this.conflictChecker.buildFreeSlots({
+            freeTimeSlots: this.availabilityCalculator.calculateFreeTimeSlots(availabilitySlots, bookings)
+        });
+        const slotCheck = this.conflictChecker.checkSingleAppointment(appointment, freeSlots);
+        if (!slotCheck.isValid) {
+            return { status: 'success', isAvailable: false, reason: 'outside the practitioner\'s current availability' };
+        }
+
+        return { status: 'success', isAvailable: true };
+    }
+
+    /**
+     * Build the create_appointment payload
+     * @param {Object} appointment - Selected appointment
+     * @returns {Object} Windmill flow arguments
+     */
+    buildPayload(appointment) {
+        return {
+            practitionerId: appointment.practitionerId,
+            serviceId: appointment.serviceId,
+            locationId: appointment.locationId,
+            patientId: appointment.patientId,
+            caseId: appointment.caseId ?? null,
+            start: appointment.start,
+            end: appointment.end,
+            note: appointment.note,
+            idempotencyKey: this.buildIdempotencyKey(appointment)
+        };
+    }
+
+    /**
+     * Check the fields Splose needs before anything is written
+     * @param {Object} payload - Payload from buildPayload
+     * @returns {Array<string>} Names of the missing or invalid fields, empty when the payload can be written
+     */
+    validatePayload(payload) {
+        const invalid = ['practitionerId', 'serviceId', 'locationId', 'patientId'].filter(field => !Number.isInteger(payload[field]) || payload[field] <= 0);
+        const start = new Date(payload.start);
+        const end = new Date(payload.end);
+        if (isNaN(start.getTime())) invalid.push('start');
+        if (isNaN(end.getTime())) invalid.push('end');
+        if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && start >= end) invalid.push('end (not after start)');
+        return invalid;
+    }
+
+    /**
+     * Stable key for an appointment so repeated writes can be recognised
+     * @param {Object} appointment - Selected appointment
+     * @returns {string} SHA-256 based key
+     */
+    buildIdempotencyKey(appointment) {
+        const identity = [
+            appointment.practitionerId,
+            appointment.patientId,
+            appointment.caseId ?? '',
+            appointment.serviceId,
+            new Date(appointment.start).toISOString(),
+            new Date(appointment.end).toISOString()
+        ].join('|');
+        return `hhg-${crypto.createHash('sha256').update(identity).digest('hex').substring(0, 32)}`;
+    }
+
+    /**
+     * Creates an appointment in Splose. A timed-out request is reported as a retryable network
+     * error; bookAppointments retries it under the same external reference.
+     */
+    async createAppointment(payload) {
+        const url = `${this.windmillBaseUrl}/api/w/${this.windmillWorkspaceId}/jobs/run_wait_result/f/f/splose/create_appointment`;
+        const headers = {
+            'Authorization': `Bearer ${this.windmillToken}`,
+            'Content-Type': 'application/json',
+        };
+
+        const span = logger.startSpan('windmill.create_appointment', { flow: 'create_appointment', practitionerId: payload.practitionerId });
+
+        try {
+            logger.debug(`HTTP request to Windmill: POST ${url}`, { flow: 'create_appointment' });
+            const response = await withTimeout((signal) => fetch(url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(payload),
+                signal
+            }), this.timeoutMs, 'windmill.create_appointment');
+            span.setAttributes({ httpStatus: response.status });
+
+            if (response.status === 200) {
+                const result = await response.json();
+                span.end();
+                return {
+                    status: 'success',
+                    data: result
+                };
+            } else {
+                const errorText = await response.text();
+                span.fail(`HTTP ${response.status}`);
+                return {
+                    status: 'error',
+                    retryable: response.status === 429 || response.status >= 500,
+                    error_message: `Failed to create appointment. ${response.status} ${errorText}`
+                };
+            }
+        } catch (error) {
+            span.fail(error);
+            return {
+                status: 'error',
+                retryable: true,
+                error_message: `Network error creating appointment: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Wait before the next attempt with exponential backoff
+     * @param {number} attempt - Attempt number that just failed (1-based)
+     */
+    async delay(attempt) {
+        const waitMs = this.retryDelayMs * Math.pow(2, attempt - 1);
+        if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    /**
+     * Generate a human-readable booking ledger
+     * @param {Object} ledger - Result from bookAppointments
+     * @returns {string} Formatted ledger
+     */
+    generateLedgerReport(ledger) {
+        let report = `=== BOOKING LEDGER${ledger.dryRun ? ' (DRY RUN)' : ''} ===\n\n`;
+        report += `Practitioner: ${ledger.practitionerId}\n`;
+        report += `Booked: ${ledger.summary.booked}, Dry run: ${ledger.summary.dryRun}, Skipped: ${ledger.summary.skipped}, Failed: ${ledger.summary.failed}\n\n`;
+
+        ledger.entries.forEach((entry, index) => {
+            report += `${index + 1}. ${entry.service} (Appointment #${entry.originalAppointmentIndex + 1})\n`;
+            report += `   Time: ${entry.start} to ${entry.end}\n`;
+            report += `   Status: ${entry.status.toUpperCase()}${entry.alreadyExisted ? ' (already in Splose)' : ''}\n`;
+            if (entry.sploseAppointmentId) {
+                report += `   Splose ID: ${entry.sploseAppointmentId}\n`;
+            }
+            if (entry.error) {
+                report += `   Error: ${entry.error}\n`;
+            }
+            report += `   Attempts: ${entry.attempts}\n\n`;
+        });
+
+        return report;
+    }
+}
+
+export { AppointmentBooker };
@@ -0,0 +1,207 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { AppointmentBooker } from './appointment-booker.js';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+
+describe('AppointmentBooker', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    let bookings;
+    let calculator;
+
+    // Stand-in calculator that serves bookings from memory but reuses the real free-slot logic
+    const buildCalculator = () => ({
+        getPractitionerCurrentSchedule: jest.fn(async () => ({ status: 'success', data: bookings })),
+        getPractitionerCurrentAvailability: jest.fn(async () => ({
+            status: 'success',
+            data: { data: [{ startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T07:00:00.000Z', locationId: 19042 }] }
+        })),
+        parseAvailabilitySlots: PractitionerAvailabilityCalculator.prototype.parseAvailabilitySlots,
+        calculateFreeTimeSlots: PractitionerAvailabilityCalculator.prototype.calculateFreeTimeSlots
+    });
+
+    const selection = {
+        structured_response: {
+            practitionerId: 46932,
+            caseId: 777,
+            appointments: [
+                {
+                    start: '2025-08-26T00:00:00.000Z',
+                    end: '2025-08-26T01:30:00.000Z',
+                    serviceId: 101,
+                    locationId: 19042,
+                    patientId: 555,
+                    caseId: null,
+                    note: 'Intervention (Direct)',
+                    originalAppointmentIndex: 0,
+                    service: 'Intervention (Direct)'
+                }
+            ]
+        }
+    };
+
+    beforeEach(() => {
+        process.env.WINDMILL_BASE_URL = 'http://windmill.test';
+        process.env.WINDMILL_WORKSPACE_ID = 'test';
+        process.env.WINDMILL_TOKEN = 'token';
+        delete process.env.BOOKING_DRY_RUN;
+        bookings = [];
+        calculator = buildCalculator();
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        process.env = { ...originalEnv };
+    });
+
+    test('should default to dry run and never call create_appointment', async () => {
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator });
+        const ledger = await booker.bookAppointments(selection);
+
+        expect(booker.dryRun).toBe(true);
+        expect(ledger.summary.dryRun).toBe(1);
+        expect(ledger.entries[0].payload).toMatchObject({ practitionerId: 46932, caseId: 777, serviceId: 101, patientId: 555 });
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(calculator.getPractitionerCurrentSchedule).toHaveBeenCalledTimes(1);
+    });
+
+    test('should book when dry run is disabled', async () => {
+        global.fetch.mockResolvedValue({ status: 200, json: async () => ({ id: 9001 }) });
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const ledger = await booker.bookAppointments(selection);
+
+        expect(ledger.summary.booked).toBe(1);
+        expect(ledger.entries[0].sploseAppointmentId).toBe(9001);
+        expect(global.fetch.mock.calls[0][0]).toBe('http://windmill.test/api/w/test/jobs/run_wait_result/f/f/splose/create_appointment');
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).idempotencyKey).toBe(ledger.entries[0].idempotencyKey);
+    });
+
+    test('should fail without writing when the slot has been taken', async () => {
+        bookings = [{ start: '2025-08-26T01:00:00.000Z', end: '2025-08-26T02:00:00.000Z', patientId: 999 }];
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const ledger = await booker.bookAppointments(selection);
+
+        expect(ledger.summary.failed).toBe(1);
+        expect(ledger.entries[0].error).toContain('no longer available');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should not create a duplicate when a retry finds the booking already written', async () => {
+        // First write reaches Splose but the response is lost
+        global.fetch.mockImplementationOnce(async () => {
+            bookings.push({ id: 9002, start: '2025-08-26T00:00:00.000Z', end: '2025-08-26T01:30:00.000Z', patientId: 555, serviceId: 101 });
+            return { status: 502, text: async () => 'Bad Gateway' };
+        });
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false, retryDelayMs: 0 });
+        const ledger = await booker.bookAppointments(selection);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(ledger.entries[0].status).toBe('booked');
+        expect(ledger.entries[0].alreadyExisted).toBe(true);
+        expect(ledger.entries[0].sploseAppointmentId).toBe(9002);
+        expect(ledger.entries[0].attempts).toBe(2);
+    });
+
+    test('should treat a booking for another patient or with another idempotency key at the same time as a clash', async () => {
+        const { start, end } = selection.structured_response.appointments[0];
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const appointment = { ...selection.structured_response.appointments[0], practitionerId: 46932 };
+
+        for (const booking of [
+            { id: 1, start, end },
+            { id: 2, start, end, patientId: 999, serviceId: 101 },
+            { id: 3, start, end, patientId: 555, serviceId: 101, idempotencyKey: 'another-key' }
+        ]) {
+            bookings = [booking];
+            const recheck = await booker.recheckAvailability(appointment);
+            expect(recheck.existingBooking).toBeUndefined();
+            expect(recheck.isAvailable).toBe(false);
+        }
+
+        bookings = [{ id: 4, start, end, patientId: 555, serviceId: 101, idempotencyKey: booker.buildIdempotencyKey(appointment) }];
+        expect((await booker.recheckAvailability(appointment)).existingBooking.id).toBe(4);
+    });
+
+    test('should not retry client errors', async () => {
+        global.fetch.mockResolvedValue({ status: 400, text: async () => 'Invalid service' });
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false, retryDelayMs: 0 });
+        const ledger = await booker.bookAppointments(selection);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(ledger.entries[0].status).toBe('failed');
+        expect(ledger.entries[0].error).toContain('400 Invalid service');
+    });
+
+    test('should skip conflicted selections', async () => {
+        const conflicted = {
+            structured_response: {
+                ...selection.structured_response,
+                appointments: [{ ...selection.structured_response.appointments[0], hasConflict: true }]
+            }
+        };
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const ledger = await booker.bookAppointments(conflicted);
+
+        expect(ledger.summary.skipped).toBe(1);
+        expect(calculator.getPractitionerCurrentSchedule).not.toHaveBeenCalled();
+    });
+
+    test('should skip selections with a hard daily-shape violation', async () => {
+        const breaksDay = {
+            structured_response: {
+                ...selection.structured_response,
+                appointments: [{
+                    ...selection.structured_response.appointments[0],
+                    dailyShapeViolations: [
+                        { type: 'last_participant', strength: 'hard', message: '2025-08-26 has a booking after the session' },
+                        { type: 'direct_minutes', strength: 'soft', message: 'Long day' }
+                    ]
+                }]
+            }
+        };
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const ledger = await booker.bookAppointments(breaksDay);
+
+        expect(ledger.summary.skipped).toBe(1);
+        expect(ledger.entries[0].error).toBe('Selection breaks the practitioner\'s day: 2025-08-26 has a booking after the session');
+        expect(calculator.getPractitionerCurrentSchedule).not.toHaveBeenCalled();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should fail selections with missing IDs without re-checking or writing', async () => {
+        const incomplete = {
+            structured_response: {
+                ...selection.structured_response,
+                appointments: [{ ...selection.structured_response.appointments[0], serviceId: null, patientId: null }]
+            }
+        };
+
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator, dryRun: false });
+        const ledger = await booker.bookAppointments(incomplete);
+
+        expect(ledger.summary.failed).toBe(1);
+        expect(ledger.entries[0].error).toBe('Missing or invalid booking fields: serviceId, patientId');
+        expect(calculator.getPractitionerCurrentSchedule).not.toHaveBeenCalled();
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(booker.validatePayload({ ...ledger.entries[0].payload, serviceId: 101, patientId: 555, end: ledger.entries[0].payload.start })).toEqual(['end (not after start)']);
+    });
+
+    test('should produce the same idempotency key for the same appointment', () => {
+        const booker = new AppointmentBooker({ availabilityCalculator: calculator });
+        const appointment = { ...selection.structured_response.appointments[0], practitionerId: 46932 };
+
+        expect(booker.buildIdempotencyKey(appointment)).toBe(booker.buildIdempotencyKey({ ...appointment }));
+        expect(booker.buildIdempotencyKey(appointment)).not.toBe(booker.buildIdempotencyKey({ ...appointment, serviceId: 102 }));
+    });
+
+    test('should require Windmill credentials', () => {
+        delete process.env.WINDMILL_TOKEN;
+        expect(() => new AppointmentBooker({ availabilityCalculator: calculator })).toThrow('Missing required environment variables');
+    });
+});
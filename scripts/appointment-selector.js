@@ -1,12 +1,22 @@
 import 'dotenv/config';
-import { ChatOpenAI } from '@langchain/openai';
 import { z } from 'zod';
+import { createStructuredModel } from './utils/model-factory.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { describeTravelPolicy } from './utils/travel-policy.js';
+import { RecurrenceEngine } from './recurrence-engine.js';
+import { getLogger } from './utils/logger.js';
+import { withRedactor, redactLogText } from './utils/pii-redactor.js';
+import { hasPreferences, describePreferences } from './preference-parser.js';
+import { SchedulingPolicySet, isLastParticipantOfDay, describeSessionWindow, describePolicyRules } from './utils/scheduling-policy.js';
 import { 
     getTimeOfDayRange,
     convertLocalToUTC,
-    convertAvailabilityToLocalTime
+    convertAvailabilityToLocalTime,
+    DEFAULT_TIMEZONE
 } from './utils/timezone-utils.js';
 
+const logger = getLogger('appointment-selector');
+
 const appointmentSelectionSchema = z.object({
     natural_response: z.string().describe("Human-readable explanation of the appointment selections made, including reasoning for each choice and any issues encountered"),
     structured_response: z.object({
@@ -42,13 +52,17 @@ const appointmentSelectionSchema = z.object({
 });
 
 class AppointmentSelector {
-    constructor() {
-        console.log('⚙️  Initializing Appointment Selector with o3...');
-        this.model = new ChatOpenAI({
-            model: 'o3',
-            maxTokens: 8000
-        });
-        console.log('✅ Appointment Selector ready');
+    /**
+     * @param {Object} options - Selector options
+     * @param {string} options.travelPolicy - Where travel sits around sessions (see utils/travel-policy.js)
+     * @param {SchedulingPolicySet} options.policies - Scheduling policies (see utils/scheduling-policy.js)
+     */
+    constructor(options = {}) {
+        this.structuredModel = createStructuredModel('selection', appointmentSelectionSchema);
+        this.conflictChecker = new ConflictChecker({ travelPolicy: options.travelPolicy });
+        this.policies = options.policies || new SchedulingPolicySet();
+        this.recurrenceEngine = new RecurrenceEngine();
+        logger.debug(`Appointment Selector ready with ${this.structuredModel.label}`);
     }
 
 
@@ -108,9 +122,7 @@ class AppointmentSelector {
             throw new Error('Suggestion results array must match the number of appointments in SDM data');
         }
 
-        console.log('🔄 Starting AI appointment selection process...');
-        console.log(`👤 Participant: ${sdmData.participant.participantName}`);
-        console.log(`📊 Analyzing ${sdmData.appointments.length} appointments with scheduling constraints`);
+        logger.info(redactLogText(`Selecting appointments for ${sdmData.participant.participantName}`, sdmData.participant), { appointments: sdmData.appointments.length });
         
         // Convert data to local time for LLM consumption
         const practitionerTimezone = availabilityData.practitionerTimezone;
@@ -119,44 +131,107 @@ class AppointmentSelector {
         
         // Build comprehensive prompt with all data and rules
         const prompt = this.buildSelectionPrompt(sdmData, localSuggestionResults, localAvailabilityData, schedulingInstructions);
-        console.log(`📝 Selection prompt length: ${prompt.length} characters`);
 
         try {
             // Get structured response from LLM
-            console.log('🧠 Calling o3 for intelligent appointment selection...');
+            logger.info(`Calling ${this.structuredModel.label} for appointment selection`, { promptChars: prompt.length });
             
-            const startTime = Date.now();
-            const structuredLlm = this.model.withStructuredOutput(appointmentSelectionSchema);
-            const localResult = await structuredLlm.invoke([
-                {
-                    role: "system",
-                    content: "You are an expert healthcare appointment scheduler. Your job is to select the optimal appointments from suggested options while following all scheduling rules and participant preferences. Work exclusively in the practitioner's local timezone."
-                },
-                {
-                    role: "user", 
-                    content: prompt
-                }
-            ]);
+            const localResult = await withRedactor((redactor) => {
+                redactor.registerParticipant(sdmData.participant);
+                return this.structuredModel.invoke([
+                    {
+                        role: "system",
+                        content: "You are an expert healthcare appointment scheduler. Your job is to select the optimal appointments from suggested options while following all scheduling rules and participant preferences. Work exclusively in the practitioner's local timezone."
+                    },
+                    {
+                        role: "user", 
+                        content: prompt
+                    }
+                ]);
+            });
             
             // Convert LLM's local time selections back to UTC
-            const utcResult = this.convertSelectionsToUTC(localResult, practitionerTimezone);
-            
-            const endTime = Date.now();
-            const duration = ((endTime - startTime) / 1000).toFixed(2);
+            const convertedResult = this.convertSelectionsToUTC(localResult, practitionerTimezone);
+
+            // Suggestions were conflict checked one appointment at a time, so check the final set against itself
+            const utcResult = this.resolveDoubleBookings(convertedResult, sdmData, availabilityData);
             
-            console.log(`✅ Appointment selection completed in ${duration}s`);
-            console.log(`📋 Status: ${utcResult.status}`);
-            console.log(`🎯 Selected ${utcResult.structured_response.appointments.length} appointments`);
-            console.log(`⚠️  Identified ${utcResult.structured_response.issues.length} scheduling issues`);
+            logger.info(`Selected ${utcResult.structured_response.appointments.length} appointments (${utcResult.status})`, {
+                status: utcResult.status,
+                selected: utcResult.structured_response.appointments.length,
+                issues: utcResult.structured_response.issues.length
+            });
 
             return utcResult;
 
         } catch (error) {
-            console.error('❌ Appointment selection failed:', error.message);
+            logger.error(`Appointment selection failed: ${error.message}`);
             throw new Error(`Failed to select appointments: ${error.message}`);
         }
     }
 
+    /**
+     * Check the selected appointments against each other and flag double-bookings and selections
+     * that break the scheduling policy's daily limit or session spacing
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Object} sdmData - SDM extraction data (provides travel time per appointment)
+     * @param {Object} availabilityData - Practitioner availability data, for the practitioner's policy and timezone
+     * @returns {Object} Selection result with conflict status on each appointment, an issue per double-booking
+     *                   or policy breach and travel blocks for the conflict-free selections
+     */
+    resolveDoubleBookings(selectionResult, sdmData, availabilityData = null) {
+        const { structured_response } = selectionResult;
+        const policy = this.policies.forPractitioner(availabilityData?.practitionerId ?? null);
+        const selectionCheck = this.conflictChecker.checkSelectionConflicts(
+            structured_response.appointments,
+            sdmData.appointments,
+            policy,
+            availabilityData?.practitionerTimezone || DEFAULT_TIMEZONE
+        );
+
+        const doubleBookingIssues = selectionCheck.appointments
+            .filter(appointment => appointment.hasConflict)
+            .map(appointment => {
+                const overlaps = appointment.conflictDetails
+                    .filter(conflict => conflict.type === 'double_booking')
+                    .map(conflict => `appointment #${conflict.conflictingAppointmentIndex + 1} (${conflict.conflictingService})`);
+                const policyBreaches = appointment.conflictDetails
+                    .filter(conflict => conflict.type === 'daily_limit' || conflict.type === 'session_spacing')
+                    .map(conflict => conflict.message);
+
+                let issue = `Selected slot is invalid: ${appointment.conflictDetails.join(', ')}`;
+                if (overlaps.length > 0) {
+                    issue = `Selected slot is double-booked with ${overlaps.join(', ')}, including travel time`;
+                } else if (policyBreaches.length > 0) {
+                    issue = `Selected slot breaks the scheduling policy: ${policyBreaches.join('; ')}`;
+                }
+
+                return {
+                    appointmentIndex: appointment.originalAppointmentIndex,
+                    service: appointment.service,
+                    issue,
+                    recommendation: 'Select a different non-conflicting suggestion for this appointment or re-run the scheduler'
+                };
+            });
+
+        if (selectionCheck.summary.totalConflicted > 0) {
+            logger.warn(`Detected ${selectionCheck.summary.totalConflicted} double-booked or policy-breaking selection(s)`, { doubleBooked: selectionCheck.summary.totalConflicted });
+        }
+
+        return {
+            ...selectionResult,
+            structured_response: {
+                ...structured_response,
+                appointments: selectionCheck.appointments,
+                travelBlocks: this.conflictChecker.buildTravelBlocks(selectionCheck.appointments, sdmData.appointments),
+                issues: [...structured_response.issues, ...doubleBookingIssues]
+            },
+            status: doubleBookingIssues.length > 0 && selectionResult.status === 'success'
+                ? 'partial_success'
+                : selectionResult.status
+        };
+    }
+
     /**
      * Build comprehensive prompt with all data and scheduling rules
      * @param {Object} sdmData - SDM extraction data
@@ -172,6 +247,9 @@ class AppointmentSelector {
         // Extract timezone context from availability data
         const practitionerTimezone = availabilityData.practitionerTimezone || 'Australia/Melbourne';
         const practitionerId = availabilityData.practitionerId;
+        const series = this.recurrenceEngine.buildSeries(sdmData);
+        const policy = this.policies.forPractitioner(practitionerId ?? null);
+        const policyRules = describePolicyRules(policy, isLastParticipantOfDay(servicePlanning));
 
         let prompt = `# APPOINTMENT SELECTION TASK
 
@@ -186,7 +264,7 @@ class AppointmentSelector {
 - **Service Required**: ${participant.serviceRequired}
 - **Suitable Days**: ${participant.suitableDays || 'Not specified'}
 - **Suitable Time**: ${participant.suitableTime || 'Not specified'}
-
+${hasPreferences(sdmData.preferences) ? `- **Parsed Preferences (local time)**: ${describePreferences(sdmData.preferences)}\n` : ''}
 ## PLAN DETAILS
 - **Plan Period**: ${planDetails.planStartDate} to ${planDetails.planEndDate}
 - **Total Budget**: $${planDetails.totalPlanBudget}
@@ -197,7 +275,7 @@ class AppointmentSelector {
 - **Service Commencement**: ${servicePlanning.serviceCommencement}
 - **Travel Required**: ${servicePlanning.travelRequired}
 - **Last Participant of Day**: ${servicePlanning.lastParticipantOfDay}
-- **Service Frequency**: ${servicePlanning.serviceFrequency}
+- **Service Frequency**: ${servicePlanning.serviceFrequency}${series ? ` (${series.rule.label} from ${series.anchorDate}, ${series.rrule})` : ''}
 
 ${schedulingInstructions ? `## ADDITIONAL SCHEDULING INSTRUCTIONS
 
@@ -207,11 +285,11 @@ ${schedulingInstructions}
 1. **CONFLICTS**: Never select appointments marked as conflicted in the conflict checker results
 2. **PARTICIPANT PREFERENCES**: Respect participant's suitable days and times wherever possible (interpret time preferences in LOCAL timezone)
    - **Note**: For reporting sessions, participants are not involved, so their preferences should be ignored
-3. **SESSION TYPE TIMING (LOCAL TIME)**:
-   - Non-reporting sessions: Monday mornings through Thursday lunch times (LOCAL TIME - ${practitionerTimezone})
-   - Reporting sessions: Thursday afternoons through Friday afternoons (LOCAL TIME - ${practitionerTimezone})
-4. **AVAILABLE SLOTS ONLY**: Schedule appointments only within the practitioner's available time slots - do not assume any general business hours restrictions
-5. **REGULAR CADENCE**: Maintain consistent scheduling patterns for similar session types using local time patterns
+3. **SESSION TYPE TIMING (LOCAL TIME, scheduling policy ${policy.label})**:
+   - Non-reporting sessions: ${describeSessionWindow(policy, false)} (LOCAL TIME - ${practitionerTimezone})
+   - Reporting sessions: ${describeSessionWindow(policy, true)} (LOCAL TIME - ${practitionerTimezone})
+${policyRules.map(rule => `   - ${rule}\n`).join('')}4. **AVAILABLE SLOTS ONLY**: Schedule appointments only within the practitioner's available time slots - do not assume any general business hours restrictions
+5. **REGULAR CADENCE**: Maintain consistent scheduling patterns for similar session types using local time patterns${series ? ` - choose the option closest to each appointment's target date so sessions stay ${series.rule.label}` : ''}
 6. **CONSISTENCY**: Schedule same appointment types on same day of week and time of day when possible (based on LOCAL time)
 7. **LOCAL TIME AWARENESS**: When analyzing suggestions, prioritize options that make sense in the practitioner's local timezone context
 8. **ALERT ISSUES**: If no suitable appointment can be found, provide detailed explanation including timezone considerations
@@ -223,13 +301,15 @@ ${schedulingInstructions}
         // Add each appointment with its suggestions (now with conflict status included)
         appointments.forEach((appointment, index) => {
             const suggestions = suggestionResults[index];
+            const occurrence = this.recurrenceEngine.getOccurrence(series, index);
 
             prompt += `### Appointment ${index + 1}: ${appointment.service}
 - **Date Range**: ${appointment.dateRangeStart} to ${appointment.dateRangeEnd}
 - **Duration**: ${appointment.duration} minutes (+ ${appointment.travelTime} minutes travel)
+- **Travel**: ${describeTravelPolicy(appointment.travelTime, this.conflictChecker.travelPolicy)}
 - **Cost**: $${appointment.cost}
 - **Is Reporting Session**: ${appointment.isReportingSession}
-
+${occurrence ? `- **Target Date**: ${occurrence.targetDate} (session ${occurrence.occurrence} of the ${series.rule.label} series)\n` : ''}
 **Available Suggestions**:
 `;
 
@@ -247,7 +327,7 @@ ${schedulingInstructions}
      - Confidence: ${suggestion.confidence}
      - Location: ${suggestion.locationId}
      - Conflicts: ${hasConflict ? '❌ HAS CONFLICTS' : '✅ No conflicts'}
-     - Reasoning: ${suggestion.reasoning}
+${suggestion.preferenceViolations?.length > 0 ? `     - Participant Preferences: ⚠️ ${suggestion.preferenceViolations.map(violation => `${violation.message} (${violation.strength})`).join('; ')}\n` : ''}     - Reasoning: ${suggestion.reasoning}
 `;
                 });
             } else {
@@ -275,10 +355,10 @@ For each appointment above, select the BEST suggestion that:
 1. Has NO conflicts (✅ status only)
 2. Best matches participant preferences and scheduling rules  
 3. Maintains consistency with other selected appointments where possible
-4. Follows session type timing preferences:
-   - Non-reporting sessions: Monday mornings through Thursday lunch times
-   - Reporting sessions: Thursday afternoons through Friday afternoons
-5. Makes logical sense from a local time perspective (9 AM means 9 AM local time)
+4. Follows the session type timing and daily rules of scheduling policy ${policy.label}:
+   - Non-reporting sessions: ${describeSessionWindow(policy, false)}
+   - Reporting sessions: ${describeSessionWindow(policy, true)}
+${policyRules.map(rule => `   - ${rule}\n`).join('')}5. Makes logical sense from a local time perspective (9 AM means 9 AM local time)
 
 When providing selected appointment times, use LOCAL time in ISO format (YYYY-MM-DDTHH:MM:SS).
 
@@ -332,4 +412,4 @@ Provide both a natural language explanation and structured data for your selecti
     }
 }
 
-export { AppointmentSelector };
\ No newline at end of file
+export { AppointmentSelector, appointmentSelectionSchema };
\ No newline at end of file
@@ -1,12 +1,42 @@
 import 'dotenv/config';
 import fs from 'fs';
-import { ChatOpenAI } from '@langchain/openai';
 import { HumanMessage } from '@langchain/core/messages';
 import { z } from 'zod';
+import { createStructuredModel } from './utils/model-factory.js';
 import { 
     convertLocalToUTC,
-    convertAvailabilityToLocalTime
+    getLocalTimeParts,
+    formatClock
 } from './utils/timezone-utils.js';
+import { resolveTravelPolicy, describeTravelPolicy } from './utils/travel-policy.js';
+import { getLogger } from './utils/logger.js';
+import { withRedactor } from './utils/pii-redactor.js';
+import { buildAvailabilityPrompt } from './utils/availability-prefilter.js';
+import { SlotCandidateGenerator } from './slot-candidate-generator.js';
+import { describePreferences } from './preference-parser.js';
+import { SchedulingPolicySet, isLastParticipantOfDay, describeSessionWindow, describePolicyRules } from './utils/scheduling-policy.js';
+
+const logger = getLogger('appointment-suggestion-engine');
+
+// Where step 3 suggestions come from: the slot generator alone, generator candidates re-ranked
+// by the LLM, or the LLM reading the raw availability
+const SUGGESTION_MODES = ['generator', 'rerank', 'llm'];
+
+// Generator candidates offered to the re-ranking LLM, as a multiple of the suggestions returned
+const RERANK_POOL_FACTOR = 3;
+
+/**
+ * Resolve and validate the suggestion mode
+ * @param {string} mode - One of SUGGESTION_MODES (defaults to SUGGESTION_MODE env or 'generator')
+ * @returns {string} Suggestion mode
+ */
+function resolveSuggestionMode(mode) {
+    const resolved = mode || process.env.SUGGESTION_MODE || 'generator';
+    if (!SUGGESTION_MODES.includes(resolved)) {
+        throw new Error(`Invalid SUGGESTION_MODE "${resolved}". Expected one of: ${SUGGESTION_MODES.join(', ')}`);
+    }
+    return resolved;
+}
 
 const appointmentSuggestionSchema = z.object({
     suggestedAppointments: z.array(z.object({
@@ -34,17 +64,37 @@ const appointmentSuggestionSchema = z.object({
     })
 });
 
+const candidateRankingSchema = z.object({
+    rankedCandidates: z.array(z.object({
+        candidateId: z.number().describe("ID of a candidate from the list, best first"),
+        confidence: z.enum(['low', 'medium', 'high']).describe("Confidence level in this candidate"),
+        reasoning: z.string().describe("Why this candidate ranks here, including local time context")
+    })),
+    recommendations: z.array(z.string()).describe("General scheduling advice")
+});
+
 class AppointmentSuggestionEngine {
-    constructor() {
-        console.log('⚙️  Initializing Appointment Suggestion Engine with gpt-4o...');
-        this.model = new ChatOpenAI({
-            modelName: "gpt-4o",
-            temperature: 0.3,
-            openAIApiKey: process.env.OPENAI_API_KEY,
+    /**
+     * @param {Object} options - Engine options
+     * @param {string} options.travelPolicy - Where travel sits around sessions (see utils/travel-policy.js)
+     * @param {string} options.suggestionMode - One of SUGGESTION_MODES (defaults to SUGGESTION_MODE env or 'generator')
+     * @param {number} options.slotStepMinutes - Generator start time grid (defaults to SLOT_STEP_MINUTES or 15)
+     * @param {number} options.maxSuggestions - Suggestions per appointment (defaults to SUGGESTION_COUNT or 5)
+     * @param {SchedulingPolicySet} options.policies - Scheduling policies (see utils/scheduling-policy.js)
+     */
+    constructor(options = {}) {
+        this.travelPolicy = resolveTravelPolicy(options.travelPolicy);
+        this.suggestionMode = resolveSuggestionMode(options.suggestionMode);
+        this.policies = options.policies || new SchedulingPolicySet();
+        this.candidateGenerator = new SlotCandidateGenerator({
+            slotStepMinutes: options.slotStepMinutes,
+            maxSuggestions: options.maxSuggestions,
+            travelPolicy: this.travelPolicy,
+            policies: this.policies
         });
-        
-        this.structuredModel = this.model.withStructuredOutput(appointmentSuggestionSchema);
-        console.log('✅ Appointment Suggestion Engine ready');
+        this.structuredModel = createStructuredModel('suggestion', appointmentSuggestionSchema);
+        this.rankingModel = createStructuredModel('suggestion', candidateRankingSchema);
+        logger.debug(`Appointment Suggestion Engine ready (mode: ${this.suggestionMode}${this.suggestionMode === 'generator' ? '' : `, ${this.structuredModel.label}`})`);
     }
 
 
@@ -67,13 +117,41 @@ class AppointmentSuggestionEngine {
 
 
 
+    /**
+     * Case details for a prompt, with the parsed participant preferences as one readable line
+     * @param {Object} caseDetails - Case details, optionally with parsed preferences
+     * @returns {string} Prompt text
+     */
+    formatCaseDetails(caseDetails) {
+        const { preferences, ...details } = caseDetails;
+        const text = JSON.stringify(details, null, 2);
+        return preferences ? `${text}\nParsed participant preferences (local time): ${describePreferences(preferences)}` : text;
+    }
+
+    /**
+     * Session timing and daily rules of the practitioner's scheduling policy, as prompt lines
+     * @param {Object} availability - Practitioner availability data
+     * @param {Object|null} caseDetails - Case details, read for the last participant of day flag
+     * @returns {Object} { policy, nonReporting, reporting, rules } with the window descriptions and rule sentences
+     */
+    describePolicy(availability, caseDetails) {
+        const policy = this.policies.forPractitioner(availability?.practitionerId ?? null);
+        return {
+            policy,
+            nonReporting: describeSessionWindow(policy, false),
+            reporting: describeSessionWindow(policy, true),
+            rules: describePolicyRules(policy, isLastParticipantOfDay(caseDetails?.servicePlanning))
+        };
+    }
+
     async callLLM(appointment, caseDetails = null, availabilityData, schedulingInstructions = '') {
         // Parse availability data to extract timezone context
         const availability = typeof availabilityData === 'string' ? JSON.parse(availabilityData) : availabilityData;
         const practitionerTimezone = availability.practitionerTimezone || 'Australia/Melbourne';
         
-        // Convert availability data to local time for LLM consumption
-        const localAvailabilityData = convertAvailabilityToLocalTime(availability);
+        // Only this appointment's usable slots, as a compact local time table
+        const availabilityPrompt = buildAvailabilityPrompt(availability, appointment, { locationIds: caseDetails?.preferredLocationIds });
+        const policyPrompt = this.describePolicy(availability, caseDetails);
         
         const prompt = `You are an expert appointment scheduling assistant. You will receive appointment details, case information, practitioner availability data and scheduling instructions.
 
@@ -81,10 +159,10 @@ APPOINTMENT TO SCHEDULE:
 ${JSON.stringify(appointment, null, 2)}
 
 ${caseDetails ? `CASE DETAILS:
-${JSON.stringify(caseDetails, null, 2)}
+${this.formatCaseDetails(caseDetails)}
 
-` : ''}PRACTITIONER AVAILABILITY DATA:
-${JSON.stringify(localAvailabilityData, null, 2)}
+` : ''}PRACTITIONER AVAILABILITY (free slots in this appointment's date range, long enough for session and travel):
+${availabilityPrompt.text}
 
 ${schedulingInstructions ? `SCHEDULING INSTRUCTIONS:
 ${schedulingInstructions}
@@ -102,13 +180,16 @@ Please analyze the availability and instructions to suggest optimal appointment
 
 1. **Available Time Slots**: Use the practitioner's free time slots, prioritizing those with good local time context
 2. **Local Time Preferences**: When instructions mention time of day e.g. "morning", use the LOCAL time context (e.g., 9 AM local, not 9 AM UTC)
-3. **Duration and Travel Time**: Account for appointment duration plus any travel time requirements
+3. **Duration and Travel Time**: start to end is the session only and must be exactly ${appointment.duration} minutes, inside a free time slot
+   - ${describeTravelPolicy(appointment.travelTime, this.travelPolicy)}
+   - Travel is NOT part of start/end and may fall outside the free time slots, but must not overlap any of the practitioner's BOOKED times
 4. **Participant Preferences**: Respect participant's suitable days and times, interpreting these in local context
+   - Parsed preferences marked (hard), and days or times after "not", must never be broken
    - **Note**: For reporting sessions, participants are not involved, so their preferences should be ignored
-5. **Service Type Timing (LOCAL TIME RULES)**:
-   - **Non-reporting sessions**: Schedule Monday mornings through Thursday lunchtime (LOCAL TIME)
-   - **Reporting sessions**: Schedule Thursday afternoons through Friday afternoons (LOCAL TIME)
-6. **Consistency Patterns**: When possible, maintain consistent day/time patterns using LOCAL time references
+5. **Service Type Timing (LOCAL TIME RULES, scheduling policy ${policyPrompt.policy.label})**:
+   - **Non-reporting sessions**: Schedule ${policyPrompt.nonReporting} (LOCAL TIME)
+   - **Reporting sessions**: Schedule ${policyPrompt.reporting} (LOCAL TIME)
+${policyPrompt.rules.map(rule => `   - ${rule}\n`).join('')}6. **Consistency Patterns**: When possible, maintain consistent day/time patterns using LOCAL time references
 7. **Conflict Minimization**: Optimize scheduling to minimize travel time and maximize efficiency
 
 For each appointment suggestion, provide:
@@ -131,36 +212,112 @@ Also provide a summary with:
 - schedulingConflicts: Array of any conflicts or issues found
 - recommendations: General scheduling advice`;
 
-        console.log('🧠 Generating appointment suggestions with o3...');
-        console.log(`📊 Processing appointment: ${appointment.service} (${appointment.duration}min + ${appointment.travelTime}min travel)`);
-        console.log(`📅 Date range: ${appointment.dateRangeStart} to ${appointment.dateRangeEnd}`);
-        console.log(`📝 Suggestion prompt length: ${prompt.length} characters`);
-        
-        const startTime = Date.now();
+        logger.info(`Generating appointment suggestions with ${this.structuredModel.label}`, {
+            service: appointment.service,
+            dateRangeStart: appointment.dateRangeStart,
+            dateRangeEnd: appointment.dateRangeEnd,
+            promptChars: prompt.length,
+            freeSlots: availabilityPrompt.stats.slotsAfter,
+            availabilityTokensSaved: availabilityPrompt.stats.tokensBefore - availabilityPrompt.stats.tokensAfter
+        });
         
         try {
             const messages = [new HumanMessage(prompt)];
-            const localResponse = await this.structuredModel.invoke(messages);
+            const localResponse = await withRedactor((redactor) => {
+                redactor.registerParticipant(caseDetails?.participant);
+                return this.structuredModel.invoke(messages);
+            });
             
             // Convert LLM's local time suggestions back to UTC
             const utcResponse = this.convertSuggestionsToUTC(localResponse, practitionerTimezone);
             
-            const endTime = Date.now();
-            const duration = ((endTime - startTime) / 1000).toFixed(2);
-            
-            console.log(`✅ Suggestions generated in ${duration}s`);
-            console.log(`💡 Created ${utcResponse.suggestedAppointments.length} appointment suggestions`);
-            console.log(`⚠️  ${utcResponse.summary.schedulingConflicts.length} conflicts identified`);
+            logger.info(`Created ${utcResponse.suggestedAppointments.length} appointment suggestions`, {
+                suggestions: utcResponse.suggestedAppointments.length,
+                conflicts: utcResponse.summary.schedulingConflicts.length
+            });
             
-            return utcResponse;
+            return { ...utcResponse, availabilityPrompt: availabilityPrompt.stats };
         } catch (error) {
-            console.error('❌ Appointment suggestion generation failed:', error.message);
+            logger.error(`Appointment suggestion generation failed: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Suggest optimal appointment times based on appointment details and availability
+     * Generate candidates with the slot generator and let the LLM re-rank them. The LLM only
+     * orders candidate IDs, so every suggestion is still a generated, conflict-free slot; IDs it
+     * invents are ignored and places it leaves empty are filled in generator order.
+     * @param {Object} appointment - Details of the appointment to schedule
+     * @param {Object|null} caseDetails - Optional case details for additional context
+     * @param {Object} availability - Practitioner availability data
+     * @param {string} schedulingInstructions - Optional additional scheduling instructions
+     * @returns {Object} Suggestions in the appointmentSuggestionSchema shape
+     */
+    async rerankCandidates(appointment, caseDetails, availability, schedulingInstructions = '') {
+        const { maxSuggestions } = this.candidateGenerator;
+        const candidates = this.candidateGenerator.rankCandidates(appointment, caseDetails, availability, maxSuggestions * RERANK_POOL_FACTOR);
+        if (candidates.length <= 1) {
+            return this.candidateGenerator.buildSuggestions(candidates, appointment, caseDetails, availability);
+        }
+
+        const practitionerTimezone = availability.practitionerTimezone || 'Australia/Melbourne';
+        const policyPrompt = this.describePolicy(availability, caseDetails);
+        const candidateLines = candidates.map((candidate, id) => {
+            const { localStart } = candidate;
+            const localEnd = getLocalTimeParts(candidate.end, practitionerTimezone);
+            return `${id}. ${localStart.dayOfWeek} ${localStart.date} ${formatClock(localStart.minutesOfDay)}-${formatClock(localEnd.minutesOfDay)} at location ${candidate.locationId} (${candidate.reasons.join(', ') || 'no scoring rules matched'})`;
+        });
+
+        const prompt = `You are an expert appointment scheduling assistant. Every candidate below is a free, conflict-free slot for the appointment. Rank the best ${maxSuggestions} candidates for this participant, best first.
+
+APPOINTMENT TO SCHEDULE:
+${JSON.stringify(appointment, null, 2)}
+
+${caseDetails ? `CASE DETAILS:
+${this.formatCaseDetails(caseDetails)}
+
+` : ''}${schedulingInstructions ? `SCHEDULING INSTRUCTIONS:
+${schedulingInstructions}
+
+` : ''}CANDIDATES (practitioner local time, ${practitionerTimezone}):
+${candidateLines.join('\n')}
+
+Consider the participant's suitable days and times (ignored for reporting sessions), the scheduling instructions, and the service timing rules of scheduling policy ${policyPrompt.policy.label}: non-reporting sessions ${policyPrompt.nonReporting}, reporting sessions ${policyPrompt.reporting}.${policyPrompt.rules.length > 0 ? ` Daily rules: ${policyPrompt.rules.join('; ')}.` : ''}
+
+Return rankedCandidates with the candidateId from the list, your confidence (low/medium/high) and reasoning in local time, plus any general recommendations.`;
+
+        logger.info(`Re-ranking ${candidates.length} generated candidates with ${this.rankingModel.label}`, {
+            service: appointment.service,
+            candidates: candidates.length,
+            promptChars: prompt.length
+        });
+
+        const ranking = await withRedactor((redactor) => {
+            redactor.registerParticipant(caseDetails?.participant);
+            return this.rankingModel.invoke([new HumanMessage(prompt)]);
+        });
+
+        const ranked = [];
+        const used = new Set();
+        for (const { candidateId, confidence, reasoning } of ranking.rankedCandidates) {
+            if (!candidates[candidateId] || used.has(candidateId) || ranked.length >= maxSuggestions) continue;
+            used.add(candidateId);
+            ranked.push({ ...candidates[candidateId], confidence, reasoning });
+        }
+        const ignored = ranking.rankedCandidates.filter(({ candidateId }) => !candidates[candidateId]).length;
+        if (ignored > 0) {
+            logger.warn(`Ignored ${ignored} ranked candidate ID(s) that were not offered`, { service: appointment.service, ignored });
+        }
+        candidates.forEach((candidate, id) => {
+            if (!used.has(id) && ranked.length < maxSuggestions) ranked.push(candidate);
+        });
+
+        return this.candidateGenerator.buildSuggestions(ranked, appointment, caseDetails, availability, ranking.recommendations);
+    }
+
+    /**
+     * Suggest optimal appointment times based on appointment details and availability, from the
+     * slot generator, generator candidates re-ranked by the LLM, or the LLM alone (see SUGGESTION_MODES)
      * @param {Object} appointment - Details of the appointment to schedule
      * @param {Object|null} caseDetails - Optional case details for additional context
      * @param {string} availabilityData - Practitioner availability data
@@ -168,16 +325,26 @@ Also provide a summary with:
      * @returns {Object} Structured appointment suggestions with reasoning
      */
     async suggestAppointments(appointment, caseDetails = null, availabilityData, schedulingInstructions = '') {
-        console.log('🔄 Starting appointment suggestion process...');
-        console.log(`📋 Processing: ${appointment.service} appointment`);
-        
-        const suggestions = await this.callLLM(appointment, caseDetails, availabilityData, schedulingInstructions);
-        
+        let suggestions;
+        if (this.suggestionMode === 'llm') {
+            suggestions = await this.callLLM(appointment, caseDetails, availabilityData, schedulingInstructions);
+        } else {
+            const availability = typeof availabilityData === 'string' ? JSON.parse(availabilityData) : availabilityData;
+            suggestions = this.suggestionMode === 'rerank'
+                ? await this.rerankCandidates(appointment, caseDetails, availability, schedulingInstructions)
+                : this.candidateGenerator.suggest(appointment, caseDetails, availability);
+            logger.info(`Generated ${suggestions.suggestedAppointments.length} appointment suggestions (${this.suggestionMode})`, {
+                service: appointment.service,
+                suggestions: suggestions.suggestedAppointments.length
+            });
+        }
+
         return {
             ...suggestions,
+            suggestionMode: this.suggestionMode,
             timestamp: new Date().toISOString()
         };
     }
 }
 
-export { AppointmentSuggestionEngine };
\ No newline at end of file
+export { AppointmentSuggestionEngine, appointmentSuggestionSchema, candidateRankingSchema, SUGGESTION_MODES, resolveSuggestionMode };
\ No newline at end of file
@@ -0,0 +1,167 @@
+import 'dotenv/config';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { getLocalTimeParts, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { getLogger } from './utils/logger.js';
+
+const logger = getLogger('availability-ledger');
+
+/**
+ * In-memory availability shared by the scheduling runs in a batch. Each practitioner's
+ * availability is fetched from Windmill once (widened when a later run needs a longer range)
+ * and the slots selected for earlier participants are reserved, so later runs only see the
+ * time that is still free. Drop-in replacement for PractitionerAvailabilityCalculator in
+ * MasterScheduler via the availabilityCalculator option.
+ */
+
+class AvailabilityLedger {
+    /**
+     * @param {Object} options - Ledger options
+     * @param {Object} options.availabilityCalculator - Calculator used to fetch availability (defaults to PractitionerAvailabilityCalculator)
+     */
+    constructor(options = {}) {
+        this.calculator = options.availabilityCalculator || new PractitionerAvailabilityCalculator();
+        // practitionerId -> { startDate, endDate, availability }
+        this.fetched = new Map();
+        // practitionerId -> [{ start, end, owner, type }]
+        this.reservations = new Map();
+    }
+
+    /**
+     * Availability for a date range with every reservation removed from the free slots and
+     * added to bookedAppointments, in the calculateAvailability format
+     * @param {number} practitionerId - Practitioner ID
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Availability data
+     */
+    async calculateAvailability(practitionerId, startDate, endDate) {
+        const cached = this.fetched.get(practitionerId);
+        if (!cached || startDate < cached.startDate || endDate > cached.endDate) {
+            const fetchStart = cached && cached.startDate < startDate ? cached.startDate : startDate;
+            const fetchEnd = cached && cached.endDate > endDate ? cached.endDate : endDate;
+            logger.debug(`Ledger: fetching availability for practitioner ${practitionerId} (${fetchStart} to ${fetchEnd})`, { practitionerId });
+            const availability = await this.calculator.calculateAvailability(practitionerId, fetchStart, fetchEnd);
+            this.fetched.set(practitionerId, { startDate: fetchStart, endDate: fetchEnd, availability });
+        }
+
+        return this.buildView(this.fetched.get(practitionerId).availability, this.getReservations(practitionerId), startDate, endDate);
+    }
+
+    /**
+     * Reserve time so later runs cannot select it
+     * @param {number} practitionerId - Practitioner ID
+     * @param {Array<Object>} blocks - { start, end, type? } in UTC
+     * @param {string} owner - Who the time is reserved for (batch input ID)
+     * @returns {Array<Object>} Blocks that overlapped existing reservations held by another owner
+     */
+    reserve(practitionerId, blocks, owner) {
+        const existing = this.getReservations(practitionerId);
+        const overlaps = blocks.filter(block => existing.some(held =>
+            held.owner !== owner && new Date(block.start) < new Date(held.end) && new Date(block.end) > new Date(held.start)
+        ));
+
+        this.reservations.set(practitionerId, [
+            ...existing,
+            ...blocks.map(block => ({
+                start: new Date(block.start).toISOString(),
+                end: new Date(block.end).toISOString(),
+                owner,
+                type: block.type || 'appointment'
+            }))
+        ].sort((a, b) => a.start.localeCompare(b.start)));
+
+        return overlaps;
+    }
+
+    /**
+     * Release every reservation held by an owner
+     * @param {string} owner - Reservation owner
+     * @returns {number} Blocks released
+     */
+    release(owner) {
+        let released = 0;
+        for (const [practitionerId, blocks] of this.reservations) {
+            const kept = blocks.filter(block => block.owner !== owner);
+            released += blocks.length - kept.length;
+            this.reservations.set(practitionerId, kept);
+        }
+        return released;
+    }
+
+    getReservations(practitionerId) {
+        return this.reservations.get(practitionerId) || [];
+    }
+
+    /**
+     * Reserved minutes per practitioner
+     * @returns {Array<Object>} { practitionerId, reservedBlocks, reservedMinutes }
+     */
+    getUtilisation() {
+        return [...this.reservations.entries()].map(([practitionerId, blocks]) => ({
+            practitionerId,
+            reservedBlocks: blocks.length,
+            reservedMinutes: blocks.reduce((sum, block) => sum + (new Date(block.end) - new Date(block.start)) / (60 * 1000), 0)
+        }));
+    }
+
+    /**
+     * Build the availability view for a date range from fetched availability and reservations
+     */
+    buildView(availability, reservations, startDate, endDate) {
+        const timezone = availability.practitionerTimezone || DEFAULT_TIMEZONE;
+        const inRange = (time) => {
+            const localDate = getLocalTimeParts(new Date(time), timezone).date;
+            return localDate >= startDate && localDate <= endDate;
+        };
+
+        const slots = availability.freeTimeSlots
+            .filter(slot => inRange(slot.startDateTime))
+            .map(slot => ({
+                startDateTime: new Date(slot.startDateTime),
+                endDateTime: new Date(slot.endDateTime),
+                locationId: slot.locationId
+            }));
+        const freeTimeSlots = this.calculator.calculateFreeTimeSlots(slots, reservations);
+        const bookedAppointments = [
+            ...(availability.bookedAppointments || []),
+            ...reservations.map(({ start, end }) => ({ start, end }))
+        ]
+            .filter(apt => inRange(apt.start))
+            .sort((a, b) => a.start.localeCompare(b.start));
+
+        return {
+            ...availability,
+            dateRange: { start: startDate, end: endDate },
+            summary: {
+                ...availability.summary,
+                totalAppointments: bookedAppointments.length,
+                totalFreeSlots: freeTimeSlots.length,
+                totalFreeMinutes: freeTimeSlots.reduce((sum, slot) => sum + (slot.duration / (1000 * 60)), 0),
+                totalReservedBlocks: reservations.length
+            },
+            freeTimeSlots: freeTimeSlots.map(slot => ({
+                startDateTime: slot.startDateTime.toISOString(),
+                endDateTime: slot.endDateTime.toISOString(),
+                duration: `${Math.floor(slot.duration / (1000 * 60))} minutes`,
+                durationMs: slot.duration,
+                locationId: slot.locationId
+            })),
+            bookedAppointments
+        };
+    }
+
+    // Booking re-checks live Splose data, so these go straight to the calculator
+    getPractitionerCurrentSchedule(...args) {
+        return this.calculator.getPractitionerCurrentSchedule(...args);
+    }
+
+    getPractitionerCurrentAvailability(...args) {
+        return this.calculator.getPractitionerCurrentAvailability(...args);
+    }
+
+    getSinglePractitioner(...args) {
+        return this.calculator.getSinglePractitioner(...args);
+    }
+}
+
+export { AvailabilityLedger };
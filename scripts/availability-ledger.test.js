@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { AvailabilityLedger } from './availability-ledger.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+describe('AvailabilityLedger', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let ledger;
+
+    const availabilityRequests = () => mockServer.requests.filter(request => request.flow === 'get_practitioner_availabilities');
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+    });
+
+    beforeEach(() => {
+        mockServer.requests = [];
+        ledger = new AvailabilityLedger();
+    });
+
+    test('should fetch a practitioner once and serve narrower ranges from memory', async () => {
+        const week = await ledger.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+        const monday = await ledger.calculateAvailability(46932, '2025-08-25', '2025-08-25');
+
+        expect(availabilityRequests()).toHaveLength(1);
+        expect(week.summary.totalFreeSlots).toBe(6);
+        expect(monday.freeTimeSlots.every(slot => slot.startDateTime < '2025-08-25T14:00:00.000Z')).toBe(true);
+        expect(monday.dateRange).toEqual({ start: '2025-08-25', end: '2025-08-25' });
+    });
+
+    test('should refetch the wider range when a run needs more dates', async () => {
+        await ledger.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+        await ledger.calculateAvailability(46932, '2025-08-27', '2025-09-05');
+
+        expect(availabilityRequests().map(request => JSON.parse(request.body))).toEqual([
+            { practitionerId: 46932, startDate: '2025-08-25', endDate: '2025-08-29' },
+            { practitionerId: 46932, startDate: '2025-08-25', endDate: '2025-09-05' }
+        ]);
+    });
+
+    test('should remove reserved time from free slots and add it to booked appointments', async () => {
+        const before = await ledger.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+
+        ledger.reserve(46932, [
+            { start: '2025-08-25T00:00:00.000Z', end: '2025-08-25T01:30:00.000Z' },
+            { start: '2025-08-24T23:40:00.000Z', end: '2025-08-25T00:00:00.000Z', type: 'travel' }
+        ], 'jane-doe.txt');
+        const after = await ledger.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+
+        expect(after.summary.totalFreeMinutes).toBe(before.summary.totalFreeMinutes - 110);
+        expect(after.summary.totalReservedBlocks).toBe(2);
+        expect(after.bookedAppointments).toEqual(expect.arrayContaining([{ start: '2025-08-25T00:00:00.000Z', end: '2025-08-25T01:30:00.000Z' }]));
+        expect(after.freeTimeSlots.some(slot => slot.startDateTime < '2025-08-25T01:30:00.000Z' && slot.endDateTime > '2025-08-25T00:00:00.000Z')).toBe(false);
+    });
+
+    test('should report overlaps with other owners and release by owner', async () => {
+        ledger.reserve(46932, [{ start: '2025-08-25T00:00:00Z', end: '2025-08-25T01:30:00Z' }], 'first');
+
+        const overlaps = ledger.reserve(46932, [{ start: '2025-08-25T01:00:00Z', end: '2025-08-25T02:00:00Z' }], 'second');
+
+        expect(overlaps).toHaveLength(1);
+        expect(ledger.getUtilisation()).toEqual([{ practitionerId: 46932, reservedBlocks: 2, reservedMinutes: 150 }]);
+        expect(ledger.release('first')).toBe(1);
+        expect(ledger.getReservations(46932).map(block => block.owner)).toEqual(['second']);
+    });
+
+    test('should keep reservations separate per practitioner', async () => {
+        ledger.reserve(46932, [{ start: '2025-08-26T00:00:00Z', end: '2025-08-26T01:30:00Z' }], 'first');
+
+        const other = await ledger.calculateAvailability(51877, '2025-08-25', '2025-08-29');
+
+        expect(other.summary.totalReservedBlocks).toBe(0);
+    });
+});
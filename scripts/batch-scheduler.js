@@ -0,0 +1,311 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { MasterScheduler } from './master-scheduler.js';
+import { AvailabilityLedger } from './availability-ledger.js';
+import { getLogger, getRunContext, runWithContext } from './utils/logger.js';
+
+const logger = getLogger('batch-scheduler');
+
+/**
+ * Schedules many SDM plans in one pass against shared practitioner capacity.
+ * Every SDM is extracted first so participants can be ordered by priority (earliest intake
+ * date, then earliest plan end date); each participant is then scheduled in turn against an
+ * AvailabilityLedger, and the slots selected for them are reserved before the next participant
+ * runs so no two participants are given the same time.
+ */
+
+const SDM_FILE_PATTERN = /\.(txt|csv)$/i;
+
+class BatchScheduler {
+    /**
+     * @param {Object} options - Batch options
+     * @param {number} options.practitionerId - Practitioner for inputs that do not name one (default 46932)
+     * @param {Array<number|Object>} options.practitionerPool - Schedule every participant against this pool instead
+     * @param {string} options.poolStrategy - Pool strategy (see POOL_STRATEGIES)
+     * @param {Object} options.schedulerOptions - MasterScheduler options (selectionMode, travelPolicy, ...)
+     * @param {AvailabilityLedger} options.ledger - Shared ledger (a new one by default)
+     * @param {MasterScheduler} options.scheduler - Scheduler to use (built on the ledger by default)
+     */
+    constructor(options = {}) {
+        this.practitionerId = options.practitionerId || 46932;
+        this.practitionerPool = options.practitionerPool || null;
+        this.poolStrategy = options.poolStrategy || 'best_fit';
+        this.ledger = options.ledger || new AvailabilityLedger();
+        this.scheduler = options.scheduler || new MasterScheduler({ ...options.schedulerOptions, availabilityCalculator: this.ledger });
+    }
+
+    /**
+     * Resolve batch inputs
+     * @param {string|Array} source - Directory of SDM files, or an array of file paths and
+     *                                { id, sdmInput | sdmFile, instructions, practitionerId } entries
+     * @returns {Array<Object>} Inputs of { id, sdmInput, instructions, practitionerId, inputIndex }
+     */
+    loadInputs(source) {
+        let entries = source;
+        if (typeof source === 'string') {
+            if (!fs.existsSync(source) || !fs.statSync(source).isDirectory()) {
+                throw new Error(`Batch input directory not found: ${source}`);
+            }
+            entries = fs.readdirSync(source)
+                .filter(fileName => SDM_FILE_PATTERN.test(fileName))
+                .sort()
+                .map(fileName => path.join(source, fileName));
+        }
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('Batch contains no SDM inputs');
+        }
+
+        const inputs = entries.map((entry, inputIndex) => {
+            const { id, sdmInput, sdmFile, instructions = '', practitionerId = null } = typeof entry === 'string' ? { sdmFile: entry } : entry;
+            return {
+                id: id || (sdmFile ? path.basename(sdmFile) : `input-${inputIndex + 1}`),
+                sdmInput: sdmInput ?? fs.readFileSync(sdmFile, 'utf8'),
+                instructions,
+                practitionerId,
+                inputIndex
+            };
+        });
+
+        const ids = inputs.map(input => input.id);
+        const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+        if (duplicate) {
+            throw new Error(`Batch input ID "${duplicate}" is used more than once`);
+        }
+        return inputs;
+    }
+
+    /**
+     * Order extracted inputs by priority: earliest intake date, then earliest plan end date, then input order.
+     * Inputs missing a date sort after those that have one.
+     * @param {Array<Object>} extracted - Inputs with an extraction result
+     * @returns {Array<Object>} Inputs in scheduling order
+     */
+    prioritise(extracted) {
+        const compareDates = (a, b) => (a && b ? a.localeCompare(b) : (a ? -1 : (b ? 1 : 0)));
+        return [...extracted].sort((a, b) =>
+            compareDates(a.extraction.sdmData.servicePlanning?.intakeDate, b.extraction.sdmData.servicePlanning?.intakeDate) ||
+            compareDates(a.extraction.sdmData.planDetails?.planEndDate, b.extraction.sdmData.planDetails?.planEndDate) ||
+            a.inputIndex - b.inputIndex
+        );
+    }
+
+    /**
+     * Schedule every input in priority order against the shared ledger
+     * @param {string|Array} source - See loadInputs
+     * @param {Object} options - Batch run options
+     * @param {string} options.instructions - Instructions for inputs that have none of their own
+     * @returns {Object} { summary, participants, unplaced, utilisation, report, status }
+     */
+    async scheduleBatch(source, options = {}) {
+        // One correlation ID for the whole batch; each participant's records also carry its input ID
+        return runWithContext({}, () => this.runBatch(source, options));
+    }
+
+    /**
+     * Extract, prioritise and schedule every input (see scheduleBatch)
+     */
+    async runBatch(source, options) {
+        const startTime = Date.now();
+        const inputs = this.loadInputs(source);
+
+        logger.info(`Batch scheduler: ${inputs.length} SDM inputs`, { inputs: inputs.length });
+
+        const participants = [];
+        const extracted = [];
+        for (const input of inputs) {
+            try {
+                logger.info(`Extracting ${input.id}`, { batchInput: input.id });
+                extracted.push({ ...input, extraction: await runWithContext({ batchInput: input.id }, () => this.scheduler.extractSDMData(input.sdmInput)) });
+            } catch (error) {
+                logger.error(`${input.id}: extraction failed - ${error.message}`, { batchInput: input.id });
+                participants.push(this.buildFailedEntry(input, null, 'extraction_failed', error));
+            }
+        }
+
+        const ordered = this.prioritise(extracted);
+        for (const [priorityIndex, input] of ordered.entries()) {
+            logger.info(`[${priorityIndex + 1}/${ordered.length}] Scheduling ${input.id}`, { batchInput: input.id, priority: priorityIndex + 1 });
+
+            try {
+                const results = await runWithContext({ batchInput: input.id }, () => this.scheduleInput(input, options.instructions || ''));
+                participants.push(this.recordPlacement(input, priorityIndex + 1, results));
+            } catch (error) {
+                logger.error(`${input.id}: scheduling failed - ${error.message}`, { batchInput: input.id });
+                participants.push(this.buildFailedEntry(input, priorityIndex + 1, 'scheduling_failed', error));
+            }
+        }
+
+        participants.sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.inputIndex - b.inputIndex);
+        const unplaced = participants.filter(entry => entry.placedAppointments === 0);
+        const partiallyPlaced = participants.filter(entry => entry.placedAppointments > 0 && entry.placedAppointments < entry.requiredAppointments);
+        const fullyPlaced = participants.length - unplaced.length - partiallyPlaced.length;
+
+        const status = unplaced.length === 0 && partiallyPlaced.length === 0
+            ? 'success'
+            : (fullyPlaced + partiallyPlaced.length > 0 ? 'partial_success' : 'failure');
+
+        const batch = {
+            status,
+            summary: {
+                totalInputs: inputs.length,
+                fullyPlaced,
+                partiallyPlaced: partiallyPlaced.length,
+                unplaced: unplaced.length,
+                totalAppointmentsRequired: participants.reduce((sum, entry) => sum + entry.requiredAppointments, 0),
+                totalAppointmentsPlaced: participants.reduce((sum, entry) => sum + entry.placedAppointments, 0),
+                durationSeconds: Number(((Date.now() - startTime) / 1000).toFixed(2)),
+                processingTimestamp: new Date().toISOString(),
+                runId: getRunContext().runId
+            },
+            participants,
+            unplaced: unplaced.map(({ id, participant, reason, error, issues }) => ({ id, participant, reason, error, issues })),
+            utilisation: this.ledger.getUtilisation()
+        };
+        batch.report = this.generateBatchReport(batch);
+
+        logger.info(`Batch ${status.toUpperCase()}: ${fullyPlaced} fully placed, ${partiallyPlaced.length} partially placed, ${unplaced.length} unplaced`, { status, fullyPlaced, partiallyPlaced: partiallyPlaced.length, unplaced: unplaced.length });
+        return batch;
+    }
+
+    /**
+     * Run the scheduler for one input
+     */
+    async scheduleInput(input, defaultInstructions) {
+        const instructions = input.instructions || defaultInstructions;
+        if (this.practitionerPool) {
+            return await this.scheduler.schedulePractitionerPool(input.extraction, instructions, this.practitionerPool, { strategy: this.poolStrategy });
+        }
+        return await this.scheduler.scheduleAppointments(input.extraction, instructions, input.practitionerId || this.practitionerId);
+    }
+
+    /**
+     * Reserve a participant's selected sessions and travel in the ledger and summarise the outcome
+     */
+    recordPlacement(input, priority, results) {
+        const { structured_response } = results.selection;
+        const placed = structured_response.appointments.filter(apt => !apt.hasConflict && !apt.exceedsBudget);
+        const placedIndexes = new Set(placed.map(apt => apt.originalAppointmentIndex));
+        const practitionerFor = (item) => item.practitionerId ?? structured_response.practitionerId ?? input.practitionerId ?? this.practitionerId;
+
+        const blocksByPractitioner = new Map();
+        const addBlock = (practitionerId, block) => {
+            blocksByPractitioner.set(practitionerId, [...(blocksByPractitioner.get(practitionerId) || []), block]);
+        };
+        placed.forEach(apt => addBlock(practitionerFor(apt), { start: apt.start, end: apt.end, type: 'appointment' }));
+        (structured_response.travelBlocks || [])
+            .filter(block => placedIndexes.has(block.originalAppointmentIndex))
+            .forEach(block => addBlock(practitionerFor(block), { start: block.start, end: block.end, type: 'travel' }));
+
+        const overlaps = [];
+        for (const [practitionerId, blocks] of blocksByPractitioner) {
+            overlaps.push(...this.ledger.reserve(practitionerId, blocks, input.id).map(block => ({ practitionerId, ...block })));
+        }
+        if (overlaps.length > 0) {
+            logger.warn(`${input.id}: ${overlaps.length} block(s) overlap time reserved for another participant`, { batchInput: input.id, overlaps: overlaps.length });
+        }
+
+        logger.info(`${input.id}: placed ${placed.length}/${input.extraction.sdmData.appointments.length}, reserved ${[...blocksByPractitioner.values()].flat().length} block(s)`);
+
+        return {
+            id: input.id,
+            inputIndex: input.inputIndex,
+            priority,
+            participant: input.extraction.sdmData.participant.participantName,
+            intakeDate: input.extraction.sdmData.servicePlanning?.intakeDate ?? null,
+            planEndDate: input.extraction.sdmData.planDetails?.planEndDate ?? null,
+            practitionerIds: [...blocksByPractitioner.keys()],
+            status: results.summary.status,
+            requiredAppointments: input.extraction.sdmData.appointments.length,
+            placedAppointments: placed.length,
+            reason: placed.length === 0 ? 'no_slots' : null,
+            error: null,
+            issues: structured_response.issues.map(({ appointmentIndex, service, issue }) => ({ appointmentIndex, service, issue })),
+            reservationOverlaps: overlaps,
+            results
+        };
+    }
+
+    buildFailedEntry(input, priority, reason, error) {
+        const sdmData = input.extraction?.sdmData;
+        return {
+            id: input.id,
+            inputIndex: input.inputIndex,
+            priority,
+            participant: sdmData?.participant?.participantName ?? null,
+            intakeDate: sdmData?.servicePlanning?.intakeDate ?? null,
+            planEndDate: sdmData?.planDetails?.planEndDate ?? null,
+            practitionerIds: [],
+            status: 'failure',
+            requiredAppointments: sdmData?.appointments.length ?? 0,
+            placedAppointments: 0,
+            reason,
+            error: error.message,
+            issues: [],
+            reservationOverlaps: [],
+            results: null
+        };
+    }
+
+    /**
+     * Consolidated markdown report for a batch
+     * @param {Object} batch - Batch result from scheduleBatch
+     * @returns {string} Formatted report
+     */
+    generateBatchReport(batch) {
+        const { summary, participants, unplaced, utilisation } = batch;
+
+        let report = `# 📦 BATCH SCHEDULING REPORT\n\n`;
+        report += `**Status:** ${batch.status.toUpperCase()}\n`;
+        report += `**Participants:** ${summary.totalInputs} (${summary.fullyPlaced} fully placed, ${summary.partiallyPlaced} partially placed, ${summary.unplaced} unplaced)\n`;
+        report += `**Appointments placed:** ${summary.totalAppointmentsPlaced}/${summary.totalAppointmentsRequired}\n\n`;
+
+        report += `## 👥 PARTICIPANTS (PRIORITY ORDER)\n\n`;
+        report += `| # | Input | Participant | Intake | Plan end | Practitioner(s) | Placed | Status |\n`;
+        report += `|---|---|---|---|---|---|---|---|\n`;
+        participants.forEach(entry => {
+            report += `| ${entry.priority ?? '-'} | ${entry.id} | ${entry.participant ?? 'unknown'} | ${entry.intakeDate ?? '-'} | ${entry.planEndDate ?? '-'} | ${entry.practitionerIds.join(', ') || '-'} | ${entry.placedAppointments}/${entry.requiredAppointments} | ${entry.status} |\n`;
+        });
+        report += `\n`;
+
+        if (unplaced.length > 0) {
+            report += `## ❌ COULD NOT BE PLACED\n\n`;
+            unplaced.forEach(entry => {
+                const reason = {
+                    extraction_failed: 'SDM extraction failed',
+                    scheduling_failed: 'Scheduling failed',
+                    no_slots: 'No slots left for any appointment'
+                }[entry.reason] || entry.reason;
+                report += `- **${entry.participant ?? entry.id}** (${entry.id}): ${reason}${entry.error ? ` - ${entry.error}` : ''}\n`;
+            });
+            report += `\n`;
+        }
+
+        const partial = participants.filter(entry => entry.placedAppointments > 0 && entry.placedAppointments < entry.requiredAppointments);
+        if (partial.length > 0) {
+            report += `## ⚠️ PARTIALLY PLACED\n\n`;
+            partial.forEach(entry => {
+                report += `### ${entry.participant} (${entry.id})\n`;
+                entry.issues.forEach(issue => {
+                    report += `- ${issue.service} (Appointment #${issue.appointmentIndex + 1}): ${issue.issue}\n`;
+                });
+                report += `\n`;
+            });
+        }
+
+        if (utilisation.length > 0) {
+            report += `## 📒 RESERVED CAPACITY\n\n`;
+            utilisation.forEach(entry => {
+                report += `- Practitioner ${entry.practitionerId}: ${entry.reservedBlocks} block(s), ${Math.round(entry.reservedMinutes)} minutes reserved in this batch\n`;
+            });
+            report += `\n`;
+        }
+
+        report += `---\n`;
+        report += `*Batch completed in ${summary.durationSeconds}s on ${summary.processingTimestamp}*\n`;
+        return report;
+    }
+}
+
+export { BatchScheduler };
@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BatchScheduler } from './batch-scheduler.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+const sdmTemplate = fs.readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt'),
+    'utf8'
+);
+
+/**
+ * SDM export for another participant with a different intake date
+ */
+function buildSDM(participantName, intakeDate) {
+    return sdmTemplate
+        .replace('Participant Name,Jane Doe', `Participant Name,${participantName}`)
+        .replace('Intake Date,"Thursday, 07 Aug 2025"', `Intake Date,${intakeDate}`);
+}
+
+const overlaps = (a, b) => new Date(a.start) < new Date(b.end) && new Date(a.end) > new Date(b.start);
+
+/**
+ * Batch on the deterministic selector; the suggestion engine returns no suggestions so
+ * every slot comes from the ledger's free time
+ */
+function createBatch(options = {}) {
+    const batch = new BatchScheduler({ schedulerOptions: { selectionMode: 'deterministic', extractionRetries: 0 }, ...options });
+    batch.scheduler.suggestionEngine.suggestAppointments = async () => ({
+        suggestedAppointments: [],
+        summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] }
+    });
+    return batch;
+}
+
+describe('BatchScheduler', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let tempDir;
+    let previousParser;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        previousParser = process.env.SDM_PARSER;
+        process.env.SDM_PARSER = 'deterministic';
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hhg-batch-'));
+    });
+
+    afterAll(async () => {
+        if (previousParser === undefined) delete process.env.SDM_PARSER;
+        else process.env.SDM_PARSER = previousParser;
+        await mockServer.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('inputs', () => {
+        test('should read SDM files from a directory in name order', () => {
+            fs.writeFileSync(path.join(tempDir, 'b-smith.txt'), buildSDM('Sam Smith', '01 Aug 2025'));
+            fs.writeFileSync(path.join(tempDir, 'a-doe.csv'), buildSDM('Jane Doe', '07 Aug 2025'));
+            fs.writeFileSync(path.join(tempDir, 'notes.md'), 'not an SDM');
+
+            const inputs = createBatch().loadInputs(tempDir);
+
+            expect(inputs.map(input => input.id)).toEqual(['a-doe.csv', 'b-smith.txt']);
+        });
+
+        test('should reject empty batches, missing directories and duplicate IDs', () => {
+            const batch = createBatch();
+
+            expect(() => batch.loadInputs([])).toThrow('Batch contains no SDM inputs');
+            expect(() => batch.loadInputs(path.join(tempDir, 'missing'))).toThrow('Batch input directory not found');
+            expect(() => batch.loadInputs([{ id: 'x', sdmInput: 'a' }, { id: 'x', sdmInput: 'b' }])).toThrow('used more than once');
+        });
+    });
+
+    describe('scheduleBatch', () => {
+        let result;
+
+        beforeAll(async () => {
+            result = await createBatch().scheduleBatch([
+                { id: 'late-intake', sdmInput: buildSDM('Alex Late', '20 Aug 2025') },
+                { id: 'early-intake', sdmInput: buildSDM('Bea Early', '01 Aug 2025') },
+                { id: 'broken', sdmInput: 'Participant Name,Nobody\n' }
+            ]);
+        }, 60000);
+
+        test('should schedule participants in priority order', () => {
+            expect(result.participants.map(entry => [entry.priority, entry.id])).toEqual([
+                [1, 'early-intake'],
+                [2, 'late-intake'],
+                [null, 'broken']
+            ]);
+        });
+
+        test('should never give two participants overlapping time', () => {
+            const [first, second] = result.participants.map(entry => entry.results?.selection.structured_response.appointments || []);
+
+            expect(first.length).toBeGreaterThan(0);
+            expect(second.length).toBeGreaterThan(0);
+            expect(second.filter(apt => first.some(taken => overlaps(apt, taken)))).toEqual([]);
+            expect(result.participants.every(entry => entry.reservationOverlaps.length === 0)).toBe(true);
+        });
+
+        test('should list participants that could not be placed', () => {
+            expect(result.status).toBe('partial_success');
+            expect(result.unplaced).toEqual([expect.objectContaining({ id: 'broken', reason: 'extraction_failed' })]);
+            expect(result.summary).toMatchObject({ totalInputs: 3, unplaced: 1 });
+        });
+
+        test('should record reserved capacity per practitioner', () => {
+            const [utilisation] = result.utilisation;
+            const placed = result.summary.totalAppointmentsPlaced;
+
+            expect(utilisation.practitionerId).toBe(46932);
+            expect(utilisation.reservedBlocks).toBeGreaterThanOrEqual(placed);
+        });
+
+        test('should produce one consolidated report', () => {
+            expect(result.report).toContain('# 📦 BATCH SCHEDULING REPORT');
+            expect(result.report).toContain('| 1 | early-intake | Bea Early | 2025-08-01 |');
+            expect(result.report).toContain('## ❌ COULD NOT BE PLACED');
+            expect(result.report).toContain('- **broken** (broken): SDM extraction failed');
+            expect(result.report).toContain('## 📒 RESERVED CAPACITY');
+        });
+    });
+});
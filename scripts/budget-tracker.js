@@ -0,0 +1,195 @@
+/**
+ * Tracks a participant's plan budget through scheduling. Committed spend comes from existing
+ * Splose bookings for the participant (priced at the plan's hourly rate), or from the earlier
+ * spend carried in the SDM's first cumulativeCost when no bookings can be read. Selected
+ * appointments are then charged in date order against the dollar and hour ceilings, and the
+ * spend rate is projected to the plan end date.
+ */
+
+// Spend within a cent of the ceiling is treated as on budget
+const COST_TOLERANCE = 0.01;
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+class BudgetTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {number} options.hourlyRate - Rate used to price existing bookings (defaults to plan budget / plan hours)
+     * @param {boolean} options.enforceHours - Treat the indicative plan hours as a ceiling (default true)
+     */
+    constructor(options = {}) {
+        this.hourlyRate = options.hourlyRate ?? null;
+        this.enforceHours = options.enforceHours ?? true;
+    }
+
+    /**
+     * Hourly rate implied by the plan
+     * @param {Object} planDetails - SDM plan details
+     * @returns {number|null} Dollars per hour, or null when the plan has no hours
+     */
+    getHourlyRate(planDetails = {}) {
+        if (this.hourlyRate !== null) return this.hourlyRate;
+        const { totalPlanBudget, totalPlanBudgetHours } = planDetails;
+        return totalPlanBudget > 0 && totalPlanBudgetHours > 0 ? totalPlanBudget / totalPlanBudgetHours : null;
+    }
+
+    /**
+     * Spend already committed before the new selections
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Array<Object>|null} existingBookings - Splose bookings for the participant ({ start, end, cost? }), or null when unknown
+     * @returns {Object} { source ('splose' | 'sdm'), amount, minutes, bookings }
+     */
+    calculateCommittedSpend(sdmData, existingBookings = null) {
+        if (Array.isArray(existingBookings) && existingBookings.length > 0) {
+            const rate = this.getHourlyRate(sdmData.planDetails);
+            const bookings = existingBookings.map(booking => {
+                const minutes = (new Date(booking.end) - new Date(booking.start)) / (60 * 1000);
+                return {
+                    start: booking.start,
+                    end: booking.end,
+                    minutes,
+                    cost: roundCents(booking.cost ?? (rate !== null ? rate * minutes / 60 : 0))
+                };
+            });
+            return {
+                source: 'splose',
+                amount: roundCents(bookings.reduce((sum, booking) => sum + booking.cost, 0)),
+                minutes: bookings.reduce((sum, booking) => sum + booking.minutes, 0),
+                bookings
+            };
+        }
+
+        // The first planned appointment's cumulativeCost includes spend before it (e.g. the Clinical Intake)
+        const [first] = sdmData.appointments;
+        const amount = first ? Math.max(roundCents(first.cumulativeCost - first.cost), 0) : 0;
+        const rate = this.getHourlyRate(sdmData.planDetails);
+        return {
+            source: 'sdm',
+            amount,
+            minutes: rate ? Math.round(amount / rate * 60) : 0,
+            bookings: []
+        };
+    }
+
+    /**
+     * Charge selected appointments against the plan budget in date order
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Array<Object>} selectedAppointments - Selected appointments with originalAppointmentIndex and start
+     * @param {Object} committed - Result of calculateCommittedSpend
+     * @returns {Object} Budget evaluation with a per-appointment ledger, violations and burn-rate projection
+     */
+    evaluate(sdmData, selectedAppointments, committed = this.calculateCommittedSpend(sdmData)) {
+        const { totalPlanBudget = 0, totalPlanBudgetHours = 0 } = sdmData.planDetails;
+        const hourCeilingMinutes = totalPlanBudgetHours * 60;
+
+        let spend = committed.amount;
+        let minutes = committed.minutes;
+        const violations = [];
+
+        const ledger = [...selectedAppointments]
+            .sort((a, b) => new Date(a.start) - new Date(b.start))
+            .map(apt => {
+                const sdmAppointment = sdmData.appointments[apt.originalAppointmentIndex] || {};
+                const cost = sdmAppointment.cost || 0;
+                spend = roundCents(spend + cost);
+                minutes += sdmAppointment.duration || 0;
+
+                const withinBudget = spend <= totalPlanBudget + COST_TOLERANCE;
+                const withinHours = !this.enforceHours || minutes <= hourCeilingMinutes;
+                if (!withinBudget) {
+                    violations.push({
+                        type: 'budget',
+                        originalAppointmentIndex: apt.originalAppointmentIndex,
+                        service: apt.service,
+                        message: `Brings spend to $${spend.toFixed(2)}, $${(spend - totalPlanBudget).toFixed(2)} over the $${totalPlanBudget.toFixed(2)} plan budget`
+                    });
+                }
+                if (!withinHours) {
+                    violations.push({
+                        type: 'hours',
+                        originalAppointmentIndex: apt.originalAppointmentIndex,
+                        service: apt.service,
+                        message: `Brings time to ${(minutes / 60).toFixed(1)} hours, over the ${totalPlanBudgetHours} plan hours`
+                    });
+                }
+
+                return {
+                    originalAppointmentIndex: apt.originalAppointmentIndex,
+                    service: apt.service,
+                    start: apt.start,
+                    cost,
+                    cumulativeSpend: spend,
+                    remainingBudget: roundCents(totalPlanBudget - spend),
+                    remainingHours: Number(((hourCeilingMinutes - minutes) / 60).toFixed(2)),
+                    withinBudget,
+                    withinHours
+                };
+            });
+
+        return {
+            planBudget: totalPlanBudget,
+            planHours: totalPlanBudgetHours,
+            committed: { source: committed.source, amount: committed.amount, hours: Number((committed.minutes / 60).toFixed(2)), bookings: committed.bookings.length },
+            scheduledSpend: roundCents(spend - committed.amount),
+            totalSpend: spend,
+            totalHours: Number((minutes / 60).toFixed(2)),
+            remainingBudget: roundCents(totalPlanBudget - spend),
+            remainingHours: Number(((hourCeilingMinutes - minutes) / 60).toFixed(2)),
+            withinBudget: violations.every(violation => violation.type !== 'budget'),
+            withinHours: violations.every(violation => violation.type !== 'hours'),
+            ledger,
+            violations,
+            projection: this.projectBurnRate(sdmData.planDetails, ledger, spend)
+        };
+    }
+
+    /**
+     * Project spend to the plan end date from the rate implied by the scheduled appointments
+     * @param {Object} planDetails - SDM plan details
+     * @param {Array<Object>} ledger - Per-appointment ledger from evaluate
+     * @param {number} totalSpend - Spend up to the last scheduled appointment
+     * @returns {Object|null} { weeklyRate, projectedSpend, projectedRemaining, exhaustionDate, exhaustsBeforePlanEnd }
+     */
+    projectBurnRate(planDetails, ledger, totalSpend) {
+        const planStart = new Date(`${planDetails.planStartDate}T00:00:00Z`);
+        const planEnd = new Date(`${planDetails.planEndDate}T00:00:00Z`);
+        const lastAppointment = ledger.at(-1);
+        if (!lastAppointment || Number.isNaN(planStart.getTime()) || Number.isNaN(planEnd.getTime())) {
+            return null;
+        }
+
+        const weeksElapsed = Math.max((new Date(lastAppointment.start) - planStart) / MS_PER_WEEK, 1);
+        const planWeeks = Math.max((planEnd - planStart) / MS_PER_WEEK, weeksElapsed);
+        const weeklyRate = totalSpend / weeksElapsed;
+        const projectedSpend = roundCents(weeklyRate * planWeeks);
+
+        const exhaustionDate = weeklyRate > 0
+            ? new Date(planStart.getTime() + (planDetails.totalPlanBudget / weeklyRate) * MS_PER_WEEK).toISOString().substring(0, 10)
+            : null;
+
+        return {
+            weeklyRate: roundCents(weeklyRate),
+            projectedSpend,
+            projectedRemaining: roundCents(planDetails.totalPlanBudget - projectedSpend),
+            exhaustionDate,
+            exhaustsBeforePlanEnd: exhaustionDate !== null && exhaustionDate < planDetails.planEndDate
+        };
+    }
+
+    /**
+     * Downgrade a selection status for budget violations: nothing affordable is a failure,
+     * anything over budget makes a success partial
+     * @param {string} status - Selection status
+     * @param {Object} budget - Result of evaluate
+     * @returns {string} Adjusted status
+     */
+    adjustStatus(status, budget) {
+        if (budget.violations.length === 0) return status;
+        const affordable = budget.ledger.filter(entry => entry.withinBudget && entry.withinHours).length;
+        if (affordable === 0) return 'failure';
+        return status === 'success' ? 'partial_success' : status;
+    }
+}
+
+export { BudgetTracker };
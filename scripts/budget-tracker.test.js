@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BudgetTracker } from './budget-tracker.js';
+import { parseSDM } from './sdm-parser.js';
+import { MasterScheduler } from './master-scheduler.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+const { data: sdmData } = parseSDM(fs.readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt'),
+    'utf8'
+));
+
+// One selection per SDM appointment, a fortnight apart from 25 Aug 2025
+const selectAll = (data) => data.appointments.map((appointment, index) => ({
+    originalAppointmentIndex: index,
+    service: appointment.service,
+    start: new Date(Date.UTC(2025, 7, 25 + index * 14)).toISOString()
+}));
+
+const withBudget = (totalPlanBudget, totalPlanBudgetHours = sdmData.planDetails.totalPlanBudgetHours) => ({
+    ...sdmData,
+    planDetails: { ...sdmData.planDetails, totalPlanBudget, totalPlanBudgetHours }
+});
+
+describe('BudgetTracker', () => {
+    const tracker = new BudgetTracker();
+
+    describe('calculateCommittedSpend', () => {
+        test('should use the earlier spend carried in the SDM when no bookings are known', () => {
+            const committed = tracker.calculateCommittedSpend(sdmData, null);
+
+            // Clinical Intake: first cumulativeCost $854.30 less its own $621.31
+            expect(committed).toMatchObject({ source: 'sdm', amount: 232.99, minutes: 60 });
+        });
+
+        test('should price Splose bookings at the plan hourly rate unless they carry a cost', () => {
+            const committed = tracker.calculateCommittedSpend(sdmData, [
+                { start: '2025-08-07T00:00:00Z', end: '2025-08-07T01:00:00Z' },
+                { start: '2025-08-14T00:00:00Z', end: '2025-08-14T00:30:00Z', cost: 100 }
+            ]);
+
+            expect(committed.source).toBe('splose');
+            expect(committed.amount).toBe(Math.round((4013.82 / 17.2 + 100) * 100) / 100);
+            expect(committed.minutes).toBe(90);
+        });
+    });
+
+    describe('evaluate', () => {
+        test('should report remaining budget after each appointment', () => {
+            const budget = tracker.evaluate(sdmData, selectAll(sdmData));
+
+            expect(budget.withinBudget).toBe(true);
+            expect(budget.withinHours).toBe(true);
+            expect(budget.totalSpend).toBe(3883.16);
+            expect(budget.remainingBudget).toBe(130.66);
+            expect(budget.ledger[0]).toMatchObject({ service: 'Assessment', cost: 621.31, cumulativeSpend: 854.3, remainingBudget: 3159.52 });
+            expect(budget.ledger.at(-1).cumulativeSpend).toBe(budget.totalSpend);
+        });
+
+        test('should charge appointments in date order', () => {
+            const selections = selectAll(sdmData).reverse();
+            const budget = tracker.evaluate(sdmData, selections);
+
+            expect(budget.ledger.map(entry => entry.originalAppointmentIndex)).toEqual(sdmData.appointments.map((_, index) => index));
+        });
+
+        test('should flag every appointment past the budget ceiling', () => {
+            const budget = tracker.evaluate(withBudget(2000), selectAll(sdmData));
+
+            expect(budget.withinBudget).toBe(false);
+            expect(budget.violations.filter(violation => violation.type === 'budget').map(violation => violation.originalAppointmentIndex)).toEqual([4, 5, 6, 7, 8]);
+            expect(budget.violations[0].message).toContain('over the $2000.00 plan budget');
+            expect(budget.remainingBudget).toBeLessThan(0);
+        });
+
+        test('should enforce the hour ceiling unless disabled', () => {
+            const tight = withBudget(10000, 5);
+
+            expect(tracker.evaluate(tight, selectAll(sdmData)).withinHours).toBe(false);
+            expect(new BudgetTracker({ enforceHours: false }).evaluate(tight, selectAll(sdmData)).violations).toEqual([]);
+        });
+    });
+
+    describe('projectBurnRate', () => {
+        test('should project spend to the plan end date', () => {
+            const { projection } = tracker.evaluate(sdmData, selectAll(sdmData));
+
+            expect(projection.weeklyRate).toBeGreaterThan(0);
+            expect(projection.projectedSpend).toBeGreaterThan(3883.16);
+            expect(projection.exhaustsBeforePlanEnd).toBe(true);
+            expect(projection.exhaustionDate < sdmData.planDetails.planEndDate).toBe(true);
+        });
+
+        test('should not project without scheduled appointments', () => {
+            expect(tracker.evaluate(sdmData, []).projection).toBeNull();
+        });
+    });
+
+    describe('adjustStatus', () => {
+        test('should downgrade success when anything overspends and fail when nothing is affordable', () => {
+            const partlyOver = tracker.evaluate(withBudget(2000), selectAll(sdmData));
+            const allOver = tracker.evaluate(withBudget(100), selectAll(sdmData));
+
+            expect(tracker.adjustStatus('success', tracker.evaluate(sdmData, selectAll(sdmData)))).toBe('success');
+            expect(tracker.adjustStatus('success', partlyOver)).toBe('partial_success');
+            expect(tracker.adjustStatus('success', allOver)).toBe('failure');
+        });
+    });
+});
+
+describe('MasterScheduler budget enforcement', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let scheduler;
+
+    const selection = (clientId) => ({
+        natural_response: 'Selected',
+        status: 'success',
+        structured_response: {
+            practitionerId: 46932,
+            clientId,
+            appointments: selectAll(sdmData).map(apt => ({ ...apt, end: apt.start, hasConflict: false })),
+            issues: [],
+            schedulePlanSummary: 'Summary.'
+        }
+    });
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        scheduler = new MasterScheduler({ selectionMode: 'deterministic' });
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+    });
+
+    test('should count existing Splose bookings for the participant', async () => {
+        const { budget, selectionResult } = await scheduler.applyBudget(sdmData, selection(71001), [46932]);
+
+        // Two 90 minute bookings for patient 71001 in the fixtures, at $233.36/hour
+        expect(budget.committed).toMatchObject({ source: 'splose', amount: 700.08, bookings: 2, hours: 3 });
+        expect(budget.withinBudget).toBe(false);
+        expect(selectionResult.status).toBe('partial_success');
+    });
+
+    test('should flag overspending selections and downgrade the status', async () => {
+        const { budget, selectionResult } = await scheduler.applyBudget(withBudget(2000), selection(null), [46932]);
+        const flagged = selectionResult.structured_response.appointments.filter(apt => apt.exceedsBudget);
+
+        expect(budget.committed.source).toBe('sdm');
+        expect(selectionResult.status).toBe('partial_success');
+        expect(flagged.map(apt => apt.originalAppointmentIndex)).toEqual([4, 5, 6, 7, 8]);
+        expect(selectionResult.structured_response.issues[0].issue).toMatch(/^Over plan budget/);
+    });
+
+    test('should show the budget and burn rate in the report', async () => {
+        const { budget, selectionResult } = await scheduler.applyBudget(withBudget(2000), selection(null), [46932]);
+        const report = scheduler.generateHumanReadableReport(selectionResult, withBudget(2000), 'Australia/Melbourne', null, null, budget);
+
+        expect(report).toContain('## 💰 BUDGET');
+        expect(report).toContain('- **Plan budget:** $2,000.00 (17.2 hours)');
+        expect(report).toMatch(/- \*\*Burn rate:\*\* \$[\d,.]+\/week/);
+        expect(report).toContain('over plan budget, do not book without approval');
+    });
+});
@@ -0,0 +1,643 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'node:util';
+import { MasterScheduler, SELECTION_MODES, POOL_STRATEGIES } from './master-scheduler.js';
+import { SUGGESTION_MODES } from './appointment-suggestion-engine.js';
+import { BatchScheduler } from './batch-scheduler.js';
+import { IcsExporter, ICS_FEEDS } from './ics-exporter.js';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { convertSDMToStructured } from './sdm-extractor.js';
+import { SDMValidator } from './sdm-validator.js';
+import { PREFERENCE_PARSER_MODES, parsePreferences, describePreferences } from './preference-parser.js';
+import { RunStore } from './run-store.js';
+import { TRAVEL_POLICIES } from './utils/travel-policy.js';
+import { loadSchedulingPolicies } from './utils/scheduling-policy.js';
+import { getLocalTimeParts, getTimezoneAbbr } from './utils/timezone-utils.js';
+import { isMainModule } from './utils/entry-point.js';
+import { getLogger } from './utils/logger.js';
+
+/**
+ * Command-line entry point for the scheduling pipeline
+ *
+ *   node scripts/cli.js schedule <sdm-file> [--practitioner 46932] [--instructions file] [--start date] [--end date] [--ics dir]
+ *   node scripts/cli.js schedule <sdm-file> --pool 46932,51877 [--pool-strategy best_fit|split]
+ *   node scripts/cli.js batch <sdm-dir | sdm-files...> [--practitioner 46932 | --pool ids] [--instructions file]
+ *   node scripts/cli.js availability --practitioner 46932 --start 2025-08-25 --end 2025-08-29
+ *   node scripts/cli.js extract <sdm-file> [--parser auto|deterministic|llm]
+ *   node scripts/cli.js check <suggestions-file> (--availability file | --practitioner id --start date --end date) [--travel minutes]
+ *   node scripts/cli.js runs [list | show <run-id> | compare <run-id> <run-id> | resume <run-id>]
+ *
+ * Results go to stdout as markdown (default) or JSON (--json); progress logs go to stderr.
+ */
+
+const logger = getLogger('cli');
+
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    partialSuccess: 2,
+    usage: 64
+};
+
+const USAGE = `Usage: node scripts/cli.js <command> [options]
+
+Commands:
+  schedule <sdm-file>          Run the full scheduling pipeline
+  batch <dir | files...>       Schedule many SDMs against shared availability, by priority
+  availability                 Show a practitioner's free time slots
+  extract <sdm-file>           Convert an SDM export to structured JSON
+  check <suggestions-file>     Check suggested appointments for conflicts
+  runs [list]                  List stored scheduling runs, newest first
+  runs show <run-id>           Show a stored run and its report
+  runs compare <a> <b>         Compare the selections of two completed runs
+  runs resume <run-id>         Resume a crashed or failed run from its last completed step
+
+Options:
+  -p, --practitioner <id>      Practitioner ID (schedule and batch default to 46932)
+      --pool <ids>             Comma-separated practitioner IDs to match against (schedule, batch)
+      --pool-strategy <name>   ${POOL_STRATEGIES.join(', ')} (with --pool)
+  -s, --start <YYYY-MM-DD>     Start date (overrides the SDM range for schedule)
+  -e, --end <YYYY-MM-DD>       End date (overrides the SDM range for schedule)
+  -i, --instructions <file>    Scheduling instructions file (schedule, batch)
+      --selection-mode <mode>  ${SELECTION_MODES.join(', ')} (schedule, batch)
+      --suggestion-mode <mode> ${SUGGESTION_MODES.join(', ')} (schedule, batch)
+      --travel-policy <policy> ${TRAVEL_POLICIES.join(', ')} (schedule, batch, check)
+      --policy <name>          Scheduling policy for every practitioner, from the policy file (schedule, batch)
+      --brand <name>           Brand whose scheduling policy applies to practitioners without their own (schedule, batch)
+      --ics <dir>              Also write ${ICS_FEEDS.join(' and ')} .ics calendar feeds (schedule)
+      --parser <parser>        auto, deterministic or llm (extract)
+  -a, --availability <file>    Availability JSON from the availability command (check)
+      --travel <minutes>       Travel time to check around each suggestion (check)
+      --json                   Print JSON
+      --markdown               Print markdown (default)
+  -o, --output <file>          Write the result to a file instead of stdout
+  -q, --quiet                  Suppress progress logs
+  -h, --help                   Show this help
+
+Logging: LOG_LEVEL, LOG_FORMAT (pretty, json or none) and LOG_FILE/LOG_DIR (JSON-lines trace in logs/)
+Suggestions: SUGGESTION_MODE (${SUGGESTION_MODES.join(', ')}), SLOT_STEP_MINUTES and SUGGESTION_COUNT
+Participant preferences: PREFERENCE_PARSER (${PREFERENCE_PARSER_MODES.join(', ')})
+Scheduling policies: SCHEDULING_POLICY_FILE (default config/scheduling-policies.json), SCHEDULING_POLICY and SCHEDULING_BRAND
+Run store: RUN_STORE (on or off) and RUN_STORE_DIR (default runs/)
+Resilience: LLM_CONCURRENCY, LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_REPAIR_RETRIES, WINDMILL_TIMEOUT_MS and WINDMILL_MAX_RETRIES
+
+Exit codes: 0 success, 2 partial success, 1 failure, 64 usage error`;
+
+const OPTIONS = {
+    practitioner: { type: 'string', short: 'p' },
+    pool: { type: 'string' },
+    'pool-strategy': { type: 'string' },
+    start: { type: 'string', short: 's' },
+    end: { type: 'string', short: 'e' },
+    instructions: { type: 'string', short: 'i' },
+    'selection-mode': { type: 'string' },
+    'suggestion-mode': { type: 'string' },
+    'travel-policy': { type: 'string' },
+    policy: { type: 'string' },
+    brand: { type: 'string' },
+    ics: { type: 'string' },
+    parser: { type: 'string' },
+    availability: { type: 'string', short: 'a' },
+    travel: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    markdown: { type: 'boolean', default: false },
+    output: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Raised for invalid command lines; reported with the usage text and exit code 64
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Map a pipeline status to an exit code
+ * @param {string} status - 'success', 'partial_success' or 'failure'
+ * @returns {number} Exit code
+ */
+function exitCodeForStatus(status) {
+    if (status === 'success') return EXIT_CODES.success;
+    if (status === 'partial_success') return EXIT_CODES.partialSuccess;
+    return EXIT_CODES.failure;
+}
+
+function requireDate(values, name) {
+    const value = values[name];
+    if (!value) {
+        throw new UsageError(`--${name} is required`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new UsageError(`--${name} must be a YYYY-MM-DD date, got "${value}"`);
+    }
+    return value;
+}
+
+function optionalDate(values, name) {
+    return values[name] ? requireDate(values, name) : null;
+}
+
+function requirePractitioner(values, fallback = null) {
+    const value = values.practitioner ?? fallback;
+    if (value === null || value === undefined) {
+        throw new UsageError('--practitioner is required');
+    }
+    const practitionerId = Number(value);
+    if (!Number.isInteger(practitionerId) || practitionerId <= 0) {
+        throw new UsageError(`--practitioner must be a positive integer, got "${value}"`);
+    }
+    return practitionerId;
+}
+
+function parsePool(values) {
+    if (values['pool-strategy'] && !values.pool) {
+        throw new UsageError('--pool-strategy requires --pool');
+    }
+    if (!values.pool) return null;
+    if (values.practitioner) {
+        throw new UsageError('--pool and --practitioner cannot be used together');
+    }
+    if (values['pool-strategy'] && !POOL_STRATEGIES.includes(values['pool-strategy'])) {
+        throw new UsageError(`--pool-strategy must be one of: ${POOL_STRATEGIES.join(', ')}`);
+    }
+
+    const ids = values.pool.split(',').map(id => id.trim()).filter(Boolean);
+    const invalid = ids.find(id => !Number.isInteger(Number(id)) || Number(id) <= 0);
+    if (ids.length === 0 || invalid !== undefined) {
+        throw new UsageError(`--pool must be a comma-separated list of practitioner IDs, got "${values.pool}"`);
+    }
+    return ids.map(Number);
+}
+
+function requireFile(positionals, description) {
+    const filePath = positionals[0];
+    if (!filePath) {
+        throw new UsageError(`Missing ${description}`);
+    }
+    return readFile(filePath, description);
+}
+
+function readFile(filePath, description) {
+    if (!fs.existsSync(filePath)) {
+        throw new UsageError(`${description} not found: ${filePath}`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function readJSONFile(filePath, description) {
+    try {
+        return JSON.parse(readFile(filePath, description));
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        throw new UsageError(`${description} is not valid JSON: ${filePath} (${error.message})`);
+    }
+}
+
+function formatLocal(utcTime, timezone) {
+    const parts = getLocalTimeParts(new Date(utcTime), timezone);
+    const time = `${String(Math.floor(parts.minutesOfDay / 60)).padStart(2, '0')}:${String(parts.minutesOfDay % 60).padStart(2, '0')}`;
+    return { date: parts.date, dayOfWeek: parts.dayOfWeek, time };
+}
+
+function schedulerOptions(values) {
+    if (values['selection-mode'] && !SELECTION_MODES.includes(values['selection-mode'])) {
+        throw new UsageError(`--selection-mode must be one of: ${SELECTION_MODES.join(', ')}`);
+    }
+    if (values['suggestion-mode'] && !SUGGESTION_MODES.includes(values['suggestion-mode'])) {
+        throw new UsageError(`--suggestion-mode must be one of: ${SUGGESTION_MODES.join(', ')}`);
+    }
+    if (values['travel-policy'] && !TRAVEL_POLICIES.includes(values['travel-policy'])) {
+        throw new UsageError(`--travel-policy must be one of: ${TRAVEL_POLICIES.join(', ')}`);
+    }
+    if (values.policy) {
+        const policyNames = [...loadSchedulingPolicies().policies.keys()];
+        if (!policyNames.includes(values.policy)) {
+            throw new UsageError(`--policy must be one of: ${policyNames.join(', ')}`);
+        }
+    }
+    return {
+        selectionMode: values['selection-mode'],
+        suggestionMode: values['suggestion-mode'],
+        travelPolicy: values['travel-policy'],
+        schedulingPolicy: values.policy,
+        schedulingBrand: values.brand
+    };
+}
+
+/**
+ * schedule: run the full pipeline
+ */
+async function runSchedule(values, positionals) {
+    const sdmInput = requireFile(positionals, 'SDM file');
+    const pool = parsePool(values);
+    const practitionerId = pool ? null : requirePractitioner(values, 46932);
+    const schedulingInstructions = values.instructions ? readFile(values.instructions, 'Instructions file') : '';
+    const startDate = optionalDate(values, 'start');
+    const endDate = optionalDate(values, 'end');
+
+    if (values.ics !== undefined && (!values.ics || (fs.existsSync(values.ics) && !fs.statSync(values.ics).isDirectory()))) {
+        throw new UsageError(`--ics must be a directory, got "${values.ics}"`);
+    }
+
+    const scheduler = new MasterScheduler(schedulerOptions(values));
+    const results = pool
+        ? await scheduler.schedulePractitionerPool(sdmInput, schedulingInstructions, pool, { strategy: values['pool-strategy'], startDate, endDate })
+        : await scheduler.scheduleAppointments(sdmInput, schedulingInstructions, practitionerId, startDate, endDate);
+
+    if (values.ics) {
+        writeCalendarFeeds(results, values.ics);
+    }
+
+    return {
+        data: results,
+        markdown: results.humanReadableReport,
+        exitCode: exitCodeForStatus(results.summary.status)
+    };
+}
+
+/**
+ * Write the participant and practitioner .ics feeds for a schedule result
+ * @param {Object} results - MasterScheduler results
+ * @param {string} directory - Output directory (created when missing)
+ */
+function writeCalendarFeeds(results, directory) {
+    const availabilities = [].concat(results.availability);
+    const practitionerTimezones = Object.fromEntries(availabilities.map(availability => [availability.practitionerId, availability.practitionerTimezone]));
+    const exporter = new IcsExporter();
+
+    fs.mkdirSync(directory, { recursive: true });
+    for (const feed of ICS_FEEDS) {
+        const calendar = exporter.exportFeed(results.selection, results.sdmData, {
+            feed,
+            timezone: availabilities[0]?.practitionerTimezone,
+            practitionerTimezones
+        });
+        const filePath = path.join(directory, calendar.filename);
+        fs.writeFileSync(filePath, calendar.content);
+        logger.info(`Wrote ${calendar.eventCount} event(s) to ${filePath}${calendar.skipped.length > 0 ? ` (${calendar.skipped.length} held back for a coordinator decision)` : ''}`, {
+            feed,
+            eventCount: calendar.eventCount,
+            skipped: calendar.skipped.length
+        });
+    }
+}
+
+/**
+ * batch: schedule a directory or list of SDM files against shared availability
+ */
+async function runBatch(values, positionals) {
+    if (positionals.length === 0) {
+        throw new UsageError('Missing SDM directory or files');
+    }
+    const missing = positionals.find(filePath => !fs.existsSync(filePath));
+    if (missing) {
+        throw new UsageError(`SDM input not found: ${missing}`);
+    }
+    const isDirectory = positionals.length === 1 && fs.statSync(positionals[0]).isDirectory();
+
+    const pool = parsePool(values);
+    const batch = new BatchScheduler({
+        practitionerId: pool ? null : requirePractitioner(values, 46932),
+        practitionerPool: pool,
+        poolStrategy: values['pool-strategy'],
+        schedulerOptions: schedulerOptions(values)
+    });
+    const result = await batch.scheduleBatch(isDirectory ? positionals[0] : positionals, {
+        instructions: values.instructions ? readFile(values.instructions, 'Instructions file') : ''
+    });
+
+    return {
+        data: result,
+        markdown: result.report,
+        exitCode: exitCodeForStatus(result.status)
+    };
+}
+
+/**
+ * availability: dump calculateAvailability for a range
+ */
+async function runAvailability(values) {
+    const practitionerId = requirePractitioner(values);
+    const startDate = requireDate(values, 'start');
+    const endDate = requireDate(values, 'end');
+
+    const calculator = new PractitionerAvailabilityCalculator();
+    const availability = await calculator.calculateAvailability(practitionerId, startDate, endDate);
+    const timezone = availability.practitionerTimezone;
+    const timezoneAbbr = getTimezoneAbbr(timezone);
+
+    let markdown = `# Availability for practitioner ${practitionerId}\n\n`;
+    markdown += `**Period:** ${startDate} to ${endDate} (${timezone})\n`;
+    markdown += `**Free slots:** ${availability.summary.totalFreeSlots} (${availability.summary.totalFreeMinutes} minutes)\n`;
+    markdown += `**Booked appointments:** ${availability.summary.totalAppointments}\n\n`;
+
+    if (availability.freeTimeSlots.length > 0) {
+        markdown += `| Day | Date | Start (${timezoneAbbr}) | End (${timezoneAbbr}) | Duration | Location |\n`;
+        markdown += `|-----|------|-------|-----|----------|----------|\n`;
+        for (const slot of availability.freeTimeSlots) {
+            const start = formatLocal(slot.startDateTime, timezone);
+            const end = formatLocal(slot.endDateTime, timezone);
+            markdown += `| ${start.dayOfWeek} | ${start.date} | ${start.time} | ${end.time} | ${slot.duration} | ${slot.locationId} |\n`;
+        }
+    }
+
+    return {
+        data: availability,
+        markdown,
+        exitCode: EXIT_CODES.success
+    };
+}
+
+/**
+ * extract: SDM export to structured JSON, validated
+ */
+async function runExtract(values, positionals) {
+    const sdmInput = requireFile(positionals, 'SDM file');
+    if (values.parser && !['auto', 'deterministic', 'llm'].includes(values.parser)) {
+        throw new UsageError('--parser must be one of: auto, deterministic, llm');
+    }
+
+    const sdmData = await convertSDMToStructured(sdmInput, { parser: values.parser });
+    const validation = new SDMValidator().validate(sdmData);
+    const { participant, planDetails, servicePlanning, appointments } = validation.data;
+
+    let markdown = `# SDM extraction: ${participant.participantName}\n\n`;
+    markdown += `**Service:** ${participant.serviceRequired} (${participant.state})\n`;
+    markdown += `**Preferences:** ${participant.suitableDays || 'Not specified'} / ${participant.suitableTime || 'Not specified'} (${describePreferences(parsePreferences(participant))})\n`;
+    markdown += `**Plan:** ${planDetails.planStartDate} to ${planDetails.planEndDate}, $${planDetails.totalPlanBudget} (${planDetails.totalPlanBudgetHours} hours)\n`;
+    markdown += `**Frequency:** ${servicePlanning.serviceFrequency}, commencing ${servicePlanning.serviceCommencement}\n\n`;
+    markdown += `| # | Service | Date range | Duration | Travel | Cost | Cumulative | Reporting |\n`;
+    markdown += `|---|---------|------------|----------|--------|------|------------|-----------|\n`;
+    appointments.forEach((appointment, index) => {
+        markdown += `| ${index + 1} | ${appointment.service} | ${appointment.dateRangeStart} to ${appointment.dateRangeEnd} | ${appointment.duration} min | ${appointment.travelTime} min | $${appointment.cost.toFixed(2)} | $${appointment.cumulativeCost.toFixed(2)} | ${appointment.isReportingSession ? 'Yes' : 'No'} |\n`;
+    });
+
+    const issues = [...validation.errors, ...validation.warnings];
+    if (issues.length > 0) {
+        markdown += `\n## Validation\n\n`;
+        issues.forEach(issue => {
+            markdown += `- ${issue.severity === 'error' ? '❌' : (issue.corrected ? '🔧' : '⚠️')} [${issue.code}] ${issue.message}\n`;
+        });
+    }
+
+    return {
+        data: {
+            ...validation.data,
+            validation: { isValid: validation.isValid, errors: validation.errors, warnings: validation.warnings }
+        },
+        markdown,
+        exitCode: validation.isValid ? EXIT_CODES.success : EXIT_CODES.failure
+    };
+}
+
+/**
+ * check: run ConflictChecker on a suggestions file
+ */
+async function runCheck(values, positionals) {
+    if (!positionals[0]) {
+        throw new UsageError('Missing suggestions file');
+    }
+    const suggestionsInput = readJSONFile(positionals[0], 'Suggestions file');
+    const suggestionSets = Array.isArray(suggestionsInput) ? suggestionsInput : [suggestionsInput];
+    if (suggestionSets.some(set => !Array.isArray(set?.suggestedAppointments))) {
+        throw new UsageError('Suggestions file must contain AppointmentSuggestionEngine output ({ suggestedAppointments: [...] }) or an array of them');
+    }
+
+    const travelMinutes = values.travel !== undefined ? Number(values.travel) : 0;
+    if (!Number.isFinite(travelMinutes) || travelMinutes < 0) {
+        throw new UsageError(`--travel must be a non-negative number of minutes, got "${values.travel}"`);
+    }
+    if (values['travel-policy'] && !TRAVEL_POLICIES.includes(values['travel-policy'])) {
+        throw new UsageError(`--travel-policy must be one of: ${TRAVEL_POLICIES.join(', ')}`);
+    }
+
+    let availability;
+    if (values.availability) {
+        availability = readJSONFile(values.availability, 'Availability file');
+    } else {
+        const practitionerId = requirePractitioner(values);
+        const calculator = new PractitionerAvailabilityCalculator();
+        availability = await calculator.calculateAvailability(practitionerId, requireDate(values, 'start'), requireDate(values, 'end'));
+    }
+
+    const conflictChecker = new ConflictChecker({ travelPolicy: values['travel-policy'] });
+    const results = suggestionSets.map(set => conflictChecker.checkConflicts(availability, {
+        summary: {},
+        ...set
+    }, travelMinutes));
+
+    const totalValid = results.reduce((sum, result) => sum + result.summary.totalValid, 0);
+    const totalConflicted = results.reduce((sum, result) => sum + result.summary.totalConflicted, 0);
+    const validationErrors = results.flatMap(result => result.summary.validationErrors);
+
+    let markdown = `# Conflict check\n\n`;
+    markdown += `**Valid:** ${totalValid}  **Conflicted:** ${totalConflicted}\n\n`;
+    validationErrors.forEach(error => {
+        markdown += `- ❌ ${error}\n`;
+    });
+    results.forEach(result => {
+        result.suggestedAppointments.forEach(suggestion => {
+            markdown += `- ${suggestion.hasConflict ? '❌' : '✅'} ${suggestion.service || 'Appointment'}: ${suggestion.start} to ${suggestion.end}`;
+            if (suggestion.hasConflict) {
+                const reasons = suggestion.conflictDetails.map(conflict => typeof conflict === 'string' ? conflict : conflict.type);
+                markdown += ` (${[...new Set(reasons)].join(', ')})`;
+            }
+            markdown += `\n`;
+        });
+    });
+
+    let exitCode = EXIT_CODES.success;
+    if (validationErrors.length > 0 || (totalConflicted > 0 && totalValid === 0)) {
+        exitCode = EXIT_CODES.failure;
+    } else if (totalConflicted > 0) {
+        exitCode = EXIT_CODES.partialSuccess;
+    }
+
+    return {
+        data: Array.isArray(suggestionsInput) ? results : results[0],
+        markdown,
+        exitCode
+    };
+}
+
+function formatSlot(slot) {
+    if (!slot) return '-';
+    const flags = [slot.hasConflict && 'conflict', slot.exceedsBudget && 'over budget'].filter(Boolean);
+    return `${slot.start.replace('T', ' ').substring(0, 16)}${slot.practitionerId ? ` (${slot.practitionerId})` : ''}${flags.length > 0 ? ` ⚠️ ${flags.join(', ')}` : ''}`;
+}
+
+/**
+ * runs: list, show, compare and resume stored scheduling runs
+ */
+async function runRuns(values, positionals) {
+    const [action = 'list', ...ids] = positionals;
+    const store = new RunStore();
+    const requireIds = (count, usage) => {
+        if (ids.length !== count) {
+            throw new UsageError(`Usage: runs ${action} ${usage}`);
+        }
+        return ids;
+    };
+
+    if (action === 'list') {
+        const runs = store.list();
+        let markdown = `# Stored runs (${runs.length})\n\n`;
+        if (runs.length === 0) {
+            markdown += `No stored runs in ${store.directory}\n`;
+        } else {
+            markdown += `| Run | Started | Status | Participant | Kind | Steps | Selected |\n`;
+            markdown += `|-----|---------|--------|-------------|------|-------|----------|\n`;
+            runs.forEach(run => {
+                const selected = run.summary ? `${run.summary.totalAppointmentsSelected}/${run.summary.totalAppointmentsRequired}` : '-';
+                markdown += `| ${run.id} | ${run.createdAt.replace('T', ' ').substring(0, 16)} | ${run.status} | ${run.participant || '-'} | ${run.kind} | ${run.completedSteps.length}/5 | ${selected} |\n`;
+            });
+        }
+        return { data: runs, markdown, exitCode: EXIT_CODES.success };
+    }
+
+    if (action === 'show') {
+        const [id] = requireIds(1, '<run-id>');
+        const { meta } = store.load(id);
+        let markdown = `# Run ${meta.id}\n\n`;
+        markdown += `**Status:** ${meta.status}${meta.error ? ` (${meta.error})` : ''}\n`;
+        markdown += `**Participant:** ${meta.participant || 'Not extracted yet'}\n`;
+        markdown += `**Started:** ${meta.createdAt}  **Updated:** ${meta.updatedAt}\n`;
+        markdown += `**Steps saved:** ${meta.completedSteps.join(', ') || 'none'}\n`;
+        markdown += `**SDM input hash:** ${meta.sdmHash.substring(0, 12)}\n`;
+        const results = meta.status === 'completed' ? store.loadResults(id) : null;
+        if (results) {
+            markdown += `\n${results.humanReadableReport}\n`;
+        }
+        return {
+            data: { ...meta, results },
+            markdown,
+            exitCode: meta.status === 'completed' ? exitCodeForStatus(meta.summary.status) : EXIT_CODES.failure
+        };
+    }
+
+    if (action === 'compare') {
+        const [idA, idB] = requireIds(2, '<run-id> <run-id>');
+        const comparison = store.compare(idA, idB);
+        const { summary } = comparison;
+
+        let markdown = `# Run comparison\n\n`;
+        markdown += `**Same SDM input:** ${comparison.sameInput ? 'Yes' : 'No'}\n\n`;
+        markdown += `| | ${idA} | ${idB} |\n|---|---|---|\n`;
+        markdown += `| Status | ${summary.status.join(' | ')} |\n`;
+        markdown += `| Selected | ${summary.totalAppointmentsSelected.join(' | ')} |\n`;
+        markdown += `| Issues | ${summary.totalIssues.join(' | ')} |\n`;
+        markdown += `| Spend | ${summary.totalSpend.map(spend => (spend === null ? '-' : `$${spend.toFixed(2)}`)).join(' | ')} |\n\n`;
+        markdown += `## Appointments (${comparison.changedAppointments} changed)\n\n`;
+        markdown += `| # | Service | ${idA} | ${idB} | Changed |\n|---|---------|---|---|---------|\n`;
+        comparison.appointments.forEach(appointment => {
+            markdown += `| ${appointment.index + 1} | ${appointment.service || '-'} | ${formatSlot(appointment.a)} | ${formatSlot(appointment.b)} | ${appointment.changed ? 'Yes' : ''} |\n`;
+        });
+        return { data: comparison, markdown, exitCode: EXIT_CODES.success };
+    }
+
+    if (action === 'resume') {
+        const [id] = requireIds(1, '<run-id>');
+        // Resume with the settings the run started with
+        const scheduler = new MasterScheduler({ ...store.load(id).meta.settings, runStore: store });
+        const results = await scheduler.resumeRun(id);
+        return {
+            data: results,
+            markdown: results.humanReadableReport,
+            exitCode: exitCodeForStatus(results.summary.status)
+        };
+    }
+
+    throw new UsageError(`Unknown runs action "${action}". Expected list, show, compare or resume`);
+}
+
+const COMMANDS = {
+    schedule: runSchedule,
+    batch: runBatch,
+    availability: runAvailability,
+    extract: runExtract,
+    check: runCheck,
+    runs: runRuns
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - Output streams ({ stdout, stderr }), defaulting to the process streams
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const [command, ...commandArgs] = positionals;
+    if (values.help || !command) {
+        (values.help ? stdout : stderr).write(`${USAGE}\n`);
+        return values.help ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+    if (!COMMANDS[command]) {
+        stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+    if (values.json && values.markdown) {
+        stderr.write(`--json and --markdown cannot be combined\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    // Keep stdout for the result: pipeline progress logs go to stderr (or nowhere with --quiet)
+    const originalLog = console.log;
+    const originalInfo = console.info;
+    const writeLog = values.quiet ? () => {} : (...args) => stderr.write(`${args.join(' ')}\n`);
+    console.log = writeLog;
+    console.info = writeLog;
+
+    try {
+        const result = await COMMANDS[command](values, commandArgs);
+        const output = values.json ? `${JSON.stringify(result.data, null, 2)}\n` : `${result.markdown.trimEnd()}\n`;
+
+        if (values.output) {
+            fs.writeFileSync(values.output, output);
+            stderr.write(`Wrote ${values.output}\n`);
+        } else {
+            stdout.write(output);
+        }
+        return result.exitCode;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`${error.message}\nRun "node scripts/cli.js --help" for usage.\n`);
+            return EXIT_CODES.usage;
+        }
+        stderr.write(`❌ ${command} failed: ${error.message}\n`);
+        if (values.json) {
+            stdout.write(`${JSON.stringify({ status: 'failure', error: error.message, errorType: error.name }, null, 2)}\n`);
+        }
+        return EXIT_CODES.failure;
+    } finally {
+        console.log = originalLog;
+        console.info = originalInfo;
+    }
+}
+
+// Only run if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    process.exitCode = await runCli(process.argv.slice(2));
+}
+
+export { runCli, EXIT_CODES, UsageError };
@@ -0,0 +1,245 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runCli, EXIT_CODES } from './cli.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+import { RunStore } from './run-store.js';
+
+const sdmFixture = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt');
+
+/**
+ * Run the CLI with captured output
+ */
+async function run(args) {
+    const output = { stdout: '', stderr: '' };
+    const exitCode = await runCli(args, {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    });
+    return { exitCode, ...output };
+}
+
+describe('CLI', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let tempDir;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        // Injected Windmill faults should fail the run, not be retried away
+        process.env.WINDMILL_MAX_RETRIES = '0';
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hhg-cli-'));
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('usage', () => {
+        test('should exit 64 without a command', async () => {
+            const result = await run([]);
+
+            expect(result.exitCode).toBe(EXIT_CODES.usage);
+            expect(result.stderr).toContain('Usage: node scripts/cli.js <command>');
+        });
+
+        test('should exit 64 for unknown commands and options', async () => {
+            expect((await run(['book'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['extract', '--fast'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['extract', sdmFixture, '--json', '--markdown'])).exitCode).toBe(EXIT_CODES.usage);
+        });
+
+        test('should exit 64 for missing or invalid arguments', async () => {
+            const missingDate = await run(['availability', '--practitioner', '46932', '--start', '2025-08-25']);
+            expect(missingDate.exitCode).toBe(EXIT_CODES.usage);
+            expect(missingDate.stderr).toContain('--end is required');
+
+            const missingFile = await run(['extract', path.join(tempDir, 'missing.txt')]);
+            expect(missingFile.exitCode).toBe(EXIT_CODES.usage);
+            expect(missingFile.stderr).toContain('SDM file not found');
+
+            const badMode = await run(['schedule', sdmFixture, '--selection-mode', 'random']);
+            expect(badMode.exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['schedule', sdmFixture, '--suggestion-mode', 'guess'])).stderr).toContain('--suggestion-mode must be one of: generator, rerank, llm');
+
+            expect((await run(['schedule', sdmFixture, '--pool', '46932,abc'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['schedule', sdmFixture, '--pool', '46932', '--practitioner', '51877'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['schedule', sdmFixture, '--pool-strategy', 'split'])).exitCode).toBe(EXIT_CODES.usage);
+
+            expect((await run(['schedule', sdmFixture, '--ics', sdmFixture])).stderr).toContain('--ics must be a directory');
+
+            expect((await run(['batch'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['batch', path.join(tempDir, 'missing-dir')])).stderr).toContain('SDM input not found');
+        });
+
+        test('should print help to stdout', async () => {
+            const result = await run(['--help']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.success);
+            expect(result.stdout).toContain('Exit codes: 0 success, 2 partial success, 1 failure, 64 usage error');
+        });
+    });
+
+    describe('extract', () => {
+        test('should print structured SDM data as JSON', async () => {
+            const result = await run(['extract', sdmFixture, '--parser', 'deterministic', '--json']);
+            const data = JSON.parse(result.stdout);
+
+            expect(result.exitCode).toBe(EXIT_CODES.success);
+            expect(data.participant.participantName).toBe('Jane Doe');
+            expect(data.appointments).toHaveLength(9);
+            expect(data.validation.isValid).toBe(true);
+        });
+
+        test('should keep progress logs off stdout', async () => {
+            const result = await run(['extract', sdmFixture, '--parser', 'deterministic']);
+
+            expect(result.stdout.startsWith('# SDM extraction: Jane Doe')).toBe(true);
+            expect(result.stderr).toContain('SDM parsed without LLM');
+        });
+
+        test('should exit 1 when the SDM data fails validation', async () => {
+            const sdmFile = path.join(tempDir, 'short-plan.txt');
+            fs.writeFileSync(sdmFile, fs.readFileSync(sdmFixture, 'utf8').replace('Plan End Date,30 Jun 2026', 'Plan End Date,30 Sep 2025'));
+
+            const result = await run(['extract', sdmFile, '--parser', 'deterministic', '--quiet']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.failure);
+            expect(result.stdout).toContain('[OUTSIDE_PLAN_PERIOD]');
+            expect(result.stderr).toBe('');
+        });
+
+        test('should exit 1 when parsing fails without an LLM fallback', async () => {
+            const sdmFile = path.join(tempDir, 'broken.txt');
+            fs.writeFileSync(sdmFile, 'Participant Name,Jane Doe\n');
+
+            const result = await run(['extract', sdmFile, '--parser', 'deterministic', '--json', '--quiet']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.failure);
+            expect(JSON.parse(result.stdout)).toMatchObject({ status: 'failure' });
+        });
+    });
+
+    describe('availability', () => {
+        test('should print free slots in local time', async () => {
+            const result = await run(['availability', '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '-q']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.success);
+            expect(result.stdout).toContain('**Free slots:** 6');
+            expect(result.stdout).toContain('| Tuesday | 2025-08-26 | 10:30 | 17:00 |');
+        });
+
+        test('should exit 1 when Windmill fails', async () => {
+            mockServer.setFault('get_appointments', { status: 503, body: 'Service Unavailable', times: 1 });
+
+            const result = await run(['availability', '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '-q']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.failure);
+            expect(result.stderr).toContain('503 Service Unavailable');
+        });
+    });
+
+    describe('check', () => {
+        const writeSuggestions = (name, starts) => {
+            const filePath = path.join(tempDir, name);
+            fs.writeFileSync(filePath, JSON.stringify({
+                suggestedAppointments: starts.map(([start, end]) => ({ start, end, locationId: 19042, service: 'Intervention (Direct)' })),
+                summary: { totalAppointmentsSuggested: starts.length }
+            }));
+            return filePath;
+        };
+
+        test('should exit 0 when every suggestion is free', async () => {
+            const suggestions = writeSuggestions('valid.json', [['2025-08-25T00:00:00Z', '2025-08-25T01:30:00Z']]);
+            const result = await run(['check', suggestions, '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '--json', '-q']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.success);
+            expect(JSON.parse(result.stdout).summary.totalValid).toBe(1);
+        });
+
+        test('should exit 2 when some suggestions conflict and 1 when all do', async () => {
+            // Monday 25 Aug is free all day; Tuesday starts with a booking until 10:30 local (00:30 UTC)
+            const mixed = writeSuggestions('mixed.json', [
+                ['2025-08-25T00:00:00Z', '2025-08-25T01:30:00Z'],
+                ['2025-08-25T23:30:00Z', '2025-08-26T01:00:00Z']
+            ]);
+            const conflicted = writeSuggestions('conflicted.json', [['2025-08-25T23:30:00Z', '2025-08-26T01:00:00Z']]);
+
+            expect((await run(['check', mixed, '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '-q'])).exitCode).toBe(EXIT_CODES.partialSuccess);
+            expect((await run(['check', conflicted, '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '-q'])).exitCode).toBe(EXIT_CODES.failure);
+        });
+
+        test('should check travel buffers against a saved availability file', async () => {
+            const availabilityFile = path.join(tempDir, 'availability.json');
+            const saved = await run(['availability', '-p', '46932', '-s', '2025-08-25', '-e', '2025-08-29', '--json', '-o', availabilityFile, '-q']);
+            expect(saved.exitCode).toBe(EXIT_CODES.success);
+
+            // Starts as soon as Tuesday's booking ends, leaving no room to travel there
+            const suggestions = writeSuggestions('travel.json', [['2025-08-26T00:30:00Z', '2025-08-26T02:00:00Z']]);
+            const result = await run(['check', suggestions, '--availability', availabilityFile, '--travel', '40', '-q']);
+
+            expect(result.exitCode).toBe(EXIT_CODES.failure);
+            expect(result.stdout).toContain('travel_overlap');
+        });
+    });
+
+    describe('runs', () => {
+        let store;
+
+        beforeAll(() => {
+            process.env.RUN_STORE_DIR = path.join(tempDir, 'runs');
+            store = new RunStore();
+        });
+
+        afterAll(() => {
+            delete process.env.RUN_STORE_DIR;
+        });
+
+        const storeCompletedRun = (start) => {
+            const results = {
+                summary: { status: 'partial_success', totalAppointmentsRequired: 2, totalAppointmentsSelected: 1, totalIssues: 1 },
+                sdmData: { participant: { participantName: 'Jane Doe' }, appointments: [{ service: 'Assessment' }, { service: 'Therapy' }] },
+                budget: { totalSpend: 193.3 },
+                selection: { structured_response: { appointments: [{ start, end: start, practitionerId: 46932, originalAppointmentIndex: 0 }] } },
+                humanReadableReport: '# Scheduling report\n'
+            };
+            const run = store.create({ kind: 'single', input: { sdmInput: 'SDM text' } });
+            run.update({ participant: 'Jane Doe', appointments: 2 });
+            run.saveStep('results', results);
+            run.complete(results);
+            return run;
+        };
+
+        test('should list, show and compare stored runs', async () => {
+            const first = storeCompletedRun('2025-08-25T09:00:00');
+            const second = storeCompletedRun('2025-08-26T10:30:00');
+
+            const list = await run(['runs', '-q']);
+            expect(list.exitCode).toBe(EXIT_CODES.success);
+            expect(list.stdout).toContain('# Stored runs (2)');
+            expect(list.stdout).toContain(`| ${first.id} |`);
+            expect(list.stdout).toContain('| completed | Jane Doe | single | 1/5 | 1/2 |');
+
+            const shown = await run(['runs', 'show', first.id, '-q']);
+            expect(shown.exitCode).toBe(EXIT_CODES.partialSuccess);
+            expect(shown.stdout).toContain('# Scheduling report');
+
+            const compared = await run(['runs', 'compare', first.id, second.id, '--json', '-q']);
+            expect(compared.exitCode).toBe(EXIT_CODES.success);
+            expect(JSON.parse(compared.stdout)).toMatchObject({ sameInput: true, changedAppointments: 1 });
+        });
+
+        test('should exit 64 for bad runs arguments and 1 for unknown runs', async () => {
+            expect((await run(['runs', 'compare', 'only-one', '-q'])).exitCode).toBe(EXIT_CODES.usage);
+            expect((await run(['runs', 'delete', '-q'])).exitCode).toBe(EXIT_CODES.usage);
+
+            const missing = await run(['runs', 'resume', 'no-such-run', '-q']);
+            expect(missing.exitCode).toBe(EXIT_CODES.failure);
+            expect(missing.stderr).toContain('Run no-such-run not found');
+        });
+    });
+});
@@ -1,13 +1,30 @@
 import 'dotenv/config';
+import { resolveTravelPolicy, getTravelBuffers, buildTravelBlocks } from './utils/travel-policy.js';
+import { getLocalTimeParts, formatClock, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { evaluatePreferences, hasPreferences } from './preference-parser.js';
+import { getSessionWindow, isInSessionWindow, overlapsLunchBreak, describeLunchBreak } from './utils/scheduling-policy.js';
 
 class ConflictChecker {
+    /**
+     * @param {Object} options - Checker options
+     * @param {string} options.travelPolicy - Where travel sits around sessions (see utils/travel-policy.js)
+     */
+    constructor(options = {}) {
+        this.travelPolicy = resolveTravelPolicy(options.travelPolicy);
+    }
+
     /**
      * Checks suggested appointments for conflicts with practitioner availability
      * @param {Object} practitionerAvailability - Availability data matching practitioner-46932-availability.json format
      * @param {Object} suggestedAppointments - Output from AppointmentSuggestionEngine
+     * @param {number} travelMinutes - SDM travel time for the appointment; its buffers must not overlap booked appointments
+     * @param {Object|null} preferences - Parsed participant preferences; when given, each appointment is flagged with the
+     *                                    preferences it breaks (preferenceViolations). These are not conflicts: the slot stays valid
+     * @param {Object|null} policyContext - { policy, isReportingSession, lastParticipantOfDay }; when given, each appointment is
+     *                                      checked against the scheduling policy (policyViolations). Hard violations are conflicts
      * @returns {Object} Enhanced suggestions with conflict status added to each appointment
      */
-    checkConflicts(practitionerAvailability, suggestedAppointments) {
+    checkConflicts(practitionerAvailability, suggestedAppointments, travelMinutes = 0, preferences = null, policyContext = null) {
         // Create enhanced suggestions structure that preserves original data
         const enhancedSuggestions = {
             ...suggestedAppointments,
@@ -32,16 +49,27 @@ class ConflictChecker {
         }
 
         // Extract free time slots for easier processing
-        const freeSlots = practitionerAvailability.freeTimeSlots.map(slot => ({
-            start: new Date(slot.startDateTime),
-            end: new Date(slot.endDateTime),
-            locationId: slot.locationId,
-            originalSlot: slot
-        }));
+        const freeSlots = this.buildFreeSlots(practitionerAvailability);
+        const checkPreferences = hasPreferences(preferences);
+        if (checkPreferences) {
+            enhancedSuggestions.summary.totalPreferenceViolations = 0;
+        }
 
         // Check each suggested appointment and build enhanced suggestions
         for (const appointment of suggestedAppointments.suggestedAppointments) {
             const conflictCheck = this.checkSingleAppointment(appointment, freeSlots);
+            if (conflictCheck.isValid && travelMinutes > 0) {
+                const travelCheck = this.checkTravelBuffers(appointment, travelMinutes, practitionerAvailability.bookedAppointments);
+                conflictCheck.isValid = travelCheck.isValid;
+                conflictCheck.conflicts.push(...travelCheck.conflicts);
+            }
+            const policyViolations = policyContext
+                ? this.checkPolicy(appointment, policyContext, practitionerAvailability.practitionerTimezone, practitionerAvailability.bookedAppointments)
+                : null;
+            if (conflictCheck.isValid && policyViolations?.some(violation => violation.strength === 'hard')) {
+                conflictCheck.isValid = false;
+                conflictCheck.conflicts.push(...policyViolations.filter(violation => violation.strength === 'hard'));
+            }
             
             // Add conflict status to each appointment
             const enhancedAppointment = {
@@ -50,6 +78,15 @@ class ConflictChecker {
                 conflictDetails: conflictCheck.isValid ? null : conflictCheck.conflicts,
                 matchedSlot: conflictCheck.isValid ? conflictCheck.matchedSlot : null
             };
+            if (checkPreferences) {
+                enhancedAppointment.preferenceViolations = this.checkPreferences(appointment, preferences, practitionerAvailability.practitionerTimezone);
+                if (enhancedAppointment.preferenceViolations.length > 0) {
+                    enhancedSuggestions.summary.totalPreferenceViolations++;
+                }
+            }
+            if (policyViolations) {
+                enhancedAppointment.policyViolations = policyViolations;
+            }
             
             enhancedSuggestions.suggestedAppointments.push(enhancedAppointment);
             
@@ -64,6 +101,291 @@ class ConflictChecker {
         return enhancedSuggestions;
     }
 
+    /**
+     * Check an appointment against participant day and time preferences in practitioner local time
+     * @param {Object} appointment - Appointment with start and end times
+     * @param {Object|null} preferences - Parsed participant preferences (see preference-parser.js)
+     * @param {string} timezone - Practitioner timezone
+     * @returns {Array} Violations ({ type: 'day'|'time', strength: 'hard'|'soft', message }), empty when none
+     */
+    checkPreferences(appointment, preferences, timezone = DEFAULT_TIMEZONE) {
+        const start = new Date(appointment.start);
+        const end = new Date(appointment.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return [];
+        }
+        return evaluatePreferences(preferences, getLocalTimeParts(start, timezone), getLocalTimeParts(end, timezone)).violations;
+    }
+
+    /**
+     * Check an appointment against the scheduling policy in practitioner local time: the session
+     * type window, the lunch break and, when the participant is the last of the day, bookings
+     * after the session that day
+     * @param {Object} appointment - Appointment with start and end times
+     * @param {Object} policyContext - { policy, isReportingSession, lastParticipantOfDay } (see utils/scheduling-policy.js)
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array} bookedAppointments - Booked appointments ({ start, end }) from calculateAvailability
+     * @returns {Array} Violations ({ type, strength: 'hard'|'soft', message }), empty when none
+     */
+    checkPolicy(appointment, policyContext, timezone = DEFAULT_TIMEZONE, bookedAppointments = []) {
+        const { policy, isReportingSession = false, lastParticipantOfDay = false } = policyContext;
+        const start = new Date(appointment.start);
+        const end = new Date(appointment.end);
+        if (!policy || isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return [];
+        }
+
+        const localStart = getLocalTimeParts(start, timezone);
+        const localEnd = getLocalTimeParts(end, timezone);
+        const violations = [];
+
+        if (!isInSessionWindow(policy, isReportingSession, localStart, localEnd)) {
+            const window = getSessionWindow(policy, isReportingSession);
+            violations.push({
+                type: 'session_window',
+                strength: window.strict ? 'hard' : 'soft',
+                message: `${localStart.dayOfWeek} ${formatClock(localStart.minutesOfDay)} is outside the ${isReportingSession ? 'reporting' : 'non-reporting'} session window (${window.from} to ${window.to}, policy ${policy.label})`
+            });
+        }
+
+        if (overlapsLunchBreak(policy, localStart, localEnd)) {
+            violations.push({
+                type: 'lunch_break',
+                strength: 'hard',
+                message: `${formatClock(localStart.minutesOfDay)}-${formatClock(localEnd.minutesOfDay)} overlaps the ${describeLunchBreak(policy)} lunch break (policy ${policy.label})`
+            });
+        }
+
+        const lastParticipant = this.checkLastParticipant(appointment, policyContext, timezone, bookedAppointments);
+        if (lastParticipant) {
+            violations.push(lastParticipant);
+        }
+
+        return violations;
+    }
+
+    /**
+     * When the participant is the last of the practitioner's day, check that no booking starts after
+     * the session that day. Participants are not involved in reporting sessions, so those never count.
+     * @param {Object} appointment - Appointment with start and end times
+     * @param {Object} policyContext - { policy, isReportingSession, lastParticipantOfDay } (see utils/scheduling-policy.js)
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array} bookedAppointments - The practitioner's other bookings ({ start, end })
+     * @returns {Object|null} Violation ({ type: 'last_participant', strength, message }), or null when none
+     */
+    checkLastParticipant(appointment, policyContext, timezone = DEFAULT_TIMEZONE, bookedAppointments = []) {
+        const { policy, isReportingSession = false, lastParticipantOfDay = false } = policyContext;
+        const end = new Date(appointment.end);
+        if (!policy || isReportingSession || !lastParticipantOfDay || policy.lastParticipantOfDay === 'ignore' || isNaN(end.getTime())) {
+            return null;
+        }
+
+        const date = getLocalTimeParts(new Date(appointment.start), timezone).date;
+        const following = (bookedAppointments || [])
+            .map(booked => new Date(booked.start))
+            .filter(bookedStart => bookedStart >= end && getLocalTimeParts(bookedStart, timezone).date === date)
+            .sort((a, b) => a - b);
+        if (following.length === 0) {
+            return null;
+        }
+
+        return {
+            type: 'last_participant',
+            strength: policy.lastParticipantOfDay === 'require' ? 'hard' : 'soft',
+            message: `A booking follows at ${formatClock(getLocalTimeParts(following[0], timezone).minutesOfDay)} on ${date}, but the participant should be the last of the day`
+        };
+    }
+
+    /**
+     * Whether an existing booking is the given selected appointment, already written to Splose:
+     * the same times for the same patient and service. Bookings for another patient at the same
+     * time are never a match. AppointmentBooker uses it to spot a booking it already wrote.
+     * @param {Object} booking - Booking from get_appointments ({ start, end, patientId, serviceId? })
+     * @param {Object} appointment - Selected appointment
+     * @returns {boolean} True when the booking is the appointment
+     */
+    isBookingOf(booking, appointment) {
+        const sameTime = new Date(booking.start).getTime() === new Date(appointment.start).getTime() &&
+            new Date(booking.end).getTime() === new Date(appointment.end).getTime();
+        if (!sameTime || booking.patientId == null || booking.patientId !== appointment.patientId) {
+            return false;
+        }
+        return booking.serviceId == null || appointment.serviceId == null || booking.serviceId === appointment.serviceId;
+    }
+
+    /**
+     * Check a participant session against the policy's daily limit and spacing, given the sessions
+     * already accepted. Reporting sessions are not participant sessions and are never limited.
+     * @param {Object} appointment - Session with start, isReportingSession, originalAppointmentIndex, service and
+     *                               optionally localDate (YYYY-MM-DD), which saves converting start to local time
+     * @param {Array} acceptedAppointments - Sessions already accepted, in the same shape
+     * @param {Object} policy - Normalized policy (see utils/scheduling-policy.js)
+     * @param {string} timezone - Practitioner timezone
+     * @returns {Array} Conflicts ({ type: 'daily_limit'|'session_spacing', strength: 'hard', message, conflictingAppointmentIndex })
+     */
+    checkSessionRules(appointment, acceptedAppointments, policy, timezone = DEFAULT_TIMEZONE) {
+        if (!policy || appointment.isReportingSession || (!policy.maxSessionsPerDay && !policy.minDaysBetweenSessions)) {
+            return [];
+        }
+
+        const dayNumber = (date) => Math.round(new Date(`${date}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+        const localDate = (session) => session.localDate ?? getLocalTimeParts(new Date(session.start), timezone).date;
+        const date = localDate(appointment);
+        const sessions = acceptedAppointments
+            .filter(other => !other.isReportingSession)
+            .map(other => ({ other, date: localDate(other) }));
+        const conflicts = [];
+
+        const sameDay = sessions.filter(session => session.date === date);
+        if (policy.maxSessionsPerDay && sameDay.length >= policy.maxSessionsPerDay) {
+            conflicts.push({
+                type: 'daily_limit',
+                strength: 'hard',
+                message: `${date} already has ${sameDay.length} participant session${sameDay.length === 1 ? '' : 's'} (policy ${policy.label} allows ${policy.maxSessionsPerDay} per day)`,
+                conflictingAppointmentIndex: sameDay[0].other.originalAppointmentIndex
+            });
+        }
+
+        const tooClose = sessions.find(session => {
+            const gap = Math.abs(dayNumber(session.date) - dayNumber(date));
+            return gap > 0 && gap < policy.minDaysBetweenSessions;
+        });
+        if (tooClose) {
+            conflicts.push({
+                type: 'session_spacing',
+                strength: 'hard',
+                message: `${date} is within ${policy.minDaysBetweenSessions} days of ${tooClose.other.service} on ${tooClose.date} (policy ${policy.label})`,
+                conflictingAppointmentIndex: tooClose.other.originalAppointmentIndex
+            });
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Check the shape of each practitioner day a selection lands on against the practitioner's current
+     * schedule: a last-of-day participant must have no booking after them (checkLastParticipant, unless
+     * the appointment already carries that violation from checkPolicy), direct-service minutes stay
+     * under the policy's daily cap, and home visits (sessions with travel) keep a break from the
+     * practitioner's neighbouring bookings. Splose bookings do not say whether they are direct or home
+     * visits, so every booking counts as direct time and as a possible visit to travel from.
+     * @param {Array} selectedAppointments - Selected appointments (UTC) for one practitioner
+     * @param {Array} bookings - The practitioner's existing bookings ({ start, end }) from get_appointments
+     * @param {Object} context - Check context
+     * @param {Object} context.policy - Normalized policy (see utils/scheduling-policy.js)
+     * @param {boolean} context.lastParticipantOfDay - Whether the SDM marks the participant as the last of the day
+     * @param {Array} context.sdmAppointments - Original SDM appointments, for travel time and session type
+     * @param {string} context.timezone - Practitioner timezone
+     * @returns {Array} Violations ({ type: 'last_participant'|'daily_direct_minutes'|'home_visit_break', strength, message, originalAppointmentIndex })
+     */
+    checkDailyShape(selectedAppointments, bookings, { policy, lastParticipantOfDay = false, sdmAppointments = [], timezone = DEFAULT_TIMEZONE }) {
+        if (!policy) {
+            return [];
+        }
+
+        const sessions = selectedAppointments
+            .map(appointment => {
+                const sdmAppointment = sdmAppointments[appointment.originalAppointmentIndex];
+                const window = this.getOccupiedWindow(appointment, sdmAppointment?.travelTime || 0);
+                if (!window) return null;
+                const start = new Date(appointment.start);
+                return {
+                    appointment,
+                    start,
+                    end: new Date(appointment.end),
+                    window,
+                    date: getLocalTimeParts(start, timezone).date,
+                    isReportingSession: Boolean(appointment.isReportingSession ?? sdmAppointment?.isReportingSession),
+                    isHomeVisit: (sdmAppointment?.travelTime || 0) > 0
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.start - b.start);
+        // Bookings that are this selection already written to Splose are not other bookings
+        const booked = (bookings || [])
+            .filter(booking => !selectedAppointments.some(appointment => this.isBookingOf(booking, appointment)))
+            .map(booking => ({ start: new Date(booking.start), end: new Date(booking.end) }))
+            .filter(booking => !isNaN(booking.start.getTime()) && !isNaN(booking.end.getTime()))
+            .map(booking => ({ ...booking, date: getLocalTimeParts(booking.start, timezone).date }));
+        // The suggestion-time policy check may already have reported a later booking
+        const alreadyFlagged = (appointment) => [...(appointment.policyViolations || []), ...(appointment.conflictDetails || [])]
+            .some(violation => violation?.type === 'last_participant');
+        const clock = (date) => formatClock(getLocalTimeParts(date, timezone).minutesOfDay);
+        const minutes = (start, end) => Math.round((end - start) / (60 * 1000));
+        const violations = [];
+
+        for (const date of [...new Set(sessions.map(session => session.date))]) {
+            const daySessions = sessions.filter(session => session.date === date);
+            const dayBookings = booked.filter(booking => booking.date === date);
+
+            for (const session of daySessions.filter(session => !alreadyFlagged(session.appointment))) {
+                const violation = this.checkLastParticipant(session.appointment, { policy, isReportingSession: session.isReportingSession, lastParticipantOfDay }, timezone, dayBookings);
+                if (violation) {
+                    violations.push({ ...violation, originalAppointmentIndex: session.appointment.originalAppointmentIndex });
+                }
+            }
+
+            if (policy.maxDirectMinutesPerDay) {
+                let directMinutes = dayBookings.reduce((sum, booking) => sum + minutes(booking.start, booking.end), 0);
+                for (const session of daySessions.filter(session => !session.isReportingSession)) {
+                    directMinutes += minutes(session.start, session.end);
+                    if (directMinutes <= policy.maxDirectMinutesPerDay) continue;
+                    violations.push({
+                        type: 'daily_direct_minutes',
+                        strength: 'hard',
+                        message: `${date} would have ${directMinutes} minutes of direct service (policy ${policy.label} allows ${policy.maxDirectMinutesPerDay})`,
+                        originalAppointmentIndex: session.appointment.originalAppointmentIndex
+                    });
+                }
+            }
+
+            if (policy.homeVisitBreakMinutes > 0) {
+                daySessions.forEach((session, position) => {
+                    if (!session.isHomeVisit) return;
+                    // Other selected sessions are neighbours too, unless an earlier home visit already checked the pair
+                    const neighbours = [
+                        ...dayBookings.map(booking => ({ ...booking, label: `the booking at ${clock(booking.start)}` })),
+                        ...daySessions
+                            .filter((other, otherPosition) => otherPosition !== position && !(otherPosition < position && other.isHomeVisit))
+                            .map(other => ({ ...other.window, label: `${other.appointment.service} at ${clock(other.start)}` }))
+                    ];
+                    const tooClose = neighbours
+                        .map(neighbour => ({
+                            ...neighbour,
+                            gap: Math.max(0, neighbour.start >= session.window.end
+                                ? minutes(session.window.end, neighbour.start)
+                                : minutes(neighbour.end, session.window.start))
+                        }))
+                        .filter(neighbour => neighbour.gap < policy.homeVisitBreakMinutes)
+                        .sort((a, b) => a.gap - b.gap)[0];
+                    if (!tooClose) return;
+                    violations.push({
+                        type: 'home_visit_break',
+                        strength: 'hard',
+                        message: `Only ${tooClose.gap} minutes between this home visit and ${tooClose.label} on ${date} (policy ${policy.label} requires ${policy.homeVisitBreakMinutes})`,
+                        originalAppointmentIndex: session.appointment.originalAppointmentIndex
+                    });
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Convert availability free time slots into Date ranges for checking
+     * @param {Object} practitionerAvailability - Availability data with freeTimeSlots
+     * @returns {Array} Processed free time slots
+     */
+    buildFreeSlots(practitionerAvailability) {
+        return (practitionerAvailability?.freeTimeSlots || []).map(slot => ({
+            start: new Date(slot.startDateTime),
+            end: new Date(slot.endDateTime),
+            locationId: slot.locationId,
+            originalSlot: slot
+        }));
+    }
+
     /**
      * Check a single appointment against available time slots
      * @param {Object} appointment - Single suggested appointment
@@ -134,6 +456,197 @@ class ConflictChecker {
         return result;
     }
 
+    /**
+     * Check that an appointment's travel buffers do not overlap the practitioner's booked appointments.
+     * The session itself is covered by the free slot check; travel may fall outside availability
+     * (e.g. driving to a 9 AM visit) but not into another booking.
+     * @param {Object} appointment - Appointment with start and end times
+     * @param {number} travelMinutes - SDM travel time for the appointment
+     * @param {Array} bookedAppointments - Booked appointments ({ start, end }) from calculateAvailability
+     * @returns {Object} { isValid, conflicts, travelBlocks }
+     */
+    checkTravelBuffers(appointment, travelMinutes, bookedAppointments = []) {
+        const travelBlocks = buildTravelBlocks(appointment, travelMinutes, this.travelPolicy);
+        const conflicts = [];
+
+        for (const block of travelBlocks) {
+            const blockStart = new Date(block.start);
+            const blockEnd = new Date(block.end);
+
+            for (const booked of bookedAppointments || []) {
+                const bookedStart = new Date(booked.start);
+                const bookedEnd = new Date(booked.end);
+                if (!this.hasTimeOverlap(blockStart, blockEnd, bookedStart, bookedEnd)) {
+                    continue;
+                }
+
+                conflicts.push({
+                    type: 'travel_overlap',
+                    direction: block.direction,
+                    bookedStart: bookedStart.toISOString(),
+                    bookedEnd: bookedEnd.toISOString(),
+                    overlapStart: new Date(Math.max(blockStart.getTime(), bookedStart.getTime())).toISOString(),
+                    overlapEnd: new Date(Math.min(blockEnd.getTime(), bookedEnd.getTime())).toISOString()
+                });
+            }
+        }
+
+        return { isValid: conflicts.length === 0, conflicts, travelBlocks };
+    }
+
+    /**
+     * Build travel calendar entries for conflict-free selected appointments
+     * @param {Array} selectedAppointments - Selected appointments (UTC) with originalAppointmentIndex
+     * @param {Array} sdmAppointments - Original SDM appointments, used for travel time
+     * @returns {Array} Travel blocks tagged with the appointment they belong to
+     */
+    buildTravelBlocks(selectedAppointments, sdmAppointments = []) {
+        return (selectedAppointments || [])
+            .filter(appointment => !appointment.hasConflict)
+            .flatMap(appointment => {
+                const travelMinutes = sdmAppointments[appointment.originalAppointmentIndex]?.travelTime || 0;
+                return buildTravelBlocks(appointment, travelMinutes, this.travelPolicy).map(block => ({
+                    ...block,
+                    originalAppointmentIndex: appointment.originalAppointmentIndex,
+                    service: appointment.service,
+                    locationId: appointment.locationId
+                }));
+            });
+    }
+
+    /**
+     * Check a final set of selected appointments against each other for double-bookings.
+     * Suggestions for each appointment are checked independently against free slots, so two
+     * appointments can be given the same slot. Selections are accepted in SDM order (by
+     * originalAppointmentIndex); a later selection whose occupied window overlaps an accepted
+     * one loses and is marked with a 'double_booking' conflict. With a scheduling policy, a later
+     * participant session that breaks the daily limit or session spacing loses in the same way.
+     * @param {Array} selectedAppointments - Selected appointments (UTC) from AppointmentSelector
+     * @param {Array} sdmAppointments - Original SDM appointments, used for travel time
+     * @param {Object|null} policy - Normalized scheduling policy (see utils/scheduling-policy.js)
+     * @param {string} timezone - Practitioner timezone, for the policy's day boundaries
+     * @returns {Object} Selections with conflict status, detected double-bookings and a summary
+     */
+    checkSelectionConflicts(selectedAppointments, sdmAppointments = [], policy = null, timezone = DEFAULT_TIMEZONE) {
+        const result = {
+            appointments: [],
+            doubleBookings: [],
+            summary: {
+                totalChecked: 0,
+                totalValid: 0,
+                totalConflicted: 0
+            }
+        };
+
+        if (!Array.isArray(selectedAppointments)) {
+            return result;
+        }
+
+        // Process in SDM order so the earlier appointment keeps a contested slot
+        const ordered = selectedAppointments
+            .map((appointment, position) => ({ appointment, position }))
+            .sort((a, b) => (a.appointment.originalAppointmentIndex ?? a.position) - (b.appointment.originalAppointmentIndex ?? b.position));
+
+        const accepted = [];
+        const checked = new Array(selectedAppointments.length);
+
+        for (const { appointment, position } of ordered) {
+            const sdmAppointment = sdmAppointments[appointment.originalAppointmentIndex];
+            const window = this.getOccupiedWindow(appointment, sdmAppointment?.travelTime || 0);
+            const conflicts = [];
+
+            if (!window) {
+                conflicts.push('Invalid appointment start or end time format');
+            } else {
+                for (const other of accepted) {
+                    if (!this.hasTimeOverlap(window.start, window.end, other.window.start, other.window.end)) {
+                        continue;
+                    }
+
+                    const conflict = {
+                        type: 'double_booking',
+                        conflictingAppointmentIndex: other.appointment.originalAppointmentIndex,
+                        conflictingService: other.appointment.service,
+                        overlapStart: new Date(Math.max(window.start.getTime(), other.window.start.getTime())).toISOString(),
+                        overlapEnd: new Date(Math.min(window.end.getTime(), other.window.end.getTime())).toISOString()
+                    };
+                    conflicts.push(conflict);
+                    result.doubleBookings.push({
+                        appointmentIndex: appointment.originalAppointmentIndex,
+                        ...conflict
+                    });
+                }
+            }
+
+            if (window && conflicts.length === 0) {
+                const isReportingSession = appointment.isReportingSession ?? sdmAppointment?.isReportingSession ?? false;
+                conflicts.push(...this.checkSessionRules(
+                    { ...appointment, isReportingSession },
+                    accepted.map(other => other.appointment),
+                    policy,
+                    timezone
+                ));
+            }
+
+            if (conflicts.length === 0) {
+                accepted.push({ appointment: { ...appointment, isReportingSession: appointment.isReportingSession ?? sdmAppointment?.isReportingSession ?? false }, window });
+            }
+
+            checked[position] = {
+                ...appointment,
+                hasConflict: conflicts.length > 0,
+                conflictDetails: conflicts.length > 0 ? conflicts : null
+            };
+        }
+
+        result.appointments = checked;
+        result.summary.totalChecked = checked.length;
+        result.summary.totalConflicted = checked.filter(apt => apt.hasConflict).length;
+        result.summary.totalValid = checked.length - result.summary.totalConflicted;
+
+        return result;
+    }
+
+    /**
+     * Get the calendar window an appointment occupies, including its travel buffers
+     * placed according to the travel policy.
+     * @param {Object} appointment - Appointment with start and end times
+     * @param {number} travelMinutes - Travel time allocated to the appointment in minutes
+     * @returns {Object|null} Window with start and end Dates, or null for invalid times
+     */
+    getOccupiedWindow(appointment, travelMinutes = 0) {
+        const start = new Date(appointment.start);
+        const end = new Date(appointment.end);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+            return null;
+        }
+
+        const { beforeMinutes, afterMinutes } = getTravelBuffers(travelMinutes, this.travelPolicy);
+
+        return {
+            start: new Date(start.getTime() - beforeMinutes * 60 * 1000),
+            end: new Date(end.getTime() + afterMinutes * 60 * 1000)
+        };
+    }
+
+    /**
+     * Describe one entry of an appointment's conflictDetails in a sentence
+     * @param {string|Object} conflict - Conflict from checkConflicts or checkSelectionConflicts
+     * @returns {string} Conflict description
+     */
+    describeConflict(conflict) {
+        if (typeof conflict === 'string') return conflict;
+        if (conflict.message) return conflict.message;
+        if (conflict.type === 'double_booking') {
+            return `Double-booked with appointment #${conflict.conflictingAppointmentIndex + 1} (${conflict.conflictingService}), including travel time`;
+        }
+        if (conflict.type === 'travel_overlap') {
+            return `Travel ${conflict.direction} the session overlaps the booking from ${conflict.bookedStart} to ${conflict.bookedEnd}`;
+        }
+        return `${conflict.type}: ${conflict.slotStart} to ${conflict.slotEnd}`;
+    }
+
     /**
      * Check if two time ranges overlap
      * @param {Date} start1 - Start of first range
@@ -164,6 +677,9 @@ class ConflictChecker {
         report += `- Total Suggested: ${summary.totalSuggested}\n`;
         report += `- Valid Appointments: ${summary.totalValid}\n`;
         report += `- Conflicted Appointments: ${summary.totalConflicted}\n`;
+        if (summary.totalPreferenceViolations !== undefined) {
+            report += `- Outside Participant Preferences: ${summary.totalPreferenceViolations}\n`;
+        }
         report += `- Validation Errors: ${summary.validationErrors.length}\n\n`;
 
         if (summary.validationErrors.length > 0) {
@@ -181,7 +697,14 @@ class ConflictChecker {
                 report += `   Time: ${apt.start} to ${apt.end}\n`;
                 report += `   Location: ${apt.locationId}\n`;
                 report += `   Confidence: ${apt.confidence}\n`;
-                report += `   Matched Slot: ${apt.matchedSlot.startDateTime} to ${apt.matchedSlot.endDateTime}\n\n`;
+                report += `   Matched Slot: ${apt.matchedSlot.startDateTime} to ${apt.matchedSlot.endDateTime}\n`;
+                (apt.preferenceViolations || []).forEach(violation => {
+                    report += `   Preference (${violation.strength}): ${violation.message}\n`;
+                });
+                (apt.policyViolations || []).forEach(violation => {
+                    report += `   Policy (${violation.strength}): ${violation.message}\n`;
+                });
+                report += `\n`;
             });
         }
 
@@ -195,6 +718,10 @@ class ConflictChecker {
                 apt.conflictDetails.forEach(conflict => {
                     if (typeof conflict === 'string') {
                         report += `   - ${conflict}\n`;
+                    } else if (conflict.message) {
+                        report += `   - ${conflict.type}: ${conflict.message}\n`;
+                    } else if (conflict.type === 'travel_overlap') {
+                        report += `   - ${conflict.type} (travel ${conflict.direction}): booked ${conflict.bookedStart} to ${conflict.bookedEnd}\n`;
                     } else {
                         report += `   - ${conflict.type}: ${conflict.slotStart} to ${conflict.slotEnd}\n`;
                     }
@@ -372,4 +372,151 @@ describe('ConflictChecker', () => {
             expect(result.suggestedAppointments[0].conflictDetails).toContain('Invalid appointment start or end time format');
         });
     });
-});
\ No newline at end of file
+
+    describe('checkSelectionConflicts', () => {
+        const sdmAppointments = [
+            { service: "Intervention (Direct)", duration: 100, travelTime: 40, totalTime: 140 },
+            { service: "Intervention (Direct)", duration: 100, travelTime: 40, totalTime: 140 },
+            { service: "Report", duration: 30, travelTime: 0, totalTime: 30 }
+        ];
+
+        test('should accept selections that do not overlap', () => {
+            const selections = [
+                { start: "2025-08-26T01:00:00.000Z", end: "2025-08-26T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 0 },
+                { start: "2025-08-28T01:00:00.000Z", end: "2025-08-28T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 1 }
+            ];
+
+            const result = conflictChecker.checkSelectionConflicts(selections, sdmAppointments);
+
+            expect(result.summary.totalValid).toBe(2);
+            expect(result.summary.totalConflicted).toBe(0);
+            expect(result.doubleBookings).toHaveLength(0);
+            expect(result.appointments.every(apt => apt.hasConflict === false)).toBe(true);
+        });
+
+        test('should mark the later SDM appointment as double-booked when two selections share a slot', () => {
+            const selections = [
+                { start: "2025-08-26T01:00:00.000Z", end: "2025-08-26T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 1 },
+                { start: "2025-08-26T01:00:00.000Z", end: "2025-08-26T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 0 }
+            ];
+
+            const result = conflictChecker.checkSelectionConflicts(selections, sdmAppointments);
+
+            // Output keeps the input order; appointment index 1 loses to index 0
+            expect(result.appointments[0].hasConflict).toBe(true);
+            expect(result.appointments[0].conflictDetails[0].type).toBe('double_booking');
+            expect(result.appointments[0].conflictDetails[0].conflictingAppointmentIndex).toBe(0);
+            expect(result.appointments[1].hasConflict).toBe(false);
+            expect(result.doubleBookings).toHaveLength(1);
+            expect(result.summary.totalConflicted).toBe(1);
+        });
+
+        test('should detect overlaps caused by travel buffers', () => {
+            // Sessions are 10 minutes apart, but 40 minutes travel puts 20 minutes either side
+            const selections = [
+                { start: "2025-08-26T01:00:00.000Z", end: "2025-08-26T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 0 },
+                { start: "2025-08-26T02:50:00.000Z", end: "2025-08-26T04:30:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 1 }
+            ];
+
+            const result = conflictChecker.checkSelectionConflicts(selections, sdmAppointments);
+
+            expect(result.appointments[1].hasConflict).toBe(true);
+            expect(result.appointments[1].conflictDetails[0].overlapStart).toBe("2025-08-26T02:30:00.000Z");
+            expect(result.appointments[1].conflictDetails[0].overlapEnd).toBe("2025-08-26T03:00:00.000Z");
+        });
+
+        test('should allow back-to-back sessions without travel', () => {
+            const selections = [
+                { start: "2025-08-28T05:00:00.000Z", end: "2025-08-28T05:30:00.000Z", service: "Report", originalAppointmentIndex: 2 },
+                { start: "2025-08-28T05:30:00.000Z", end: "2025-08-28T06:00:00.000Z", service: "Report", originalAppointmentIndex: 2 }
+            ];
+
+            const result = conflictChecker.checkSelectionConflicts(selections, sdmAppointments);
+
+            expect(result.summary.totalConflicted).toBe(0);
+        });
+
+        test('should flag selections with invalid times', () => {
+            const selections = [
+                { start: "invalid-date", end: "2025-08-26T02:40:00.000Z", service: "Intervention (Direct)", originalAppointmentIndex: 0 }
+            ];
+
+            const result = conflictChecker.checkSelectionConflicts(selections, sdmAppointments);
+
+            expect(result.appointments[0].hasConflict).toBe(true);
+            expect(result.appointments[0].conflictDetails).toContain('Invalid appointment start or end time format');
+        });
+    });
+
+    describe('travel buffers', () => {
+        // Booked 10:30-11:30 local (AEST) on Tuesday 26 Aug
+        const bookedAppointments = [
+            { start: '2025-08-26T00:30:00.000Z', end: '2025-08-26T01:30:00.000Z' }
+        ];
+        const availabilityWithBookings = {
+            ...mockPractitionerAvailability,
+            freeTimeSlots: [
+                { startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T00:30:00.000Z', locationId: 19042 },
+                { startDateTime: '2025-08-26T01:30:00.000Z', endDateTime: '2025-08-26T07:00:00.000Z', locationId: 19042 }
+            ],
+            bookedAppointments
+        };
+        const suggestion = (start, end) => ({
+            suggestedAppointments: [{ start, end, locationId: 19042, service: 'Intervention (Direct)' }],
+            summary: { totalAppointmentsSuggested: 1 }
+        });
+
+        test('should flag travel that overlaps a booked appointment', () => {
+            // Session right after the booking leaves no room for 20 minutes of travel to the visit
+            const result = conflictChecker.checkConflicts(availabilityWithBookings, suggestion('2025-08-26T01:30:00Z', '2025-08-26T03:00:00Z'), 40);
+
+            expect(result.summary.totalConflicted).toBe(1);
+            expect(result.suggestedAppointments[0].conflictDetails).toEqual([{
+                type: 'travel_overlap',
+                direction: 'to',
+                bookedStart: '2025-08-26T00:30:00.000Z',
+                bookedEnd: '2025-08-26T01:30:00.000Z',
+                overlapStart: '2025-08-26T01:10:00.000Z',
+                overlapEnd: '2025-08-26T01:30:00.000Z'
+            }]);
+        });
+
+        test('should accept sessions whose travel clears booked appointments', () => {
+            const result = conflictChecker.checkConflicts(availabilityWithBookings, suggestion('2025-08-26T01:50:00Z', '2025-08-26T03:20:00Z'), 40);
+
+            expect(result.summary.totalValid).toBe(1);
+        });
+
+        test('should ignore travel when no travel time is given', () => {
+            const result = conflictChecker.checkConflicts(availabilityWithBookings, suggestion('2025-08-26T01:30:00Z', '2025-08-26T03:00:00Z'));
+
+            expect(result.summary.totalValid).toBe(1);
+        });
+
+        test('should place travel according to the policy', () => {
+            const afterChecker = new ConflictChecker({ travelPolicy: 'after' });
+            const appointment = { start: '2025-08-26T01:30:00Z', end: '2025-08-26T03:00:00Z' };
+
+            expect(afterChecker.checkTravelBuffers(appointment, 40, bookedAppointments).isValid).toBe(true);
+            expect(afterChecker.getOccupiedWindow(appointment, 40)).toEqual({
+                start: new Date('2025-08-26T01:30:00Z'),
+                end: new Date('2025-08-26T03:40:00Z')
+            });
+            expect(() => new ConflictChecker({ travelPolicy: 'sideways' })).toThrow('Invalid travel policy "sideways"');
+        });
+
+        test('should build travel blocks for conflict-free selections', () => {
+            const selected = [
+                { originalAppointmentIndex: 0, service: 'Assessment', locationId: 19042, start: '2025-08-26T02:00:00Z', end: '2025-08-26T03:30:00Z' },
+                { originalAppointmentIndex: 1, service: 'Assessment (Report)', locationId: 19042, start: '2025-08-28T04:00:00Z', end: '2025-08-28T04:30:00Z' },
+                { originalAppointmentIndex: 2, service: 'Intervention (Direct)', locationId: 19042, start: '2025-08-26T02:00:00Z', end: '2025-08-26T03:30:00Z', hasConflict: true }
+            ];
+            const sdmAppointments = [{ travelTime: 40 }, { travelTime: 0 }, { travelTime: 40 }];
+
+            expect(conflictChecker.buildTravelBlocks(selected, sdmAppointments)).toEqual([
+                { type: 'travel', direction: 'to', start: '2025-08-26T01:40:00.000Z', end: '2025-08-26T02:00:00.000Z', durationMinutes: 20, originalAppointmentIndex: 0, service: 'Assessment', locationId: 19042 },
+                { type: 'travel', direction: 'from', start: '2025-08-26T03:30:00.000Z', end: '2025-08-26T03:50:00.000Z', durationMinutes: 20, originalAppointmentIndex: 0, service: 'Assessment', locationId: 19042 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,407 @@
+import 'dotenv/config';
+import { ConflictChecker } from './conflict-checker.js';
+import { RecurrenceEngine } from './recurrence-engine.js';
+import { SlotCandidateGenerator } from './slot-candidate-generator.js';
+import { parsePreferences } from './preference-parser.js';
+import { getLogger } from './utils/logger.js';
+import {
+    getTimeOfDayRange,
+    DEFAULT_TIMEZONE
+} from './utils/timezone-utils.js';
+
+const logger = getLogger('deterministic-selector');
+
+/**
+ * Deterministic constraint solver for appointment selection.
+ * Assigns one non-overlapping, conflict-free slot per SDM appointment without calling an LLM,
+ * so it can run as the primary selector, as a fallback, or as a cross-check on the LLM choice.
+ * Grid slots and their base scores come from SlotCandidateGenerator.
+ */
+
+const SCORE_WEIGHTS = {
+    llmSuggestion: 5,
+    sameWeekday: 10,
+    sameStartTime: 5,
+    // Per-day penalty for drifting from the service frequency target date
+    recurrenceDrift: 1.5,
+    unassigned: -1000
+};
+
+class DeterministicSelector {
+    /**
+     * @param {Object} options - Solver options
+     * @param {number} options.slotStepMinutes - Grid for start times generated from free slots (defaults to SLOT_STEP_MINUTES or 15)
+     * @param {number} options.maxCandidatesPerAppointment - Candidates kept per appointment after scoring
+     * @param {number} options.searchNodeLimit - Maximum search nodes before returning the best assignment found
+     * @param {string} options.travelPolicy - Where travel sits around sessions (see utils/travel-policy.js)
+     * @param {SchedulingPolicySet} options.policies - Scheduling policies (see utils/scheduling-policy.js)
+     */
+    constructor(options = {}) {
+        this.candidateGenerator = new SlotCandidateGenerator({ slotStepMinutes: options.slotStepMinutes, travelPolicy: options.travelPolicy, policies: options.policies });
+        this.maxCandidatesPerAppointment = options.maxCandidatesPerAppointment || 25;
+        this.searchNodeLimit = options.searchNodeLimit || 50000;
+        this.conflictChecker = new ConflictChecker({ travelPolicy: options.travelPolicy });
+        this.recurrenceEngine = new RecurrenceEngine();
+    }
+
+    /**
+     * Select one conflict-free slot per appointment using constraint search
+     * @param {Object} sdmData - Extracted participant and appointment data from SDM
+     * @param {Array} suggestionResults - Array of enhanced suggestion results with conflict status
+     * @param {Object} availabilityData - Practitioner availability data with timezone context
+     * @returns {Object} Selection result matching the AppointmentSelector output shape
+     */
+    selectAppointments(sdmData, suggestionResults, availabilityData) {
+        if (!sdmData || !sdmData.appointments || !Array.isArray(sdmData.appointments)) {
+            throw new Error('Invalid SDM data structure - missing appointments array');
+        }
+
+        const practitionerTimezone = availabilityData?.practitionerTimezone || DEFAULT_TIMEZONE;
+        const freeSlots = this.conflictChecker.buildFreeSlots(availabilityData);
+        const series = this.recurrenceEngine.buildSeries(sdmData);
+        const preferences = sdmData.preferences ?? parsePreferences(sdmData.participant);
+
+        logger.info('Running deterministic appointment selection');
+
+        const entries = sdmData.appointments.map((appointment, index) => ({
+            appointmentIndex: index,
+            appointment,
+            candidates: this.buildCandidates(
+                appointment,
+                suggestionResults?.[index],
+                freeSlots,
+                preferences,
+                practitionerTimezone,
+                availabilityData?.bookedAppointments,
+                this.recurrenceEngine.getOccurrence(series, index),
+                this.candidateGenerator.getPolicyContext(appointment, sdmData.servicePlanning, availabilityData)
+            )
+        }));
+
+        const policy = this.candidateGenerator.policies.forPractitioner(availabilityData?.practitionerId ?? null);
+        const assignment = this.solve(entries, policy, practitionerTimezone);
+        const result = this.buildSelectionResult(sdmData, entries, assignment, availabilityData, practitionerTimezone);
+
+        logger.info(`Selected ${result.structured_response.appointments.length} appointments deterministically`, { selected: result.structured_response.appointments.length });
+
+        return result;
+    }
+
+    /**
+     * Build scored candidate slots for an appointment from valid suggestions and free time slots
+     * @param {Object} appointment - SDM appointment
+     * @param {Object} suggestions - Enhanced suggestions for this appointment (may be undefined)
+     * @param {Array} freeSlots - Processed free time slots from ConflictChecker.buildFreeSlots
+     * @param {Object} preferences - Parsed participant preferences (see preference-parser.js)
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array} bookedAppointments - Booked appointments the travel buffers must not overlap
+     * @param {Object} occurrence - Service frequency occurrence for this appointment (see RecurrenceEngine.buildSeries)
+     * @param {Object|null} policyContext - Scheduling policy context (see SlotCandidateGenerator.getPolicyContext)
+     * @returns {Array} Candidates sorted by score, best first
+     */
+    buildCandidates(appointment, suggestions, freeSlots, preferences, timezone, bookedAppointments = [], occurrence = null, policyContext = null) {
+        const suggested = suggestions?.suggestedAppointments || [];
+        const template = suggested[0] || {};
+        const durationMs = appointment.duration * 60 * 1000;
+        const candidates = new Map();
+
+        const addCandidate = (candidate) => {
+            const key = `${candidate.start.toISOString()}|${candidate.locationId}`;
+            if (candidates.has(key)) return;
+
+            // Keep only slots inside the appointment date range that pass the free slot and hard policy checks
+            if (!this.candidateGenerator.isValidSlot(candidate, appointment, freeSlots, timezone, bookedAppointments, policyContext)) return;
+
+            candidates.set(key, {
+                ...candidate,
+                ...this.scoreCandidate(candidate, appointment, preferences, timezone, occurrence, policyContext)
+            });
+        };
+
+        suggested.forEach((suggestion, suggestionIndex) => {
+            if (suggestion.hasConflict) return;
+            addCandidate({
+                start: new Date(suggestion.start),
+                end: new Date(suggestion.end),
+                locationId: suggestion.locationId,
+                source: 'suggestion',
+                suggestionIndex,
+                confidence: suggestion.confidence,
+                template: suggestion
+            });
+        });
+
+        for (const slot of this.candidateGenerator.generateSlots(appointment, freeSlots, timezone, bookedAppointments, policyContext)) {
+            addCandidate({ ...slot, source: 'free_slot', suggestionIndex: -1, template });
+        }
+
+        return [...candidates.values()]
+            .sort((a, b) => b.score - a.score || a.start - b.start)
+            .slice(0, this.maxCandidatesPerAppointment);
+    }
+
+    /**
+     * Score a single candidate: the generator's session window, participant preference and date
+     * score, adjusted for service frequency and source
+     * @param {Object} candidate - Candidate with start and end Dates
+     * @param {Object} appointment - SDM appointment
+     * @param {Object} preferences - Parsed participant preferences (see preference-parser.js)
+     * @param {string} timezone - Practitioner timezone
+     * @param {Object} occurrence - Service frequency occurrence, or null when the appointment is not in a series
+     * @param {Object|null} policyContext - Scheduling policy context (see SlotCandidateGenerator.getPolicyContext)
+     * @returns {Object} Score, local time parts and the reasons behind the score
+     */
+    scoreCandidate(candidate, appointment, preferences, timezone, occurrence = null, policyContext = null) {
+        const base = this.candidateGenerator.scoreSlot(candidate, appointment, preferences, timezone, [], policyContext);
+        const { localStart, inSessionWindow, reasons } = base;
+        let { score } = base;
+
+        let driftDays = null;
+        if (occurrence) {
+            driftDays = this.recurrenceEngine.getDrift(occurrence, localStart.date);
+            score -= SCORE_WEIGHTS.recurrenceDrift * Math.abs(driftDays);
+            if (driftDays === 0) {
+                reasons.push('on the service frequency target date');
+            }
+        }
+
+        if (candidate.source === 'suggestion') {
+            const confidenceBonus = { high: 1, medium: 0.5, low: 0 }[candidate.confidence] ?? 0;
+            score += SCORE_WEIGHTS.llmSuggestion * (1 + confidenceBonus);
+        }
+
+        return { score, localStart, inSessionWindow, driftDays, reasons };
+    }
+
+    /**
+     * Score same-weekday and same-time consistency between two chosen candidates
+     * @param {Object} a - First chosen entry ({ appointment, candidate })
+     * @param {Object} b - Second chosen entry
+     * @returns {number} Consistency bonus
+     */
+    scoreConsistency(a, b) {
+        if (a.appointment.isReportingSession !== b.appointment.isReportingSession) return 0;
+
+        let bonus = 0;
+        if (a.candidate.localStart.isoWeekday === b.candidate.localStart.isoWeekday) {
+            bonus += SCORE_WEIGHTS.sameWeekday;
+        }
+        if (Math.abs(a.candidate.localStart.minutesOfDay - b.candidate.localStart.minutesOfDay) <= 30) {
+            bonus += SCORE_WEIGHTS.sameStartTime;
+        }
+        return bonus;
+    }
+
+    /**
+     * Branch-and-bound search for the highest scoring non-overlapping assignment that keeps the
+     * policy's daily limit and session spacing.
+     * Appointments with the fewest candidates are assigned first; an appointment may be left
+     * unassigned at a heavy penalty so the rest of the plan can still be scheduled.
+     * @param {Array} entries - Appointments with their candidates
+     * @param {Object|null} policy - Normalized scheduling policy (see utils/scheduling-policy.js)
+     * @param {string} timezone - Practitioner timezone, for the policy's day boundaries
+     * @returns {Array} Chosen candidate (or null) per entry, in entry order
+     */
+    solve(entries, policy = null, timezone = DEFAULT_TIMEZONE) {
+        const order = [...entries.keys()].sort((a, b) => entries[a].candidates.length - entries[b].candidates.length);
+        const maxBase = entries.map(entry => entry.candidates[0]?.score ?? 0);
+        const pairBonusMax = SCORE_WEIGHTS.sameWeekday + SCORE_WEIGHTS.sameStartTime;
+
+        let best = { score: -Infinity, assignment: entries.map(() => null) };
+        const current = entries.map(() => null);
+        const chosen = [];
+        let nodes = 0;
+
+        const search = (depth, score) => {
+            if (nodes++ > this.searchNodeLimit) return;
+
+            if (depth === order.length) {
+                if (score > best.score) {
+                    best = { score, assignment: [...current] };
+                }
+                return;
+            }
+
+            // Optimistic bound: best base score for every remaining appointment plus full consistency bonuses
+            const remaining = order.length - depth;
+            const remainingBase = order.slice(depth).reduce((sum, index) => sum + Math.max(maxBase[index], 0), 0);
+            const remainingPairs = remaining * chosen.length + (remaining * (remaining - 1)) / 2;
+            if (score + remainingBase + remainingPairs * pairBonusMax <= best.score) return;
+
+            const entryIndex = order[depth];
+            const entry = entries[entryIndex];
+
+            for (const candidate of entry.candidates) {
+                const window = this.conflictChecker.getOccupiedWindow(candidate, entry.appointment.travelTime || 0);
+                const overlaps = chosen.some(other =>
+                    this.conflictChecker.hasTimeOverlap(window.start, window.end, other.window.start, other.window.end)
+                );
+                if (overlaps) continue;
+
+                const session = { start: candidate.start, localDate: candidate.localStart.date, isReportingSession: entry.appointment.isReportingSession, originalAppointmentIndex: entry.appointmentIndex, service: entry.appointment.service };
+                if (this.conflictChecker.checkSessionRules(session, chosen.map(other => other.session), policy, timezone).length > 0) continue;
+
+                const selection = { appointment: entry.appointment, candidate, window, session };
+                const consistency = chosen.reduce((sum, other) => sum + this.scoreConsistency(selection, other), 0);
+
+                current[entryIndex] = candidate;
+                chosen.push(selection);
+                search(depth + 1, score + candidate.score + consistency);
+                chosen.pop();
+                current[entryIndex] = null;
+            }
+
+            search(depth + 1, score + SCORE_WEIGHTS.unassigned);
+        };
+
+        search(0, 0);
+
+        if (nodes > this.searchNodeLimit) {
+            logger.warn(`Search node limit (${this.searchNodeLimit}) reached - using best assignment found`, { searchNodeLimit: this.searchNodeLimit });
+        }
+
+        return best.assignment;
+    }
+
+    /**
+     * Build a selection result in the AppointmentSelector output shape
+     * @param {Object} sdmData - SDM extraction data
+     * @param {Array} entries - Appointments with their candidates
+     * @param {Array} assignment - Chosen candidate (or null) per entry
+     * @param {Object} availabilityData - Practitioner availability data
+     * @param {string} timezone - Practitioner timezone
+     * @returns {Object} Selection result with natural_response, structured_response and status
+     */
+    buildSelectionResult(sdmData, entries, assignment, availabilityData, timezone) {
+        const appointments = [];
+        const issues = [];
+        const explanations = [];
+        const ids = this.collectSuggestionIds(entries);
+
+        entries.forEach(({ appointmentIndex, appointment, candidates }, index) => {
+            const candidate = assignment[index];
+
+            if (!candidate) {
+                issues.push({
+                    appointmentIndex,
+                    service: appointment.service,
+                    issue: candidates.length === 0
+                        ? `No conflict-free slot of ${appointment.duration} minutes is available between ${appointment.dateRangeStart} and ${appointment.dateRangeEnd}`
+                        : 'Every available slot overlaps another selected appointment including travel time, or breaks the scheduling policy\'s daily limit or session spacing',
+                    recommendation: 'Widen the date range, add practitioner availability or book this appointment manually'
+                });
+                explanations.push(`Appointment ${appointmentIndex + 1} (${appointment.service}) could not be placed.`);
+                return;
+            }
+
+            const reasons = candidate.reasons.length > 0 ? candidate.reasons.join(', ') : 'earliest conflict-free slot';
+            const bookingIds = {
+                serviceId: candidate.template.serviceId ?? ids.serviceIds.get(appointment.service) ?? null,
+                practitionerId: availabilityData?.practitionerId ?? candidate.template.practitionerId ?? ids.practitionerId,
+                patientId: candidate.template.patientId ?? ids.patientId,
+                caseId: candidate.template.caseId ?? ids.caseId
+            };
+            const missingIds = ['serviceId', 'practitionerId', 'patientId'].filter(field => bookingIds[field] == null);
+            if (missingIds.length > 0) {
+                logger.warn(`Appointment ${appointmentIndex + 1} (${appointment.service}) has no ${missingIds.join(', ')} in any suggestion - marked unbookable`);
+            }
+            appointments.push({
+                start: candidate.start.toISOString(),
+                end: candidate.end.toISOString(),
+                serviceId: bookingIds.serviceId,
+                locationId: candidate.locationId,
+                practitionerId: bookingIds.practitionerId,
+                patientId: bookingIds.patientId,
+                caseId: bookingIds.caseId,
+                note: `${appointment.service} - selected by constraint solver (${reasons})`,
+                originalAppointmentIndex: appointmentIndex,
+                selectedSuggestionIndex: candidate.suggestionIndex,
+                service: appointment.service,
+                isReportingSession: appointment.isReportingSession,
+                dayOfWeek: candidate.localStart.dayOfWeek,
+                timeOfDay: getTimeOfDayRange(candidate.start, candidate.end, timezone),
+                selectionScore: Number(candidate.score.toFixed(2)),
+                ...(missingIds.length > 0 ? { bookable: false, missingIds } : {})
+            });
+            explanations.push(`Appointment ${appointmentIndex + 1} (${appointment.service}): ${candidate.localStart.dayOfWeek} ${candidate.localStart.date} from the ${candidate.source === 'suggestion' ? 'suggested options' : 'free time slots'} - ${reasons}.`);
+        });
+
+        const status = issues.length === 0 ? 'success' : (appointments.length > 0 ? 'partial_success' : 'failure');
+        const weekdays = [...new Set(appointments.filter(apt => !apt.isReportingSession).map(apt => apt.dayOfWeek))];
+
+        return {
+            natural_response: `Selected ${appointments.length} of ${entries.length} appointments with the deterministic constraint solver (no LLM).\n${explanations.join('\n')}`,
+            structured_response: {
+                practitionerId: availabilityData?.practitionerId ?? ids.practitionerId,
+                caseId: ids.caseId,
+                caseName: sdmData.participant?.participantName ?? null,
+                clientId: ids.patientId,
+                appointments,
+                travelBlocks: this.conflictChecker.buildTravelBlocks(appointments, sdmData.appointments),
+                schedulePlanSummary: weekdays.length > 0
+                    ? `Direct sessions scheduled on ${weekdays.join(', ')}; ${appointments.filter(apt => apt.isReportingSession).length} reporting session(s) placed in the reporting window where possible.`
+                    : 'No direct sessions scheduled.',
+                issues
+            },
+            status,
+            selectionEngine: 'deterministic'
+        };
+    }
+
+    /**
+     * Collect the Splose IDs the suggestion engine returned for any appointment. The SDM holds no IDs,
+     * so appointments placed in a free slot without a suggestion of their own borrow the participant's
+     * IDs from the other appointments, and the service ID from a suggestion for the same service.
+     * @param {Array} entries - Appointments with their candidates
+     * @returns {Object} { practitionerId, patientId, caseId, serviceIds (Map of service name to service ID) }
+     */
+    collectSuggestionIds(entries) {
+        const templates = entries.flatMap(({ appointment, candidates }) => candidates.map(candidate => ({ service: appointment.service, template: candidate.template || {} })));
+        const first = (field) => templates.find(({ template }) => template[field] != null)?.template[field] ?? null;
+        const serviceIds = new Map();
+        templates.forEach(({ service, template }) => {
+            if (template.serviceId != null && !serviceIds.has(service)) serviceIds.set(service, template.serviceId);
+        });
+
+        return { practitionerId: first('practitionerId'), patientId: first('patientId'), caseId: first('caseId'), serviceIds };
+    }
+
+    /**
+     * Compare an LLM selection with a deterministic selection for the same appointments
+     * @param {Object} llmResult - Selection result from AppointmentSelector
+     * @param {Object} deterministicResult - Selection result from selectAppointments
+     * @param {Object} sdmData - SDM extraction data
+     * @returns {Object} Per-appointment agreement and overall counts
+     */
+    compareSelections(llmResult, deterministicResult, sdmData) {
+        const byIndex = (result) => new Map(
+            (result?.structured_response?.appointments || []).map(apt => [apt.originalAppointmentIndex, apt])
+        );
+        const llmByIndex = byIndex(llmResult);
+        const deterministicByIndex = byIndex(deterministicResult);
+
+        const appointments = sdmData.appointments.map((appointment, index) => {
+            const llmPick = llmByIndex.get(index);
+            const deterministicPick = deterministicByIndex.get(index);
+            const agrees = Boolean(llmPick && deterministicPick) &&
+                new Date(llmPick.start).getTime() === new Date(deterministicPick.start).getTime();
+
+            return {
+                originalAppointmentIndex: index,
+                service: appointment.service,
+                llmStart: llmPick?.start ?? null,
+                llmHasConflict: llmPick?.hasConflict ?? false,
+                deterministicStart: deterministicPick?.start ?? null,
+                agrees
+            };
+        });
+
+        return {
+            appointments,
+            totalAgreements: appointments.filter(apt => apt.agrees).length,
+            totalDisagreements: appointments.filter(apt => !apt.agrees).length
+        };
+    }
+}
+
+export { DeterministicSelector };
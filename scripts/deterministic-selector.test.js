@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DeterministicSelector } from './deterministic-selector.js';
+import { matchesDayPreference, matchesTimePreference } from './preference-parser.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { getLocalTimeParts } from './utils/timezone-utils.js';
+
+describe('DeterministicSelector', () => {
+    let selector;
+
+    beforeEach(() => {
+        selector = new DeterministicSelector();
+    });
+
+    // Melbourne is UTC+10 in August: each slot is 09:00-17:00 local
+    const availability = {
+        practitionerId: 46932,
+        practitionerTimezone: 'Australia/Melbourne',
+        freeTimeSlots: [
+            { startDateTime: '2025-08-24T23:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z', locationId: 19042 },
+            { startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T07:00:00.000Z', locationId: 19042 },
+            { startDateTime: '2025-08-27T23:00:00.000Z', endDateTime: '2025-08-28T07:00:00.000Z', locationId: 19042 },
+            { startDateTime: '2025-08-28T23:00:00.000Z', endDateTime: '2025-08-29T07:00:00.000Z', locationId: 19042 }
+        ]
+    };
+
+    const buildSdmData = (overrides = {}) => ({
+        participant: {
+            participantName: 'Test Participant',
+            state: 'VIC',
+            serviceRequired: 'Psychology',
+            suitableDays: 'Tuesdays',
+            suitableTime: 'Mornings'
+        },
+        planDetails: { planStartDate: '2025-07-01', planEndDate: '2026-06-30', totalPlanBudget: 4000, totalPlanBudgetHours: 17 },
+        servicePlanning: { intakeDate: '2025-08-07', serviceCommencement: '2025-08-24', travelRequired: 'Yes', lastParticipantOfDay: 'No', serviceFrequency: 'Weekly' },
+        appointments: [
+            { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Intervention (Direct)', duration: 90, travelTime: 40, totalTime: 130, cost: 300, cumulativeCost: 300, isReportingSession: false },
+            { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Intervention (Direct)', duration: 90, travelTime: 40, totalTime: 130, cost: 300, cumulativeCost: 600, isReportingSession: false },
+            { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Report', duration: 60, travelTime: 0, totalTime: 60, cost: 0, cumulativeCost: 600, isReportingSession: true }
+        ],
+        ...overrides
+    });
+
+    const emptySuggestions = (count) => Array.from({ length: count }, () => ({ suggestedAppointments: [] }));
+
+    describe('selectAppointments', () => {
+        test('should assign a non-overlapping slot to every appointment', () => {
+            const sdmData = buildSdmData();
+            const result = selector.selectAppointments(sdmData, emptySuggestions(3), availability);
+
+            expect(result.status).toBe('success');
+            expect(result.selectionEngine).toBe('deterministic');
+            expect(result.structured_response.appointments).toHaveLength(3);
+            expect(result.structured_response.issues).toHaveLength(0);
+
+            const doubleBookings = new ConflictChecker().checkSelectionConflicts(result.structured_response.appointments, sdmData.appointments);
+            expect(doubleBookings.summary.totalConflicted).toBe(0);
+        });
+
+        test('should place direct sessions on preferred days and reports in the reporting window', () => {
+            const result = selector.selectAppointments(buildSdmData(), emptySuggestions(3), availability);
+            const [first, second, report] = result.structured_response.appointments;
+
+            expect(first.dayOfWeek).toBe('Tuesday');
+            expect(second.dayOfWeek).toBe('Tuesday');
+            expect(getLocalTimeParts(new Date(first.start), 'Australia/Melbourne').minutesOfDay).toBeLessThan(12 * 60);
+
+            const reportStart = getLocalTimeParts(new Date(report.start), 'Australia/Melbourne');
+            const isReportingWindow = (reportStart.isoWeekday === 4 && reportStart.minutesOfDay >= 12 * 60) || reportStart.isoWeekday === 5;
+            expect(isReportingWindow).toBe(true);
+        });
+
+        test('should prefer valid suggestions and skip conflicted ones', () => {
+            const sdmData = buildSdmData({ appointments: [buildSdmData().appointments[0]] });
+            const suggestions = [{
+                suggestedAppointments: [
+                    { start: '2025-08-26T10:00:00.000Z', end: '2025-08-26T11:30:00.000Z', locationId: 19042, serviceId: 101, patientId: 555, caseId: 777, confidence: 'high', hasConflict: true },
+                    { start: '2025-08-25T23:00:00.000Z', end: '2025-08-26T00:30:00.000Z', locationId: 19042, serviceId: 101, patientId: 555, caseId: 777, confidence: 'high', hasConflict: false }
+                ]
+            }];
+
+            const result = selector.selectAppointments(sdmData, suggestions, availability);
+            const [selected] = result.structured_response.appointments;
+
+            expect(selected.selectedSuggestionIndex).toBe(1);
+            expect(selected.start).toBe('2025-08-25T23:00:00.000Z');
+            expect(selected.serviceId).toBe(101);
+            expect(selected.patientId).toBe(555);
+            expect(result.structured_response.clientId).toBe(555);
+        });
+
+        test('should borrow IDs from other suggestions and mark selections without them unbookable', () => {
+            const sdmData = buildSdmData();
+            const suggestions = [
+                { suggestedAppointments: [{ start: '2025-08-25T23:00:00.000Z', end: '2025-08-26T00:30:00.000Z', locationId: 19042, serviceId: 101, patientId: 555, caseId: 777, confidence: 'high', hasConflict: false }] },
+                { suggestedAppointments: [] },
+                { suggestedAppointments: [] }
+            ];
+
+            const [first, second, report] = selector.selectAppointments(sdmData, suggestions, availability).structured_response.appointments;
+            const [unknown] = selector.selectAppointments(buildSdmData({ appointments: [sdmData.appointments[2]] }), emptySuggestions(1), availability).structured_response.appointments;
+
+            expect(first.bookable).toBeUndefined();
+            expect(second).toMatchObject({ serviceId: 101, patientId: 555, caseId: 777 });
+            expect(second.bookable).toBeUndefined();
+            expect(report).toMatchObject({ serviceId: null, patientId: 555, bookable: false, missingIds: ['serviceId'] });
+            expect(unknown).toMatchObject({ practitionerId: 46932, bookable: false, missingIds: ['serviceId', 'patientId'] });
+        });
+
+        test('should report an issue when an appointment cannot be placed', () => {
+            const sdmData = buildSdmData();
+            sdmData.appointments[1] = { ...sdmData.appointments[1], dateRangeStart: '2025-09-01', dateRangeEnd: '2025-09-05' };
+
+            const result = selector.selectAppointments(sdmData, emptySuggestions(3), availability);
+
+            expect(result.status).toBe('partial_success');
+            expect(result.structured_response.appointments).toHaveLength(2);
+            expect(result.structured_response.issues).toHaveLength(1);
+            expect(result.structured_response.issues[0].appointmentIndex).toBe(1);
+        });
+
+        test('should fail when no availability exists', () => {
+            const result = selector.selectAppointments(buildSdmData(), emptySuggestions(3), { ...availability, freeTimeSlots: [] });
+
+            expect(result.status).toBe('failure');
+            expect(result.structured_response.issues).toHaveLength(3);
+        });
+
+        test('should keep sessions close to the service frequency target dates', () => {
+            const direct = { ...buildSdmData().appointments[0], dateRangeStart: '2025-08-25', dateRangeEnd: '2025-09-05' };
+            const sdmData = buildSdmData({
+                participant: { ...buildSdmData().participant, suitableDays: null },
+                servicePlanning: { ...buildSdmData().servicePlanning, serviceCommencement: '2025-08-25', serviceFrequency: 'Weekly' },
+                appointments: [direct, { ...direct }]
+            });
+            const twoMondays = {
+                ...availability,
+                freeTimeSlots: [
+                    { startDateTime: '2025-08-24T23:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z', locationId: 19042 },
+                    { startDateTime: '2025-08-31T23:00:00.000Z', endDateTime: '2025-09-01T07:00:00.000Z', locationId: 19042 }
+                ]
+            };
+
+            const result = selector.selectAppointments(sdmData, emptySuggestions(2), twoMondays);
+            const dates = result.structured_response.appointments.map(apt => getLocalTimeParts(new Date(apt.start), 'Australia/Melbourne').date);
+
+            expect(dates).toEqual(['2025-08-25', '2025-09-01']);
+            expect(result.structured_response.appointments[1].note).toContain('on the service frequency target date');
+        });
+
+        test('should throw on invalid SDM data', () => {
+            expect(() => selector.selectAppointments({}, [], availability)).toThrow('Invalid SDM data structure');
+        });
+    });
+
+    describe('compareSelections', () => {
+        test('should report agreement per appointment', () => {
+            const sdmData = buildSdmData();
+            const deterministic = selector.selectAppointments(sdmData, emptySuggestions(3), availability);
+            const llm = {
+                structured_response: {
+                    appointments: [
+                        { ...deterministic.structured_response.appointments[0] },
+                        { ...deterministic.structured_response.appointments[1], start: '2025-08-24T23:00:00.000Z' }
+                    ]
+                }
+            };
+
+            const comparison = selector.compareSelections(llm, deterministic, sdmData);
+
+            expect(comparison.totalAgreements).toBe(1);
+            expect(comparison.totalDisagreements).toBe(2);
+            expect(comparison.appointments[2].llmStart).toBeNull();
+        });
+    });
+
+    describe('preference matching', () => {
+        test('should read named days, weekdays and negations', () => {
+            expect(matchesDayPreference('Mondays and Tuesdays', 2)).toBe(true);
+            expect(matchesDayPreference('Mondays and Tuesdays', 3)).toBe(false);
+            expect(matchesDayPreference('Weekdays, not Wednesdays', 3)).toBe(false);
+            expect(matchesDayPreference('Weekdays, not Wednesdays', 4)).toBe(true);
+            expect(matchesDayPreference('Any day', 4)).toBeNull();
+            expect(matchesDayPreference('', 4)).toBeNull();
+        });
+
+        test('should read time of day periods', () => {
+            expect(matchesTimePreference('Mornings', 9 * 60)).toBe(true);
+            expect(matchesTimePreference('Mornings', 14 * 60)).toBe(false);
+            expect(matchesTimePreference('Morning or afternoon', 14 * 60)).toBe(true);
+            expect(matchesTimePreference('Flexible', 14 * 60)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,329 @@
+import { DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { hasHardDailyShapeViolation } from './utils/scheduling-policy.js';
+
+/**
+ * iCalendar (RFC 5545) export of selected appointments.
+ * Builds a participant feed (direct sessions only) or a practitioner feed (every session plus
+ * travel blocks) from selectionResult.structured_response. Event times are written in the
+ * practitioner's local time with a VTIMEZONE generated from the IANA zone, and UIDs depend only
+ * on the plan and the SDM appointment index, so a re-export updates events rather than adding
+ * duplicates when it is imported again.
+ */
+
+const ICS_FEEDS = ['participant', 'practitioner'];
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const CRLF = '\r\n';
+// RFC 5545 section 3.1: content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a multi-byte character
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const charOctets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + charOctets > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += charOctets;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a UTC date as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ */
+const formatUTC = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a date as iCalendar floating local time after applying an offset in minutes
+ */
+function formatLocal(date, offsetMinutes) {
+    const local = new Date(date.getTime() + offsetMinutes * MS_PER_MINUTE);
+    return formatUTC(local).replace('Z', '');
+}
+
+/**
+ * Format an offset in minutes as +HHMM / -HHMM
+ */
+function formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+/**
+ * UTC offset in minutes at an exact moment. Read from Intl rather than date-fns-tz, whose
+ * getTimezoneOffset can report the old offset for a few hours after a transition.
+ */
+function getTimezoneOffset(timezone, date) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+        .formatToParts(date)
+        .find(entry => entry.type === 'timeZoneName');
+    const match = part?.value.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Short timezone name in effect at a moment (e.g. AEST, AEDT)
+ */
+function getTimezoneName(timezone, date) {
+    const part = new Intl.DateTimeFormat('en-AU', { timeZone: timezone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .find(entry => entry.type === 'timeZoneName');
+    return part?.value || timezone;
+}
+
+/**
+ * Turn free text into a UID-safe key
+ */
+const slugify = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'participant';
+
+class IcsExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {string} options.prodId - PRODID for generated calendars
+     * @param {string} options.uidDomain - Domain part of event UIDs
+     */
+    constructor(options = {}) {
+        this.prodId = options.prodId || '-//Humanity Health Group//HHG Calvin Scheduler//EN';
+        this.uidDomain = options.uidDomain || 'hhg-calvin.scheduler';
+    }
+
+    /**
+     * Export a selection as an .ics feed
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Object} options - Export options
+     * @param {string} options.feed - 'participant' or 'practitioner' (default 'practitioner')
+     * @param {string} options.timezone - Practitioner timezone (default Australia/Melbourne)
+     * @param {Object} options.practitionerTimezones - Timezone per practitioner ID, for pool selections
+     * @param {Object} options.locations - Display name per location ID (defaults to "Location <id>")
+     * @param {Date} options.now - Export time used for DTSTAMP
+     * @returns {Object} { feed, filename, content, eventCount, skipped }
+     */
+    exportFeed(selectionResult, sdmData, options = {}) {
+        const feed = options.feed || 'practitioner';
+        if (!ICS_FEEDS.includes(feed)) {
+            throw new Error(`Invalid calendar feed "${feed}". Expected one of: ${ICS_FEEDS.join(', ')}`);
+        }
+        const structured = selectionResult?.structured_response;
+        if (!structured || !Array.isArray(structured.appointments)) {
+            throw new Error('Invalid selection result - missing structured_response.appointments');
+        }
+
+        const now = options.now || new Date();
+        const participantName = sdmData?.participant?.participantName || structured.caseName || 'Participant';
+        const timezoneFor = (practitionerId) => options.practitionerTimezones?.[practitionerId] || options.timezone || DEFAULT_TIMEZONE;
+
+        // Conflicted, over-budget and day-breaking selections need a coordinator decision before anyone is invited
+        const skipped = [];
+        const appointments = structured.appointments.filter(apt => {
+            if (feed === 'participant' && apt.isReportingSession) return false;
+            const reason = (apt.hasConflict && 'conflict') || (apt.exceedsBudget && 'over_budget') || (hasHardDailyShapeViolation(apt) && 'daily_shape');
+            if (reason) {
+                skipped.push({ originalAppointmentIndex: apt.originalAppointmentIndex, service: apt.service, reason });
+                return false;
+            }
+            return true;
+        });
+        const scheduledIndexes = new Set(appointments.map(apt => apt.originalAppointmentIndex));
+
+        const events = appointments.map(apt => ({
+            uid: this.buildUid(structured, participantName, feed, `apt-${apt.originalAppointmentIndex}`),
+            start: new Date(apt.start),
+            end: new Date(apt.end),
+            timezone: timezoneFor(apt.practitionerId ?? structured.practitionerId),
+            summary: feed === 'practitioner' ? `${apt.service} - ${participantName}` : apt.service,
+            description: apt.note,
+            location: apt.locationId != null ? (options.locations?.[apt.locationId] || `Location ${apt.locationId}`) : null,
+            categories: apt.isReportingSession ? 'Reporting' : 'Direct'
+        }));
+
+        if (feed === 'practitioner') {
+            (structured.travelBlocks || [])
+                .filter(block => scheduledIndexes.has(block.originalAppointmentIndex))
+                .forEach(block => {
+                    const apt = appointments.find(entry => entry.originalAppointmentIndex === block.originalAppointmentIndex);
+                    events.push({
+                        uid: this.buildUid(structured, participantName, feed, `apt-${block.originalAppointmentIndex}-travel-${block.direction}`),
+                        start: new Date(block.start),
+                        end: new Date(block.end),
+                        timezone: timezoneFor(block.practitionerId ?? apt.practitionerId ?? structured.practitionerId),
+                        summary: `Travel ${block.direction === 'to' ? 'to' : 'from'} ${participantName}`,
+                        description: `${block.durationMinutes} minutes travel for ${apt.service}`,
+                        location: null,
+                        categories: 'Travel'
+                    });
+                });
+        }
+        events.sort((a, b) => a.start - b.start);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(`${participantName} - ${feed === 'participant' ? 'Appointments' : 'Practitioner schedule'}`)}`,
+            ...[...new Set(events.map(event => event.timezone))].flatMap(timezone =>
+                this.buildTimezone(timezone, events.filter(event => event.timezone === timezone))
+            ),
+            ...events.flatMap(event => this.buildEvent(event, now)),
+            'END:VCALENDAR'
+        ];
+
+        return {
+            feed,
+            filename: `${slugify(participantName)}-${feed}.ics`,
+            content: lines.map(foldLine).join(CRLF) + CRLF,
+            eventCount: events.length,
+            skipped
+        };
+    }
+
+    /**
+     * Stable event UID: the same plan, feed and SDM appointment always map to the same event
+     * @param {Object} structured - Selection structured_response
+     * @param {string} participantName - Participant name, used when the selection has no case or client ID
+     * @param {string} feed - Calendar feed
+     * @param {string} eventKey - Event key within the plan (e.g. 'apt-3')
+     * @returns {string} UID
+     */
+    buildUid(structured, participantName, feed, eventKey) {
+        const planKey = structured.caseId ?? structured.clientId ?? slugify(participantName);
+        return `sdm-${planKey}-${eventKey}-${feed}@${this.uidDomain}`;
+    }
+
+    /**
+     * VEVENT lines for an event
+     * @param {Object} event - Event with UTC start/end Dates and timezone
+     * @param {Date} now - Export time
+     * @returns {Array<string>} Unfolded content lines
+     */
+    buildEvent(event, now) {
+        const offsetAt = (date) => getTimezoneOffset(event.timezone, date);
+        return [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatUTC(now)}`,
+            // Revisions are told apart by DTSTAMP under the stable UID, so re-exporting an unchanged event changes nothing
+            'SEQUENCE:0',
+            `DTSTART;TZID=${event.timezone}:${formatLocal(event.start, offsetAt(event.start))}`,
+            `DTEND;TZID=${event.timezone}:${formatLocal(event.end, offsetAt(event.end))}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+            ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+            `CATEGORIES:${event.categories}`,
+            'STATUS:CONFIRMED',
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * VTIMEZONE lines covering the events, with one STANDARD/DAYLIGHT observance per offset change
+     * @param {string} timezone - IANA timezone
+     * @param {Array<Object>} events - Events in this timezone
+     * @returns {Array<string>} Unfolded content lines
+     */
+    buildTimezone(timezone, events) {
+        const from = new Date(Math.min(...events.map(event => event.start.getTime())));
+        const to = new Date(Math.max(...events.map(event => event.end.getTime())));
+        const transitions = this.findTransitions(timezone, from, to);
+
+        // The observance in effect before the first event anchors the definition
+        const initialOffset = getTimezoneOffset(timezone, from);
+        const lastTransitionBefore = this.findTransitions(timezone, new Date(from.getTime() - 366 * MS_PER_DAY), from).at(-1);
+        const observances = [{
+            // Zones without a recent change get the conventional local 1970-01-01 onset
+            at: lastTransitionBefore?.at ?? new Date(Date.UTC(1970, 0, 1) - initialOffset * MS_PER_MINUTE),
+            offsetFrom: lastTransitionBefore?.offsetFrom ?? initialOffset,
+            offsetTo: initialOffset
+        }, ...transitions];
+
+        // Any offset above the lowest one seen is daylight saving time
+        const standardOffset = Math.min(...observances.map(observance => observance.offsetTo));
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+        observances.forEach(observance => {
+            const component = observance.offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+            lines.push(
+                `BEGIN:${component}`,
+                // Onset is expressed in the local time that was in effect before the change
+                `DTSTART:${formatLocal(observance.at, observance.offsetFrom)}`,
+                `TZOFFSETFROM:${formatOffset(observance.offsetFrom)}`,
+                `TZOFFSETTO:${formatOffset(observance.offsetTo)}`,
+                `TZNAME:${getTimezoneName(timezone, new Date(observance.at.getTime() + MS_PER_MINUTE))}`,
+                `END:${component}`
+            );
+        });
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Offset changes for a timezone between two dates, found day by day and narrowed to the minute
+     * @param {string} timezone - IANA timezone
+     * @param {Date} from - Range start
+     * @param {Date} to - Range end
+     * @returns {Array<Object>} Transitions ({ at (UTC Date), offsetFrom, offsetTo }) in order
+     */
+    findTransitions(timezone, from, to) {
+        const transitions = [];
+        let previous = from;
+        let previousOffset = getTimezoneOffset(timezone, from);
+
+        while (previous < to) {
+            const next = new Date(Math.min(previous.getTime() + MS_PER_DAY, to.getTime()));
+            const nextOffset = getTimezoneOffset(timezone, next);
+            if (nextOffset !== previousOffset) {
+                let low = previous.getTime();
+                let high = next.getTime();
+                while (high - low > MS_PER_MINUTE) {
+                    const middle = Math.floor((low + high) / 2);
+                    if (getTimezoneOffset(timezone, new Date(middle)) === previousOffset) low = middle;
+                    else high = middle;
+                }
+                // Offsets change on the minute
+                const at = new Date(Math.ceil(low / MS_PER_MINUTE) * MS_PER_MINUTE);
+                transitions.push({ at, offsetFrom: previousOffset, offsetTo: nextOffset });
+            }
+            previous = next;
+            previousOffset = nextOffset;
+        }
+        return transitions;
+    }
+}
+
+export { IcsExporter, ICS_FEEDS };
@@ -0,0 +1,161 @@
+import { describe, test, expect } from '@jest/globals';
+import { IcsExporter } from './ics-exporter.js';
+
+const sdmData = { participant: { participantName: 'Jane Doe' } };
+
+// Melbourne is UTC+10 until daylight saving starts on 5 Oct 2025, then UTC+11
+const buildSelection = (overrides = {}) => ({
+    status: 'success',
+    structured_response: {
+        practitionerId: 46932,
+        caseId: 777,
+        clientId: 555,
+        appointments: [
+            { start: '2025-08-26T00:00:00.000Z', end: '2025-08-26T01:30:00.000Z', locationId: 19042, practitionerId: 46932, note: 'Assessment - suits participant days, mornings', originalAppointmentIndex: 0, service: 'Assessment', isReportingSession: false },
+            { start: '2025-08-28T03:00:00.000Z', end: '2025-08-28T03:30:00.000Z', locationId: 19042, practitionerId: 46932, note: 'Write up assessment', originalAppointmentIndex: 1, service: 'Assessment (Report)', isReportingSession: true },
+            { start: '2025-10-06T23:00:00.000Z', end: '2025-10-07T00:30:00.000Z', locationId: 19042, practitionerId: 46932, note: 'Intervention', originalAppointmentIndex: 2, service: 'Intervention (Direct)', isReportingSession: false }
+        ],
+        travelBlocks: [
+            { originalAppointmentIndex: 0, type: 'travel', direction: 'to', start: '2025-08-25T23:40:00.000Z', end: '2025-08-26T00:00:00.000Z', durationMinutes: 20 },
+            { originalAppointmentIndex: 0, type: 'travel', direction: 'from', start: '2025-08-26T01:30:00.000Z', end: '2025-08-26T01:50:00.000Z', durationMinutes: 20 }
+        ],
+        issues: [],
+        ...overrides
+    }
+});
+
+const now = new Date('2025-08-20T00:00:00.000Z');
+
+/**
+ * Unfold content lines and group the properties of each VEVENT
+ */
+function parseEvents(content) {
+    const lines = content.replace(/\r\n /g, '').split('\r\n');
+    const events = [];
+    let current = null;
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') current = {};
+        else if (line === 'END:VEVENT') { events.push(current); current = null; }
+        else if (current) {
+            const separator = line.indexOf(':');
+            current[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+    }
+    return events;
+}
+
+describe('IcsExporter', () => {
+    const exporter = new IcsExporter();
+
+    test('should write every session and travel block to the practitioner feed in local time', () => {
+        const calendar = exporter.exportFeed(buildSelection(), sdmData, { feed: 'practitioner', timezone: 'Australia/Melbourne', now });
+        const events = parseEvents(calendar.content);
+
+        expect(calendar.filename).toBe('jane-doe-practitioner.ics');
+        expect(calendar.eventCount).toBe(5);
+        expect(events.map(event => event.SUMMARY)).toEqual([
+            'Travel to Jane Doe',
+            'Assessment - Jane Doe',
+            'Travel from Jane Doe',
+            'Assessment (Report) - Jane Doe',
+            'Intervention (Direct) - Jane Doe'
+        ]);
+        expect(events[1]).toMatchObject({
+            'DTSTART;TZID=Australia/Melbourne': '20250826T100000',
+            'DTEND;TZID=Australia/Melbourne': '20250826T113000',
+            DESCRIPTION: 'Assessment - suits participant days\\, mornings',
+            LOCATION: 'Location 19042'
+        });
+        // After the daylight saving change 23:00 UTC is still 10:00 local
+        expect(events[4]['DTSTART;TZID=Australia/Melbourne']).toBe('20251007T100000');
+    });
+
+    test('should leave reporting sessions and travel out of the participant feed', () => {
+        const calendar = exporter.exportFeed(buildSelection(), sdmData, { feed: 'participant', timezone: 'Australia/Melbourne', now });
+        const events = parseEvents(calendar.content);
+
+        expect(calendar.filename).toBe('jane-doe-participant.ics');
+        expect(events.map(event => event.SUMMARY)).toEqual(['Assessment', 'Intervention (Direct)']);
+        expect(calendar.content).toContain('X-WR-CALNAME:Jane Doe - Appointments');
+    });
+
+    test('should keep UIDs stable across re-exports so events update', () => {
+        const first = parseEvents(exporter.exportFeed(buildSelection(), sdmData, { feed: 'participant', now }).content);
+        const moved = buildSelection();
+        moved.structured_response.appointments[0] = { ...moved.structured_response.appointments[0], start: '2025-08-27T00:00:00.000Z', end: '2025-08-27T01:30:00.000Z' };
+        const second = parseEvents(exporter.exportFeed(moved, sdmData, { feed: 'participant', now: new Date('2025-08-21T00:00:00.000Z') }).content);
+
+        expect(second.map(event => event.UID)).toEqual(first.map(event => event.UID));
+        expect(first[0].UID).toBe('sdm-777-apt-0-participant@hhg-calvin.scheduler');
+        expect(second[0].DTSTAMP).not.toBe(first[0].DTSTAMP);
+        expect(second.map(event => event.SEQUENCE)).toEqual(first.map(event => event.SEQUENCE));
+    });
+
+    test('should describe daylight saving transitions in VTIMEZONE', () => {
+        const { content } = exporter.exportFeed(buildSelection(), sdmData, { timezone: 'Australia/Melbourne', now });
+
+        expect(content).toContain([
+            'BEGIN:DAYLIGHT',
+            'DTSTART:20251005T020000',
+            'TZOFFSETFROM:+1000',
+            'TZOFFSETTO:+1100',
+            'TZNAME:AEDT',
+            'END:DAYLIGHT'
+        ].join('\r\n'));
+        expect(content).toContain('BEGIN:STANDARD\r\nDTSTART:20250406T030000\r\nTZOFFSETFROM:+1100\r\nTZOFFSETTO:+1000');
+    });
+
+    test('should use each practitioner timezone for pool selections', () => {
+        const selection = buildSelection();
+        selection.structured_response.appointments[2].practitionerId = 51877;
+
+        const { content } = exporter.exportFeed(selection, sdmData, {
+            feed: 'participant',
+            practitionerTimezones: { 46932: 'Australia/Melbourne', 51877: 'Australia/Brisbane' },
+            now
+        });
+
+        expect(content).toContain('TZID:Australia/Brisbane\r\nBEGIN:STANDARD\r\nDTSTART:19700101T000000\r\nTZOFFSETFROM:+1000\r\nTZOFFSETTO:+1000');
+        expect(content).toContain('DTSTART;TZID=Australia/Brisbane:20251007T090000');
+    });
+
+    test('should skip conflicted and over-budget selections', () => {
+        const selection = buildSelection();
+        selection.structured_response.appointments[0].hasConflict = true;
+        selection.structured_response.appointments[2].exceedsBudget = true;
+
+        const calendar = exporter.exportFeed(selection, sdmData, { feed: 'practitioner', now });
+
+        expect(parseEvents(calendar.content).map(event => event.SUMMARY)).toEqual(['Assessment (Report) - Jane Doe']);
+        expect(calendar.skipped).toEqual([
+            { originalAppointmentIndex: 0, service: 'Assessment', reason: 'conflict' },
+            { originalAppointmentIndex: 2, service: 'Intervention (Direct)', reason: 'over_budget' }
+        ]);
+    });
+
+    test('should skip selections with a hard daily-shape violation but keep soft ones', () => {
+        const selection = buildSelection();
+        selection.structured_response.appointments[0].dailyShapeViolations = [{ type: 'last_participant', strength: 'soft', message: 'Booking after the session' }];
+        selection.structured_response.appointments[2].dailyShapeViolations = [{ type: 'daily_limit', strength: 'hard', message: 'Over the daily limit' }];
+
+        const calendar = exporter.exportFeed(selection, sdmData, { feed: 'participant', now });
+
+        expect(parseEvents(calendar.content).map(event => event.SUMMARY)).toEqual(['Assessment']);
+        expect(calendar.skipped).toEqual([{ originalAppointmentIndex: 2, service: 'Intervention (Direct)', reason: 'daily_shape' }]);
+    });
+
+    test('should fold long lines at 75 octets', () => {
+        const selection = buildSelection();
+        selection.structured_response.appointments[0].note = `Bring the assessment forms 📋 ${'and the consent paperwork '.repeat(5)}`;
+
+        const { content } = exporter.exportFeed(selection, sdmData, { feed: 'participant', now });
+
+        expect(content.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(parseEvents(content)[0].DESCRIPTION).toBe(selection.structured_response.appointments[0].note);
+    });
+
+    test('should reject unknown feeds and invalid selections', () => {
+        expect(() => exporter.exportFeed(buildSelection(), sdmData, { feed: 'coordinator' })).toThrow('Invalid calendar feed "coordinator"');
+        expect(() => exporter.exportFeed({}, sdmData)).toThrow('missing structured_response.appointments');
+    });
+});
@@ -5,241 +5,1148 @@ import { PractitionerAvailabilityCalculator } from './practitioner-availability.
 import { AppointmentSuggestionEngine } from './appointment-suggestion-engine.js';
 import { ConflictChecker } from './conflict-checker.js';
 import { AppointmentSelector } from './appointment-selector.js';
-import { getTimezoneAbbr } from './utils/timezone-utils.js';
+import { DeterministicSelector } from './deterministic-selector.js';
+import { AppointmentBooker } from './appointment-booker.js';
+import { SDMValidator, SDMValidationError } from './sdm-validator.js';
+import { getTimezoneAbbr, getLocalTimeParts } from './utils/timezone-utils.js';
+import { resolveTravelPolicy } from './utils/travel-policy.js';
+import { PractitionerMatcher, POOL_STRATEGIES, normalizePool } from './practitioner-matcher.js';
+import { BudgetTracker } from './budget-tracker.js';
+import { RecurrenceEngine } from './recurrence-engine.js';
+import { getLogger, getRunContext, runWithContext } from './utils/logger.js';
+import { getActiveRedactor, withRedactor, redactLogText } from './utils/pii-redactor.js';
+import { createLimiter, resolveResilienceSettings } from './utils/resilience.js';
+import { RunStore, isRunStoreEnabled } from './run-store.js';
+import { summarizePromptSavings } from './utils/availability-prefilter.js';
+import { PreferenceParser, parsePreferences, hasPreferences, describePreferences } from './preference-parser.js';
+import { SchedulingPolicySet, isLastParticipantOfDay } from './utils/scheduling-policy.js';
+
+const logger = getLogger('master-scheduler');
+
+// Pipeline steps reported through the onProgress callback
+const PIPELINE_STEPS = {
+    1: 'SDM extraction',
+    2: 'Availability',
+    3: 'Suggestions + conflicts',
+    4: 'Selection',
+    5: 'Results generation'
+};
+
+// Span name for each pipeline step
+const PIPELINE_SPANS = {
+    1: 'pipeline.extraction',
+    2: 'pipeline.availability',
+    3: 'pipeline.suggestions',
+    4: 'pipeline.selection',
+    5: 'pipeline.results'
+};
+
+// Checkpoint saved to the run store for each pipeline step
+const PIPELINE_CHECKPOINTS = {
+    1: 'extraction',
+    2: 'availability',
+    3: 'suggestions',
+    4: 'selection',
+    5: 'results'
+};
+
+// How step 4 picks appointments: LLM only, solver only, solver when the LLM fails, or both compared
+const SELECTION_MODES = ['llm', 'deterministic', 'fallback', 'cross_check'];
 
 class MasterScheduler {
-    constructor() {
-        console.log('🚀 Initializing Master Scheduler...');
-        this.availabilityCalculator = new PractitionerAvailabilityCalculator();
-        this.suggestionEngine = new AppointmentSuggestionEngine();
-        this.conflictChecker = new ConflictChecker();
-        this.appointmentSelector = new AppointmentSelector();
-        console.log('✅ All scheduling components initialized');
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {string} options.selectionMode - One of SELECTION_MODES (defaults to SELECTION_MODE env or 'llm')
+     * @param {number} options.extractionRetries - LLM re-prompts when extracted SDM data fails validation (default 1, 0 stops immediately)
+     * @param {string} options.travelPolicy - Where travel sits around sessions: split, before, after or both (defaults to TRAVEL_POLICY env or 'split')
+     * @param {string} options.suggestionMode - Where step 3 suggestions come from: generator, rerank or llm (defaults to SUGGESTION_MODE env or 'generator')
+     * @param {string} options.preferenceParser - How participant day and time preferences are read: auto, deterministic or llm (defaults to PREFERENCE_PARSER env or 'auto')
+     * @param {string} options.schedulingPolicy - Scheduling policy used for every practitioner (defaults to SCHEDULING_POLICY env, else picked per practitioner)
+     * @param {string} options.schedulingBrand - Brand whose scheduling policy applies to practitioners without their own (defaults to SCHEDULING_BRAND env)
+     * @param {string} options.schedulingPolicyFile - Scheduling policy file (defaults to SCHEDULING_POLICY_FILE env or config/scheduling-policies.json)
+     * @param {Function} options.onProgress - Called with { step, name, status, ... } as each pipeline step starts, progresses, completes or fails
+     * @param {Object} options.availabilityCalculator - Availability source for step 2, e.g. a shared AvailabilityLedger (defaults to PractitionerAvailabilityCalculator)
+     * @param {number} options.suggestionConcurrency - Step 3 suggestion calls in flight at once (defaults to LLM_CONCURRENCY or 4)
+     * @param {RunStore|null} options.runStore - Where runs are persisted for history and resume (defaults to a RunStore
+     *                                           when RUN_STORE is on; null turns storage off)
+     */
+    constructor(options = {}) {
+        this.selectionMode = options.selectionMode || process.env.SELECTION_MODE || 'llm';
+        if (!SELECTION_MODES.includes(this.selectionMode)) {
+            throw new Error(`Invalid selection mode "${this.selectionMode}". Expected one of: ${SELECTION_MODES.join(', ')}`);
+        }
+        this.extractionRetries = options.extractionRetries ?? 1;
+        this.travelPolicy = resolveTravelPolicy(options.travelPolicy);
+        this.onProgress = options.onProgress || null;
+        // Shared by every processAppointments call, so pool subsets running side by side respect one cap
+        this.suggestionLimiter = createLimiter(resolveResilienceSettings('llm', { concurrency: options.suggestionConcurrency }).concurrency);
+        this.runStore = options.runStore !== undefined ? options.runStore : (isRunStoreEnabled() ? new RunStore() : null);
+        this.schedulingPolicies = new SchedulingPolicySet({ file: options.schedulingPolicyFile, policy: options.schedulingPolicy, brand: options.schedulingBrand });
+
+        this.sdmValidator = new SDMValidator();
+        this.preferenceParser = new PreferenceParser({ parser: options.preferenceParser });
+        this.budgetTracker = new BudgetTracker();
+        this.recurrenceEngine = new RecurrenceEngine();
+        this.availabilityCalculator = options.availabilityCalculator || new PractitionerAvailabilityCalculator();
+        this.suggestionEngine = new AppointmentSuggestionEngine({ travelPolicy: this.travelPolicy, suggestionMode: options.suggestionMode, policies: this.schedulingPolicies });
+        this.suggestionMode = this.suggestionEngine.suggestionMode;
+        this.conflictChecker = new ConflictChecker({ travelPolicy: this.travelPolicy });
+        this.appointmentSelector = new AppointmentSelector({ travelPolicy: this.travelPolicy, policies: this.schedulingPolicies });
+        this.deterministicSelector = new DeterministicSelector({ travelPolicy: this.travelPolicy, policies: this.schedulingPolicies });
+        logger.debug(`Scheduling components initialized (selection mode: ${this.selectionMode}, suggestion mode: ${this.suggestionMode}, travel policy: ${this.travelPolicy})`);
     }
 
     /**
-     * Complete end-to-end scheduling process
-     * @param {string} sdmInput - Raw SDM data string
+     * Complete end-to-end scheduling process. Every record logged during the run carries the
+     * same run ID (also returned as summary.runId) and each pipeline step is traced as a span.
+     * One PII redactor covers every LLM prompt in the run; its audit log is returned as redaction.
+     * With a run store the run is persisted step by step (summary.storedRunId) and can be resumed.
+     * @param {string|Object} sdmInput - Raw SDM data string, or a { sdmData, validation } result from extractSDMData to skip extraction
      * @param {string} schedulingInstructions - Additional scheduling instructions
      * @param {number} practitionerId - ID of the practitioner to schedule with
-     * @param {string} startDate - Start date for availability calculation (YYYY-MM-DD)
-     * @param {string} endDate - End date for availability calculation (YYYY-MM-DD)
+     * @param {string} startDate - Overrides the availability start date derived from the SDM appointments (YYYY-MM-DD)
+     * @param {string} endDate - Overrides the availability end date derived from the SDM appointments (YYYY-MM-DD)
      * @returns {Object} Complete scheduling results
      */
-    async scheduleAppointments(sdmInput, schedulingInstructions = '', practitionerId = 46932, startDate = '2025-08-01', endDate = '2025-08-31') {
+    async scheduleAppointments(sdmInput, schedulingInstructions = '', practitionerId = 46932, startDate = null, endDate = null) {
+        return runWithContext({}, () => withRedactor(() => this.runScheduling(sdmInput, schedulingInstructions, practitionerId, startDate, endDate)));
+    }
+
+    /**
+     * Run the five pipeline steps for one practitioner (see scheduleAppointments)
+     * @param {RunRecord} resumedRun - Stored run being resumed, whose completed steps are reused
+     */
+    async runScheduling(sdmInput, schedulingInstructions, practitionerId, startDate, endDate, resumedRun = null) {
         const totalStartTime = Date.now();
-        
-        console.log('='.repeat(60));
-        console.log('🚀 MASTER SCHEDULER - END-TO-END APPOINTMENT SCHEDULING');
-        console.log('='.repeat(60));
-        console.log(`⚙️  Configuration: Practitioner ${practitionerId}`);
-        console.log(`⏰ Started at: ${new Date().toLocaleString()}`);
-        console.log(`📅 Date range will be determined from SDM data`);
-        console.log();
-        
+        const run = resumedRun || this.storeRun('single', { sdmInput, schedulingInstructions, practitionerId, startDate, endDate });
+        logger.info(`Master scheduler started for practitioner ${practitionerId}`, {
+            practitionerId,
+            selectionMode: this.selectionMode,
+            dateRange: startDate || endDate ? `${startDate || 'from SDM'} to ${endDate || 'from SDM'}` : 'from SDM'
+        });
+
         try {
             // Step 1: Extract structured data from SDM
-            const step1StartTime = Date.now();
-            console.log('📋 STEP 1: EXTRACTING STRUCTURED DATA FROM SDM');
-            console.log('-'.repeat(50));
-            const sdmData = await convertSDMToStructured(sdmInput);
-            const step1Duration = ((Date.now() - step1StartTime) / 1000).toFixed(2);
-            // Extract appointment date range from SDM data
-            const appointmentDates = sdmData.appointments.flatMap(apt => [apt.dateRangeStart, apt.dateRangeEnd]);
-            const validDates = appointmentDates.filter(date => date && date !== 'undefined');
-            const earliestDate = validDates.length > 0 ? validDates.reduce((min, date) => date < min ? date : min) : startDate;
-            const latestDate = validDates.length > 0 ? validDates.reduce((max, date) => date > max ? date : max) : endDate;
-            
-            console.log(`✅ Extracted ${sdmData.appointments.length} appointments for ${sdmData.participant.participantName}`);
-            console.log(`📅 Plan period: ${sdmData.planDetails.planStartDate} to ${sdmData.planDetails.planEndDate}`);
-            console.log(`📅 Appointment range: ${earliestDate} to ${latestDate}`);
-            console.log(`💰 Budget: $${sdmData.planDetails.totalPlanBudget} (${sdmData.planDetails.totalPlanBudgetHours} hours)`);
-            console.log(`⏱️  Step 1 completed in ${step1Duration}s`);
-            console.log();
+            const { sdmData, validation: sdmValidation } = await this.runStep(1, async (span) => {
+                const extraction = await this.extractSDMData(sdmInput);
+                span.setAttributes({ appointments: extraction.sdmData.appointments.length });
+                return extraction;
+            }, run);
+            run?.update({ participant: sdmData.participant.participantName, appointments: sdmData.appointments.length });
+            const { earliestDate, latestDate } = this.getAppointmentDateRange(sdmData, startDate, endDate);
+            logger.info(redactLogText(`Extracted ${sdmData.appointments.length} appointments for ${sdmData.participant.participantName}`, sdmData.participant), {
+                planPeriod: `${sdmData.planDetails.planStartDate} to ${sdmData.planDetails.planEndDate}`,
+                appointmentRange: `${earliestDate} to ${latestDate}`,
+                planBudget: sdmData.planDetails.totalPlanBudget,
+                planBudgetHours: sdmData.planDetails.totalPlanBudgetHours
+            });
 
             // Step 2: Get practitioner availability
-            const step2StartTime = Date.now();
-            console.log('📅 STEP 2: CALCULATING PRACTITIONER AVAILABILITY');
-            console.log('-'.repeat(50));
-            console.log(`🔍 Using dynamic date range from appointments: ${earliestDate} to ${latestDate}`);
-            const availability = await this.availabilityCalculator.calculateAvailability(
-                practitionerId, 
-                earliestDate, 
-                latestDate
-            );
-            const step2Duration = ((Date.now() - step2StartTime) / 1000).toFixed(2);
-            console.log(`✅ Found ${availability.summary.totalFreeSlots} free slots`);
-            console.log(`⏰ Total available time: ${availability.summary.totalFreeMinutes} minutes`);
-            console.log(`📊 Average slot duration: ${(availability.summary.totalFreeMinutes / availability.summary.totalFreeSlots).toFixed(0)} minutes`);
-            console.log(`⏱️  Step 2 completed in ${step2Duration}s`);
-            console.log();
+            const availability = await this.runStep(2, async (span) => {
+                span.setAttributes({ practitionerId, startDate: earliestDate, endDate: latestDate });
+                const result = await this.availabilityCalculator.calculateAvailability(practitionerId, earliestDate, latestDate);
+                span.setAttributes({ freeSlots: result.summary.totalFreeSlots, freeMinutes: result.summary.totalFreeMinutes });
+                return result;
+            }, run);
+            logger.info(`Found ${availability.summary.totalFreeSlots} free slots (${availability.summary.totalFreeMinutes} minutes) from ${earliestDate} to ${latestDate}`);
 
             // Step 3: Process appointments in parallel
-            const step3StartTime = Date.now();
-            console.log('🤖 STEP 3: PROCESSING APPOINTMENTS (PARALLEL)');
-            console.log('-'.repeat(50));
-            
-            const appointmentPromises = sdmData.appointments.map(async (appointment, index) => {
-                console.log(`📝 [${index + 1}/${sdmData.appointments.length}] Processing: ${appointment.service}`);
-                
-                // Prepare case details (everything except appointments)
-                const caseDetails = {
-                    participant: sdmData.participant,
-                    planDetails: sdmData.planDetails,
-                    servicePlanning: sdmData.servicePlanning
-                };
-
-                // Get suggestions from AI
-                const suggestions = await this.suggestionEngine.suggestAppointments(
-                    appointment,
-                    caseDetails,
-                    JSON.stringify(availability, null, 2),
-                    schedulingInstructions
-                );
-
-                // Check for conflicts and get enhanced suggestions with conflict status
-                const enhancedSuggestions = this.conflictChecker.checkConflicts(availability, suggestions);
-
-                console.log(`   ✅ [${index + 1}] Generated ${enhancedSuggestions.summary.totalAppointmentsSuggested} suggestions`);
-                console.log(`   🔍 [${index + 1}] Conflict check: ${enhancedSuggestions.summary.totalValid} valid, ${enhancedSuggestions.summary.totalConflicted} conflicted`);
-                
-                // Debug: Show all suggestions with conflict status (now directly available)
-                if (enhancedSuggestions.suggestedAppointments && enhancedSuggestions.suggestedAppointments.length > 0) {
-                    console.log(`   📋 [${index + 1}] Suggestions for ${appointment.service}:`);
-                    enhancedSuggestions.suggestedAppointments.forEach((suggestion, sugIndex) => {
-                        const status = suggestion.hasConflict ? '❌' : '✅';
-                        const startDate = new Date(suggestion.start);
-                        const endDate = new Date(suggestion.end);
-                        
-                        // UTC time with date
-                        const utcStart = startDate.toISOString().substring(0, 16).replace('T', ' ');
-                        const utcEnd = endDate.toISOString().substring(11, 16);
-                        const utcTime = `${utcStart}-${utcEnd}`;
-                        
-                        // Use practitioner's actual timezone
-                        const practitionerTimezone = availability.practitionerTimezone || 'Australia/Melbourne';
-                        const timezoneAbbr = getTimezoneAbbr(practitionerTimezone);
-                        
-                        // Local time in practitioner's timezone
-                        const localStart = startDate.toLocaleString('en-AU', { 
-                            month: 'short', 
-                            day: 'numeric',
-                            hour: '2-digit', 
-                            minute: '2-digit',
-                            hour12: false,
-                            timeZone: practitionerTimezone 
-                        });
-                        const localEnd = endDate.toLocaleString('en-AU', { 
-                            hour: '2-digit', 
-                            minute: '2-digit',
-                            hour12: false,
-                            timeZone: practitionerTimezone 
-                        });
-                        
-                        const dayOfWeek = startDate.toLocaleDateString('en-US', { weekday: 'short', timeZone: practitionerTimezone });
-                        console.log(`      ${sugIndex + 1}. ${status} ${dayOfWeek} ${localStart}-${localEnd} ${timezoneAbbr} | ${utcTime} UTC (${suggestion.confidence})`);
-                    });
-                }
-
-                return {
-                    appointment,
-                    suggestions: enhancedSuggestions,
-                    index
-                };
-            });
-
-            const appointmentResults = await Promise.all(appointmentPromises);
-            const step3Duration = ((Date.now() - step3StartTime) / 1000).toFixed(2);
-            console.log(`✅ Completed parallel processing of ${appointmentResults.length} appointments`);
-            console.log(`⏱️  Step 3 completed in ${step3Duration}s`);
-            console.log();
+            const appointmentResults = await this.runStep(3, () => this.processAppointments(sdmData, availability, schedulingInstructions), run);
 
             // Step 4: Select optimal appointments
-            const step4StartTime = Date.now();
-            console.log('🎯 STEP 4: AI APPOINTMENT SELECTION');
-            console.log('-'.repeat(50));
-            
-            const suggestionResults = appointmentResults.map(result => result.suggestions);
-            
-            const selectionResult = await this.appointmentSelector.selectAppointments(
-                sdmData,
-                suggestionResults,
-                availability,
-                schedulingInstructions
-            );
-
-            const step4Duration = ((Date.now() - step4StartTime) / 1000).toFixed(2);
-            console.log(`✅ Selection completed with status: ${selectionResult.status.toUpperCase()}`);
-            console.log(`📋 Selected ${selectionResult.structured_response.appointments.length}/${sdmData.appointments.length} appointments`);
-            console.log(`⚠️  ${selectionResult.structured_response.issues.length} issues requiring attention`);
-            console.log(`⏱️  Step 4 completed in ${step4Duration}s`);
-            console.log();
+            const { selectionResult, budget, cadence } = await this.runStep(4, async (span) => {
+                const suggestionResults = appointmentResults.map(result => result.suggestions);
+                const budgeted = await this.applyBudget(
+                    sdmData,
+                    this.addSuggestionFailureIssues(await this.selectAppointments(sdmData, suggestionResults, availability, schedulingInstructions), appointmentResults),
+                    [practitionerId]
+                );
+                span.setAttributes({
+                    status: budgeted.selectionResult.status,
+                    selected: budgeted.selectionResult.structured_response.appointments.length,
+                    issues: budgeted.selectionResult.structured_response.issues.length
+                });
+                const getTimezone = () => availability.practitionerTimezone;
+                const selection = await this.validateDailyShape(sdmData, this.flagPreferenceViolations(sdmData, budgeted.selectionResult, getTimezone), getTimezone);
+                return { ...budgeted, selectionResult: selection, cadence: this.analyseCadence(sdmData, selection, availability.practitionerTimezone) };
+            }, run);
+            logger.info(`Selection ${selectionResult.status.toUpperCase()}: ${selectionResult.structured_response.appointments.length}/${sdmData.appointments.length} appointments, ${selectionResult.structured_response.issues.length} issue(s)`);
 
             // Step 5: Generate comprehensive results
-            const step5StartTime = Date.now();
-            console.log('📊 STEP 5: GENERATING COMPREHENSIVE RESULTS');
-            console.log('-'.repeat(50));
-            const results = {
+            const promptSavings = this.getPromptSavings(appointmentResults);
+            const results = await this.runStep(5, async () => ({
                 summary: {
                     participant: sdmData.participant.participantName,
                     totalAppointmentsRequired: sdmData.appointments.length,
-                    totalAppointmentsSelected: selectionResult.structured_response.appointments.length,
+                    totalAppointmentsSelected: selectionResult.structured_response.appointments.filter(apt => !apt.hasConflict && !apt.exceedsBudget).length,
                     totalIssues: selectionResult.structured_response.issues.length,
+                    totalValidationWarnings: sdmValidation.warnings.length,
+                    totalPreferenceViolations: selectionResult.structured_response.appointments.filter(apt => apt.preferenceViolations?.length > 0).length,
+                    totalDailyShapeViolations: selectionResult.structured_response.appointments.filter(apt => apt.dailyShapeViolations?.length > 0).length,
+                    withinBudget: budget.withinBudget && budget.withinHours,
+                    remainingBudget: budget.remainingBudget,
                     status: selectionResult.status,
+                    selectionMode: this.selectionMode,
+                    suggestionMode: this.suggestionMode,
+                    schedulingPolicy: this.schedulingPolicies.forPractitioner(practitionerId).label,
+                    runId: getRunContext().runId,
+                    storedRunId: run?.id ?? null,
                     processingTimestamp: new Date().toISOString()
                 },
                 sdmData,
+                sdmValidation: {
+                    warnings: sdmValidation.warnings,
+                    corrections: sdmValidation.corrections
+                },
+                budget,
+                cadence,
+                redaction: this.getRedactionAudit(),
+                promptSavings,
                 availability: {
                     practitionerId,
+                    practitionerTimezone: availability.practitionerTimezone,
                     dateRange: { startDate: earliestDate, endDate: latestDate },
                     totalFreeSlots: availability.summary.totalFreeSlots,
                     totalFreeMinutes: availability.summary.totalFreeMinutes
                 },
                 appointmentResults,
                 selection: selectionResult,
-                humanReadableReport: this.generateHumanReadableReport(selectionResult, sdmData, availability.practitionerTimezone)
-            };
+                humanReadableReport: this.generateHumanReadableReport(selectionResult, sdmData, availability.practitionerTimezone, sdmValidation, null, budget, cadence, promptSavings)
+            }), run);
+            this.completeStoredRun(run, results);
 
-            const step5Duration = ((Date.now() - step5StartTime) / 1000).toFixed(2);
-            console.log('✅ Results compilation completed');
-            console.log('📄 Human-readable report generated with AEST timezone');
-            console.log(`⏱️  Step 5 completed in ${step5Duration}s`);
-            console.log();
-            
-            // Total timing summary
             const totalDuration = ((Date.now() - totalStartTime) / 1000).toFixed(2);
-            console.log('='.repeat(60));
-            console.log('🎉 MASTER SCHEDULER COMPLETED SUCCESSFULLY!');
-            console.log('='.repeat(60));
-            console.log('⏰ TIMING SUMMARY:');
-            console.log(`   Step 1 (SDM Extraction): ${step1Duration}s`);
-            console.log(`   Step 2 (Availability): ${step2Duration}s`);
-            console.log(`   Step 3 (Suggestions + Conflicts): ${step3Duration}s`);
-            console.log(`   Step 4 (AI Selection): ${step4Duration}s`);
-            console.log(`   Step 5 (Results Generation): ${step5Duration}s`);
-            console.log(`   📊 TOTAL TIME: ${totalDuration}s`);
-            console.log(`   🏁 Finished at: ${new Date().toLocaleString()}`);
-            console.log('='.repeat(60));
+            logger.info(`Master scheduler completed in ${totalDuration}s`, { status: results.summary.status, durationMs: Date.now() - totalStartTime });
+            return results;
+
+        } catch (error) {
+            logger.error(`Master scheduler failed: ${error.message}`, { errorType: error.name });
+            this.failStoredRun(run, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Audit log of the identifiers redacted from this run's LLM prompts, also written to the run's log
+     * @returns {Object|null} Audit log from PIIRedactor.getAuditLog, or null outside a run
+     */
+    getRedactionAudit() {
+        const redactor = getActiveRedactor();
+        if (!redactor) return null;
+
+        const audit = redactor.getAuditLog();
+        if (audit.enabled) {
+            logger.info(`Redacted ${audit.totalRedactions} identifier occurrence(s) from LLM prompts`, { redaction: audit });
+        }
+        return audit;
+    }
+
+    /**
+     * Tokens saved by pre-filtering availability in this run's suggestion prompts
+     * @param {Array} appointmentResults - Step 3 results, whose suggestions carry availabilityPrompt stats
+     * @returns {Object|null} Totals from summarizePromptSavings, or null when no prompt embedded availability
+     */
+    getPromptSavings(appointmentResults) {
+        const stats = appointmentResults.map(result => result.suggestions?.availabilityPrompt).filter(Boolean);
+        if (stats.length === 0) return null;
+
+        const savings = summarizePromptSavings(stats);
+        logger.info(`Availability pre-filtering saved ~${savings.tokensSaved} prompt tokens (${savings.percentSaved}%)`, { promptSavings: savings });
+        return savings;
+    }
+
+    /**
+     * Run one pipeline step inside a 'pipeline.<step>' span, reporting it to the onProgress callback.
+     * With a stored run the result is checkpointed, and a step the run already completed is read
+     * back from its checkpoint instead of being run again.
+     * @param {number} step - Pipeline step (1-5)
+     * @param {Function} fn - Step body, receiving the span
+     * @param {RunRecord|null} run - Stored run to checkpoint into
+     * @returns {Promise<*>} The step's result
+     */
+    async runStep(step, fn, run = null) {
+        const checkpoint = PIPELINE_CHECKPOINTS[step];
+        if (run?.hasStep(checkpoint)) {
+            logger.info(`Step ${step} (${PIPELINE_STEPS[step]}) restored from stored run ${run.id}`, { step, storedRunId: run.id });
+            this.reportProgress(step, 'completed', { durationSeconds: 0, restored: true });
+            return run.loadStep(checkpoint);
+        }
+
+        this.reportProgress(step, 'started');
+        const startTime = Date.now();
+        try {
+            const result = await logger.span(PIPELINE_SPANS[step], { step, selectionMode: this.selectionMode }, fn);
+            run?.saveStep(checkpoint, result);
+            this.reportProgress(step, 'completed', { durationSeconds: Number(((Date.now() - startTime) / 1000).toFixed(2)) });
+            return result;
+        } catch (error) {
+            this.reportProgress(step, 'failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Start persisting a run when a run store is configured
+     * @param {string} kind - 'single' or 'pool'
+     * @param {Object} input - SDM input and scheduling parameters needed to resume the run
+     * @returns {RunRecord|null} Stored run
+     */
+    storeRun(kind, input) {
+        if (!this.runStore) return null;
+        const run = this.runStore.create({
+            kind,
+            runId: getRunContext().runId,
+            input,
+            settings: {
+                selectionMode: this.selectionMode,
+                suggestionMode: this.suggestionMode,
+                travelPolicy: this.travelPolicy,
+                schedulingPolicy: this.schedulingPolicies.policy,
+                schedulingBrand: this.schedulingPolicies.brand
+            }
+        });
+        logger.info(`Storing run as ${run.id} in ${run.directory}`, { storedRunId: run.id });
+        return run;
+    }
+
+    /**
+     * Mark a stored run completed and write its report
+     * @param {RunRecord|null} run - Stored run
+     * @param {Object} results - Scheduling results
+     */
+    completeStoredRun(run, results) {
+        if (!run) return;
+        run.complete(results);
+        logger.info(`Run ${run.id} saved to ${run.directory}`, { storedRunId: run.id });
+    }
+
+    /**
+     * Mark a stored run failed, keeping its checkpoints for a resume
+     * @param {RunRecord|null} run - Stored run
+     * @param {Error} error - Scheduling failure
+     */
+    failStoredRun(run, error) {
+        if (!run) return;
+        try {
+            run.fail(error);
+            logger.info(`Run ${run.id} failed with ${run.meta.completedSteps.length} step(s) saved - resume with: node scripts/cli.js runs resume ${run.id}`, { storedRunId: run.id });
+        } catch (storeError) {
+            // Report the scheduling failure, not the store failure
+            logger.warn(`Could not record failure of run ${run.id}: ${storeError.message}`, { storedRunId: run.id });
+        }
+    }
+
+    /**
+     * Resume a stored run that crashed or failed. Steps it completed are read back from their
+     * checkpoints, so Windmill and the LLMs are only called for the remaining steps. Logs keep
+     * the original run ID.
+     * @param {string} storedRunId - Stored run ID (summary.storedRunId, or the runs list)
+     * @returns {Object} Complete scheduling results
+     */
+    async resumeRun(storedRunId) {
+        if (!this.runStore) {
+            throw new Error('Run store is off - set RUN_STORE=on to resume runs');
+        }
+        const run = this.runStore.load(storedRunId);
+        if (run.meta.status === 'completed') {
+            throw new Error(`Run ${storedRunId} already completed - nothing to resume`);
+        }
+        const input = this.runStore.loadInput(storedRunId);
+
+        return runWithContext({ runId: run.meta.runId || undefined }, () => withRedactor(() => {
+            logger.info(`Resuming run ${run.id} (${run.meta.status}, ${run.meta.completedSteps.length} step(s) saved)`, { storedRunId: run.id });
+            run.resume();
+            return run.meta.kind === 'pool'
+                ? this.runPoolScheduling(input.sdmInput, input.schedulingInstructions, input.practitionerPool, input.options, run)
+                : this.runScheduling(input.sdmInput, input.schedulingInstructions, input.practitionerId, input.startDate, input.endDate, run);
+        }));
+    }
+
+
+    /**
+     * Schedule against a pool of practitioners: fetch every practitioner's availability in parallel,
+     * rank them on fit, then give the whole plan to the best fit (best_fit) or each service to its
+     * best fit (split) and run suggestion and selection per assigned practitioner
+     * @param {string|Object} sdmInput - Raw SDM data string, or a { sdmData, validation } result from extractSDMData
+     * @param {string} schedulingInstructions - Additional scheduling instructions
+     * @param {Array<number|Object>} practitionerPool - Practitioner IDs or { practitionerId, previousSessions, locationIds }
+     * @param {Object} options - Pool options
+     * @param {string} options.strategy - One of POOL_STRATEGIES (default 'best_fit')
+     * @param {string} options.startDate - Overrides the availability start date derived from the SDM appointments
+     * @param {string} options.endDate - Overrides the availability end date derived from the SDM appointments
+     * @param {Array<number>} options.preferredLocationIds - Locations convenient for the participant
+     * @param {Object} options.weights - Fit weight overrides (see FIT_WEIGHTS)
+     * @returns {Object} Scheduling results with practitionerMatching and per-appointment practitionerId
+     */
+    async schedulePractitionerPool(sdmInput, schedulingInstructions = '', practitionerPool = [], options = {}) {
+        const { strategy = 'best_fit' } = options;
+        if (!POOL_STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid pool strategy "${strategy}". Expected one of: ${POOL_STRATEGIES.join(', ')}`);
+        }
+        return runWithContext({}, () => withRedactor(() => this.runPoolScheduling(sdmInput, schedulingInstructions, practitionerPool, options)));
+    }
+
+    /**
+     * Run the pipeline steps across a practitioner pool (see schedulePractitionerPool)
+     * @param {RunRecord} resumedRun - Stored run being resumed, whose completed steps are reused
+     */
+    async runPoolScheduling(sdmInput, schedulingInstructions, practitionerPool, options, resumedRun = null) {
+        const { strategy = 'best_fit', startDate = null, endDate = null } = options;
+        const entries = normalizePool(practitionerPool);
+        const matcher = new PractitionerMatcher({ weights: options.weights, preferredLocationIds: options.preferredLocationIds });
+        const run = resumedRun || this.storeRun('pool', { sdmInput, schedulingInstructions, practitionerPool, options });
+
+        logger.info(`Pool scheduling started: ${entries.map(entry => entry.practitionerId).join(', ')} (strategy: ${strategy})`, {
+            practitionerIds: entries.map(entry => entry.practitionerId),
+            strategy,
+            selectionMode: this.selectionMode
+        });
+
+        try {
+            const { sdmData, validation: sdmValidation } = await this.runStep(1, () => this.extractSDMData(sdmInput), run);
+            run?.update({ participant: sdmData.participant.participantName, appointments: sdmData.appointments.length });
+            const { earliestDate, latestDate } = this.getAppointmentDateRange(sdmData, startDate, endDate);
+            logger.info(redactLogText(`Extracted ${sdmData.appointments.length} appointments for ${sdmData.participant.participantName}`, sdmData.participant));
+
+            const { availabilities, unavailablePractitioners, rankings, assignments } = await this.runStep(2, async (span) => {
+                span.setAttributes({ practitionerIds: entries.map(entry => entry.practitionerId), startDate: earliestDate, endDate: latestDate });
+                const availabilityResults = await Promise.allSettled(entries.map(entry =>
+                    this.availabilityCalculator.calculateAvailability(entry.practitionerId, earliestDate, latestDate)
+                ));
+                const available = new Map();
+                const unavailable = [];
+                availabilityResults.forEach((result, index) => {
+                    const { practitionerId } = entries[index];
+                    if (result.status === 'fulfilled') {
+                        available.set(practitionerId, result.value);
+                        logger.info(`Practitioner ${practitionerId}: ${result.value.summary.totalFreeSlots} free slots, ${result.value.summary.totalFreeMinutes} minutes`, { practitionerId });
+                    } else {
+                        unavailable.push({ practitionerId, error: result.reason.message });
+                        logger.warn(`Practitioner ${practitionerId}: ${result.reason.message}`, { practitionerId });
+                    }
+                });
+                if (available.size === 0) {
+                    throw new Error(`Availability failed for every practitioner in the pool: ${unavailable.map(entry => `${entry.practitionerId} (${entry.error})`).join(', ')}`);
+                }
+
+                const ranked = matcher.rankPractitioners(sdmData, available, entries);
+                const assigned = matcher.assignPractitioners(sdmData, available, entries, strategy);
+                assigned.forEach(assignment => logger.info(redactLogText(assignment.explanation, sdmData.participant), { practitionerId: assignment.practitionerId }));
+                return { availabilities: available, unavailablePractitioners: unavailable, rankings: ranked, assignments: assigned };
+            }, run);
+            const primaryTimezone = availabilities.get(assignments[0].practitionerId).practitionerTimezone;
+
+            const subsets = assignments.map(assignment => ({
+                assignment,
+                availability: availabilities.get(assignment.practitionerId),
+                sdmData: { ...sdmData, appointments: assignment.appointmentIndexes.map(index => sdmData.appointments[index]) }
+            }));
+            const subsetResults = await this.runStep(3, () => {
+                const progress = { completedAppointments: 0, totalAppointments: sdmData.appointments.length };
+                return Promise.all(subsets.map(subset =>
+                    this.processAppointments(subset.sdmData, subset.availability, schedulingInstructions, progress, options.preferredLocationIds)
+                ));
+            }, run);
+            const appointmentResults = subsetResults.flatMap((results, subsetIndex) => results.map(result => ({
+                ...result,
+                practitionerId: subsets[subsetIndex].assignment.practitionerId,
+                index: subsets[subsetIndex].assignment.appointmentIndexes[result.index]
+            }))).sort((a, b) => a.index - b.index);
+
+            const { selectionResult, budget, cadence } = await this.runStep(4, async () => {
+                const selections = await Promise.all(subsets.map((subset, index) =>
+                    this.selectAppointments(subset.sdmData, subsetResults[index].map(result => result.suggestions), subset.availability, schedulingInstructions)
+                ));
+                const getTimezone = apt => availabilities.get(apt.practitionerId)?.practitionerTimezone ?? primaryTimezone;
+                const merged = this.resolvePoolConflicts(sdmData, this.mergePoolSelections(subsets.map(subset => subset.assignment), selections), getTimezone);
+                const budgeted = await this.applyBudget(
+                    sdmData,
+                    this.addSuggestionFailureIssues(merged, appointmentResults),
+                    assignments.map(assignment => assignment.practitionerId)
+                );
+                const selection = await this.validateDailyShape(sdmData, this.flagPreferenceViolations(sdmData, budgeted.selectionResult, getTimezone), getTimezone);
+                return { ...budgeted, selectionResult: selection, cadence: this.analyseCadence(sdmData, selection, primaryTimezone) };
+            }, run);
+
+            const promptSavings = this.getPromptSavings(appointmentResults);
+            const results = await this.runStep(5, async () => {
+                const practitionerMatching = {
+                    strategy,
+                    rankings: rankings.map(({ practitionerId, score, components, requiredMinutes, freeMinutes }) => ({ practitionerId, score, components, requiredMinutes, freeMinutes })),
+                    assignments: assignments.map(({ practitionerId, services, appointmentIndexes, fit, explanation }) => ({ practitionerId, services, appointmentIndexes, fitScore: fit.score, explanation })),
+                    unavailablePractitioners
+                };
+
+                return {
+                    summary: {
+                        participant: sdmData.participant.participantName,
+                        totalAppointmentsRequired: sdmData.appointments.length,
+                        totalAppointmentsSelected: selectionResult.structured_response.appointments.filter(apt => !apt.hasConflict && !apt.exceedsBudget).length,
+                        totalIssues: selectionResult.structured_response.issues.length,
+                        totalValidationWarnings: sdmValidation.warnings.length,
+                        totalPreferenceViolations: selectionResult.structured_response.appointments.filter(apt => apt.preferenceViolations?.length > 0).length,
+                        totalDailyShapeViolations: selectionResult.structured_response.appointments.filter(apt => apt.dailyShapeViolations?.length > 0).length,
+                        withinBudget: budget.withinBudget && budget.withinHours,
+                        remainingBudget: budget.remainingBudget,
+                        status: selectionResult.status,
+                        selectionMode: this.selectionMode,
+                        suggestionMode: this.suggestionMode,
+                        poolStrategy: strategy,
+                        practitionerIds: assignments.map(assignment => assignment.practitionerId),
+                        schedulingPolicies: Object.fromEntries(assignments.map(assignment => [assignment.practitionerId, this.schedulingPolicies.forPractitioner(assignment.practitionerId).label])),
+                        runId: getRunContext().runId,
+                        storedRunId: run?.id ?? null,
+                        processingTimestamp: new Date().toISOString()
+                    },
+                    sdmData,
+                    sdmValidation: {
+                        warnings: sdmValidation.warnings,
+                        corrections: sdmValidation.corrections
+                    },
+                    budget,
+                    cadence,
+                    redaction: this.getRedactionAudit(),
+                    promptSavings,
+                    practitionerMatching,
+                    availability: [...availabilities.values()].map(availability => ({
+                        practitionerId: availability.practitionerId,
+                        practitionerTimezone: availability.practitionerTimezone,
+                        dateRange: { startDate: earliestDate, endDate: latestDate },
+                        totalFreeSlots: availability.summary.totalFreeSlots,
+                        totalFreeMinutes: availability.summary.totalFreeMinutes
+                    })),
+                    appointmentResults,
+                    selection: selectionResult,
+                    humanReadableReport: this.generateHumanReadableReport(selectionResult, sdmData, primaryTimezone, sdmValidation, practitionerMatching, budget, cadence, promptSavings)
+                };
+            }, run);
+            this.completeStoredRun(run, results);
+
+            logger.info(`Pool scheduling completed: ${results.summary.totalAppointmentsSelected}/${sdmData.appointments.length} appointments across ${assignments.length} practitioner(s)`, { status: results.summary.status });
             return results;
 
         } catch (error) {
-            console.error('='.repeat(60));
-            console.error('❌ MASTER SCHEDULER FAILED');
-            console.error('='.repeat(60));
-            console.error('💥 Error:', error.message);
+            logger.error(`Practitioner pool scheduling failed: ${error.message}`, { errorType: error.name });
+            this.failStoredRun(run, error);
             throw error;
         }
     }
 
+    /**
+     * Charge the selection against the plan budget: count existing Splose bookings for the participant,
+     * flag selections that would overspend the budget or hours, add them as issues and downgrade the status
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Array<number>} practitionerIds - Practitioners whose bookings may already spend the plan
+     * @returns {Object} { selectionResult (adjusted), budget }
+     */
+    async applyBudget(sdmData, selectionResult, practitionerIds) {
+        const { structured_response } = selectionResult;
+        const existingBookings = await this.fetchParticipantBookings(structured_response.clientId, practitionerIds, sdmData.planDetails);
+        const committed = this.budgetTracker.calculateCommittedSpend(sdmData, existingBookings);
+        const budget = this.budgetTracker.evaluate(sdmData, structured_response.appointments.filter(apt => !apt.hasConflict), committed);
+
+        logger.info(`Budget: $${budget.totalSpend.toFixed(2)} of $${budget.planBudget.toFixed(2)} committed (${committed.source === 'splose' ? `${committed.bookings.length} existing Splose booking(s)` : 'earlier spend from SDM'}), $${budget.remainingBudget.toFixed(2)} remaining`, { withinBudget: budget.withinBudget, withinHours: budget.withinHours, committedSource: committed.source });
+        if (budget.violations.length === 0) {
+            return { selectionResult, budget };
+        }
+
+        budget.violations.forEach(violation => logger.warn(`${violation.service} (#${violation.originalAppointmentIndex + 1}): ${violation.message}`, { violation: violation.type }));
+        const overIndexes = new Set(budget.violations.map(violation => violation.originalAppointmentIndex));
+        const budgetIssues = [...overIndexes].map(index => {
+            const messages = budget.violations.filter(violation => violation.originalAppointmentIndex === index).map(violation => violation.message);
+            return {
+                appointmentIndex: index,
+                service: sdmData.appointments[index]?.service,
+                issue: `Over plan budget: ${messages.join('; ')}`,
+                recommendation: 'Confirm additional funding or reduce the number or length of sessions before booking'
+            };
+        });
+
+        return {
+            budget,
+            selectionResult: {
+                ...selectionResult,
+                status: this.budgetTracker.adjustStatus(selectionResult.status, budget),
+                structured_response: {
+                    ...structured_response,
+                    appointments: structured_response.appointments.map(apt => (overIndexes.has(apt.originalAppointmentIndex) ? { ...apt, exceedsBudget: true } : apt)),
+                    issues: [...structured_response.issues, ...budgetIssues]
+                }
+            }
+        };
+    }
+
+    /**
+     * Flag selected appointments that break the participant's day or time preferences. Reporting
+     * sessions are skipped because the participant does not attend them.
+     * @param {Object} sdmData - Extracted SDM data with parsed preferences
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Function} getTimezone - Returns the practitioner timezone for a selected appointment
+     * @returns {Object} Selection result with preferenceViolations on the appointments that break a preference
+     */
+    flagPreferenceViolations(sdmData, selectionResult, getTimezone) {
+        const preferences = sdmData.preferences ?? parsePreferences(sdmData.participant);
+        if (!hasPreferences(preferences)) {
+            return selectionResult;
+        }
+
+        const { structured_response } = selectionResult;
+        const appointments = structured_response.appointments.map(apt => {
+            const sdmAppointment = sdmData.appointments[apt.originalAppointmentIndex];
+            if (apt.isReportingSession || sdmAppointment?.isReportingSession) return apt;
+
+            const violations = this.conflictChecker.checkPreferences(apt, preferences, getTimezone(apt));
+            if (violations.length === 0) return apt;
+
+            logger.warn(`${apt.service} (#${apt.originalAppointmentIndex + 1}) is outside participant preferences: ${violations.map(violation => violation.message).join('; ')}`, {
+                hardViolations: violations.filter(violation => violation.strength === 'hard').length
+            });
+            return { ...apt, preferenceViolations: violations };
+        });
+
+        return { ...selectionResult, structured_response: { ...structured_response, appointments } };
+    }
+
+    /**
+     * Check each practitioner day the selection lands on against the practitioner's current Splose
+     * schedule (see ConflictChecker.checkDailyShape), flag the appointments that break the day's shape,
+     * add them as issues and downgrade a successful status when a violation is hard
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Function} getTimezone - Returns the practitioner timezone for a selected appointment
+     * @returns {Object} Selection result with dailyShapeViolations on the appointments that break a daily rule
+     */
+    async validateDailyShape(sdmData, selectionResult, getTimezone) {
+        const { structured_response } = selectionResult;
+        const lastParticipantOfDay = isLastParticipantOfDay(sdmData.servicePlanning);
+        const byPractitioner = new Map();
+        structured_response.appointments.filter(apt => !apt.hasConflict).forEach(apt => {
+            const practitionerId = apt.practitionerId ?? structured_response.practitionerId;
+            byPractitioner.set(practitionerId, [...(byPractitioner.get(practitionerId) || []), apt]);
+        });
+
+        const violations = [];
+        for (const [practitionerId, appointments] of byPractitioner) {
+            const day = 24 * 60 * 60 * 1000;
+            const starts = appointments.map(apt => new Date(apt.start).getTime());
+            const ends = appointments.map(apt => new Date(apt.end).getTime());
+            const startAfter = new Date(Math.min(...starts) - day).toISOString().substring(0, 10);
+            const startBefore = new Date(Math.max(...ends) + day).toISOString().substring(0, 10);
+
+            const schedule = await this.availabilityCalculator.getPractitionerCurrentSchedule(practitionerId, startAfter, startBefore);
+            if (schedule.status === 'error') {
+                logger.warn(`Could not read practitioner ${practitionerId}'s schedule, skipping daily shape check: ${schedule.error_message}`);
+                continue;
+            }
+
+            violations.push(...this.conflictChecker.checkDailyShape(appointments, schedule.data || [], {
+                policy: this.schedulingPolicies.forPractitioner(practitionerId),
+                lastParticipantOfDay,
+                sdmAppointments: sdmData.appointments,
+                timezone: getTimezone(appointments[0])
+            }));
+        }
+
+        if (violations.length === 0) {
+            return selectionResult;
+        }
+
+        violations.forEach(violation => logger.warn(`${sdmData.appointments[violation.originalAppointmentIndex]?.service} (#${violation.originalAppointmentIndex + 1}): ${violation.message}`, { violation: violation.type, strength: violation.strength }));
+        const flaggedIndexes = [...new Set(violations.map(violation => violation.originalAppointmentIndex))];
+        const shapeIssues = flaggedIndexes.map(index => {
+            const forAppointment = violations.filter(violation => violation.originalAppointmentIndex === index);
+            const hard = forAppointment.some(violation => violation.strength === 'hard');
+            return {
+                appointmentIndex: index,
+                service: sdmData.appointments[index]?.service,
+                issue: `Breaks the practitioner's daily schedule: ${forAppointment.map(violation => violation.message).join('; ')}`,
+                recommendation: hard
+                    ? 'Choose another day or time for this session, or confirm the exception with the practitioner before booking'
+                    : 'Confirm with the practitioner that this day works before booking'
+            };
+        });
+        const hasHardViolation = violations.some(violation => violation.strength === 'hard');
+
+        return {
+            ...selectionResult,
+            status: hasHardViolation && selectionResult.status === 'success' ? 'partial_success' : selectionResult.status,
+            structured_response: {
+                ...structured_response,
+                appointments: structured_response.appointments.map(apt => {
+                    const forAppointment = violations.filter(violation => violation.originalAppointmentIndex === apt.originalAppointmentIndex);
+                    return forAppointment.length > 0 ? { ...apt, dailyShapeViolations: forAppointment.map(({ type, strength, message }) => ({ type, strength, message })) } : apt;
+                }),
+                issues: [...structured_response.issues, ...shapeIssues].sort((a, b) => a.appointmentIndex - b.appointmentIndex)
+            }
+        };
+    }
+
+    /**
+     * Compare the cadence a selection achieved with the SDM service frequency
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {string} timezone - Practitioner timezone
+     * @returns {Object|null} Cadence from RecurrenceEngine.analyseCadence, or null when the frequency cannot be read
+     */
+    analyseCadence(sdmData, selectionResult, timezone) {
+        const cadence = this.recurrenceEngine.analyseCadence(sdmData, selectionResult.structured_response.appointments, timezone);
+        if (!cadence) {
+            logger.info(`Service frequency "${sdmData.servicePlanning?.serviceFrequency}" has no regular cadence - skipping cadence check`);
+            return null;
+        }
+
+        logger[cadence.onCadence ? 'info' : 'warn'](`Cadence: expected ${cadence.expected}, achieved ${cadence.achieved ?? 'n/a'} (max drift ${cadence.maxDriftDays ?? 0} day(s))`, { onCadence: cadence.onCadence });
+        return cadence;
+    }
+
+    /**
+     * Existing Splose bookings for the participant within the plan period
+     * @param {number|null} clientId - Splose patient ID from the selection
+     * @param {Array<number>} practitionerIds - Practitioners to read bookings from
+     * @param {Object} planDetails - SDM plan details
+     * @returns {Array<Object>|null} Bookings ({ start, end, cost? }), or null when they cannot be read
+     */
+    async fetchParticipantBookings(clientId, practitionerIds, planDetails) {
+        if (!clientId) {
+            return null;
+        }
+
+        const results = await Promise.all(practitionerIds.map(practitionerId =>
+            this.availabilityCalculator.getPractitionerCurrentSchedule(practitionerId, planDetails.planStartDate, planDetails.planEndDate)
+        ));
+        const failed = results.find(result => result.status === 'error');
+        if (failed) {
+            logger.warn(`Could not read existing bookings, using SDM spend instead: ${failed.error_message}`);
+            return null;
+        }
+
+        return results
+            .flatMap(result => result.data || [])
+            .filter(booking => booking.patientId === clientId)
+            .map(({ start, end, cost }) => ({ start, end, cost }));
+    }
+
+    /**
+     * Combine per-practitioner selection results into one, mapping appointment indexes back to the full SDM
+     * @param {Array<Object>} assignments - Practitioner assignments with appointmentIndexes
+     * @param {Array<Object>} selections - Selection result for each assignment's appointment subset
+     * @returns {Object} Selection result with practitionerId on every appointment, issue and travel block
+     */
+    mergePoolSelections(assignments, selections) {
+        const toOriginal = (assignment, index) => assignment.appointmentIndexes[index] ?? index;
+        const structured = selections.map((selection, subsetIndex) => {
+            const assignment = assignments[subsetIndex];
+            const { practitionerId } = assignment;
+            const response = selection.structured_response;
+            return {
+                appointments: response.appointments.map(apt => ({ ...apt, practitionerId, originalAppointmentIndex: toOriginal(assignment, apt.originalAppointmentIndex) })),
+                issues: response.issues.map(issue => ({ ...issue, practitionerId, appointmentIndex: toOriginal(assignment, issue.appointmentIndex) })),
+                travelBlocks: (response.travelBlocks || []).map(block => ({ ...block, practitionerId, originalAppointmentIndex: toOriginal(assignment, block.originalAppointmentIndex) })),
+                summary: response.schedulePlanSummary
+            };
+        });
+
+        const statuses = selections.map(selection => selection.status);
+        const status = statuses.every(value => value === 'success')
+            ? 'success'
+            : (statuses.every(value => value === 'failure') ? 'failure' : 'partial_success');
+        const [first] = selections;
+        const byPractitioner = (text, index) => (assignments.length > 1 ? `Practitioner ${assignments[index].practitionerId}: ${text}` : text);
+
+        return {
+            natural_response: selections.map((selection, index) => byPractitioner(selection.natural_response, index)).join('\n\n'),
+            structured_response: {
+                ...first.structured_response,
+                // A single booking practitioner only when the whole plan went to one clinician
+                practitionerId: assignments.length === 1 ? assignments[0].practitionerId : null,
+                appointments: structured.flatMap(part => part.appointments).sort((a, b) => a.originalAppointmentIndex - b.originalAppointmentIndex),
+                travelBlocks: structured.flatMap(part => part.travelBlocks),
+                schedulePlanSummary: structured.map((part, index) => byPractitioner(part.summary, index)).join(' '),
+                issues: structured.flatMap(part => part.issues).sort((a, b) => a.appointmentIndex - b.appointmentIndex)
+            },
+            status
+        };
+    }
+
+    /**
+     * Check merged pool selections against each other on the participant side. Each practitioner's subset
+     * is checked on its own, so sessions with different clinicians can still overlap (including travel) or
+     * break the daily limit and session spacing. The earlier appointment keeps its slot, as in
+     * ConflictChecker.checkSelectionConflicts, under the strictest of the pool's policies
+     * @param {Object} sdmData - Extracted SDM data (provides travel time per appointment)
+     * @param {Object} selectionResult - Merged selection result from mergePoolSelections
+     * @param {Function} getTimezone - Returns the timezone of an appointment's practitioner
+     * @returns {Object} Selection result with later clashing selections marked as conflicted and an issue for each
+     */
+    resolvePoolConflicts(sdmData, selectionResult, getTimezone) {
+        const { structured_response } = selectionResult;
+        const { appointments } = structured_response;
+        const practitionerIds = [...new Set(appointments.map(apt => apt.practitionerId))];
+        if (practitionerIds.length < 2) {
+            return selectionResult;
+        }
+
+        const policies = practitionerIds.map(practitionerId => this.schedulingPolicies.forPractitioner(practitionerId));
+        const dailyLimits = policies.map(policy => policy.maxSessionsPerDay).filter(Boolean);
+        const policy = {
+            ...policies[0],
+            label: [...new Set(policies.map(entry => entry.label))].join(' + '),
+            maxSessionsPerDay: dailyLimits.length > 0 ? Math.min(...dailyLimits) : null,
+            minDaysBetweenSessions: Math.max(...policies.map(entry => entry.minDaysBetweenSessions))
+        };
+
+        // Selections already conflicted inside their subset stay as they are and hold no slot.
+        // Day boundaries follow each session's own practitioner timezone
+        const candidates = appointments.filter(apt => !apt.hasConflict);
+        const check = this.conflictChecker.checkSelectionConflicts(
+            candidates.map(apt => (Number.isNaN(new Date(apt.start).getTime()) ? apt : { ...apt, localDate: getLocalTimeParts(new Date(apt.start), getTimezone(apt)).date })),
+            sdmData.appointments,
+            policy
+        );
+        const clashes = new Map(candidates
+            .map((apt, position) => [apt, check.appointments[position]])
+            .filter(([, checked]) => checked.hasConflict));
+        if (clashes.size === 0) {
+            return selectionResult;
+        }
+
+        const practitionerOf = new Map(appointments.map(apt => [apt.originalAppointmentIndex, apt.practitionerId]));
+        const issues = [...clashes].map(([apt, checked]) => {
+            const overlaps = checked.conflictDetails
+                .filter(conflict => conflict.type === 'double_booking')
+                .map(conflict => `appointment #${conflict.conflictingAppointmentIndex + 1} (${conflict.conflictingService}) with practitioner ${practitionerOf.get(conflict.conflictingAppointmentIndex)}`);
+            const policyBreaches = checked.conflictDetails
+                .filter(conflict => conflict.type === 'daily_limit' || conflict.type === 'session_spacing')
+                .map(conflict => conflict.message);
+
+            return {
+                appointmentIndex: apt.originalAppointmentIndex,
+                service: apt.service,
+                practitionerId: apt.practitionerId,
+                issue: overlaps.length > 0
+                    ? `Selected slot is double-booked with ${overlaps.join(', ')}, including travel time`
+                    : `Selected slot breaks the scheduling policy across practitioners: ${policyBreaches.join('; ')}`,
+                recommendation: 'Select a different non-conflicting suggestion for this appointment or re-run the scheduler'
+            };
+        });
+
+        logger.warn(`Detected ${clashes.size} selection(s) clashing across practitioners`, { doubleBooked: clashes.size });
+
+        const conflicted = new Set([...clashes.keys()].map(apt => apt.originalAppointmentIndex));
+        return {
+            ...selectionResult,
+            structured_response: {
+                ...structured_response,
+                appointments: appointments.map(apt => (clashes.has(apt)
+                    ? { ...apt, hasConflict: true, conflictDetails: clashes.get(apt).conflictDetails }
+                    : apt)),
+                travelBlocks: (structured_response.travelBlocks || []).filter(block => !conflicted.has(block.originalAppointmentIndex)),
+                issues: [...structured_response.issues, ...issues].sort((a, b) => a.appointmentIndex - b.appointmentIndex)
+            },
+            status: selectionResult.status === 'success' ? 'partial_success' : selectionResult.status
+        };
+    }
+
+    /**
+     * Extract the availability date range from the SDM appointments
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {string} startDate - Start date override (YYYY-MM-DD)
+     * @param {string} endDate - End date override (YYYY-MM-DD)
+     * @returns {Object} { earliestDate, latestDate }
+     */
+    getAppointmentDateRange(sdmData, startDate = null, endDate = null) {
+        const appointmentDates = sdmData.appointments.flatMap(apt => [apt.dateRangeStart, apt.dateRangeEnd]);
+        const validDates = appointmentDates.filter(date => date && date !== 'undefined');
+        return {
+            earliestDate: startDate || validDates.reduce((min, date) => date < min ? date : min),
+            latestDate: endDate || validDates.reduce((max, date) => date > max ? date : max)
+        };
+    }
+
+    /**
+     * Notify the onProgress callback of a pipeline step event. Callback errors are logged and
+     * never interrupt scheduling.
+     * @param {number} step - Pipeline step (1-5)
+     * @param {string} status - 'started', 'progress', 'completed' or 'failed'
+     * @param {Object} details - Extra event fields (durationSeconds, error, appointment counts)
+     */
+    reportProgress(step, status, details = {}) {
+        if (!this.onProgress) return;
+        try {
+            this.onProgress({ step, name: PIPELINE_STEPS[step], status, timestamp: new Date().toISOString(), ...details });
+        } catch (error) {
+            logger.warn(`Progress callback failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run step 1: extract SDM data and validate it, re-prompting the LLM with the validation
+     * errors when the data cannot be scheduled against, then parse the participant's day and
+     * time preferences into structured constraints (sdmData.preferences)
+     * @param {string|Object} sdmInput - Raw SDM data string, or an earlier extraction result which is returned as is
+     * @returns {Object} { sdmData (with arithmetic corrections applied and preferences), validation }
+     */
+    async extractSDMData(sdmInput) {
+        if (typeof sdmInput === 'object' && sdmInput?.sdmData && sdmInput.validation) {
+            logger.info('Using previously extracted SDM data');
+            return sdmInput;
+        }
+
+        let sdmData = await convertSDMToStructured(sdmInput);
+        let validation = this.sdmValidator.validate(sdmData);
+
+        for (let attempt = 1; !validation.isValid && attempt <= this.extractionRetries; attempt++) {
+            logger.warn(`SDM validation failed with ${validation.errors.length} error(s) - re-prompting extraction (${attempt}/${this.extractionRetries})`, { errors: validation.errors.map(error => error.message) });
+            sdmData = await convertSDMToStructured(sdmInput, { feedback: this.sdmValidator.formatFeedback(validation) });
+            validation = this.sdmValidator.validate(sdmData);
+        }
+
+        if (!validation.isValid) {
+            validation.errors.forEach(error => logger.error(error.message, { code: error.code }));
+            throw new SDMValidationError(`SDM data failed validation with ${validation.errors.length} error(s): ${validation.errors.map(error => error.code).join(', ')}`, validation);
+        }
+
+        validation.corrections.forEach(correction => logger.info(`Corrected ${correction.path}: ${correction.from} → ${correction.to}`));
+        validation.warnings.filter(warning => !warning.corrected).forEach(warning => logger.warn(warning.message));
+
+        const preferences = await this.preferenceParser.parse(validation.data.participant);
+        logger.info(`Participant preferences: ${describePreferences(preferences)}`, { source: preferences.source });
+        return { sdmData: { ...validation.data, preferences }, validation };
+    }
+
+    /**
+     * Run step 3: get suggestions for every SDM appointment in parallel (up to the suggestion
+     * concurrency limit) and check them for conflicts. An appointment whose suggestions fail
+     * gets an empty suggestion set and an error instead of failing the other appointments.
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Object} availability - Practitioner availability data
+     * @param {string} schedulingInstructions - Additional scheduling instructions
+     * @param {Object} progress - Shared { completedAppointments, totalAppointments } counter for progress events
+     * @param {Array<number>} preferredLocationIds - Locations convenient for the participant, favoured by the slot generator
+     * @returns {Array} Per-appointment { appointment, suggestions, index, error? }
+     */
+    async processAppointments(sdmData, availability, schedulingInstructions = '', progress = { completedAppointments: 0, totalAppointments: sdmData.appointments.length }, preferredLocationIds = []) {
+        const preferences = sdmData.preferences ?? parsePreferences(sdmData.participant);
+        const policy = this.schedulingPolicies.forPractitioner(availability.practitionerId);
+        const lastParticipantOfDay = isLastParticipantOfDay(sdmData.servicePlanning);
+        const appointmentPromises = sdmData.appointments.map((appointment, index) => this.suggestionLimiter(async () => {
+            logger.info(`[${index + 1}/${sdmData.appointments.length}] Processing: ${appointment.service}`);
+            
+            // Prepare case details (everything except appointments)
+            const caseDetails = {
+                participant: sdmData.participant,
+                planDetails: sdmData.planDetails,
+                servicePlanning: sdmData.servicePlanning,
+                preferences,
+                ...(preferredLocationIds?.length > 0 ? { preferredLocationIds } : {})
+            };
+
+            // Get suggestions from the slot generator, optionally re-ranked by the LLM (see SUGGESTION_MODE)
+            const suggestions = await this.suggestionEngine.suggestAppointments(
+                appointment,
+                caseDetails,
+                JSON.stringify(availability, null, 2),
+                schedulingInstructions
+            );
+
+            // Check for conflicts (including travel buffers against booked appointments and hard scheduling policy rules) and get
+            // enhanced suggestions with conflict status, flagging suggestions outside the participant's preferences (which do not
+            // apply to reporting sessions)
+            const enhancedSuggestions = this.conflictChecker.checkConflicts(
+                availability,
+                suggestions,
+                appointment.travelTime,
+                appointment.isReportingSession ? null : preferences,
+                { policy, isReportingSession: appointment.isReportingSession, lastParticipantOfDay }
+            );
+
+            logger.info(`[${index + 1}] ${enhancedSuggestions.summary.totalAppointmentsSuggested} suggestions: ${enhancedSuggestions.summary.totalValid} valid, ${enhancedSuggestions.summary.totalConflicted} conflicted`, {
+                service: appointment.service,
+                suggestions: enhancedSuggestions.summary.totalAppointmentsSuggested,
+                valid: enhancedSuggestions.summary.totalValid,
+                conflicted: enhancedSuggestions.summary.totalConflicted
+            });
+            
+            // Debug: Show all suggestions with conflict status (now directly available)
+            if (logger.isLevelEnabled('debug') && enhancedSuggestions.suggestedAppointments && enhancedSuggestions.suggestedAppointments.length > 0) {
+                logger.debug(`[${index + 1}] Suggestions for ${appointment.service}:`);
+                enhancedSuggestions.suggestedAppointments.forEach((suggestion, sugIndex) => {
+                    const status = suggestion.hasConflict ? '❌' : '✅';
+                    const startDate = new Date(suggestion.start);
+                    const endDate = new Date(suggestion.end);
+                    
+                    // UTC time with date
+                    const utcStart = startDate.toISOString().substring(0, 16).replace('T', ' ');
+                    const utcEnd = endDate.toISOString().substring(11, 16);
+                    const utcTime = `${utcStart}-${utcEnd}`;
+                    
+                    // Use practitioner's actual timezone
+                    const practitionerTimezone = availability.practitionerTimezone || 'Australia/Melbourne';
+                    const timezoneAbbr = getTimezoneAbbr(practitionerTimezone);
+                    
+                    // Local time in practitioner's timezone
+                    const localStart = startDate.toLocaleString('en-AU', { 
+                        month: 'short', 
+                        day: 'numeric',
+                        hour: '2-digit', 
+                        minute: '2-digit',
+                        hour12: false,
+                        timeZone: practitionerTimezone 
+                    });
+                    const localEnd = endDate.toLocaleString('en-AU', { 
+                        hour: '2-digit', 
+                        minute: '2-digit',
+                        hour12: false,
+                        timeZone: practitionerTimezone 
+                    });
+                    
+                    const dayOfWeek = startDate.toLocaleDateString('en-US', { weekday: 'short', timeZone: practitionerTimezone });
+                    logger.debug(`   ${sugIndex + 1}. ${status} ${dayOfWeek} ${localStart}-${localEnd} ${timezoneAbbr} | ${utcTime} UTC (${suggestion.confidence})`);
+                });
+            }
+
+            progress.completedAppointments++;
+            this.reportProgress(3, 'progress', { ...progress });
+
+            return {
+                appointment,
+                suggestions: enhancedSuggestions,
+                index
+            };
+        }).catch((error) => {
+            logger.error(`[${index + 1}] Suggestions failed for ${appointment.service}: ${error.message}`, { service: appointment.service, errorType: error.name });
+            progress.completedAppointments++;
+            this.reportProgress(3, 'progress', { ...progress });
+
+            const noSuggestions = { suggestedAppointments: [], summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] } };
+            return {
+                appointment,
+                suggestions: this.conflictChecker.checkConflicts(availability, noSuggestions, appointment.travelTime),
+                index,
+                error: error.message
+            };
+        }));
+
+        return await Promise.all(appointmentPromises);
+    }
+
+    /**
+     * Add an issue for each appointment whose step 3 suggestions failed
+     * @param {Object} selectionResult - Selection result
+     * @param {Array} appointmentResults - Step 3 results with indexes into the full SDM
+     * @returns {Object} Selection result with the failures listed as issues
+     */
+    addSuggestionFailureIssues(selectionResult, appointmentResults) {
+        const failed = appointmentResults.filter(result => result.error);
+        if (failed.length === 0) {
+            return selectionResult;
+        }
+
+        const { structured_response } = selectionResult;
+        const failureIssues = failed.map(result => ({
+            appointmentIndex: result.index,
+            service: result.appointment.service,
+            issue: `Suggestions could not be generated: ${result.error}`,
+            recommendation: 'Check the selected slot by hand, or re-run the scheduler once the LLM service is available'
+        }));
+        return {
+            ...selectionResult,
+            structured_response: {
+                ...structured_response,
+                issues: [...structured_response.issues, ...failureIssues].sort((a, b) => a.appointmentIndex - b.appointmentIndex)
+            }
+        };
+    }
+
+    /**
+     * Run step 4 using the configured selection mode
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Array} suggestionResults - Enhanced suggestion results with conflict status
+     * @param {Object} availability - Practitioner availability data
+     * @param {string} schedulingInstructions - Additional scheduling instructions
+     * @returns {Object} Selection result
+     */
+    async selectAppointments(sdmData, suggestionResults, availability, schedulingInstructions = '') {
+        if (this.selectionMode === 'deterministic') {
+            return this.deterministicSelector.selectAppointments(sdmData, suggestionResults, availability);
+        }
+
+        if (this.selectionMode === 'llm') {
+            return await this.appointmentSelector.selectAppointments(sdmData, suggestionResults, availability, schedulingInstructions);
+        }
+
+        let llmResult = null;
+        let llmError = null;
+        try {
+            llmResult = await this.appointmentSelector.selectAppointments(sdmData, suggestionResults, availability, schedulingInstructions);
+        } catch (error) {
+            llmError = error;
+        }
+
+        const deterministicResult = this.deterministicSelector.selectAppointments(sdmData, suggestionResults, availability);
+
+        if (this.selectionMode === 'cross_check') {
+            if (!llmResult) {
+                logger.warn(`LLM selection failed (${llmError.message}) - cross-check uses the deterministic result`);
+                return { ...deterministicResult, crossCheck: { llmError: llmError.message } };
+            }
+
+            const crossCheck = this.deterministicSelector.compareSelections(llmResult, deterministicResult, sdmData);
+            logger.info(`Cross-check: ${crossCheck.totalAgreements} agree, ${crossCheck.totalDisagreements} differ from the deterministic solver`);
+            return { ...llmResult, crossCheck: { ...crossCheck, deterministicResult } };
+        }
+
+        // Fallback mode: keep the LLM result unless it failed or picked a conflicted slot
+        const conflictedPicks = llmResult ? this.findConflictedSelections(llmResult, availability, sdmData.appointments, sdmData.servicePlanning) : [];
+        if (llmResult && conflictedPicks.length === 0) {
+            return llmResult;
+        }
+
+        const fallbackReason = llmError
+            ? `LLM selection failed: ${llmError.message}`
+            : `LLM selected ${conflictedPicks.length} conflicted appointment(s): ${conflictedPicks.map(apt => `#${apt.originalAppointmentIndex + 1}`).join(', ')}`;
+        logger.warn(`Falling back to deterministic selection - ${fallbackReason}`);
+        return { ...deterministicResult, fallbackReason };
+    }
+
+    /**
+     * Find selected appointments that are double-booked, do not fit the practitioner's free slots,
+     * whose travel overlaps a booked appointment or that break a hard scheduling policy rule
+     * @param {Object} selectionResult - Selection result with UTC timestamps
+     * @param {Object} availability - Practitioner availability data
+     * @param {Array} sdmAppointments - SDM appointments, used for travel time
+     * @param {Object|null} servicePlanning - SDM service planning details (last participant of day)
+     * @returns {Array} Conflicted selected appointments
+     */
+    findConflictedSelections(selectionResult, availability, sdmAppointments = [], servicePlanning = null) {
+        const freeSlots = this.conflictChecker.buildFreeSlots(availability);
+        const policy = this.schedulingPolicies.forPractitioner(availability.practitionerId);
+        const lastParticipantOfDay = isLastParticipantOfDay(servicePlanning);
+        return selectionResult.structured_response.appointments.filter(apt => {
+            const sdmAppointment = sdmAppointments[apt.originalAppointmentIndex];
+            const policyContext = { policy, isReportingSession: Boolean(apt.isReportingSession ?? sdmAppointment?.isReportingSession), lastParticipantOfDay };
+            return apt.hasConflict ||
+                !this.conflictChecker.checkSingleAppointment(apt, freeSlots).isValid ||
+                !this.conflictChecker.checkTravelBuffers(apt, sdmAppointment?.travelTime || 0, availability.bookedAppointments).isValid ||
+                this.conflictChecker.checkPolicy(apt, policyContext, availability.practitionerTimezone, availability.bookedAppointments)
+                    .some(violation => violation.strength === 'hard');
+        });
+    }
 
     /**
      * Generate human-readable report with practitioner timezone conversion
      * @param {Object} selectionResult - Results from appointment selector
      * @param {Object} sdmData - Original SDM data
      * @param {string} practitionerTimezone - Practitioner's timezone
+     * @param {Object} sdmValidation - SDM validation result with warnings and corrections
+     * @param {Object} practitionerMatching - Pool rankings and assignments from schedulePractitionerPool
+     * @param {Object} budget - Budget evaluation from BudgetTracker
+     * @param {Object} cadence - Achieved cadence from RecurrenceEngine.analyseCadence
+     * @param {Object} promptSavings - Availability pre-filtering totals from getPromptSavings
      * @returns {string} Formatted report
      */
-    generateHumanReadableReport(selectionResult, sdmData, practitionerTimezone = 'Australia/Melbourne') {
+    generateHumanReadableReport(selectionResult, sdmData, practitionerTimezone = 'Australia/Melbourne', sdmValidation = null, practitionerMatching = null, budget = null, cadence = null, promptSavings = null) {
         const { natural_response, structured_response, status } = selectionResult;
         const timezoneAbbr = getTimezoneAbbr(practitionerTimezone);
         
@@ -250,12 +1157,96 @@ class MasterScheduler {
         report += `**Service:** ${sdmData.participant.serviceRequired}\n`;
         report += `**State:** ${sdmData.participant.state}\n`;
         report += `**Plan Period:** ${sdmData.planDetails.planStartDate} to ${sdmData.planDetails.planEndDate}\n`;
+        if (hasPreferences(sdmData.preferences)) {
+            report += `**Participant Preferences:** ${describePreferences(sdmData.preferences)}\n`;
+        }
+        const practitionerIds = [...new Set([structured_response.practitionerId, ...structured_response.appointments.map(apt => apt.practitionerId)].filter(id => id != null))];
+        const policyLabels = [...new Set((practitionerIds.length > 0 ? practitionerIds : [null]).map(id => this.schedulingPolicies.forPractitioner(id).label))];
+        report += `**Scheduling Policy:** ${policyLabels.join(', ')}\n`;
         report += `**Status:** ${status.toUpperCase()}\n\n`;
 
         // AI Analysis
         report += `## 🤖 AI SCHEDULING ANALYSIS\n\n`;
         report += `${natural_response}\n\n`;
 
+        if (selectionResult.fallbackReason) {
+            report += `> **Deterministic fallback used:** ${selectionResult.fallbackReason}\n\n`;
+        }
+
+        if (selectionResult.crossCheck?.appointments) {
+            const { crossCheck } = selectionResult;
+            report += `## 🔀 SELECTION CROSS-CHECK\n\n`;
+            report += `The deterministic solver agreed with ${crossCheck.totalAgreements} of ${crossCheck.appointments.length} AI selections.\n\n`;
+            crossCheck.appointments.filter(apt => !apt.agrees).forEach(apt => {
+                const formatTime = (time) => time
+                    ? new Date(time).toLocaleString('en-AU', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: practitionerTimezone })
+                    : 'not scheduled';
+                report += `- **${apt.service} (Appointment #${apt.originalAppointmentIndex + 1}):** AI ${formatTime(apt.llmStart)}, solver ${formatTime(apt.deterministicStart)}\n`;
+            });
+            report += `\n`;
+        }
+
+        if (practitionerMatching) {
+            report += `## 👥 PRACTITIONER MATCHING\n\n`;
+            report += `**Strategy:** ${practitionerMatching.strategy === 'split' ? 'Services split across practitioners' : 'Whole plan to the best-fit practitioner'}\n\n`;
+            practitionerMatching.assignments.forEach(assignment => {
+                report += `- ${assignment.explanation}\n`;
+            });
+            report += `\n| Practitioner | Fit | Free minutes |\n|---|---|---|\n`;
+            practitionerMatching.rankings.forEach(ranking => {
+                report += `| ${ranking.practitionerId} | ${ranking.score}/100 | ${ranking.freeMinutes} |\n`;
+            });
+            practitionerMatching.unavailablePractitioners.forEach(entry => {
+                report += `| ${entry.practitionerId} | unavailable | ${entry.error} |\n`;
+            });
+            report += `\n`;
+        }
+
+        if (sdmValidation?.warnings.length > 0) {
+            report += `## 🧾 SDM DATA CHECKS\n\n`;
+            sdmValidation.warnings.forEach(warning => {
+                report += `- ${warning.corrected ? '🔧 Corrected' : '⚠️'} ${warning.message}\n`;
+            });
+            report += `\n`;
+        }
+
+        if (budget) {
+            const money = (amount) => `$${amount.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            report += `## 💰 BUDGET\n\n`;
+            report += `- **Plan budget:** ${money(budget.planBudget)} (${budget.planHours} hours)\n`;
+            report += `- **Already committed:** ${money(budget.committed.amount)} (${budget.committed.source === 'splose' ? `${budget.committed.bookings} existing Splose booking(s)` : 'earlier spend recorded in the SDM'})\n`;
+            report += `- **This schedule:** ${money(budget.scheduledSpend)}\n`;
+            report += `- **Remaining:** ${money(budget.remainingBudget)} and ${budget.remainingHours} hours\n`;
+            if (budget.projection) {
+                const { projection } = budget;
+                report += `- **Burn rate:** ${money(projection.weeklyRate)}/week, projecting ${money(projection.projectedSpend)} by ${sdmData.planDetails.planEndDate}`;
+                report += projection.exhaustsBeforePlanEnd
+                    ? ` - ⚠️ budget runs out around ${projection.exhaustionDate}, before the plan ends\n`
+                    : ` (${money(projection.projectedRemaining)} left at plan end)\n`;
+            }
+            budget.violations.forEach(violation => {
+                report += `- ❌ ${violation.service} (Appointment #${violation.originalAppointmentIndex + 1}): ${violation.message}\n`;
+            });
+            report += `\n`;
+        }
+
+        if (cadence) {
+            const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+            report += `## 🔁 CADENCE\n\n`;
+            report += `- **Expected:** ${cadence.expected} from ${cadence.anchorDate} (${cadence.rrule})\n`;
+            report += `- **Achieved:** ${cadence.achieved ?? 'not enough sessions scheduled'}${cadence.onCadence ? '' : ' - ⚠️ sessions drift off the expected cadence'}\n`;
+            report += `- **Consistency:** ${cadence.sameWeekday ? 'same weekday' : 'weekday varies'}, ${cadence.sameStartTime ? 'same start time' : 'start time varies'}\n`;
+            if (cadence.maxDriftDays !== null) {
+                report += `- **Drift from target dates:** ${cadence.meanDriftDays} day(s) on average, ${cadence.maxDriftDays} at most\n`;
+            }
+            report += `\n| # | Service | Target | Scheduled | Drift |\n|---|---|---|---|---|\n`;
+            cadence.occurrences.forEach(occurrence => {
+                const drift = occurrence.driftDays === null ? '-' : `${occurrence.driftDays > 0 ? '+' : ''}${occurrence.driftDays}d`;
+                report += `| ${occurrence.occurrence} | ${occurrence.service} | ${formatDate(occurrence.targetDate)} | ${occurrence.actualDate ? formatDate(occurrence.actualDate) : 'not scheduled'} | ${drift} |\n`;
+            });
+            report += `\n`;
+        }
+
         // Selected appointments
         if (structured_response.appointments.length > 0) {
             report += `## ✅ SCHEDULED APPOINTMENTS\n\n`;
@@ -279,10 +1270,35 @@ class MasterScheduler {
 
                 report += `### ${index + 1}. ${apt.service}\n`;
                 report += `- **📅 Date & Time:** ${startFormatted} - ${endFormatted} (${timezoneAbbr})\n`;
+                if (practitionerMatching) {
+                    report += `- **👤 Practitioner:** ${apt.practitionerId}\n`;
+                }
                 report += `- **📍 Location:** ${apt.locationId}\n`;
                 report += `- **🏥 Session Type:** ${apt.isReportingSession ? 'Reporting Session' : 'Non-Reporting Session'}\n`;
                 report += `- **⏰ Day Pattern:** ${apt.dayOfWeek} ${apt.timeOfDay}\n`;
-                report += `- **📝 Notes:** ${apt.note}\n\n`;
+                report += `- **📝 Notes:** ${apt.note}\n`;
+                const travelBlocks = (structured_response.travelBlocks || []).filter(block => block.originalAppointmentIndex === apt.originalAppointmentIndex);
+                if (travelBlocks.length > 0) {
+                    const formatTime = (time) => new Date(time).toLocaleString('en-AU', { hour: '2-digit', minute: '2-digit', timeZone: practitionerTimezone });
+                    report += `- **🚗 Travel:** ${travelBlocks.map(block => `${block.direction === 'to' ? 'to visit' : 'return'} ${formatTime(block.start)} - ${formatTime(block.end)}`).join(', ')}\n`;
+                }
+                const budgetEntry = budget?.ledger.find(entry => entry.originalAppointmentIndex === apt.originalAppointmentIndex);
+                if (budgetEntry) {
+                    report += `- **💰 Budget:** $${budgetEntry.cost.toFixed(2)}, $${budgetEntry.remainingBudget.toFixed(2)} remaining after this session${apt.exceedsBudget ? ' - ⚠️ over plan budget, do not book without approval' : ''}\n`;
+                }
+                (apt.preferenceViolations || []).forEach(violation => {
+                    report += `- **🙋 Participant Preference:** ${violation.strength === 'hard' ? '❌' : '⚠️'} ${violation.message}${violation.strength === 'hard' ? ' - confirm with the participant before booking' : ''}\n`;
+                });
+                if (apt.bookable === false) {
+                    report += `- **🚫 Booking:** No ${apt.missingIds.join(', ')} from the suggestions - add them before booking\n`;
+                }
+                (apt.dailyShapeViolations || []).forEach(violation => {
+                    report += `- **🗓️ Practitioner Day:** ${violation.strength === 'hard' ? '❌' : '⚠️'} ${violation.message}${violation.strength === 'hard' ? ' - held back from booking until resolved' : ''}\n`;
+                });
+                (apt.hasConflict ? apt.conflictDetails || [] : []).forEach(conflict => {
+                    report += `- **⚠️ Conflict:** ${this.conflictChecker.describeConflict(conflict)} - see issues below\n`;
+                });
+                report += `\n`;
             });
         }
 
@@ -312,29 +1328,49 @@ class MasterScheduler {
             report += `## 🎉 READY TO PROCEED\n\n`;
             report += `All appointments have been successfully scheduled! Next steps:\n`;
             report += `1. Confirm appointments with participant and practitioner\n`;
-            report += `2. Send calendar invitations\n`;
+            report += `2. Send calendar invitations from the exported .ics feeds (participant and practitioner)\n`;
             report += `3. Set up any required travel arrangements\n\n`;
         }
 
+        if (promptSavings) {
+            report += `## ✂️ PROMPT SIZE\n\n`;
+            report += `Availability pre-filtering kept ${promptSavings.slotsAfter} of ${promptSavings.slotsBefore} free slots across ${promptSavings.prompts} suggestion prompt(s): `;
+            report += `~${promptSavings.tokensAfter} availability tokens instead of ~${promptSavings.tokensBefore} (${promptSavings.tokensSaved} saved, ${promptSavings.percentSaved}%).\n\n`;
+        }
+
         report += `---\n`;
         report += `*Report generated on ${new Date().toLocaleString('en-AU', { timeZone: practitionerTimezone })} ${timezoneAbbr}*\n`;
 
         return report;
     }
 
+    /**
+     * Book the selected appointments in Splose through Windmill
+     * @param {Object} results - Results from scheduleAppointments
+     * @param {Object} options - AppointmentBooker options (dry run unless dryRun is false)
+     * @returns {Object} Per-appointment booking ledger
+     */
+    async bookSelectedAppointments(results, options = {}) {
+        const booker = new AppointmentBooker({
+            availabilityCalculator: this.availabilityCalculator,
+            ...options
+        });
+        return await booker.bookAppointments(results.selection);
+    }
+
     /**
      * Helper method to run scheduler from file inputs
      * @param {string} sdmFilePath - Path to SDM file
      * @param {string} schedulingInstructions - Additional instructions
      * @param {number} practitionerId - Practitioner ID
-     * @param {string} startDate - Start date for availability
-     * @param {string} endDate - End date for availability
+     * @param {string} startDate - Overrides the availability start date derived from the SDM appointments
+     * @param {string} endDate - Overrides the availability end date derived from the SDM appointments
      * @returns {Object} Complete scheduling results
      */
-    async scheduleFromFile(sdmFilePath, schedulingInstructions = '', practitionerId = 46932, startDate = '2025-08-01', endDate = '2025-08-31') {
+    async scheduleFromFile(sdmFilePath, schedulingInstructions = '', practitionerId = 46932, startDate = null, endDate = null) {
         const sdmInput = fs.readFileSync(sdmFilePath, 'utf8');
         return await this.scheduleAppointments(sdmInput, schedulingInstructions, practitionerId, startDate, endDate);
     }
 }
 
-export { MasterScheduler };
\ No newline at end of file
+export { MasterScheduler, SELECTION_MODES, PIPELINE_STEPS, POOL_STRATEGIES };
\ No newline at end of file
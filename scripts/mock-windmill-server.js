@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { convertLocalToUTC, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { isMainModule } from './utils/entry-point.js';
+
+/**
+ * Local stand-in for the Windmill run_wait_result/f/f/splose/* flows used by
+ * PractitionerAvailabilityCalculator and AppointmentBooker. Serves practitioners,
+ * availabilities and appointments from JSON fixture files so the pipeline can run
+ * offline, with optional latency, HTTP errors and malformed payloads per flow.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'windmill');
+const FLOW_PATH_PATTERN = /^\/api\/w\/([^/]+)\/jobs\/run_wait_result\/f\/f\/splose\/([a-z_]+)$/;
+
+class MockWindmillServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.fixturesDir - Directory holding practitioners.json, availabilities.json and appointments.json
+     * @param {string} options.workspaceId - Workspace ID accepted in request paths (any workspace when omitted)
+     * @param {string} options.token - Bearer token required on requests (any token when omitted)
+     * @param {number} options.latencyMs - Delay added to every response
+     * @param {Object} options.faults - Faults keyed by flow name (see setFault)
+     */
+    constructor(options = {}) {
+        this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+        this.workspaceId = options.workspaceId || null;
+        this.token = options.token || null;
+        this.latencyMs = options.latencyMs || 0;
+        this.faults = { ...(options.faults || {}) };
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+
+        this.practitioners = this.loadFixture('practitioners.json');
+        this.availabilities = this.loadFixture('availabilities.json');
+        this.appointments = this.loadFixture('appointments.json');
+        this.nextAppointmentId = Math.max(900000, ...this.appointments.map(apt => apt.id || 0)) + 1;
+    }
+
+    /**
+     * Load a JSON fixture file from the fixtures directory
+     * @param {string} fileName - Fixture file name
+     * @returns {Array} Parsed fixture records
+     */
+    loadFixture(fileName) {
+        const filePath = path.join(this.fixturesDir, fileName);
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Inject a fault for a flow
+     * @param {string} flow - Flow name (e.g. 'get_appointments') or '*' for every flow
+     * @param {Object} fault - { status, body } for an HTTP error, { malformed: true } for broken JSON,
+     *                         { latencyMs } for a slow response; { times } limits how often it fires
+     */
+    setFault(flow, fault) {
+        this.faults[flow] = { ...fault };
+    }
+
+    /**
+     * Remove all injected faults
+     */
+    clearFaults() {
+        this.faults = {};
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port to listen on (0 picks a free port)
+     * @returns {Promise<string>} Base URL to use as WINDMILL_BASE_URL
+     */
+    start(port = 0) {
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                this.send(response, 500, `Mock Windmill error: ${error.message}`);
+            });
+        });
+
+        return new Promise((resolve) => {
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            this.server.close(error => (error ? reject(error) : resolve()));
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Route a request to a flow handler, applying auth, latency and faults
+     */
+    async handleRequest(request, response) {
+        const match = request.method === 'POST' ? FLOW_PATH_PATTERN.exec(request.url) : null;
+        if (!match) {
+            return this.send(response, 404, `Not found: ${request.method} ${request.url}`);
+        }
+
+        const [, workspaceId, flow] = match;
+        const body = await this.readBody(request);
+        this.requests.push({ flow, workspaceId, body, receivedAt: new Date().toISOString() });
+
+        if (this.workspaceId && workspaceId !== this.workspaceId) {
+            return this.send(response, 404, `Unknown workspace ${workspaceId}`);
+        }
+
+        const authorization = request.headers.authorization || '';
+        if (!authorization.startsWith('Bearer ') || (this.token && authorization !== `Bearer ${this.token}`)) {
+            return this.send(response, 401, 'Unauthorized');
+        }
+
+        const fault = this.takeFault(flow);
+        const latency = this.latencyMs + (fault?.latencyMs || 0);
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        if (fault?.status) {
+            return this.send(response, fault.status, fault.body || `Injected ${fault.status} for ${flow}`);
+        }
+        if (fault?.malformed) {
+            return this.send(response, 200, '{"data": [{"startDateTime": ', 'application/json');
+        }
+
+        let args;
+        try {
+            args = body ? JSON.parse(body) : {};
+        } catch {
+            return this.send(response, 400, 'Request body is not valid JSON');
+        }
+
+        const handlers = {
+            get_single_practitioner: () => this.getSinglePractitioner(args),
+            get_appointments: () => this.getAppointments(args),
+            get_practitioner_availabilities: () => this.getPractitionerAvailabilities(args),
+            create_appointment: () => this.createAppointment(args)
+        };
+
+        if (!handlers[flow]) {
+            return this.send(response, 404, `Unknown flow f/splose/${flow}`);
+        }
+
+        const result = handlers[flow]();
+        return this.send(response, result.status, JSON.stringify(result.body), 'application/json');
+    }
+
+    /**
+     * Return the fault for a flow, counting down limited faults
+     */
+    takeFault(flow) {
+        const key = this.faults[flow] ? flow : (this.faults['*'] ? '*' : null);
+        if (!key) return null;
+
+        const fault = this.faults[key];
+        if (fault.times !== undefined) {
+            fault.times--;
+            if (fault.times <= 0) delete this.faults[key];
+        }
+        return fault;
+    }
+
+    getSinglePractitioner({ practitionerId }) {
+        const practitioner = this.practitioners.find(p => p.id === Number(practitionerId));
+        return practitioner
+            ? { status: 200, body: practitioner }
+            : { status: 404, body: { error: `Practitioner ${practitionerId} not found` } };
+    }
+
+    getAppointments({ practitionerId, startAfter, startBefore }) {
+        const inRange = this.buildDateFilter(practitionerId, startAfter, startBefore);
+        const appointments = this.appointments.filter(apt =>
+            apt.practitionerId === Number(practitionerId) && inRange(apt.start)
+        );
+        return { status: 200, body: appointments };
+    }
+
+    getPractitionerAvailabilities({ practitionerId, startDate, endDate }) {
+        const inRange = this.buildDateFilter(practitionerId, startDate, endDate);
+        const availabilities = this.availabilities.filter(entry =>
+            entry.practitionerId === Number(practitionerId) && inRange(entry.startDateTime)
+        );
+        return { status: 200, body: { data: availabilities } };
+    }
+
+    createAppointment(args) {
+        const required = ['practitionerId', 'serviceId', 'locationId', 'patientId', 'start', 'end'];
+        const missing = required.filter(field => args[field] === undefined || args[field] === null);
+        if (missing.length > 0) {
+            return { status: 400, body: { error: `Missing fields: ${missing.join(', ')}` } };
+        }
+
+        // Repeat writes with the same idempotency key return the original booking
+        const existing = args.idempotencyKey && this.appointments.find(apt => apt.idempotencyKey === args.idempotencyKey);
+        if (existing) {
+            return { status: 200, body: existing };
+        }
+
+        const appointment = { id: this.nextAppointmentId++, ...args };
+        this.appointments.push(appointment);
+        return { status: 200, body: appointment };
+    }
+
+    /**
+     * Build a filter for YYYY-MM-DD range parameters, read as inclusive dates in the practitioner's timezone
+     */
+    buildDateFilter(practitionerId, fromDate, toDate) {
+        const practitioner = this.practitioners.find(p => p.id === Number(practitionerId));
+        const timezone = practitioner?.timezone || DEFAULT_TIMEZONE;
+        const toUTC = (date) => new Date(convertLocalToUTC(`${date.substring(0, 10)}T00:00:00`, timezone));
+
+        const from = fromDate ? toUTC(fromDate) : null;
+        const to = toDate ? new Date(toUTC(toDate).getTime() + 24 * 60 * 60 * 1000) : null;
+
+        return (dateTime) => {
+            const value = new Date(dateTime);
+            return (!from || value >= from) && (!to || value < to);
+        };
+    }
+
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            request.on('data', chunk => { data += chunk; });
+            request.on('end', () => resolve(data));
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body, contentType = 'text/plain') {
+        response.writeHead(status, { 'Content-Type': contentType });
+        response.end(body);
+    }
+}
+
+// Run standalone: node scripts/mock-windmill-server.js [port]
+if (isMainModule(import.meta.url)) {
+    const server = new MockWindmillServer({
+        fixturesDir: process.env.MOCK_WINDMILL_FIXTURES_DIR,
+        latencyMs: Number(process.env.MOCK_WINDMILL_LATENCY_MS || 0)
+    });
+    const url = await server.start(Number(process.argv[2] || process.env.MOCK_WINDMILL_PORT || 8787));
+    console.log(`🧪 Mock Windmill listening on ${url}`);
+    console.log(`   Set WINDMILL_BASE_URL=${url} (any workspace and token are accepted)`);
+}
+
+export { MockWindmillServer };
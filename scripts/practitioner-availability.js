@@ -1,5 +1,16 @@
 import 'dotenv/config';
 import { getTimezoneAbbr, formatLocalTime, getTimeOfDay, getDayOfWeek } from './utils/timezone-utils.js';
+import { getLogger } from './utils/logger.js';
+import {
+    resolveResilienceSettings,
+    withRetry,
+    withTimeout,
+    isRetryableStatus,
+    parseRetryAfter,
+    HttpStatusError
+} from './utils/resilience.js';
+
+const logger = getLogger('practitioner-availability');
 
 /**
  * Calculates available time slots for a practitioner by comparing their 
@@ -8,7 +19,12 @@ import { getTimezoneAbbr, formatLocalTime, getTimeOfDay, getDayOfWeek } from './
 
 
 class PractitionerAvailabilityCalculator {
-    constructor() {
+    /**
+     * @param {Object} options - Calculator options
+     * @param {Object} options.resilience - Windmill timeout and retry overrides (see resolveResilienceSettings)
+     */
+    constructor(options = {}) {
+        this.resilience = resolveResilienceSettings('windmill', options.resilience);
         this.windmillBaseUrl = process.env.WINDMILL_BASE_URL;
         this.windmillWorkspaceId = process.env.WINDMILL_WORKSPACE_ID;
         this.windmillToken = process.env.WINDMILL_TOKEN;
@@ -19,151 +35,133 @@ class PractitionerAvailabilityCalculator {
     }
 
     /**
-     * Retrieves appointments for a specified practitioner from Splose
+     * Run a Splose flow on Windmill inside a traced span. Each attempt has a timeout; 429, 5xx,
+     * timeouts and network failures are retried with backoff (the flows only read data).
+     * @param {string} flow - Flow name under f/splose/
+     * @param {Object} data - Flow input
+     * @param {string} failureMessage - Error message prefix for non-200 responses
+     * @param {string} networkMessage - Error message prefix for network failures
+     * @returns {Promise<Object>} { status: 'success', data } or { status: 'error', error_message }
      */
-    async getPractitionerCurrentSchedule(practitionerId, startAfter = null, startBefore = null, brandName = null) {
-        console.log(`Fetching appointments for practitioner ${practitionerId} from ${startAfter} to ${startBefore}`);
-        
-        const url = `${this.windmillBaseUrl}/api/w/${this.windmillWorkspaceId}/jobs/run_wait_result/f/f/splose/get_appointments`;
+    async runWindmillFlow(flow, data, failureMessage, networkMessage) {
+        const url = `${this.windmillBaseUrl}/api/w/${this.windmillWorkspaceId}/jobs/run_wait_result/f/f/splose/${flow}`;
         const headers = {
             'Authorization': `Bearer ${this.windmillToken}`,
             'Content-Type': 'application/json',
         };
-        
-        const data = {
-            practitionerId: practitionerId,
-        };
-        
-        // Only include date parameters if provided
-        if (startAfter !== null) {
-            data.startAfter = startAfter;
-        }
-        if (startBefore !== null) {
-            data.startBefore = startBefore;
-        }
-        if (brandName !== null) {
-            data.brandName = brandName;
-        }
-        
+        const span = logger.startSpan(`windmill.${flow}`, { flow, practitionerId: data.practitionerId });
+
         try {
-            console.log(`HTTP request to Windmill: POST ${url}`);
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(data)
-            });
+            logger.debug(`HTTP request to Windmill: POST ${url}`, { flow });
+            const response = await withRetry(async (attempt) => {
+                span.setAttributes({ attempts: attempt });
+                const attemptResponse = await withTimeout((signal) => fetch(url, {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify(data),
+                    signal
+                }), this.resilience.timeoutMs, `windmill.${flow}`);
+
+                if (isRetryableStatus(attemptResponse.status)) {
+                    throw new HttpStatusError(`HTTP ${attemptResponse.status}`, attemptResponse.status, {
+                        body: await attemptResponse.text(),
+                        retryAfterMs: parseRetryAfter(attemptResponse.headers.get('retry-after'))
+                    });
+                }
+                return attemptResponse;
+            }, { ...this.resilience, label: `windmill.${flow}` });
+            span.setAttributes({ httpStatus: response.status });
             
             if (response.status === 200) {
                 const result = await response.json();
+                span.end({ records: Array.isArray(result) ? result.length : (result?.data?.length ?? null) });
                 return {
                     status: 'success',
                     data: result
                 };
             } else {
                 const errorText = await response.text();
+                span.fail(`HTTP ${response.status}`);
                 return {
                     status: 'error',
-                    error_message: `Failed to retrieve appointments for practitioner ${practitionerId}. ${response.status} ${errorText}`
+                    error_message: `${failureMessage}. ${response.status} ${errorText}`
                 };
             }
         } catch (error) {
+            if (error instanceof HttpStatusError) {
+                span.fail(error, { httpStatus: error.status });
+                return {
+                    status: 'error',
+                    error_message: `${failureMessage}. ${error.status} ${error.body}`
+                };
+            }
+            span.fail(error);
             return {
                 status: 'error',
-                error_message: `Network error retrieving appointments: ${error.message}`
+                error_message: `${networkMessage}: ${error.message}`
             };
         }
     }
 
     /**
-     * Retrieves practitioner details including timezone information
+     * Retrieves appointments for a specified practitioner from Splose
      */
-    async getSinglePractitioner(practitionerId) {
-        console.log(`Fetching practitioner details for practitioner ${practitionerId}`);
-        
-        const url = `${this.windmillBaseUrl}/api/w/${this.windmillWorkspaceId}/jobs/run_wait_result/f/f/splose/get_single_practitioner`;
-        const headers = {
-            'Authorization': `Bearer ${this.windmillToken}`,
-            'Content-Type': 'application/json',
-        };
+    async getPractitionerCurrentSchedule(practitionerId, startAfter = null, startBefore = null, brandName = null) {
+        logger.info(`Fetching appointments for practitioner ${practitionerId} from ${startAfter} to ${startBefore}`, { practitionerId });
         
         const data = {
-            practitionerId: practitionerId
+            practitionerId: practitionerId,
         };
         
-        try {
-            console.log(`HTTP request to Windmill: POST ${url}`);
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(data)
-            });
-            
-            if (response.status === 200) {
-                const result = await response.json();
-                return {
-                    status: 'success',
-                    data: result
-                };
-            } else {
-                const errorText = await response.text();
-                return {
-                    status: 'error',
-                    error_message: `Failed to retrieve practitioner ${practitionerId}. ${response.status} ${errorText}`
-                };
-            }
-        } catch (error) {
-            return {
-                status: 'error',
-                error_message: `Network error retrieving practitioner: ${error.message}`
-            };
+        // Only include date parameters if provided
+        if (startAfter !== null) {
+            data.startAfter = startAfter;
         }
+        if (startBefore !== null) {
+            data.startBefore = startBefore;
+        }
+        if (brandName !== null) {
+            data.brandName = brandName;
+        }
+        
+        return await this.runWindmillFlow(
+            'get_appointments',
+            data,
+            `Failed to retrieve appointments for practitioner ${practitionerId}`,
+            'Network error retrieving appointments'
+        );
+    }
+
+    /**
+     * Retrieves practitioner details including timezone information
+     */
+    async getSinglePractitioner(practitionerId) {
+        logger.info(`Fetching practitioner details for practitioner ${practitionerId}`, { practitionerId });
+        
+        return await this.runWindmillFlow(
+            'get_single_practitioner',
+            { practitionerId: practitionerId },
+            `Failed to retrieve practitioner ${practitionerId}`,
+            'Network error retrieving practitioner'
+        );
     }
 
     /**
      * Retrieves availability entries for a specified practitioner from Splose
      */
     async getPractitionerCurrentAvailability(practitionerId, startDate, endDate) {
-        console.log(`Fetching availability for practitioner ${practitionerId} from ${startDate} to ${endDate}`);
-        
-        const url = `${this.windmillBaseUrl}/api/w/${this.windmillWorkspaceId}/jobs/run_wait_result/f/f/splose/get_practitioner_availabilities`;
-        const headers = {
-            'Authorization': `Bearer ${this.windmillToken}`,
-            'Content-Type': 'application/json',
-        };
+        logger.info(`Fetching availability for practitioner ${practitionerId} from ${startDate} to ${endDate}`, { practitionerId });
         
-        const data = {
-            practitionerId: practitionerId,
-            startDate: startDate,
-            endDate: endDate,
-        };
-        
-        try {
-            console.log(`HTTP request to Windmill: POST ${url}`);
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(data)
-            });
-            
-            if (response.status === 200) {
-                const result = await response.json();
-                return {
-                    status: 'success',
-                    data: result
-                };
-            } else {
-                const errorText = await response.text();
-                return {
-                    status: 'error',
-                    error_message: `Failed to retrieve availability for practitioner ${practitionerId}. ${response.status} ${errorText}`
-                };
-            }
-        } catch (error) {
-            return {
-                status: 'error',
-                error_message: `Network error retrieving availability: ${error.message}`
-            };
-        }
+        return await this.runWindmillFlow(
+            'get_practitioner_availabilities',
+            {
+                practitionerId: practitionerId,
+                startDate: startDate,
+                endDate: endDate,
+            },
+            `Failed to retrieve availability for practitioner ${practitionerId}`,
+            'Network error retrieving availability'
+        );
     }
 
     /**
@@ -253,8 +251,7 @@ class PractitionerAvailabilityCalculator {
      * Main function to calculate practitioner availability
      */
     async calculateAvailability(practitionerId, startDate, endDate) {
-        console.log(`\nCalculating availability for practitioner ${practitionerId}`);
-        console.log(`Date range: ${startDate} to ${endDate}\n`);
+        logger.info(`Calculating availability for practitioner ${practitionerId} from ${startDate} to ${endDate}`, { practitionerId, startDate, endDate });
         
         // Fetch practitioner details, appointments and availability data
         const [practitionerResult, scheduleResult, availabilityResult] = await Promise.all([
@@ -279,23 +276,23 @@ class PractitionerAvailabilityCalculator {
         const practitioner = practitionerResult.data;
         const practitionerTimezone = practitioner.timezone || practitioner.timeZone || 'Australia/Melbourne'; // fallback
         
-        console.log(`Practitioner ID: ${practitionerId}`);
-        console.log(`Timezone: ${practitionerTimezone}`);
-        console.log(`Found ${scheduleResult.data?.length || 0} appointments`);
-        console.log(`Found ${availabilityResult.data.data?.length || 0} availability entries\n`);
+        logger.info(`Practitioner ${practitionerId} (${practitionerTimezone}): ${scheduleResult.data?.length || 0} appointments, ${availabilityResult.data.data?.length || 0} availability entries`, {
+            practitionerId,
+            practitionerTimezone,
+            appointments: scheduleResult.data?.length || 0,
+            availabilityEntries: availabilityResult.data.data?.length || 0
+        });
         
         // Parse availability slots (already expanded from Windmill)
         const availabilitySlots = this.parseAvailabilitySlots(availabilityResult.data);
         
-        console.log(`Parsed ${availabilitySlots.length} availability slots`);
-        
         // Calculate free time by removing appointments from availability
         const freeTimeSlots = this.calculateFreeTimeSlots(
             availabilitySlots,
             scheduleResult.data || []
         );
         
-        console.log(`Calculated ${freeTimeSlots.length} free time slots\n`);
+        logger.info(`Calculated ${freeTimeSlots.length} free time slots from ${availabilitySlots.length} availability slots`, { practitionerId, freeSlots: freeTimeSlots.length });
         
         // Enhanced return structure with timezone information
         return {
@@ -318,7 +315,14 @@ class PractitionerAvailabilityCalculator {
                 duration: `${Math.floor(slot.duration / (1000 * 60))} minutes`,
                 durationMs: slot.duration,
                 locationId: slot.locationId
-            }))
+            })),
+            // Booked times only (no patient details), used to check travel buffers
+            bookedAppointments: (scheduleResult.data || [])
+                .map(apt => ({
+                    start: new Date(apt.start).toISOString(),
+                    end: new Date(apt.end).toISOString()
+                }))
+                .sort((a, b) => a.start.localeCompare(b.start))
         };
     }
 }
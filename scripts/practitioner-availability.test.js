@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+describe('PractitionerAvailabilityCalculator (mock Windmill)', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let calculator;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+    });
+
+    beforeEach(() => {
+        mockServer.clearFaults();
+        calculator = new PractitionerAvailabilityCalculator();
+    });
+
+    describe('calculateAvailability', () => {
+        test('should subtract existing appointments from availability', async () => {
+            const availability = await calculator.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+
+            expect(availability.practitionerTimezone).toBe('Australia/Melbourne');
+            expect(availability.summary.totalAvailabilityPeriods).toBe(5);
+            expect(availability.summary.totalAppointments).toBe(2);
+            // Tuesday's booking trims the start of the day; Wednesday's splits the day in two
+            expect(availability.summary.totalFreeSlots).toBe(6);
+            expect(availability.summary.totalFreeMinutes).toBe(5 * 480 - 180);
+
+            // Tuesday's 09:00-10:30 booking leaves the day free from 10:30 local
+            const tuesdaySlots = availability.freeTimeSlots.filter(slot => slot.startDateTime.startsWith('2025-08-26'));
+            expect(tuesdaySlots[0].startDateTime).toBe('2025-08-26T00:30:00.000Z');
+
+            // Booked times are kept (without patient details) for travel buffer checks
+            expect(availability.bookedAppointments).toEqual([
+                { start: '2025-08-25T23:00:00.000Z', end: '2025-08-26T00:30:00.000Z' },
+                { start: '2025-08-27T03:00:00.000Z', end: '2025-08-27T04:30:00.000Z' }
+            ]);
+        });
+
+        test('should read the date range in the practitioner timezone', async () => {
+            const availability = await calculator.calculateAvailability(51877, '2025-08-26', '2025-08-26');
+
+            expect(availability.practitionerTimezone).toBe('Australia/Brisbane');
+            expect(availability.summary.totalAvailabilityPeriods).toBe(1);
+            expect(availability.freeTimeSlots[0].locationId).toBe(20117);
+        });
+
+        test('should retry a server error and succeed', async () => {
+            calculator = new PractitionerAvailabilityCalculator({ resilience: { baseDelayMs: 1 } });
+            mockServer.setFault('get_appointments', { status: 503, body: 'Service Unavailable', times: 1 });
+
+            const availability = await calculator.calculateAvailability(46932, '2025-08-25', '2025-08-29');
+
+            expect(availability.summary.totalAppointments).toBe(2);
+        });
+
+        test('should throw when a flow keeps returning server errors', async () => {
+            calculator = new PractitionerAvailabilityCalculator({ resilience: { maxRetries: 1, baseDelayMs: 1 } });
+            mockServer.setFault('get_appointments', { status: 503, body: 'Service Unavailable', times: 2 });
+
+            await expect(calculator.calculateAvailability(46932, '2025-08-25', '2025-08-29'))
+                .rejects.toThrow('503 Service Unavailable');
+        });
+
+        test('should throw when the practitioner does not exist', async () => {
+            await expect(calculator.calculateAvailability(12345, '2025-08-25', '2025-08-29'))
+                .rejects.toThrow('Failed to retrieve practitioner 12345. 404');
+        });
+
+        test('should throw on malformed payloads', async () => {
+            mockServer.setFault('get_practitioner_availabilities', { malformed: true, times: 1 });
+
+            await expect(calculator.calculateAvailability(46932, '2025-08-25', '2025-08-29'))
+                .rejects.toThrow('Network error retrieving availability');
+        });
+    });
+
+    describe('Windmill request handling', () => {
+        test('should report authorisation failures as errors', async () => {
+            calculator.windmillToken = 'wrong-token';
+            const result = await calculator.getSinglePractitioner(46932);
+
+            expect(result.status).toBe('error');
+            expect(result.error_message).toContain('401 Unauthorized');
+        });
+
+        test('should apply injected latency', async () => {
+            mockServer.setFault('get_single_practitioner', { latencyMs: 150, times: 1 });
+
+            const startTime = Date.now();
+            const result = await calculator.getSinglePractitioner(46932);
+
+            expect(result.status).toBe('success');
+            expect(Date.now() - startTime).toBeGreaterThanOrEqual(140);
+        });
+
+        test('should time out slow flows', async () => {
+            calculator = new PractitionerAvailabilityCalculator({ resilience: { timeoutMs: 50, maxRetries: 0 } });
+            mockServer.setFault('get_single_practitioner', { latencyMs: 150, times: 1 });
+
+            const result = await calculator.getSinglePractitioner(46932);
+
+            expect(result.status).toBe('error');
+            expect(result.error_message).toContain('timed out after 50ms');
+        });
+
+        test('should record requests sent to each flow', async () => {
+            const before = mockServer.requests.length;
+            await calculator.getPractitionerCurrentSchedule(46932, '2025-08-25', '2025-08-29');
+
+            const request = mockServer.requests[before];
+            expect(request.flow).toBe('get_appointments');
+            expect(JSON.parse(request.body)).toEqual({ practitionerId: 46932, startAfter: '2025-08-25', startBefore: '2025-08-29' });
+        });
+    });
+});
@@ -0,0 +1,329 @@
+import { getLocalTimeParts, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { parsePreferences, evaluatePreferences, hasPreferences, describePreferences } from './preference-parser.js';
+
+/**
+ * Ranks a pool of practitioners against a participant's plan so the whole plan can go to the
+ * best fit, or each service to a different clinician. Fit is scored from the availability the
+ * pipeline already fetched, so matching needs no extra Windmill or LLM calls.
+ */
+
+// How a practitioner pool is used: whole plan to one practitioner, or services split across the pool
+const POOL_STRATEGIES = ['best_fit', 'split'];
+
+// Relative weight of each fit component; components without data are left out and the rest rescaled
+const FIT_WEIGHTS = {
+    preference: 0.35,
+    capacity: 0.3,
+    continuity: 0.2,
+    location: 0.15
+};
+
+// Free time at this multiple of the required time scores full capacity
+const CAPACITY_HEADROOM = 2;
+// Previous sessions with the participant that count as full continuity of care
+const CONTINUITY_FULL_SESSIONS = 3;
+// Granularity used to measure how much free time falls in the participant's preferred days and times
+const PREFERENCE_STEP_MINUTES = 15;
+
+const REPORT_SUFFIX = / \(Report\)$/;
+
+/**
+ * Normalise pool entries given as IDs or { practitionerId, previousSessions, locationIds }
+ * @param {Array<number|Object>} pool - Practitioner pool
+ * @returns {Array<Object>} Entries with practitionerId, previousSessions and locationIds
+ */
+function normalizePool(pool) {
+    if (!Array.isArray(pool) || pool.length === 0) {
+        throw new Error('Practitioner pool must contain at least one practitioner');
+    }
+
+    const entries = pool.map(entry => {
+        const { practitionerId, previousSessions = 0, locationIds = [] } = typeof entry === 'object' ? entry : { practitionerId: entry };
+        if (!Number.isInteger(Number(practitionerId)) || Number(practitionerId) <= 0) {
+            throw new Error(`Invalid practitioner ID in pool: ${practitionerId}`);
+        }
+        return { practitionerId: Number(practitionerId), previousSessions, locationIds };
+    });
+
+    const ids = entries.map(entry => entry.practitionerId);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new Error(`Practitioner ${duplicate} appears more than once in the pool`);
+    }
+    return entries;
+}
+
+class PractitionerMatcher {
+    /**
+     * @param {Object} options - Matcher options
+     * @param {Object} options.weights - Overrides for FIT_WEIGHTS
+     * @param {Array<number>} options.preferredLocationIds - Locations convenient for the participant
+     */
+    constructor(options = {}) {
+        this.weights = { ...FIT_WEIGHTS, ...(options.weights || {}) };
+        this.preferredLocationIds = options.preferredLocationIds || [];
+    }
+
+    /**
+     * Score how well a practitioner fits a set of SDM appointments
+     * @param {Object} sdmData - Extracted SDM data (participant preferences are read from it)
+     * @param {Array<number>} appointmentIndexes - Indexes of the SDM appointments being placed
+     * @param {Object} availability - Practitioner availability from calculateAvailability
+     * @param {Object} entry - Normalised pool entry
+     * @param {number} reservedMinutes - Free minutes already promised to other services in a split
+     * @returns {Object} { practitionerId, score (0-100), components, requiredMinutes, freeMinutes }
+     */
+    scorePractitioner(sdmData, appointmentIndexes, availability, entry, reservedMinutes = 0) {
+        const appointments = appointmentIndexes.map(index => sdmData.appointments[index]);
+        const timezone = availability.practitionerTimezone || DEFAULT_TIMEZONE;
+        const slots = this.slotsInRange(availability.freeTimeSlots, appointments, timezone);
+
+        const requiredMinutes = appointments.reduce((sum, apt) => sum + apt.duration + (apt.travelTime || 0), 0);
+        const freeMinutes = Math.max(slots.reduce((sum, slot) => sum + slot.minutes, 0) - reservedMinutes, 0);
+
+        const components = {
+            preference: this.scorePreference(slots, appointments, sdmData.preferences ?? parsePreferences(sdmData.participant), timezone),
+            capacity: this.scoreCapacity(freeMinutes, requiredMinutes),
+            continuity: this.scoreContinuity(entry.previousSessions),
+            location: this.scoreLocation(slots, entry.locationIds)
+        };
+
+        const scored = Object.entries(components).filter(([, component]) => component.score !== null);
+        const totalWeight = scored.reduce((sum, [name]) => sum + this.weights[name], 0);
+        const score = totalWeight > 0
+            ? scored.reduce((sum, [name, component]) => sum + component.score * this.weights[name], 0) / totalWeight
+            : 0;
+
+        return {
+            practitionerId: entry.practitionerId,
+            score: Math.round(score * 100),
+            components,
+            requiredMinutes,
+            freeMinutes: Math.round(freeMinutes)
+        };
+    }
+
+    /**
+     * Rank practitioners for the whole plan, best fit first
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Map<number, Object>} availabilities - Availability keyed by practitioner ID
+     * @param {Array<Object>} entries - Normalised pool entries
+     * @returns {Array<Object>} Fits sorted by score
+     */
+    rankPractitioners(sdmData, availabilities, entries) {
+        const allIndexes = sdmData.appointments.map((_, index) => index);
+        return this.rank(entries
+            .filter(entry => availabilities.has(entry.practitionerId))
+            .map(entry => this.scorePractitioner(sdmData, allIndexes, availabilities.get(entry.practitionerId), entry)));
+    }
+
+    /**
+     * Assign the plan to practitioners. best_fit gives every appointment to the top-ranked practitioner;
+     * split gives each service (with its report) to the best fit for that service, largest services first,
+     * reserving the time each assignment needs so later services see the capacity that is left.
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Map<number, Object>} availabilities - Availability keyed by practitioner ID
+     * @param {Array<Object>} entries - Normalised pool entries
+     * @param {string} strategy - One of POOL_STRATEGIES
+     * @returns {Array<Object>} Assignments of { practitionerId, services, appointmentIndexes, fit, alternatives, explanation }
+     */
+    assignPractitioners(sdmData, availabilities, entries, strategy = 'best_fit') {
+        if (!POOL_STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid pool strategy "${strategy}". Expected one of: ${POOL_STRATEGIES.join(', ')}`);
+        }
+
+        const available = entries.filter(entry => availabilities.has(entry.practitionerId));
+        if (available.length === 0) {
+            throw new Error('No practitioner in the pool has availability data');
+        }
+
+        if (strategy === 'best_fit') {
+            const [best, ...alternatives] = this.rankPractitioners(sdmData, availabilities, available);
+            return [{
+                practitionerId: best.practitionerId,
+                services: [...new Set(sdmData.appointments.map(apt => apt.service.replace(REPORT_SUFFIX, '')))],
+                appointmentIndexes: sdmData.appointments.map((_, index) => index),
+                fit: best,
+                alternatives,
+                explanation: this.explainChoice(best, alternatives, sdmData.participant)
+            }];
+        }
+
+        const reserved = new Map(available.map(entry => [entry.practitionerId, 0]));
+        const assignments = new Map();
+
+        for (const group of this.groupByService(sdmData)) {
+            const [best, ...alternatives] = this.rank(available.map(entry =>
+                this.scorePractitioner(sdmData, group.appointmentIndexes, availabilities.get(entry.practitionerId), entry, reserved.get(entry.practitionerId))
+            ));
+            reserved.set(best.practitionerId, reserved.get(best.practitionerId) + best.requiredMinutes);
+
+            const assignment = assignments.get(best.practitionerId) || {
+                practitionerId: best.practitionerId,
+                services: [],
+                appointmentIndexes: [],
+                serviceFits: []
+            };
+            assignment.services.push(group.service);
+            assignment.appointmentIndexes.push(...group.appointmentIndexes);
+            assignment.serviceFits.push({
+                service: group.service,
+                fit: best,
+                alternatives,
+                explanation: this.explainChoice(best, alternatives, sdmData.participant, group.service)
+            });
+            assignments.set(best.practitionerId, assignment);
+        }
+
+        return [...assignments.values()].map(assignment => ({
+            ...assignment,
+            appointmentIndexes: assignment.appointmentIndexes.sort((a, b) => a - b),
+            fit: assignment.serviceFits[0].fit,
+            alternatives: assignment.serviceFits[0].alternatives,
+            explanation: assignment.serviceFits.map(serviceFit => serviceFit.explanation).join(' ')
+        }));
+    }
+
+    /**
+     * Group SDM appointments by service, keeping each report with the service it belongs to
+     * @param {Object} sdmData - Extracted SDM data
+     * @returns {Array<Object>} Groups of { service, appointmentIndexes, requiredMinutes }, largest first
+     */
+    groupByService(sdmData) {
+        const groups = new Map();
+        sdmData.appointments.forEach((appointment, index) => {
+            const service = appointment.service.replace(REPORT_SUFFIX, '');
+            const group = groups.get(service) || { service, appointmentIndexes: [], requiredMinutes: 0 };
+            group.appointmentIndexes.push(index);
+            group.requiredMinutes += appointment.duration + (appointment.travelTime || 0);
+            groups.set(service, group);
+        });
+        return [...groups.values()].sort((a, b) => b.requiredMinutes - a.requiredMinutes);
+    }
+
+    /**
+     * Share of the direct-session time that fits in free time on the participant's suitable days and times
+     * @param {Array} slots - Free slots in the appointments' date range
+     * @param {Array} appointments - SDM appointments being placed
+     * @param {Object|null} preferences - Parsed participant preferences (see preference-parser.js)
+     * @param {string} timezone - Practitioner timezone
+     */
+    scorePreference(slots, appointments, preferences, timezone) {
+        const directMinutes = appointments.filter(apt => !apt.isReportingSession).reduce((sum, apt) => sum + apt.duration, 0);
+        if (directMinutes === 0 || !hasPreferences(preferences)) {
+            return { score: null, detail: 'no participant day or time preferences to match' };
+        }
+
+        const stepMs = PREFERENCE_STEP_MINUTES * 60 * 1000;
+        let preferredMinutes = 0;
+        for (const slot of slots) {
+            for (let time = slot.start; time < slot.end; time += stepMs) {
+                const stepEnd = Math.min(time + stepMs, slot.end);
+                const { dayMatch, timeMatch } = evaluatePreferences(preferences, getLocalTimeParts(new Date(time), timezone), getLocalTimeParts(new Date(stepEnd), timezone));
+                if (dayMatch !== false && timeMatch !== false) {
+                    preferredMinutes += (stepEnd - time) / (60 * 1000);
+                }
+            }
+        }
+
+        return {
+            score: Math.min(preferredMinutes / directMinutes, 1),
+            preferredMinutes: Math.round(preferredMinutes),
+            detail: `${Math.round(preferredMinutes)} free minutes match the participant's preferences (${describePreferences(preferences)}) for ${directMinutes} minutes of direct sessions`
+        };
+    }
+
+    scoreCapacity(freeMinutes, requiredMinutes) {
+        const ratio = requiredMinutes > 0 ? freeMinutes / requiredMinutes : 0;
+        return {
+            score: Math.min(ratio / CAPACITY_HEADROOM, 1),
+            ratio: Number(ratio.toFixed(2)),
+            detail: `${Math.round(freeMinutes)} free minutes for ${requiredMinutes} required (${ratio.toFixed(1)}x)`
+        };
+    }
+
+    scoreContinuity(previousSessions = 0) {
+        return {
+            score: Math.min(previousSessions / CONTINUITY_FULL_SESSIONS, 1),
+            detail: previousSessions > 0
+                ? `${previousSessions} previous session(s) with the participant`
+                : 'no previous sessions with the participant'
+        };
+    }
+
+    /**
+     * Share of free time at the participant's preferred locations (or the practitioner's own listed locations)
+     */
+    scoreLocation(slots, practitionerLocationIds = []) {
+        const locationIds = this.preferredLocationIds.length > 0 ? this.preferredLocationIds : practitionerLocationIds;
+        const totalMinutes = slots.reduce((sum, slot) => sum + slot.minutes, 0);
+        if (locationIds.length === 0 || totalMinutes === 0) {
+            return { score: null, detail: 'no preferred locations given' };
+        }
+
+        const matchingMinutes = slots.filter(slot => locationIds.includes(slot.locationId)).reduce((sum, slot) => sum + slot.minutes, 0);
+        const share = matchingMinutes / totalMinutes;
+        return {
+            score: share,
+            detail: `${Math.round(share * 100)}% of free time at location(s) ${locationIds.join(', ')}`
+        };
+    }
+
+    /**
+     * Explain why a practitioner was chosen, naming the components that separated them from the runner-up
+     * @param {Object} chosen - Winning fit
+     * @param {Array<Object>} alternatives - Other fits, best first
+     * @param {Object} participant - Participant details
+     * @param {string} service - Service the choice applies to (split strategy)
+     * @returns {string} Explanation
+     */
+    explainChoice(chosen, alternatives, participant = {}, service = null) {
+        const subject = service ? `${service}: practitioner ${chosen.practitionerId}` : `Practitioner ${chosen.practitionerId}`;
+        const reasons = Object.values(chosen.components)
+            .filter(component => component.score !== null)
+            .map(component => component.detail);
+
+        let explanation = `${subject} chosen for ${participant.participantName || 'the participant'} with fit ${chosen.score}/100 - ${reasons.join('; ')}.`;
+
+        const [runnerUp] = alternatives;
+        if (runnerUp) {
+            const advantages = Object.keys(chosen.components).filter(name =>
+                chosen.components[name].score !== null && runnerUp.components[name].score !== null &&
+                chosen.components[name].score - runnerUp.components[name].score >= 0.05
+            );
+            explanation += ` Next best: practitioner ${runnerUp.practitionerId} (${runnerUp.score}/100)`;
+            if (advantages.length > 0) {
+                explanation += `, behind on ${advantages.join(', ')}.`;
+            } else {
+                explanation += runnerUp.score === chosen.score ? ', tied on fit with less free time.' : '.';
+            }
+        }
+        return explanation;
+    }
+
+    /**
+     * Free slots inside the local date range of the appointments being placed
+     */
+    slotsInRange(freeTimeSlots = [], appointments, timezone) {
+        const rangeStart = appointments.map(apt => apt.dateRangeStart).filter(Boolean).sort()[0];
+        const rangeEnd = appointments.map(apt => apt.dateRangeEnd).filter(Boolean).sort().at(-1);
+
+        return freeTimeSlots
+            .map(slot => ({
+                start: new Date(slot.startDateTime).getTime(),
+                end: new Date(slot.endDateTime).getTime(),
+                locationId: slot.locationId
+            }))
+            .filter(slot => {
+                const localDate = getLocalTimeParts(new Date(slot.start), timezone).date;
+                return (!rangeStart || localDate >= rangeStart) && (!rangeEnd || localDate <= rangeEnd);
+            })
+            .map(slot => ({ ...slot, minutes: (slot.end - slot.start) / (60 * 1000) }));
+    }
+
+    rank(fits) {
+        return fits.sort((a, b) => b.score - a.score || b.freeMinutes - a.freeMinutes || a.practitionerId - b.practitionerId);
+    }
+}
+
+export { PractitionerMatcher, POOL_STRATEGIES, FIT_WEIGHTS, normalizePool };
@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { PractitionerMatcher, normalizePool } from './practitioner-matcher.js';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { MasterScheduler } from './master-scheduler.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+const participant = {
+    participantName: 'Jane Doe',
+    suitableDays: 'Mondays or Tuesdays',
+    suitableTime: 'Mornings'
+};
+
+const sdmData = {
+    participant,
+    appointments: [
+        { service: 'Assessment', duration: 90, travelTime: 30, dateRangeStart: '2025-09-01', dateRangeEnd: '2025-09-05', isReportingSession: false },
+        { service: 'Assessment (Report)', duration: 30, travelTime: 0, dateRangeStart: '2025-09-01', dateRangeEnd: '2025-09-05', isReportingSession: true },
+        { service: 'Intervention (Direct)', duration: 60, travelTime: 30, dateRangeStart: '2025-09-08', dateRangeEnd: '2025-09-12', isReportingSession: false },
+        { service: 'Intervention (Direct)', duration: 60, travelTime: 30, dateRangeStart: '2025-09-08', dateRangeEnd: '2025-09-12', isReportingSession: false }
+    ]
+};
+
+/**
+ * Availability with free slots given as [local date, local start hour, local end hour] in Melbourne (UTC+10 in September)
+ */
+function availabilityFor(practitionerId, slots, locationId = 19042) {
+    const toUTC = (date, hour) => new Date(Date.UTC(...date.split('-').map((part, index) => Number(part) - (index === 1 ? 1 : 0)), hour - 10)).toISOString();
+    return {
+        practitionerId,
+        practitionerTimezone: 'Australia/Melbourne',
+        freeTimeSlots: slots.map(([date, from, to]) => ({ startDateTime: toUTC(date, from), endDateTime: toUTC(date, to), locationId }))
+    };
+}
+
+// Monday/Tuesday mornings in both weeks
+const morningPractitioner = availabilityFor(1001, [
+    ['2025-09-01', 8, 12], ['2025-09-02', 8, 12], ['2025-09-08', 8, 12], ['2025-09-09', 8, 12]
+]);
+// Same amount of time, but on Friday afternoons
+const afternoonPractitioner = availabilityFor(1002, [
+    ['2025-09-05', 13, 17], ['2025-09-05', 9, 13], ['2025-09-12', 13, 17], ['2025-09-12', 9, 13]
+], 20117);
+
+describe('normalizePool', () => {
+    test('should accept IDs and entry objects', () => {
+        expect(normalizePool([46932, { practitionerId: '51877', previousSessions: 2 }])).toEqual([
+            { practitionerId: 46932, previousSessions: 0, locationIds: [] },
+            { practitionerId: 51877, previousSessions: 2, locationIds: [] }
+        ]);
+    });
+
+    test('should reject empty pools, invalid IDs and duplicates', () => {
+        expect(() => normalizePool([])).toThrow('at least one practitioner');
+        expect(() => normalizePool(['abc'])).toThrow('Invalid practitioner ID');
+        expect(() => normalizePool([46932, 46932])).toThrow('appears more than once');
+    });
+});
+
+describe('PractitionerMatcher', () => {
+    const matcher = new PractitionerMatcher();
+    const allIndexes = [0, 1, 2, 3];
+
+    test('should score preference match from free time on suitable days and times', () => {
+        const morning = matcher.scorePractitioner(sdmData, allIndexes, morningPractitioner, { practitionerId: 1001, previousSessions: 0, locationIds: [] });
+        const afternoon = matcher.scorePractitioner(sdmData, allIndexes, afternoonPractitioner, { practitionerId: 1002, previousSessions: 0, locationIds: [] });
+
+        expect(morning.components.preference.score).toBe(1);
+        expect(afternoon.components.preference.score).toBe(0);
+        expect(morning.components.capacity.score).toBe(afternoon.components.capacity.score);
+        expect(morning.score).toBeGreaterThan(afternoon.score);
+    });
+
+    test('should leave out components without data and rescale the rest', () => {
+        const fit = matcher.scorePractitioner(sdmData, allIndexes, morningPractitioner, { practitionerId: 1001, previousSessions: 0, locationIds: [] });
+
+        expect(fit.components.location.score).toBeNull();
+        // preference 1 and capacity 1 outweigh continuity 0: (0.35 + 0.3) / 0.85
+        expect(fit.score).toBe(76);
+    });
+
+    test('should score capacity against the time the appointments need', () => {
+        expect(matcher.scoreCapacity(600, 300)).toMatchObject({ score: 1, ratio: 2 });
+        expect(matcher.scoreCapacity(300, 300)).toMatchObject({ score: 0.5, ratio: 1 });
+        expect(matcher.scoreCapacity(0, 300).score).toBe(0);
+    });
+
+    test('should reward continuity and preferred locations', () => {
+        const located = new PractitionerMatcher({ preferredLocationIds: [20117] });
+        const fit = located.scorePractitioner(sdmData, allIndexes, afternoonPractitioner, { practitionerId: 1002, previousSessions: 3, locationIds: [] });
+
+        expect(fit.components.continuity.score).toBe(1);
+        expect(fit.components.location.score).toBe(1);
+        expect(fit.components.location.detail).toContain('100% of free time at location(s) 20117');
+    });
+
+    test('should keep reports with their service when grouping', () => {
+        expect(matcher.groupByService(sdmData)).toEqual([
+            { service: 'Intervention (Direct)', appointmentIndexes: [2, 3], requiredMinutes: 180 },
+            { service: 'Assessment', appointmentIndexes: [0, 1], requiredMinutes: 150 }
+        ]);
+    });
+
+    test('should give the whole plan to the best fit and explain the choice', () => {
+        const availabilities = new Map([[1001, morningPractitioner], [1002, afternoonPractitioner]]);
+        const [assignment] = matcher.assignPractitioners(sdmData, availabilities, normalizePool([1002, 1001]), 'best_fit');
+
+        expect(assignment.practitionerId).toBe(1001);
+        expect(assignment.appointmentIndexes).toEqual(allIndexes);
+        expect(assignment.explanation).toContain('Practitioner 1001 chosen for Jane Doe');
+        expect(assignment.explanation).toContain('Next best: practitioner 1002');
+        expect(assignment.explanation).toContain('behind on preference');
+    });
+
+    test('should split services across practitioners by per-service fit', () => {
+        // 1001 only has time in the assessment week, 1002 only in the intervention week
+        const assessmentWeek = availabilityFor(1001, [['2025-09-01', 8, 12], ['2025-09-02', 8, 12]]);
+        const interventionWeek = availabilityFor(1002, [['2025-09-08', 8, 12], ['2025-09-09', 8, 12]]);
+        const availabilities = new Map([[1001, assessmentWeek], [1002, interventionWeek]]);
+
+        const assignments = matcher.assignPractitioners(sdmData, availabilities, normalizePool([1001, 1002]), 'split');
+
+        expect(assignments.map(({ practitionerId, services, appointmentIndexes }) => ({ practitionerId, services, appointmentIndexes }))).toEqual([
+            { practitionerId: 1002, services: ['Intervention (Direct)'], appointmentIndexes: [2, 3] },
+            { practitionerId: 1001, services: ['Assessment'], appointmentIndexes: [0, 1] }
+        ]);
+        expect(assignments[0].explanation).toMatch(/^Intervention \(Direct\): practitioner 1002 chosen/);
+    });
+
+    test('should reject unknown strategies and pools without availability', () => {
+        expect(() => matcher.assignPractitioners(sdmData, new Map(), normalizePool([1001]), 'random')).toThrow('Invalid pool strategy');
+        expect(() => matcher.assignPractitioners(sdmData, new Map(), normalizePool([1001]))).toThrow('No practitioner in the pool has availability data');
+    });
+});
+
+describe('practitioner pools against Windmill availability', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+    });
+
+    test('should rank fixture practitioners for the plan', async () => {
+        const calculator = new PractitionerAvailabilityCalculator();
+        const availabilities = new Map();
+        for (const practitionerId of [46932, 51877]) {
+            availabilities.set(practitionerId, await calculator.calculateAvailability(practitionerId, '2025-09-01', '2025-09-12'));
+        }
+
+        const rankings = new PractitionerMatcher().rankPractitioners(sdmData, availabilities, normalizePool([51877, 46932]));
+
+        expect(rankings.map(fit => fit.practitionerId)).toEqual([46932, 51877]);
+        expect(rankings[0].freeMinutes).toBeGreaterThan(rankings[1].freeMinutes);
+    });
+
+    test('should merge per-practitioner selections back onto the full plan', () => {
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic' });
+        const selection = (status, appointments, issues = []) => ({
+            natural_response: `${appointments.length} scheduled`,
+            status,
+            structured_response: { practitionerId: null, appointments, issues, travelBlocks: [], schedulePlanSummary: 'Summary.' }
+        });
+
+        const merged = scheduler.mergePoolSelections(
+            [{ practitionerId: 1002, appointmentIndexes: [2, 3] }, { practitionerId: 1001, appointmentIndexes: [0, 1] }],
+            [
+                selection('partial_success', [{ originalAppointmentIndex: 0, service: 'Intervention (Direct)' }], [{ appointmentIndex: 1, service: 'Intervention (Direct)' }]),
+                selection('success', [{ originalAppointmentIndex: 0, service: 'Assessment' }, { originalAppointmentIndex: 1, service: 'Assessment (Report)' }])
+            ]
+        );
+
+        expect(merged.status).toBe('partial_success');
+        expect(merged.structured_response.practitionerId).toBeNull();
+        expect(merged.structured_response.appointments.map(apt => [apt.originalAppointmentIndex, apt.practitionerId])).toEqual([[0, 1001], [1, 1001], [2, 1002]]);
+        expect(merged.structured_response.issues).toEqual([{ appointmentIndex: 3, service: 'Intervention (Direct)', practitionerId: 1002 }]);
+        expect(merged.natural_response).toContain('Practitioner 1002: 1 scheduled');
+    });
+
+    test('should mark later pool selections that clash across practitioners', () => {
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', schedulingPolicy: 'extended-week' });
+        const session = (index, practitionerId, start, end) => ({ originalAppointmentIndex: index, practitionerId, service: 'Intervention (Direct)', start, end, hasConflict: false });
+        const selection = {
+            status: 'success',
+            structured_response: {
+                practitionerId: null,
+                appointments: [
+                    session(0, 1001, '2025-09-01T00:00:00.000Z', '2025-09-01T01:00:00.000Z'),
+                    session(1, 1002, '2025-09-01T01:30:00.000Z', '2025-09-01T02:30:00.000Z'),
+                    session(2, 1002, '2025-09-01T23:00:00.000Z', '2025-09-02T00:00:00.000Z'),
+                    session(3, 1001, '2025-09-04T23:00:00.000Z', '2025-09-05T00:00:00.000Z')
+                ],
+                issues: [],
+                travelBlocks: [1, 2, 3].map(index => ({ originalAppointmentIndex: index, practitionerId: 1002 }))
+            }
+        };
+        const sdmData = { appointments: [0, 1, 2, 3].map(() => ({ travelTime: 40, isReportingSession: false })) };
+
+        const resolved = scheduler.resolvePoolConflicts(sdmData, selection, () => 'Australia/Melbourne');
+        const [first, overlapping, tooSoon, spaced] = resolved.structured_response.appointments;
+
+        expect(resolved.status).toBe('partial_success');
+        expect(first.hasConflict).toBe(false);
+        expect(overlapping.conflictDetails[0]).toMatchObject({ type: 'double_booking', conflictingAppointmentIndex: 0 });
+        expect(tooSoon.conflictDetails.map(conflict => conflict.type)).toEqual(['session_spacing']);
+        expect(spaced.hasConflict).toBe(false);
+        expect(resolved.structured_response.issues.map(issue => [issue.appointmentIndex, issue.practitionerId])).toEqual([[1, 1002], [2, 1002]]);
+        expect(resolved.structured_response.issues[0].issue).toBe('Selected slot is double-booked with appointment #1 (Intervention (Direct)) with practitioner 1001, including travel time');
+        expect(resolved.structured_response.issues[1].issue).toContain('across practitioners');
+        expect(resolved.structured_response.travelBlocks.map(block => block.originalAppointmentIndex)).toEqual([3]);
+        expect(scheduler.resolvePoolConflicts(sdmData, { ...selection, structured_response: { ...selection.structured_response, appointments: [selection.structured_response.appointments[3]] } })).toMatchObject({ status: 'success' });
+    });
+});
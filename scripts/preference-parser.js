@@ -0,0 +1,495 @@
+import 'dotenv/config';
+import { HumanMessage } from '@langchain/core/messages';
+import { z } from 'zod';
+import { createStructuredModel } from './utils/model-factory.js';
+import { getLogger } from './utils/logger.js';
+import { withRedactor } from './utils/pii-redactor.js';
+import { formatClock } from './utils/timezone-utils.js';
+
+const logger = getLogger('preference-parser');
+
+/**
+ * Participant preference parser.
+ * participant.suitableDays and suitableTime are free text (e.g. "weekday mornings, not Wednesdays").
+ * parsePreferences reads them with patterns into allowed and forbidden ISO weekdays and local time
+ * windows (minutes past midnight); PreferenceParser only asks the LLM about text the patterns
+ * cannot read. Allowed days and times are soft unless the text insists on them ("Tuesdays only",
+ * "must be mornings"); anything the participant rules out is hard.
+ *
+ * Controlled by PREFERENCE_PARSER: auto (patterns with LLM fallback), deterministic or llm.
+ */
+
+const PREFERENCE_PARSER_MODES = ['auto', 'deterministic', 'llm'];
+const PREFERENCE_FIELDS = ['suitableDays', 'suitableTime'];
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DAY_ALIASES = {
+    monday: 1, mon: 1,
+    tuesday: 2, tues: 2, tue: 2,
+    wednesday: 3, weds: 3, wed: 3,
+    thursday: 4, thurs: 4, thur: 4, thu: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6,
+    sunday: 7, sun: 7
+};
+const DAY_NAME = `(${Object.keys(DAY_ALIASES).join('|')})s?`;
+const DAY_PATTERN = new RegExp(`\\b${DAY_NAME}\\b`, 'g');
+const DAY_RANGE_PATTERN = new RegExp(`\\b${DAY_NAME}\\s*(?:-|–|to|through|thru|until|till)\\s*${DAY_NAME}\\b`, 'g');
+
+// Named parts of the day as local [start, end) minutes. Phrases are read before clock times so
+// "after school" is not taken for "after <time>"; periods after them so "9am" is not "am"
+const PHRASE_WINDOWS = [
+    { pattern: /\bafter[ -]school\b/g, window: [15 * 60, 18 * 60] },
+    { pattern: /\bschool hours\b/g, window: [9 * 60, 15 * 60] },
+    { pattern: /\b(business|office|working) hours\b/g, window: [9 * 60, 17 * 60] }
+];
+const PERIOD_WINDOWS = [
+    { pattern: /\bmornings?\b|\bam\b/g, window: [0, 12 * 60] },
+    { pattern: /\b(lunch ?times?|lunch|midday)\b/g, window: [12 * 60, 14 * 60] },
+    { pattern: /\bafternoons?\b|\bpm\b/g, window: [12 * 60, 17 * 60] },
+    { pattern: /\b(evenings?|nights?)\b/g, window: [17 * 60, 24 * 60] }
+];
+
+const CLOCK = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm)?';
+const TIME_RANGE_PATTERN = new RegExp(`(?:\\b(?:between|from)\\s+)?\\b${CLOCK}\\s*(?:-|–|to|and|until|till)\\s*${CLOCK}`, 'g');
+const TIME_BOUND_PATTERN = new RegExp(`\\b(after|from|before|until|till|by)\\s+${CLOCK}`, 'g');
+
+const NO_PREFERENCE_PATTERN = /\b(any ?(day|time)s?|anytime|all days|flexible|no preference|whenever|not specified|n\/a)\b/g;
+// Everything after one of these words in a clause is ruled out ("weekdays except Wednesdays")
+const NEGATION_PATTERN = /\b(not|no|except|excluding|avoid|never|cannot|can't|can not|unable|unavailable|other than|apart from)\b/;
+// A negation closing its clause rules out what came before it ("Fridays not possible")
+const TRAILING_NEGATION_PATTERN = /^\s*(possible|suitable|good|ok|okay)?\s*$/;
+const HARD_PATTERN = /\b(only|must|strictly|has to|have to|needs? to)\b/;
+
+const timeWindowSchema = z.object({
+    start: z.string().describe("Start of the window in 24-hour local time (e.g. '09:00')"),
+    end: z.string().describe("End of the window in 24-hour local time (e.g. '12:00', '24:00' for midnight)")
+});
+
+const preferenceSchema = z.object({
+    allowedDays: z.array(z.enum(WEEKDAY_NAMES)).describe('Days of the week that suit the participant; empty when any day suits'),
+    forbiddenDays: z.array(z.enum(WEEKDAY_NAMES)).describe('Days of the week the participant cannot do'),
+    allowedTimes: z.array(timeWindowSchema).describe('Local time windows that suit the participant; empty when any time suits'),
+    forbiddenTimes: z.array(timeWindowSchema).describe('Local time windows the participant cannot do'),
+    strength: z.enum(['hard', 'soft']).describe("'hard' when the participant can only do the allowed days and times, 'soft' when they are a preference")
+});
+
+const textCache = new Map();
+
+/**
+ * Read a clock time as minutes past midnight. Without am/pm, 1-7 is read as afternoon
+ * ("after 3" means 15:00) and anything else as written.
+ * @param {string} hours - Hour digits
+ * @param {string} minutes - Minute digits, if any
+ * @param {string} meridiem - 'am', 'pm' or undefined
+ * @returns {number|null} Minutes past midnight, or null for an impossible time
+ */
+function toMinutes(hours, minutes, meridiem) {
+    let hour = Number(hours);
+    const minute = Number(minutes || 0);
+    if (hour > 24 || minute > 59) return null;
+
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    else if (meridiem === 'am' && hour === 12) hour = 0;
+    else if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+    return hour * 60 + minute;
+}
+
+/**
+ * Read the time range of a TIME_RANGE_PATTERN match. A start without am/pm takes the end's
+ * when that keeps it before the end ("1-3pm"), so "9-12pm" still starts in the morning.
+ * @param {Array} match - Regex match
+ * @returns {Array|null} [start, end] minutes, or null when the range cannot be read
+ */
+function readTimeRange(match) {
+    const [, startHours, startMinutes, startMeridiem, endHours, endMinutes, endMeridiem] = match;
+    const end = toMinutes(endHours, endMinutes, endMeridiem);
+    let start = toMinutes(startHours, startMinutes, startMeridiem);
+    if (!startMeridiem && endMeridiem) {
+        const sameMeridiem = toMinutes(startHours, startMinutes, endMeridiem);
+        start = sameMeridiem < end ? sameMeridiem : toMinutes(startHours, startMinutes, 'am');
+    }
+    if (start === null || end === null || start >= end) return null;
+    return [start, end];
+}
+
+/**
+ * Find the weekdays and time windows mentioned in part of a clause
+ * @param {string} text - Lower-case text
+ * @returns {Object} { days: Set<number>, windows: Array<[start, end]> }
+ */
+function readTerms(text) {
+    const days = new Set();
+    const windows = [];
+    let rest = text;
+
+    rest = rest.replace(DAY_RANGE_PATTERN, (match, from, to) => {
+        for (let day = DAY_ALIASES[from]; ; day = (day % 7) + 1) {
+            days.add(day);
+            if (day === DAY_ALIASES[to]) break;
+        }
+        return ' ';
+    });
+    if (/\bweek ?days?\b/.test(rest)) [1, 2, 3, 4, 5].forEach(day => days.add(day));
+    if (/\bweek ?ends?\b/.test(rest)) [6, 7].forEach(day => days.add(day));
+    rest = rest.replace(/\bweek ?(days?|ends?)\b/g, ' ');
+    rest = rest.replace(DAY_PATTERN, (match, name) => {
+        days.add(DAY_ALIASES[name]);
+        return ' ';
+    });
+
+    rest = rest.replace(TIME_RANGE_PATTERN, (...match) => {
+        const range = readTimeRange(match);
+        if (range) windows.push(range);
+        return range ? ' ' : match[0];
+    });
+    for (const { pattern, window } of PHRASE_WINDOWS) {
+        rest = rest.replace(pattern, () => {
+            windows.push(window);
+            return ' ';
+        });
+    }
+    rest = rest.replace(TIME_BOUND_PATTERN, (match, bound, hours, minutes, meridiem) => {
+        const time = toMinutes(hours, minutes, meridiem);
+        if (time === null) return match;
+        windows.push(['after', 'from'].includes(bound) ? [time, 24 * 60] : [0, time]);
+        return ' ';
+    });
+    for (const { pattern, window } of PERIOD_WINDOWS) {
+        rest = rest.replace(pattern, () => {
+            windows.push(window);
+            return ' ';
+        });
+    }
+
+    return { days, windows };
+}
+
+/**
+ * Parse one preference text into allowed and forbidden days and time windows
+ * @param {string} text - Participant suitableDays or suitableTime text
+ * @returns {Object} { days: { allowed, forbidden, hard }, times: { allowed, forbidden, hard }, readable }
+ */
+function parseText(text) {
+    const key = String(text ?? '').trim();
+    if (textCache.has(key)) return textCache.get(key);
+
+    const result = {
+        days: { allowed: new Set(), forbidden: new Set(), hard: false },
+        times: { allowed: [], forbidden: [], hard: false },
+        readable: true
+    };
+
+    const lower = key.toLowerCase();
+    const withoutNoPreference = lower.replace(NO_PREFERENCE_PATTERN, ' ');
+    // Evaluate comma/semicolon separated clauses so "not Wednesdays" only negates its own clause
+    for (const clause of withoutNoPreference.split(/[,;]|\.(?!\d)|\bbut\b/)) {
+        const negation = clause.match(NEGATION_PATTERN);
+        let allowedPart = negation ? clause.slice(0, negation.index) : clause;
+        let forbiddenPart = negation ? clause.slice(negation.index + negation[0].length) : '';
+        if (negation && TRAILING_NEGATION_PATTERN.test(forbiddenPart)) {
+            [allowedPart, forbiddenPart] = ['', allowedPart];
+        }
+
+        const allowed = readTerms(allowedPart);
+        const forbidden = readTerms(forbiddenPart);
+        allowed.days.forEach(day => result.days.allowed.add(day));
+        forbidden.days.forEach(day => result.days.forbidden.add(day));
+        result.times.allowed.push(...allowed.windows);
+        result.times.forbidden.push(...forbidden.windows);
+        if (HARD_PATTERN.test(allowedPart)) {
+            result.days.hard ||= allowed.days.size > 0;
+            result.times.hard ||= allowed.windows.length > 0;
+        }
+    }
+
+    const found = result.days.allowed.size + result.days.forbidden.size + result.times.allowed.length + result.times.forbidden.length;
+    result.readable = found > 0 || lower === '' || lower !== withoutNoPreference;
+
+    textCache.set(key, result);
+    return result;
+}
+
+/**
+ * Combine per-field parse results into participant preferences
+ * @param {Array<Object>} parts - Results of parseText (or converted LLM output)
+ * @param {Object} participant - Participant with the original texts
+ * @param {Object} details - { source, unreadable }
+ * @returns {Object} Participant preferences (see parsePreferences)
+ */
+function combinePreferences(parts, participant, details) {
+    const unique = (windows) => [...new Map(windows.map(([start, end]) => [`${start}-${end}`, { start, end }])).values()]
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+    const days = (key) => [...new Set(parts.flatMap(part => [...part.days[key]]))].sort((a, b) => a - b);
+    const strength = (key) => (parts.some(part => part[key].hard) ? 'hard' : 'soft');
+
+    return {
+        days: { allowed: days('allowed'), forbidden: days('forbidden'), strength: strength('days') },
+        times: {
+            allowed: unique(parts.flatMap(part => part.times.allowed)),
+            forbidden: unique(parts.flatMap(part => part.times.forbidden)),
+            strength: strength('times')
+        },
+        source: details.source,
+        unreadable: details.unreadable,
+        text: {
+            suitableDays: participant?.suitableDays || null,
+            suitableTime: participant?.suitableTime || null
+        }
+    };
+}
+
+/**
+ * Parse participant day and time preferences with patterns only
+ * @param {Object} participant - Participant with suitableDays and suitableTime text
+ * @returns {Object} {
+ *   days: { allowed: Array<number>, forbidden: Array<number>, strength },   ISO weekdays (1 = Monday)
+ *   times: { allowed: Array<{start, end}>, forbidden: Array<{start, end}>, strength },   local minutes past midnight
+ *   source: 'pattern', unreadable: Array<string> (fields no pattern could read), text: { suitableDays, suitableTime }
+ * }
+ */
+function parsePreferences(participant) {
+    const parts = PREFERENCE_FIELDS.map(field => parseText(participant?.[field]));
+    const unreadable = PREFERENCE_FIELDS.filter((field, index) => !parts[index].readable);
+    return combinePreferences(parts, participant, { source: 'pattern', unreadable });
+}
+
+/**
+ * Whether preferences constrain anything at all
+ * @param {Object|null} preferences - Participant preferences
+ * @returns {boolean} True when any day or time is allowed or forbidden
+ */
+function hasPreferences(preferences) {
+    if (!preferences) return false;
+    const { days, times } = preferences;
+    return days.allowed.length + days.forbidden.length + times.allowed.length + times.forbidden.length > 0;
+}
+
+/**
+ * Check a session against participant preferences
+ * @param {Object|null} preferences - Participant preferences from parsePreferences or PreferenceParser
+ * @param {Object} localStart - Local start from getLocalTimeParts
+ * @param {Object} localEnd - Local end from getLocalTimeParts
+ * @returns {Object} { dayMatch, timeMatch, violations: [{ type: 'day'|'time', strength, message }] }
+ *                   where a match is null when the preferences say nothing about it
+ */
+function evaluatePreferences(preferences, localStart, localEnd) {
+    const result = { dayMatch: null, timeMatch: null, violations: [] };
+    if (!hasPreferences(preferences)) return result;
+
+    const { days, times } = preferences;
+    const weekday = localStart.isoWeekday;
+    const dayName = WEEKDAY_NAMES[weekday - 1];
+    if (days.forbidden.includes(weekday)) {
+        result.dayMatch = false;
+        result.violations.push({ type: 'day', strength: 'hard', message: `${dayName} is a day the participant cannot do` });
+    } else if (days.allowed.length > 0) {
+        result.dayMatch = days.allowed.includes(weekday);
+        if (!result.dayMatch) {
+            result.violations.push({ type: 'day', strength: days.strength, message: `${dayName} is not a participant day (${formatDays(days.allowed)})` });
+        }
+    } else if (days.forbidden.length > 0) {
+        result.dayMatch = true;
+    }
+
+    // A session suits an allowed window when it starts in it, and breaks a forbidden one when it overlaps it
+    const start = localStart.minutesOfDay;
+    const end = localEnd && localEnd.date === localStart.date ? localEnd.minutesOfDay : 24 * 60;
+    const session = `${formatClock(start)}-${formatClock(end)}`;
+    const overlapped = times.forbidden.find(window => start < window.end && end > window.start);
+    if (overlapped) {
+        result.timeMatch = false;
+        result.violations.push({ type: 'time', strength: 'hard', message: `${session} overlaps ${formatWindows([overlapped])}, which the participant cannot do` });
+    } else if (times.allowed.length > 0) {
+        result.timeMatch = times.allowed.some(window => start >= window.start && start < window.end);
+        if (!result.timeMatch) {
+            result.violations.push({ type: 'time', strength: times.strength, message: `${session} is outside participant times (${formatWindows(times.allowed)})` });
+        }
+    } else if (times.forbidden.length > 0) {
+        result.timeMatch = true;
+    }
+
+    return result;
+}
+
+/**
+ * Match a local weekday against free-text day preferences (e.g. "Mondays and Tuesdays, not Fridays")
+ * @param {string} text - Participant suitable days text
+ * @param {number} isoWeekday - Local ISO weekday (1 = Monday)
+ * @returns {boolean|null} Whether the day matches, or null when no preference can be read
+ */
+function matchesDayPreference(text, isoWeekday) {
+    const { days } = parseText(text);
+    if (days.forbidden.has(isoWeekday)) return false;
+    if (days.allowed.size === 0) return days.forbidden.size > 0 ? true : null;
+    return days.allowed.has(isoWeekday);
+}
+
+/**
+ * Match a local start time against free-text time preferences (e.g. "mornings", "after 3pm")
+ * @param {string} text - Participant suitable time text
+ * @param {number} minutesOfDay - Local start time in minutes past midnight
+ * @returns {boolean|null} Whether the time matches, or null when no preference can be read
+ */
+function matchesTimePreference(text, minutesOfDay) {
+    const { times } = parseText(text);
+    const contains = ([start, end]) => minutesOfDay >= start && minutesOfDay < end;
+    if (times.forbidden.some(contains)) return false;
+    if (times.allowed.length === 0) return times.forbidden.length > 0 ? true : null;
+    return times.allowed.some(contains);
+}
+
+/**
+ * Short weekday list (e.g. 'Mon, Tue, Wed')
+ * @param {Array<number>} days - ISO weekdays
+ * @returns {string} Day list
+ */
+function formatDays(days) {
+    return days.map(day => WEEKDAY_NAMES[day - 1].slice(0, 3)).join(', ');
+}
+
+/**
+ * Time window list (e.g. '00:00-12:00, 15:00-24:00')
+ * @param {Array<Object>} windows - { start, end } minutes past midnight
+ * @returns {string} Window list
+ */
+function formatWindows(windows) {
+    return windows.map(window => `${formatClock(window.start)}-${formatClock(window.end)}`).join(', ');
+}
+
+/**
+ * One-line summary of parsed preferences for prompts and reports
+ * @param {Object|null} preferences - Participant preferences
+ * @returns {string} e.g. 'Days: Mon, Tue, Wed (soft), not Fri; Times: 00:00-12:00 (soft)'
+ */
+function describePreferences(preferences) {
+    if (!hasPreferences(preferences)) return 'No constraints';
+
+    const describe = (label, allowed, forbidden, strength) => {
+        const parts = [];
+        if (allowed) parts.push(`${allowed} (${strength})`);
+        if (forbidden) parts.push(`not ${forbidden}`);
+        return parts.length > 0 ? `${label}: ${parts.join(', ')}` : null;
+    };
+    const { days, times } = preferences;
+    return [
+        describe('Days', formatDays(days.allowed), formatDays(days.forbidden), days.strength),
+        describe('Times', formatWindows(times.allowed), formatWindows(times.forbidden), times.strength)
+    ].filter(Boolean).join('; ');
+}
+
+/**
+ * Resolve the preference parser mode
+ * @param {string} parser - Mode option; falls back to PREFERENCE_PARSER and then 'auto'
+ * @returns {string} One of PREFERENCE_PARSER_MODES
+ */
+function resolvePreferenceParserMode(parser) {
+    const resolved = parser || process.env.PREFERENCE_PARSER || 'auto';
+    if (!PREFERENCE_PARSER_MODES.includes(resolved)) {
+        throw new Error(`Invalid PREFERENCE_PARSER "${resolved}". Expected one of: ${PREFERENCE_PARSER_MODES.join(', ')}`);
+    }
+    return resolved;
+}
+
+class PreferenceParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {string} options.parser - 'auto' (patterns with LLM fallback), 'deterministic' or 'llm'. Defaults to PREFERENCE_PARSER or 'auto'
+     */
+    constructor(options = {}) {
+        this.parser = resolvePreferenceParserMode(options.parser);
+        this.structuredModel = createStructuredModel('preference', preferenceSchema);
+    }
+
+    /**
+     * Parse participant preferences. Patterns run first; in auto mode the LLM only reads fields no
+     * pattern understood, and if it fails those fields are treated as no constraint.
+     * @param {Object} participant - Participant with suitableDays and suitableTime text
+     * @returns {Promise<Object>} Participant preferences (see parsePreferences)
+     */
+    async parse(participant) {
+        const parsed = parsePreferences(participant);
+        const fields = this.parser === 'llm'
+            ? PREFERENCE_FIELDS.filter(field => participant?.[field]?.trim())
+            : parsed.unreadable;
+
+        if (this.parser === 'deterministic' || fields.length === 0) {
+            if (parsed.unreadable.length > 0) {
+                logger.warn(`Could not read participant preferences, treating them as no constraint: ${parsed.unreadable.map(field => `${field} "${participant[field]}"`).join(', ')}`);
+            }
+            return parsed;
+        }
+
+        logger.info(`Reading participant preferences with LLM: ${fields.join(', ')}`, { fields });
+        try {
+            const response = await this.extractWithLLM(participant, fields);
+            const readable = PREFERENCE_FIELDS.filter(field => !fields.includes(field)).map(field => parseText(participant[field]));
+            return combinePreferences([...readable, this.toParseResult(response)], participant, { source: 'llm', unreadable: [] });
+        } catch (error) {
+            logger.warn(`Preference LLM fallback failed, treating ${fields.join(', ')} as no constraint: ${error.message}`, { errorType: error.name });
+            return parsed;
+        }
+    }
+
+    /**
+     * Ask the preference-stage LLM to structure preference text
+     * @param {Object} participant - Participant with the preference text
+     * @param {Array<string>} fields - Fields to read
+     * @returns {Promise<Object>} Response in preferenceSchema shape
+     */
+    async extractWithLLM(participant, fields) {
+        const prompt = `Convert a participant's free-text scheduling preferences into structured constraints.
+
+${fields.map(field => `${field === 'suitableDays' ? 'Suitable days' : 'Suitable time'}: ${participant[field]}`).join('\n')}
+
+Rules:
+- Days are Monday to Sunday. Leave allowedDays empty when the text does not limit the days.
+- Times are 24-hour local times (HH:MM). Leave allowedTimes empty when the text does not limit the time of day.
+- Mornings are 00:00-12:00, afternoons 12:00-17:00 and evenings 17:00-24:00.
+- Put days and times the participant rules out in forbiddenDays and forbiddenTimes.
+- Use strength 'hard' only when the participant can do nothing outside the allowed days and times.`;
+
+        logger.info(`Calling ${this.structuredModel.label} for preference parsing`, { model: this.structuredModel.label, promptChars: prompt.length });
+        return await withRedactor((redactor) => {
+            redactor.registerParticipant(participant);
+            return this.structuredModel.invoke([new HumanMessage(prompt)]);
+        });
+    }
+
+    /**
+     * Convert an LLM response to the parseText result shape, dropping unreadable times
+     * @param {Object} response - Response in preferenceSchema shape
+     * @returns {Object} { days, times, readable }
+     */
+    toParseResult(response) {
+        const hard = response.strength === 'hard';
+        const toDay = (name) => WEEKDAY_NAMES.indexOf(name) + 1;
+        const toWindow = (window) => {
+            const [start, end] = [window.start, window.end].map(time => {
+                const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+                const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+                return minutes <= 24 * 60 ? minutes : NaN;
+            });
+            return start < end ? [start, end] : null;
+        };
+
+        return {
+            days: { allowed: new Set(response.allowedDays.map(toDay)), forbidden: new Set(response.forbiddenDays.map(toDay)), hard },
+            times: { allowed: response.allowedTimes.map(toWindow).filter(Boolean), forbidden: response.forbiddenTimes.map(toWindow).filter(Boolean), hard },
+            readable: true
+        };
+    }
+}
+
+export {
+    PreferenceParser,
+    PREFERENCE_PARSER_MODES,
+    preferenceSchema,
+    parsePreferences,
+    evaluatePreferences,
+    hasPreferences,
+    describePreferences,
+    matchesDayPreference,
+    matchesTimePreference,
+    resolvePreferenceParserMode
+};
@@ -0,0 +1,184 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+    PreferenceParser,
+    parsePreferences,
+    evaluatePreferences,
+    describePreferences,
+    resolvePreferenceParserMode
+} from './preference-parser.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { MasterScheduler } from './master-scheduler.js';
+import { getLocalTimeParts } from './utils/timezone-utils.js';
+
+const local = (iso) => getLocalTimeParts(new Date(iso), 'Australia/Melbourne');
+
+describe('parsePreferences', () => {
+    test('should read days, ranges and exclusions', () => {
+        const preferences = parsePreferences({ suitableDays: 'Weekday mornings, not Wednesdays', suitableTime: null });
+
+        expect(preferences.days).toEqual({ allowed: [1, 2, 3, 4, 5], forbidden: [3], strength: 'soft' });
+        expect(preferences.times.allowed).toEqual([{ start: 0, end: 12 * 60 }]);
+        expect(parsePreferences({ suitableDays: 'Mon-Thu' }).days.allowed).toEqual([1, 2, 3, 4]);
+        expect(parsePreferences({ suitableDays: 'Weekdays except Fridays' }).days).toMatchObject({ allowed: [1, 2, 3, 4, 5], forbidden: [5] });
+        expect(parsePreferences({ suitableDays: 'Fridays not possible' }).days).toMatchObject({ allowed: [], forbidden: [5] });
+    });
+
+    test('should read clock times and named parts of the day', () => {
+        const times = (suitableTime) => parsePreferences({ suitableTime }).times;
+
+        expect(times('After 3pm').allowed).toEqual([{ start: 15 * 60, end: 24 * 60 }]);
+        expect(times('between 9 and 12').allowed).toEqual([{ start: 9 * 60, end: 12 * 60 }]);
+        expect(times('9-12pm').allowed).toEqual([{ start: 9 * 60, end: 12 * 60 }]);
+        expect(times('1-3pm').allowed).toEqual([{ start: 13 * 60, end: 15 * 60 }]);
+        expect(times('School hours, no evenings')).toEqual({
+            allowed: [{ start: 9 * 60, end: 15 * 60 }],
+            forbidden: [{ start: 17 * 60, end: 24 * 60 }],
+            strength: 'soft'
+        });
+    });
+
+    test('should make insisted-on preferences hard and read flexible text as no constraint', () => {
+        const preferences = parsePreferences({ suitableDays: 'Tuesdays only', suitableTime: 'Mornings' });
+
+        expect(preferences.days.strength).toBe('hard');
+        expect(preferences.times.strength).toBe('soft');
+        expect(describePreferences(parsePreferences({ suitableDays: 'Any day', suitableTime: 'Flexible' }))).toBe('No constraints');
+        expect(parsePreferences({ suitableDays: 'Depends on the carer roster', suitableTime: 'Mornings' }).unreadable).toEqual(['suitableDays']);
+    });
+});
+
+describe('evaluatePreferences', () => {
+    const preferences = parsePreferences({ suitableDays: 'Mondays or Tuesdays, not Fridays', suitableTime: 'Mornings, not after 3pm' });
+
+    test('should match sessions that suit the participant', () => {
+        // Tuesday 26 August 09:00-10:30 Melbourne time
+        expect(evaluatePreferences(preferences, local('2025-08-25T23:00:00Z'), local('2025-08-26T00:30:00Z'))).toEqual({ dayMatch: true, timeMatch: true, violations: [] });
+    });
+
+    test('should report soft and hard violations', () => {
+        // Wednesday 27 August 13:00-14:30, then Friday 29 August 14:30-16:00
+        const wednesday = evaluatePreferences(preferences, local('2025-08-27T03:00:00Z'), local('2025-08-27T04:30:00Z'));
+        const friday = evaluatePreferences(preferences, local('2025-08-29T04:30:00Z'), local('2025-08-29T06:00:00Z'));
+
+        expect(wednesday.violations).toEqual([
+            { type: 'day', strength: 'soft', message: 'Wednesday is not a participant day (Mon, Tue)' },
+            { type: 'time', strength: 'soft', message: '13:00-14:30 is outside participant times (00:00-12:00)' }
+        ]);
+        expect(friday.violations).toEqual([
+            { type: 'day', strength: 'hard', message: 'Friday is a day the participant cannot do' },
+            { type: 'time', strength: 'hard', message: '14:30-16:00 overlaps 15:00-24:00, which the participant cannot do' }
+        ]);
+    });
+});
+
+describe('ConflictChecker preference flags', () => {
+    test('should flag valid suggestions outside participant preferences without marking them conflicted', () => {
+        const availability = {
+            practitionerTimezone: 'Australia/Melbourne',
+            freeTimeSlots: [{ startDateTime: '2025-08-26T23:00:00.000Z', endDateTime: '2025-08-27T07:00:00.000Z', locationId: 19042 }]
+        };
+        const suggestions = {
+            suggestedAppointments: [{ start: '2025-08-26T23:00:00.000Z', end: '2025-08-27T00:30:00.000Z', locationId: 19042, service: 'Therapy' }],
+            summary: { totalAppointmentsSuggested: 1 }
+        };
+        const preferences = parsePreferences({ suitableDays: 'Mondays or Tuesdays', suitableTime: 'Mornings' });
+
+        const checked = new ConflictChecker().checkConflicts(availability, suggestions, 0, preferences);
+
+        expect(checked.suggestedAppointments[0].hasConflict).toBe(false);
+        expect(checked.suggestedAppointments[0].preferenceViolations).toEqual([
+            { type: 'day', strength: 'soft', message: 'Wednesday is not a participant day (Mon, Tue)' }
+        ]);
+        expect(checked.summary.totalPreferenceViolations).toBe(1);
+        expect(new ConflictChecker().generateReport(checked)).toContain('Preference (soft): Wednesday is not a participant day');
+    });
+});
+
+describe('MasterScheduler preference flags', () => {
+    test('should flag selected sessions outside participant preferences and list them in the report', () => {
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', runStore: null, availabilityCalculator: {} });
+        const participant = { participantName: 'Jane Doe', serviceRequired: 'Therapy', state: 'VIC', suitableDays: 'Mondays, not Fridays', suitableTime: 'Mornings' };
+        const sdmData = {
+            participant,
+            preferences: parsePreferences(participant),
+            planDetails: { planStartDate: '2025-08-01', planEndDate: '2025-12-31' },
+            appointments: [{ service: 'Therapy', isReportingSession: false }, { service: 'Report', isReportingSession: true }]
+        };
+        // Friday 29 August 10:00 and 14:00 Melbourne time
+        const selection = {
+            natural_response: 'Selected',
+            status: 'success',
+            structured_response: {
+                appointments: [
+                    { start: '2025-08-29T00:00:00.000Z', end: '2025-08-29T01:30:00.000Z', service: 'Therapy', originalAppointmentIndex: 0 },
+                    { start: '2025-08-29T04:00:00.000Z', end: '2025-08-29T05:00:00.000Z', service: 'Report', originalAppointmentIndex: 1, isReportingSession: true }
+                ],
+                issues: [],
+                schedulePlanSummary: 'Summary.'
+            }
+        };
+
+        const flagged = scheduler.flagPreferenceViolations(sdmData, selection, () => 'Australia/Melbourne');
+        const [therapy, report] = flagged.structured_response.appointments;
+        const text = scheduler.generateHumanReadableReport(flagged, sdmData);
+
+        expect(therapy.preferenceViolations).toEqual([{ type: 'day', strength: 'hard', message: 'Friday is a day the participant cannot do' }]);
+        expect(report.preferenceViolations).toBeUndefined();
+        expect(text).toContain('**Participant Preferences:** Days: Mon (soft), not Fri; Times: 00:00-12:00 (soft)');
+        expect(text).toContain('❌ Friday is a day the participant cannot do - confirm with the participant before booking');
+    });
+});
+
+describe('PreferenceParser', () => {
+    afterEach(() => {
+        delete process.env.PREFERENCE_PARSER;
+    });
+
+    test('should validate the parser mode', () => {
+        expect(resolvePreferenceParserMode()).toBe('auto');
+        process.env.PREFERENCE_PARSER = 'deterministic';
+        expect(resolvePreferenceParserMode()).toBe('deterministic');
+        expect(() => resolvePreferenceParserMode('guess')).toThrow('Invalid PREFERENCE_PARSER "guess". Expected one of: auto, deterministic, llm');
+    });
+
+    test('should only ask the LLM about text the patterns cannot read', async () => {
+        const parser = new PreferenceParser({ parser: 'auto' });
+        const prompts = [];
+        parser.structuredModel = {
+            label: 'fake/preferences',
+            invoke: async (messages) => {
+                prompts.push(messages[0].content);
+                return { allowedDays: ['Thursday'], forbiddenDays: [], allowedTimes: [], forbiddenTimes: [{ start: '15:00', end: '24:00' }], strength: 'hard' };
+            }
+        };
+
+        const readable = await parser.parse({ suitableDays: 'Mondays', suitableTime: 'Mornings' });
+        const fallback = await parser.parse({ suitableDays: 'Whichever day the carer is rostered on, usually the fourth day of the week', suitableTime: 'Mornings' });
+
+        expect(readable.source).toBe('pattern');
+        expect(prompts).toHaveLength(1);
+        expect(prompts[0]).toContain('Suitable days: Whichever day');
+        expect(prompts[0]).not.toContain('Suitable time');
+        expect(fallback).toMatchObject({
+            source: 'llm',
+            unreadable: [],
+            days: { allowed: [4], forbidden: [], strength: 'hard' },
+            times: { allowed: [{ start: 0, end: 12 * 60 }], forbidden: [{ start: 15 * 60, end: 24 * 60 }], strength: 'hard' }
+        });
+    });
+
+    test('should treat unreadable text as no constraint when the LLM fails', async () => {
+        const parser = new PreferenceParser({ parser: 'auto' });
+        parser.structuredModel = {
+            label: 'fake/preferences',
+            invoke: async () => {
+                throw new Error('HTTP 503');
+            }
+        };
+
+        const preferences = await parser.parse({ suitableDays: 'Ask the carer', suitableTime: null });
+
+        expect(preferences).toMatchObject({ source: 'pattern', unreadable: ['suitableDays'] });
+        expect(describePreferences(preferences)).toBe('No constraints');
+    });
+});
@@ -0,0 +1,226 @@
+import { getLocalTimeParts, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+
+/**
+ * Recurrence engine for SDM service frequency.
+ * Turns servicePlanning.serviceFrequency plus the service commencement date into an RRULE-style
+ * series of target dates, maps each direct SDM appointment to an occurrence, scores how far a slot
+ * drifts from its target and reports the cadence a selection actually achieved.
+ * Reporting sessions are not part of the series - the participant is not involved in them.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+// Checked in order, so the specific phrasings win over plain "weekly" / "monthly"
+const FREQUENCY_PATTERNS = [
+    { pattern: /\b(fortnight(ly)?|bi-?weekly)\b/, freq: 'WEEKLY', interval: () => 2 },
+    { pattern: /\bquarterly\b/, freq: 'MONTHLY', interval: () => 3 },
+    { pattern: /\bevery\s+(\d+|one|two|three|four|five|six)\s+weeks?\b/, freq: 'WEEKLY', interval: (match) => toNumber(match[1]) },
+    { pattern: /\b(\d+|two|three|four|five|six)[\s-]*weekly\b/, freq: 'WEEKLY', interval: (match) => toNumber(match[1]) },
+    { pattern: /\bevery\s+(\d+|one|two|three|four|five|six)\s+months?\b/, freq: 'MONTHLY', interval: (match) => toNumber(match[1]) },
+    { pattern: /\b(weekly|every\s+week|once\s+a\s+week|per\s+week)\b/, freq: 'WEEKLY', interval: () => 1 },
+    { pattern: /\b(monthly|every\s+month|once\s+a\s+month|per\s+month)\b/, freq: 'MONTHLY', interval: () => 1 }
+];
+
+// Several sessions per period cannot be laid out as one series of target dates
+const MULTIPLE_PER_PERIOD = /\b(twice|thrice|(two|three|\d+)\s+times)\b/;
+
+const toNumber = (value) => NUMBER_WORDS[value] ?? Number(value);
+
+/**
+ * Read a recurrence rule from free-text service frequency (e.g. "Fortnightly", "every 3 weeks")
+ * @param {string} text - SDM service frequency
+ * @returns {Object|null} { freq ('WEEKLY' | 'MONTHLY'), interval, label }, or null when no cadence can be read
+ */
+function parseFrequency(text) {
+    if (!text) return null;
+
+    const lower = text.toLowerCase();
+    if (MULTIPLE_PER_PERIOD.test(lower)) return null;
+
+    for (const { pattern, freq, interval } of FREQUENCY_PATTERNS) {
+        const match = lower.match(pattern);
+        if (!match) continue;
+
+        const count = interval(match);
+        if (!Number.isInteger(count) || count < 1) return null;
+        return { freq, interval: count, label: describeRule(freq, count) };
+    }
+    return null;
+}
+
+/**
+ * Plain-English label for a rule
+ * @param {string} freq - 'WEEKLY' or 'MONTHLY'
+ * @param {number} interval - Interval between occurrences
+ * @returns {string} Label (e.g. 'fortnightly', 'every 3 weeks')
+ */
+function describeRule(freq, interval) {
+    if (freq === 'WEEKLY') {
+        if (interval === 1) return 'weekly';
+        if (interval === 2) return 'fortnightly';
+        return `every ${interval} weeks`;
+    }
+    return interval === 1 ? 'monthly' : `every ${interval} months`;
+}
+
+/**
+ * Plain-English label for an achieved interval in days
+ * @param {number} days - Interval between sessions
+ * @returns {string} Label (e.g. 'weekly', 'every 10 days')
+ */
+function describeInterval(days) {
+    if (days % 7 === 0) return describeRule('WEEKLY', days / 7);
+    if (days >= 28 && days <= 31) return 'monthly';
+    return `every ${days} days`;
+}
+
+const toDate = (isoDate) => new Date(`${isoDate}T00:00:00Z`);
+const toISODate = (date) => date.toISOString().substring(0, 10);
+const daysBetween = (fromISO, toISO) => Math.round((toDate(toISO) - toDate(fromISO)) / MS_PER_DAY);
+
+class RecurrenceEngine {
+    /**
+     * Build the expected series for a plan
+     * @param {Object} sdmData - Extracted SDM data
+     * @returns {Object|null} { rule, rrule, anchorDate, intervalDays, occurrences }, or null when the frequency cannot be read
+     */
+    buildSeries(sdmData) {
+        const rule = parseFrequency(sdmData?.servicePlanning?.serviceFrequency);
+        const direct = (sdmData?.appointments || [])
+            .map((appointment, index) => ({ appointment, index }))
+            .filter(({ appointment }) => !appointment.isReportingSession);
+        if (!rule || direct.length === 0) return null;
+
+        const commencement = sdmData.servicePlanning.serviceCommencement;
+        const anchorDate = /^\d{4}-\d{2}-\d{2}$/.test(commencement || '') ? commencement : direct[0].appointment.dateRangeStart;
+
+        // Appointments ending before commencement (e.g. the Clinical Intake) sit outside the series.
+        // Each remaining appointment takes the next occurrence that does not fall before its date range.
+        const occurrences = [];
+        let occurrence = -1;
+        for (const { appointment, index } of direct) {
+            if (appointment.dateRangeEnd < anchorDate) continue;
+
+            occurrence++;
+            while (this.getOccurrenceDate(rule, anchorDate, occurrence) < appointment.dateRangeStart) {
+                occurrence++;
+            }
+            const targetDate = this.getOccurrenceDate(rule, anchorDate, occurrence);
+            occurrences.push({
+                originalAppointmentIndex: index,
+                service: appointment.service,
+                occurrence: occurrence + 1,
+                targetDate,
+                withinDateRange: targetDate <= appointment.dateRangeEnd
+            });
+        }
+
+        const lastOccurrence = occurrences.at(-1)?.occurrence ?? 0;
+        return {
+            rule,
+            rrule: `FREQ=${rule.freq};INTERVAL=${rule.interval};COUNT=${lastOccurrence}`,
+            anchorDate,
+            intervalDays: rule.freq === 'WEEKLY' ? rule.interval * 7 : rule.interval * 30,
+            occurrences
+        };
+    }
+
+    /**
+     * Date of the nth occurrence (0-based) after the anchor; monthly dates keep the anchor's
+     * day of month, clamped to the end of shorter months
+     * @param {Object} rule - Rule from parseFrequency
+     * @param {string} anchorDate - First occurrence (YYYY-MM-DD)
+     * @param {number} occurrence - Occurrence number, 0 for the anchor
+     * @returns {string} Target date (YYYY-MM-DD)
+     */
+    getOccurrenceDate(rule, anchorDate, occurrence) {
+        const anchor = toDate(anchorDate);
+        if (rule.freq === 'WEEKLY') {
+            return toISODate(new Date(anchor.getTime() + occurrence * rule.interval * 7 * MS_PER_DAY));
+        }
+
+        const months = anchor.getUTCMonth() + occurrence * rule.interval;
+        const year = anchor.getUTCFullYear() + Math.floor(months / 12);
+        const month = months % 12;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return toISODate(new Date(Date.UTC(year, month, Math.min(anchor.getUTCDate(), lastDay))));
+    }
+
+    /**
+     * Occurrence for an SDM appointment
+     * @param {Object|null} series - Result of buildSeries
+     * @param {number} appointmentIndex - Index of the SDM appointment
+     * @returns {Object|null} Occurrence, or null when the appointment is not part of the series
+     */
+    getOccurrence(series, appointmentIndex) {
+        return series?.occurrences.find(occurrence => occurrence.originalAppointmentIndex === appointmentIndex) ?? null;
+    }
+
+    /**
+     * Days a local date drifts from an occurrence's target date
+     * @param {Object} occurrence - Occurrence from buildSeries
+     * @param {string} localDate - Local date of the slot (YYYY-MM-DD)
+     * @returns {number} Signed drift in days (negative is early)
+     */
+    getDrift(occurrence, localDate) {
+        return daysBetween(occurrence.targetDate, localDate);
+    }
+
+    /**
+     * Report the cadence a selection achieved against the expected series
+     * @param {Object} sdmData - Extracted SDM data
+     * @param {Array<Object>} appointments - Selected appointments (UTC start/end, originalAppointmentIndex)
+     * @param {string} timezone - Practitioner timezone used for local dates and times
+     * @returns {Object|null} Cadence summary, or null when the frequency cannot be read
+     */
+    analyseCadence(sdmData, appointments, timezone = DEFAULT_TIMEZONE) {
+        const series = this.buildSeries(sdmData);
+        if (!series) return null;
+
+        const placed = series.occurrences.map(occurrence => {
+            const appointment = appointments.find(apt => apt.originalAppointmentIndex === occurrence.originalAppointmentIndex && !apt.hasConflict);
+            if (!appointment) {
+                return { ...occurrence, actualDate: null, driftDays: null };
+            }
+            const local = getLocalTimeParts(new Date(appointment.start), timezone);
+            return {
+                ...occurrence,
+                actualDate: local.date,
+                dayOfWeek: local.dayOfWeek,
+                minutesOfDay: local.minutesOfDay,
+                driftDays: this.getDrift(occurrence, local.date)
+            };
+        });
+
+        const scheduled = placed.filter(occurrence => occurrence.actualDate);
+        const intervals = scheduled.slice(1).map((occurrence, index) => daysBetween(scheduled[index].actualDate, occurrence.actualDate));
+        // Skipped occurrences stretch a gap, so the achieved cadence is measured per occurrence
+        const sorted = intervals
+            .map((days, index) => Math.round(days / (scheduled[index + 1].occurrence - scheduled[index].occurrence)))
+            .sort((a, b) => a - b);
+        const medianInterval = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+        const toleranceDays = Math.max(2, Math.round(series.intervalDays / 5));
+        const drifts = scheduled.map(occurrence => Math.abs(occurrence.driftDays));
+        const startTimes = scheduled.map(occurrence => occurrence.minutesOfDay);
+
+        return {
+            expected: series.rule.label,
+            rrule: series.rrule,
+            anchorDate: series.anchorDate,
+            expectedIntervalDays: series.intervalDays,
+            achieved: medianInterval !== null ? describeInterval(medianInterval) : null,
+            intervals,
+            // Compare each gap with the gap between its target dates, so an unplaced occurrence does not break the cadence
+            onCadence: scheduled.slice(1).every((occurrence, index) => Math.abs(occurrence.driftDays - scheduled[index].driftDays) <= toleranceDays),
+            sameWeekday: new Set(scheduled.map(occurrence => occurrence.dayOfWeek)).size <= 1,
+            sameStartTime: startTimes.length === 0 || Math.max(...startTimes) - Math.min(...startTimes) <= 30,
+            maxDriftDays: drifts.length > 0 ? Math.max(...drifts) : null,
+            meanDriftDays: drifts.length > 0 ? Number((drifts.reduce((sum, days) => sum + days, 0) / drifts.length).toFixed(1)) : null,
+            occurrences: placed.map(({ minutesOfDay, ...occurrence }) => occurrence)
+        };
+    }
+}
+
+export { RecurrenceEngine, parseFrequency };
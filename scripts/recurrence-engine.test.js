@@ -0,0 +1,102 @@
+import { describe, test, expect } from '@jest/globals';
+import { RecurrenceEngine, parseFrequency } from './recurrence-engine.js';
+
+describe('parseFrequency', () => {
+    test('should read weekly and monthly cadences', () => {
+        expect(parseFrequency('Fortnightly')).toEqual({ freq: 'WEEKLY', interval: 2, label: 'fortnightly' });
+        expect(parseFrequency('Weekly')).toEqual({ freq: 'WEEKLY', interval: 1, label: 'weekly' });
+        expect(parseFrequency('Every 3 weeks')).toMatchObject({ freq: 'WEEKLY', interval: 3 });
+        expect(parseFrequency('four-weekly')).toMatchObject({ freq: 'WEEKLY', interval: 4 });
+        expect(parseFrequency('Monthly')).toMatchObject({ freq: 'MONTHLY', interval: 1 });
+        expect(parseFrequency('Quarterly')).toMatchObject({ freq: 'MONTHLY', interval: 3, label: 'every 3 months' });
+    });
+
+    test('should return null when no single cadence can be read', () => {
+        expect(parseFrequency('As needed')).toBeNull();
+        expect(parseFrequency('Twice weekly')).toBeNull();
+        expect(parseFrequency(undefined)).toBeNull();
+    });
+});
+
+describe('RecurrenceEngine', () => {
+    const engine = new RecurrenceEngine();
+
+    const appointment = (dateRangeStart, dateRangeEnd, service = 'Intervention (Direct)', isReportingSession = false) => ({
+        dateRangeStart, dateRangeEnd, service, duration: 90, travelTime: 40, cost: 504.81, isReportingSession
+    });
+
+    const sdmData = {
+        servicePlanning: { serviceCommencement: '2025-08-24', serviceFrequency: 'Fortnightly' },
+        appointments: [
+            appointment('2025-08-07', '2025-08-07', 'Clinical Intake'),
+            appointment('2025-08-24', '2025-09-06', 'Assessment'),
+            appointment('2025-08-24', '2025-09-06', 'Assessment (Report)', true),
+            appointment('2025-09-07', '2025-09-20'),
+            appointment('2025-10-05', '2025-10-18')
+        ]
+    };
+
+    describe('buildSeries', () => {
+        test('should map direct appointments from commencement to occurrences', () => {
+            const series = engine.buildSeries(sdmData);
+
+            expect(series.rrule).toBe('FREQ=WEEKLY;INTERVAL=2;COUNT=4');
+            expect(series.occurrences.map(occurrence => [occurrence.originalAppointmentIndex, occurrence.occurrence, occurrence.targetDate])).toEqual([
+                [1, 1, '2025-08-24'],
+                [3, 2, '2025-09-07'],
+                // The SDM skips a fortnight, so the series does too
+                [4, 4, '2025-10-05']
+            ]);
+        });
+
+        test('should keep the day of month for monthly series', () => {
+            const rule = parseFrequency('Monthly');
+
+            expect(engine.getOccurrenceDate(rule, '2025-01-31', 1)).toBe('2025-02-28');
+            expect(engine.getOccurrenceDate(rule, '2025-11-30', 3)).toBe('2026-02-28');
+            expect(engine.getOccurrenceDate(rule, '2025-11-30', 4)).toBe('2026-03-30');
+        });
+
+        test('should return null without a readable frequency', () => {
+            expect(engine.buildSeries({ ...sdmData, servicePlanning: { serviceFrequency: 'As needed' } })).toBeNull();
+        });
+    });
+
+    describe('analyseCadence', () => {
+        // 10:00 Melbourne time (UTC+10 until daylight saving starts on 5 Oct 2025)
+        const selected = (index, date) => ({ originalAppointmentIndex: index, start: `${date}T00:00:00.000Z` });
+
+        test('should report the achieved cadence and drift from target dates', () => {
+            const cadence = engine.analyseCadence(sdmData, [
+                selected(1, '2025-08-26'),
+                selected(2, '2025-08-29'),
+                selected(3, '2025-09-09'),
+                { originalAppointmentIndex: 4, start: '2025-10-06T23:00:00.000Z' }
+            ], 'Australia/Melbourne');
+
+            expect(cadence).toMatchObject({
+                expected: 'fortnightly',
+                achieved: 'fortnightly',
+                intervals: [14, 28],
+                onCadence: true,
+                sameWeekday: true,
+                sameStartTime: true,
+                maxDriftDays: 2
+            });
+            expect(cadence.occurrences[1]).toMatchObject({ targetDate: '2025-09-07', actualDate: '2025-09-09', dayOfWeek: 'Tuesday', driftDays: 2 });
+        });
+
+        test('should flag sessions that drift off the cadence', () => {
+            const cadence = engine.analyseCadence(sdmData, [
+                selected(1, '2025-08-26'),
+                selected(3, '2025-09-19'),
+                { ...selected(4, '2025-10-07'), hasConflict: true }
+            ], 'Australia/Melbourne');
+
+            expect(cadence.onCadence).toBe(false);
+            expect(cadence.achieved).toBe('every 24 days');
+            expect(cadence.sameWeekday).toBe(false);
+            expect(cadence.occurrences[2]).toMatchObject({ actualDate: null, driftDays: null });
+        });
+    });
+});
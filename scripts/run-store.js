@@ -0,0 +1,294 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Local store of scheduling runs, one directory per run under runs/:
+ *   run.json       Status, settings, SDM input hash and the pipeline steps completed so far
+ *   input.json     SDM input and scheduling parameters, for resuming
+ *   <step>.json    Checkpoint of each completed step: extraction, availability (the snapshot
+ *                  scheduled against), suggestions, selection and results
+ *   report.md      Human-readable report of a completed run
+ * A run that crashed or failed can be resumed: completed steps are read back from their
+ * checkpoints instead of calling Windmill and the LLMs again.
+ *
+ * Controlled by RUN_STORE ('on' or 'off'; default on, off under Jest) and RUN_STORE_DIR (default runs/).
+ */
+
+export const DEFAULT_RUN_STORE_DIR = 'runs';
+export const RUN_STORE_MODES = ['on', 'off'];
+
+// Maps (pool availability is kept per practitioner in one) survive the JSON round trip
+const replacer = (key, value) => (value instanceof Map ? { $map: [...value.entries()] } : value);
+const reviver = (key, value) => (value && typeof value === 'object' && Array.isArray(value.$map) ? new Map(value.$map) : value);
+
+/**
+ * Write JSON through a temporary file, so a crash mid-write never leaves a truncated checkpoint
+ * @param {string} filePath - Destination
+ * @param {*} value - Value to write
+ */
+function writeJSONFile(filePath, value) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, replacer, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Hash the SDM input, so runs of the same plan can be recognised
+ * @param {string|Object} sdmInput - Raw SDM text, or an extraction result ({ sdmData, validation })
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashSDMInput(sdmInput) {
+    const text = typeof sdmInput === 'string' ? sdmInput : JSON.stringify(sdmInput?.sdmData ?? sdmInput);
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Whether runs are stored
+ * @param {string} mode - 'on' or 'off' (defaults to RUN_STORE env; on, or off under Jest)
+ * @returns {boolean} True when runs are stored
+ */
+export function isRunStoreEnabled(mode) {
+    // Test runs keep the working tree clean unless RUN_STORE asks for a store
+    const resolved = mode || process.env.RUN_STORE || (process.env.JEST_WORKER_ID ? 'off' : 'on');
+    if (!RUN_STORE_MODES.includes(resolved)) {
+        throw new Error(`Invalid RUN_STORE "${resolved}". Expected one of: ${RUN_STORE_MODES.join(', ')}`);
+    }
+    return resolved === 'on';
+}
+
+/**
+ * One stored run: its metadata plus methods to checkpoint steps and record the outcome
+ */
+class RunRecord {
+    /**
+     * @param {RunStore} store - Store holding the run
+     * @param {Object} meta - Contents of run.json
+     */
+    constructor(store, meta) {
+        this.store = store;
+        this.meta = meta;
+        this.id = meta.id;
+        this.directory = path.join(store.directory, meta.id);
+    }
+
+    /**
+     * Whether a step has a checkpoint
+     * @param {string} step - Checkpoint name (e.g. 'suggestions')
+     * @returns {boolean} True when the step completed
+     */
+    hasStep(step) {
+        return this.meta.completedSteps.includes(step);
+    }
+
+    /**
+     * Read a step's checkpoint
+     * @param {string} step - Checkpoint name
+     * @returns {*} The step's result
+     */
+    loadStep(step) {
+        return this.store.readFile(this.id, `${step}.json`);
+    }
+
+    /**
+     * Checkpoint a completed step
+     * @param {string} step - Checkpoint name
+     * @param {*} result - The step's result
+     */
+    saveStep(step, result) {
+        writeJSONFile(path.join(this.directory, `${step}.json`), result);
+        if (!this.hasStep(step)) {
+            this.meta.completedSteps.push(step);
+        }
+        this.save();
+    }
+
+    /**
+     * Merge fields into the run metadata
+     * @param {Object} fields - Fields such as { participant, appointments }
+     */
+    update(fields) {
+        Object.assign(this.meta, fields);
+        this.save();
+    }
+
+    /**
+     * Mark the run as running again before a resume
+     */
+    resume() {
+        this.update({ status: 'running', error: null, resumeCount: this.meta.resumeCount + 1 });
+    }
+
+    /**
+     * Record a completed run and write its report
+     * @param {Object} results - MasterScheduler results
+     */
+    complete(results) {
+        fs.writeFileSync(path.join(this.directory, 'report.md'), results.humanReadableReport || '');
+        const { status, totalAppointmentsRequired, totalAppointmentsSelected, totalIssues } = results.summary;
+        this.update({ status: 'completed', error: null, summary: { status, totalAppointmentsRequired, totalAppointmentsSelected, totalIssues } });
+    }
+
+    /**
+     * Record a failed run; its checkpoints stay for a resume
+     * @param {Error} error - Failure
+     */
+    fail(error) {
+        this.update({ status: 'failed', error: error.message });
+    }
+
+    save() {
+        this.meta.updatedAt = new Date().toISOString();
+        writeJSONFile(path.join(this.directory, 'run.json'), this.meta);
+    }
+}
+
+class RunStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.directory - Store directory (defaults to RUN_STORE_DIR or runs/)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.RUN_STORE_DIR || DEFAULT_RUN_STORE_DIR;
+    }
+
+    /**
+     * Start storing a run
+     * @param {Object} details - Run details
+     * @param {string} details.kind - 'single' or 'pool'
+     * @param {string} details.runId - Log correlation ID of the run
+     * @param {Object} details.input - { sdmInput, schedulingInstructions, ... } needed to resume the run
+     * @param {Object} details.settings - Scheduler settings the run used ({ selectionMode, suggestionMode, travelPolicy })
+     * @returns {RunRecord} New run record
+     */
+    create({ kind, runId, input, settings = {} }) {
+        const createdAt = new Date().toISOString();
+        // Sortable by start time and short enough to type
+        const id = `${createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${crypto.randomBytes(3).toString('hex')}`;
+        fs.mkdirSync(path.join(this.directory, id), { recursive: true });
+        writeJSONFile(path.join(this.directory, id, 'input.json'), input);
+
+        const record = new RunRecord(this, {
+            id,
+            runId: runId || null,
+            kind,
+            status: 'running',
+            createdAt,
+            updatedAt: createdAt,
+            sdmHash: hashSDMInput(input.sdmInput),
+            settings,
+            participant: null,
+            appointments: null,
+            completedSteps: [],
+            resumeCount: 0,
+            error: null,
+            summary: null
+        });
+        record.save();
+        return record;
+    }
+
+    /**
+     * Load a stored run
+     * @param {string} id - Run ID
+     * @returns {RunRecord} Run record
+     */
+    load(id) {
+        return new RunRecord(this, this.readFile(id, 'run.json'));
+    }
+
+    /**
+     * Scheduling parameters a run was started with
+     * @param {string} id - Run ID
+     * @returns {Object} Contents of input.json
+     */
+    loadInput(id) {
+        return this.readFile(id, 'input.json');
+    }
+
+    /**
+     * Results of a completed run
+     * @param {string} id - Run ID
+     * @returns {Object} MasterScheduler results
+     */
+    loadResults(id) {
+        const record = this.load(id);
+        if (record.meta.status !== 'completed') {
+            throw new Error(`Run ${id} has not completed (status: ${record.meta.status})`);
+        }
+        return record.loadStep('results');
+    }
+
+    /**
+     * Stored runs, newest first
+     * @param {Object} filters - { status } to list only runs with that status
+     * @returns {Array<Object>} Run metadata
+     */
+    list(filters = {}) {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(id => fs.existsSync(path.join(this.directory, id, 'run.json')))
+            .map(id => this.readFile(id, 'run.json'))
+            .filter(meta => !filters.status || meta.status === filters.status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    /**
+     * Compare the selections of two completed runs appointment by appointment
+     * @param {string} idA - First run ID
+     * @param {string} idB - Second run ID
+     * @returns {Object} { runs, sameInput, summary, appointments, changedAppointments }
+     */
+    compare(idA, idB) {
+        const [a, b] = [idA, idB].map(id => ({ meta: this.load(id).meta, results: this.loadResults(id) }));
+
+        const slotsByIndex = (results) => new Map(results.selection.structured_response.appointments.map(apt => [apt.originalAppointmentIndex, {
+            start: apt.start,
+            end: apt.end,
+            practitionerId: apt.practitionerId,
+            hasConflict: Boolean(apt.hasConflict),
+            exceedsBudget: Boolean(apt.exceedsBudget)
+        }]));
+        const slotsA = slotsByIndex(a.results);
+        const slotsB = slotsByIndex(b.results);
+        const indexes = [...new Set([...slotsA.keys(), ...slotsB.keys()])].sort((x, y) => x - y);
+
+        const appointments = indexes.map(index => {
+            const slotA = slotsA.get(index) || null;
+            const slotB = slotsB.get(index) || null;
+            return {
+                index,
+                service: a.results.sdmData.appointments[index]?.service ?? b.results.sdmData.appointments[index]?.service ?? null,
+                a: slotA,
+                b: slotB,
+                changed: JSON.stringify(slotA) !== JSON.stringify(slotB)
+            };
+        });
+
+        const pick = (read) => [read(a.results), read(b.results)];
+        return {
+            runs: [a.meta, b.meta],
+            sameInput: a.meta.sdmHash === b.meta.sdmHash,
+            summary: {
+                status: pick(results => results.summary.status),
+                totalAppointmentsSelected: pick(results => results.summary.totalAppointmentsSelected),
+                totalIssues: pick(results => results.summary.totalIssues),
+                totalSpend: pick(results => results.budget?.totalSpend ?? null)
+            },
+            appointments,
+            changedAppointments: appointments.filter(appointment => appointment.changed).length
+        };
+    }
+
+    readFile(id, fileName) {
+        const filePath = path.join(this.directory, id, fileName);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(fileName === 'run.json' ? `Run ${id} not found in ${this.directory}` : `Run ${id} has no ${fileName}`);
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver);
+    }
+}
+
+export { RunStore, RunRecord };
@@ -0,0 +1,230 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RunStore, hashSDMInput, isRunStoreEnabled } from './run-store.js';
+import { MasterScheduler } from './master-scheduler.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+const SDM_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt');
+
+const noSuggestions = () => ({
+    suggestedAppointments: [],
+    summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] }
+});
+
+/**
+ * Minimal completed-run results with one selected appointment per start time
+ */
+function buildResults(starts, status = 'success') {
+    return {
+        summary: { status, totalAppointmentsRequired: 2, totalAppointmentsSelected: starts.filter(Boolean).length, totalIssues: 0 },
+        sdmData: { appointments: [{ service: 'Assessment' }, { service: 'Therapy' }] },
+        budget: { totalSpend: 386.6 },
+        selection: {
+            structured_response: {
+                appointments: starts.map((start, index) => (start ? { start, end: start, practitionerId: 46932, originalAppointmentIndex: index } : null)).filter(Boolean)
+            }
+        },
+        humanReadableReport: '# Report\n'
+    };
+}
+
+describe('RunStore', () => {
+    let tempDir;
+    let store;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hhg-runs-'));
+        store = new RunStore({ directory: tempDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should persist run metadata, input and step checkpoints', () => {
+        const run = store.create({ kind: 'single', runId: 'run-1', input: { sdmInput: 'SDM text', practitionerId: 46932 }, settings: { selectionMode: 'llm' } });
+        run.saveStep('availability', { practitionerId: 46932, freeTimeSlots: [] });
+
+        const loaded = store.load(run.id);
+        expect(loaded.meta).toMatchObject({
+            runId: 'run-1',
+            kind: 'single',
+            status: 'running',
+            sdmHash: hashSDMInput('SDM text'),
+            settings: { selectionMode: 'llm' },
+            completedSteps: ['availability']
+        });
+        expect(loaded.hasStep('availability')).toBe(true);
+        expect(loaded.hasStep('suggestions')).toBe(false);
+        expect(loaded.loadStep('availability')).toEqual({ practitionerId: 46932, freeTimeSlots: [] });
+        expect(store.loadInput(run.id)).toEqual({ sdmInput: 'SDM text', practitionerId: 46932 });
+    });
+
+    test('should keep Maps through the JSON round trip', () => {
+        const run = store.create({ kind: 'pool', input: { sdmInput: 'SDM text' } });
+        run.saveStep('availability', { availabilities: new Map([[46932, { practitionerTimezone: 'Australia/Melbourne' }]]) });
+
+        const { availabilities } = store.load(run.id).loadStep('availability');
+        expect(availabilities).toBeInstanceOf(Map);
+        expect(availabilities.get(46932).practitionerTimezone).toBe('Australia/Melbourne');
+    });
+
+    test('should record completion with a report, and failures with the error', () => {
+        const completed = store.create({ kind: 'single', input: { sdmInput: 'A' } });
+        completed.saveStep('results', buildResults(['2025-08-25T09:00:00']));
+        completed.complete(buildResults(['2025-08-25T09:00:00']));
+        const failed = store.create({ kind: 'single', input: { sdmInput: 'B' } });
+        failed.fail(new Error('HTTP 503'));
+
+        expect(store.load(completed.id).meta).toMatchObject({ status: 'completed', summary: { status: 'success', totalAppointmentsSelected: 1 } });
+        expect(fs.readFileSync(path.join(tempDir, completed.id, 'report.md'), 'utf8')).toBe('# Report\n');
+        expect(store.load(failed.id).meta).toMatchObject({ status: 'failed', error: 'HTTP 503' });
+        expect(() => store.loadResults(failed.id)).toThrow(`Run ${failed.id} has not completed (status: failed)`);
+    });
+
+    test('should list runs newest first, optionally by status', async () => {
+        const first = store.create({ kind: 'single', input: { sdmInput: 'A' } });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = store.create({ kind: 'single', input: { sdmInput: 'B' } });
+        second.fail(new Error('timed out'));
+
+        expect(store.list().map(run => run.id)).toEqual([second.id, first.id]);
+        expect(store.list({ status: 'failed' }).map(run => run.id)).toEqual([second.id]);
+        expect(new RunStore({ directory: path.join(tempDir, 'missing') }).list()).toEqual([]);
+    });
+
+    test('should compare selections appointment by appointment', () => {
+        const runs = [['2025-08-25T09:00:00', '2025-09-08T09:00:00'], ['2025-08-25T09:00:00', '2025-09-09T10:00:00']].map(starts => {
+            const run = store.create({ kind: 'single', input: { sdmInput: 'Same SDM' } });
+            run.saveStep('results', buildResults(starts));
+            run.complete(buildResults(starts));
+            return run;
+        });
+
+        const comparison = store.compare(runs[0].id, runs[1].id);
+
+        expect(comparison.sameInput).toBe(true);
+        expect(comparison.changedAppointments).toBe(1);
+        expect(comparison.appointments[0]).toMatchObject({ index: 0, service: 'Assessment', changed: false });
+        expect(comparison.appointments[1]).toMatchObject({
+            index: 1,
+            service: 'Therapy',
+            a: { start: '2025-09-08T09:00:00' },
+            b: { start: '2025-09-09T10:00:00' },
+            changed: true
+        });
+        expect(comparison.summary.totalSpend).toEqual([386.6, 386.6]);
+    });
+
+    test('should report unknown runs and invalid modes', () => {
+        expect(() => store.load('20250101T000000Z-abcdef')).toThrow(`Run 20250101T000000Z-abcdef not found in ${tempDir}`);
+        expect(() => isRunStoreEnabled('sometimes')).toThrow('Invalid RUN_STORE "sometimes"');
+        expect(isRunStoreEnabled()).toBe(false);
+    });
+});
+
+describe('MasterScheduler run persistence', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let previousParser;
+    let tempDir;
+    let store;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        previousParser = process.env.SDM_PARSER;
+        process.env.SDM_PARSER = 'deterministic';
+    });
+
+    afterAll(async () => {
+        if (previousParser === undefined) delete process.env.SDM_PARSER;
+        else process.env.SDM_PARSER = previousParser;
+        await mockServer.stop();
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hhg-runs-'));
+        store = new RunStore({ directory: tempDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Scheduler using deterministic selection (no LLM) whose suggestion engine counts its calls
+     */
+    function createScheduler() {
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', extractionRetries: 0, runStore: store });
+        scheduler.suggestionCalls = 0;
+        scheduler.suggestionEngine.suggestAppointments = async () => {
+            scheduler.suggestionCalls++;
+            return noSuggestions();
+        };
+        return scheduler;
+    }
+
+    const availabilityRequests = () => mockServer.requests.filter(request => request.flow === 'get_practitioner_availabilities').length;
+
+    test('should store every step of a completed run', async () => {
+        const results = await createScheduler().scheduleAppointments(fs.readFileSync(SDM_FILE, 'utf8'), '', 46932);
+        const { storedRunId } = results.summary;
+
+        const run = store.load(storedRunId);
+        expect(run.meta).toMatchObject({
+            status: 'completed',
+            participant: 'Jane Doe',
+            runId: results.summary.runId,
+            settings: { selectionMode: 'deterministic', travelPolicy: 'split' },
+            completedSteps: ['extraction', 'availability', 'suggestions', 'selection', 'results']
+        });
+        expect(run.loadStep('availability').practitionerId).toBe(46932);
+        expect(store.loadResults(storedRunId).humanReadableReport).toBe(results.humanReadableReport);
+    });
+
+    test('should resume a failed run from its last completed step without repeating earlier calls', async () => {
+        const failing = createScheduler();
+        failing.selectAppointments = async () => {
+            throw new Error('Selection crashed');
+        };
+        await expect(failing.scheduleAppointments(fs.readFileSync(SDM_FILE, 'utf8'), '', 46932)).rejects.toThrow('Selection crashed');
+
+        const [failedRun] = store.list();
+        expect(failedRun).toMatchObject({ status: 'failed', error: 'Selection crashed', completedSteps: ['extraction', 'availability', 'suggestions'] });
+
+        const resuming = createScheduler();
+        const progress = [];
+        resuming.onProgress = (event) => progress.push(event);
+        const availabilityBefore = availabilityRequests();
+        const results = await resuming.resumeRun(failedRun.id);
+
+        expect(resuming.suggestionCalls).toBe(0);
+        expect(availabilityRequests()).toBe(availabilityBefore);
+        expect(results.summary).toMatchObject({ storedRunId: failedRun.id, runId: failedRun.runId });
+        expect(results.appointmentResults).toHaveLength(failedRun.appointments);
+        expect(progress.filter(event => event.restored).map(event => event.step)).toEqual([1, 2, 3]);
+        expect(store.load(failedRun.id).meta).toMatchObject({ status: 'completed', resumeCount: 1, error: null });
+        await expect(resuming.resumeRun(failedRun.id)).rejects.toThrow('already completed');
+    });
+
+    test('should resume pool runs with per-practitioner availability', async () => {
+        const failing = createScheduler();
+        failing.applyBudget = async () => {
+            throw new Error('Budget lookup crashed');
+        };
+        await expect(failing.schedulePractitionerPool(fs.readFileSync(SDM_FILE, 'utf8'), '', [46932, 51877])).rejects.toThrow('Budget lookup crashed');
+
+        const [failedRun] = store.list();
+        const resuming = createScheduler();
+        const results = await resuming.resumeRun(failedRun.id);
+
+        expect(failedRun.kind).toBe('pool');
+        expect(resuming.suggestionCalls).toBe(0);
+        expect(results.summary.practitionerIds.length).toBeGreaterThan(0);
+        expect(results.availability.map(availability => availability.practitionerId).sort()).toEqual([46932, 51877]);
+    });
+});
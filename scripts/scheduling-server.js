@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import http from 'http';
+import crypto from 'crypto';
+import { z } from 'zod';
+import { MasterScheduler, SELECTION_MODES, PIPELINE_STEPS } from './master-scheduler.js';
+import { SUGGESTION_MODES } from './appointment-suggestion-engine.js';
+import { PractitionerAvailabilityCalculator } from './practitioner-availability.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { TRAVEL_POLICIES } from './utils/travel-policy.js';
+import { getLogger, runWithContext } from './utils/logger.js';
+import { isMainModule } from './utils/entry-point.js';
+
+const logger = getLogger('scheduling-server');
+
+/**
+ * HTTP service exposing the scheduling pipeline to Windmill and internal tools
+ *
+ *   POST /schedule      Start a MasterScheduler run as an async job (202 + job ID)
+ *   GET  /jobs/:id      Job status, per-step progress and results
+ *   POST /availability  PractitionerAvailabilityCalculator.calculateAvailability
+ *   POST /conflicts     ConflictChecker.checkConflicts
+ *   GET  /health        Liveness check
+ *
+ * Request bodies are JSON validated with zod. When SCHEDULER_API_TOKEN is set every request
+ * except /health must send it as a Bearer token.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+const practitionerId = z.number().int().positive();
+
+const scheduleRequestSchema = z.object({
+    sdmText: z.string().min(1, 'SDM text is required'),
+    practitionerId,
+    instructions: z.string().default(''),
+    startDate: isoDate.optional(),
+    endDate: isoDate.optional(),
+    selectionMode: z.enum(SELECTION_MODES).optional(),
+    suggestionMode: z.enum(SUGGESTION_MODES).optional(),
+    travelPolicy: z.enum(TRAVEL_POLICIES).optional()
+});
+
+const availabilityRequestSchema = z.object({
+    practitionerId,
+    startDate: isoDate,
+    endDate: isoDate
+}).refine(request => request.startDate <= request.endDate, { message: 'startDate must not be after endDate', path: ['endDate'] });
+
+const suggestedAppointmentSchema = z.object({
+    start: z.string(),
+    end: z.string(),
+    locationId: z.number().optional()
+}).passthrough();
+
+const conflictsRequestSchema = z.object({
+    suggestions: z.object({
+        suggestedAppointments: z.array(suggestedAppointmentSchema),
+        summary: z.object({}).passthrough().default({})
+    }).passthrough(),
+    availability: z.object({
+        freeTimeSlots: z.array(z.object({ startDateTime: z.string(), endDateTime: z.string() }).passthrough()),
+        bookedAppointments: z.array(z.object({ start: z.string(), end: z.string() })).optional()
+    }).passthrough().optional(),
+    practitionerId: practitionerId.optional(),
+    startDate: isoDate.optional(),
+    endDate: isoDate.optional(),
+    travelMinutes: z.number().min(0).default(0),
+    travelPolicy: z.enum(TRAVEL_POLICIES).optional()
+}).refine(
+    request => request.availability || (request.practitionerId && request.startDate && request.endDate),
+    { message: 'Provide availability, or practitionerId with startDate and endDate', path: ['availability'] }
+);
+
+/**
+ * Error with an HTTP status, sent to the client as { error, message, issues? }
+ */
+class HttpError extends Error {
+    constructor(status, code, message, issues = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.issues = issues;
+    }
+}
+
+class SchedulingServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.apiToken - Bearer token required on requests (defaults to SCHEDULER_API_TOKEN; none when unset)
+     * @param {number} options.maxConcurrentJobs - Scheduling runs executed at once; later jobs wait in the queue
+     * @param {number} options.maxStoredJobs - Finished jobs kept for GET /jobs/:id before the oldest are dropped
+     * @param {Function} options.createScheduler - Builds a scheduler for a job from MasterScheduler options
+     * @param {Function} options.createAvailabilityCalculator - Builds the availability calculator
+     */
+    constructor(options = {}) {
+        this.apiToken = options.apiToken ?? process.env.SCHEDULER_API_TOKEN ?? null;
+        this.maxConcurrentJobs = options.maxConcurrentJobs || 2;
+        this.maxStoredJobs = options.maxStoredJobs || 100;
+        this.createScheduler = options.createScheduler || ((schedulerOptions) => new MasterScheduler(schedulerOptions));
+        this.createAvailabilityCalculator = options.createAvailabilityCalculator || (() => new PractitionerAvailabilityCalculator());
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.runningJobs = 0;
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port to listen on (0 picks a free port)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<string>} Base URL of the service
+     */
+    start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => this.sendError(response, error));
+        });
+
+        return new Promise((resolve) => {
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening. Running jobs are not cancelled.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            this.server.close(error => (error ? reject(error) : resolve()));
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Route a request to its handler
+     */
+    async handleRequest(request, response) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'GET' && pathname === '/health') {
+            return this.sendJSON(response, 200, { status: 'ok', runningJobs: this.runningJobs, queuedJobs: this.queue.length });
+        }
+
+        this.authorize(request);
+
+        const jobMatch = /^\/jobs\/([^/]+)$/.exec(pathname);
+        if (jobMatch) {
+            this.requireMethod(request, 'GET');
+            return this.sendJSON(response, 200, this.getJobView(decodeURIComponent(jobMatch[1])));
+        }
+
+        const routes = {
+            '/schedule': () => this.handleSchedule(request, response),
+            '/availability': () => this.handleAvailability(request, response),
+            '/conflicts': () => this.handleConflicts(request, response)
+        };
+        if (!routes[pathname]) {
+            throw new HttpError(404, 'not_found', `Not found: ${request.method} ${pathname}`);
+        }
+
+        this.requireMethod(request, 'POST');
+        return await routes[pathname]();
+    }
+
+    /**
+     * POST /schedule: queue a scheduling job
+     */
+    async handleSchedule(request, response) {
+        const body = this.validate(scheduleRequestSchema, await this.readJSON(request));
+        const job = this.createJob(body);
+
+        response.setHeader('Location', `/jobs/${job.id}`);
+        return this.sendJSON(response, 202, this.getJobView(job.id));
+    }
+
+    /**
+     * POST /availability: calculate practitioner availability
+     */
+    async handleAvailability(request, response) {
+        const body = this.validate(availabilityRequestSchema, await this.readJSON(request));
+        const availability = await this.fetchAvailability(body.practitionerId, body.startDate, body.endDate);
+        return this.sendJSON(response, 200, availability);
+    }
+
+    /**
+     * POST /conflicts: check suggestions against supplied or fetched availability
+     */
+    async handleConflicts(request, response) {
+        const body = this.validate(conflictsRequestSchema, await this.readJSON(request));
+        const availability = body.availability || await this.fetchAvailability(body.practitionerId, body.startDate, body.endDate);
+
+        const conflictChecker = new ConflictChecker({ travelPolicy: body.travelPolicy });
+        return this.sendJSON(response, 200, conflictChecker.checkConflicts(availability, body.suggestions, body.travelMinutes));
+    }
+
+    async fetchAvailability(practitionerId, startDate, endDate) {
+        try {
+            return await this.createAvailabilityCalculator().calculateAvailability(practitionerId, startDate, endDate);
+        } catch (error) {
+            throw new HttpError(502, 'upstream_error', error.message);
+        }
+    }
+
+    /**
+     * Create a job and start it when a run slot is free
+     * @param {Object} request - Validated schedule request
+     * @returns {Object} Job record
+     */
+    createJob(request) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            // The SDM text holds participant details, so only the scheduling parameters are kept on the job
+            request: {
+                practitionerId: request.practitionerId,
+                startDate: request.startDate ?? null,
+                endDate: request.endDate ?? null,
+                selectionMode: request.selectionMode ?? null,
+                suggestionMode: request.suggestionMode ?? null,
+                travelPolicy: request.travelPolicy ?? null
+            },
+            steps: Object.entries(PIPELINE_STEPS).map(([step, name]) => ({
+                step: Number(step),
+                name,
+                status: 'pending',
+                startedAt: null,
+                completedAt: null,
+                durationSeconds: null
+            })),
+            progress: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push({ job, request });
+        this.pruneJobs();
+        this.runQueuedJobs();
+        return job;
+    }
+
+    runQueuedJobs() {
+        while (this.runningJobs < this.maxConcurrentJobs && this.queue.length > 0) {
+            const { job, request } = this.queue.shift();
+            this.runningJobs++;
+            this.runJob(job, request).finally(() => {
+                this.runningJobs--;
+                this.runQueuedJobs();
+            });
+        }
+    }
+
+    /**
+     * Run a scheduling job, recording step progress on the job record
+     */
+    async runJob(job, request) {
+        job.status = 'running';
+        job.startedAt = job.updatedAt = new Date().toISOString();
+
+        try {
+            const scheduler = this.createScheduler({
+                selectionMode: request.selectionMode,
+                suggestionMode: request.suggestionMode,
+                travelPolicy: request.travelPolicy,
+                onProgress: (event) => this.recordProgress(job, event)
+            });
+            // The job ID doubles as the run ID, so a job's log records can be found from its ID
+            job.result = await runWithContext({ runId: job.id }, () => scheduler.scheduleAppointments(
+                request.sdmText,
+                request.instructions,
+                request.practitionerId,
+                request.startDate ?? null,
+                request.endDate ?? null
+            ));
+            job.status = 'completed';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = { type: error.name, message: error.message, ...(error.validation ? { validation: error.validation } : {}) };
+        } finally {
+            job.finishedAt = job.updatedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Apply a MasterScheduler onProgress event to a job
+     */
+    recordProgress(job, event) {
+        const step = job.steps.find(entry => entry.step === event.step);
+        if (!step) return;
+
+        if (event.status === 'started') {
+            step.status = 'running';
+            step.startedAt = event.timestamp;
+        } else if (event.status === 'completed') {
+            step.status = 'completed';
+            step.completedAt = event.timestamp;
+            step.durationSeconds = event.durationSeconds ?? null;
+        } else if (event.status === 'failed') {
+            step.status = 'failed';
+            step.completedAt = event.timestamp;
+        } else if (event.status === 'progress') {
+            job.progress = { step: event.step, completedAppointments: event.completedAppointments, totalAppointments: event.totalAppointments };
+        }
+        job.updatedAt = event.timestamp;
+    }
+
+    /**
+     * Public view of a job
+     * @param {string} jobId - Job ID
+     * @returns {Object} Job status, steps and (when completed) results
+     */
+    getJobView(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new HttpError(404, 'not_found', `Job ${jobId} not found`);
+        }
+
+        const currentStep = job.steps.find(step => step.status === 'running' || step.status === 'failed') || null;
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            request: job.request,
+            currentStep: currentStep ? { step: currentStep.step, name: currentStep.name } : null,
+            steps: job.steps,
+            progress: job.progress,
+            queuePosition: job.status === 'queued' ? this.queue.findIndex(entry => entry.job === job) + 1 : null,
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond maxStoredJobs
+     */
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.status === 'completed' || job.status === 'failed');
+        const excess = this.jobs.size - this.maxStoredJobs;
+        finished.slice(0, Math.max(excess, 0)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    authorize(request) {
+        if (!this.apiToken) return;
+        if (request.headers.authorization !== `Bearer ${this.apiToken}`) {
+            throw new HttpError(401, 'unauthorized', 'Missing or invalid bearer token');
+        }
+    }
+
+    requireMethod(request, method) {
+        if (request.method !== method) {
+            throw new HttpError(405, 'method_not_allowed', `${request.method} is not allowed here; use ${method}`);
+        }
+    }
+
+    validate(schema, body) {
+        const result = schema.safeParse(body);
+        if (!result.success) {
+            const issues = result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+            throw new HttpError(400, 'validation_error', 'Request body failed validation', issues);
+        }
+        return result.data;
+    }
+
+    readJSON(request) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                    request.destroy();
+                    return;
+                }
+                data += chunk;
+            });
+            request.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (error) {
+                    reject(new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    sendJSON(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    }
+
+    sendError(response, error) {
+        if (response.headersSent) {
+            response.end();
+            return;
+        }
+        if (error instanceof HttpError) {
+            return this.sendJSON(response, error.status, { error: error.code, message: error.message, ...(error.issues ? { issues: error.issues } : {}) });
+        }
+        logger.error(`Scheduling server error: ${error.message}`, { errorType: error.name });
+        return this.sendJSON(response, 500, { error: 'internal_error', message: error.message });
+    }
+}
+
+// Run standalone: node scripts/scheduling-server.js [port]
+if (isMainModule(import.meta.url)) {
+    const server = new SchedulingServer();
+    const url = await server.start(Number(process.argv[2] || process.env.SCHEDULER_PORT || 8080), process.env.SCHEDULER_HOST || '127.0.0.1');
+    console.log(`🌐 Scheduling service listening on ${url}`);
+    console.log(`   ${server.apiToken ? 'Bearer token required (SCHEDULER_API_TOKEN)' : 'No SCHEDULER_API_TOKEN set - requests are not authenticated'}`);
+}
+
+export { SchedulingServer, HttpError, scheduleRequestSchema, availabilityRequestSchema, conflictsRequestSchema };
@@ -0,0 +1,235 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SchedulingServer } from './scheduling-server.js';
+import { MasterScheduler } from './master-scheduler.js';
+import { MockWindmillServer } from './mock-windmill-server.js';
+
+const sdmFixture = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt');
+
+/**
+ * Scheduler stand-in that reports each pipeline step and returns a fixed result
+ */
+function createFakeScheduler({ onProgress }) {
+    return {
+        async scheduleAppointments(sdmText, instructions, practitionerId) {
+            for (const step of [1, 2, 3, 4, 5]) {
+                onProgress({ step, status: 'started', timestamp: new Date().toISOString() });
+                if (step === 3) {
+                    onProgress({ step, status: 'progress', completedAppointments: 1, totalAppointments: 1, timestamp: new Date().toISOString() });
+                }
+                onProgress({ step, status: 'completed', durationSeconds: 0.01, timestamp: new Date().toISOString() });
+            }
+            return { summary: { practitionerId, totalAppointmentsRequested: 1 }, instructions };
+        }
+    };
+}
+
+async function waitForJob(baseUrl, jobId, headers = {}) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await (await fetch(`${baseUrl}/jobs/${jobId}`, { headers })).json();
+        if (job.status === 'completed' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+const post = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+describe('SchedulingServer', () => {
+    const mockWindmill = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockWindmill.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        // Injected Windmill faults should fail the run, not be retried away
+        process.env.WINDMILL_MAX_RETRIES = '0';
+
+        server = new SchedulingServer({ apiToken: null, createScheduler: createFakeScheduler });
+        baseUrl = await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        await mockWindmill.stop();
+    });
+
+    describe('routing and validation', () => {
+        test('should answer health checks', async () => {
+            const response = await fetch(`${baseUrl}/health`);
+
+            expect(response.status).toBe(200);
+            expect(await response.json()).toMatchObject({ status: 'ok' });
+        });
+
+        test('should return 404 for unknown routes and jobs', async () => {
+            expect((await fetch(`${baseUrl}/bookings`)).status).toBe(404);
+
+            const missingJob = await fetch(`${baseUrl}/jobs/not-a-job`);
+            expect(missingJob.status).toBe(404);
+            expect((await missingJob.json()).error).toBe('not_found');
+        });
+
+        test('should return 405 for the wrong method', async () => {
+            expect((await fetch(`${baseUrl}/schedule`)).status).toBe(405);
+        });
+
+        test('should return 400 with issues for invalid bodies', async () => {
+            const response = await post(`${baseUrl}/availability`, { practitionerId: 'abc', startDate: '25/08/2025' });
+            const body = await response.json();
+
+            expect(response.status).toBe(400);
+            expect(body.error).toBe('validation_error');
+            expect(body.issues.map(issue => issue.path)).toEqual(expect.arrayContaining(['practitionerId', 'startDate', 'endDate']));
+        });
+
+        test('should return 400 for malformed JSON', async () => {
+            const response = await post(`${baseUrl}/schedule`, '{"sdmText": ');
+
+            expect(response.status).toBe(400);
+            expect((await response.json()).error).toBe('invalid_json');
+        });
+
+        test('should require the bearer token when one is configured', async () => {
+            const secured = new SchedulingServer({ apiToken: 'secret', createScheduler: createFakeScheduler });
+            const securedUrl = await secured.start();
+
+            try {
+                expect((await fetch(`${securedUrl}/jobs/any`)).status).toBe(401);
+                expect((await fetch(`${securedUrl}/health`)).status).toBe(200);
+                expect((await fetch(`${securedUrl}/jobs/any`, { headers: { Authorization: 'Bearer secret' } })).status).toBe(404);
+            } finally {
+                await secured.stop();
+            }
+        });
+    });
+
+    describe('POST /availability', () => {
+        test('should return availability from Windmill', async () => {
+            const response = await post(`${baseUrl}/availability`, { practitionerId: 46932, startDate: '2025-08-25', endDate: '2025-08-29' });
+            const availability = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(availability.practitionerTimezone).toBe('Australia/Melbourne');
+            expect(availability.summary.totalFreeSlots).toBe(6);
+        });
+
+        test('should return 502 when Windmill fails', async () => {
+            mockWindmill.setFault('get_appointments', { status: 503, body: 'Service Unavailable', times: 1 });
+
+            const response = await post(`${baseUrl}/availability`, { practitionerId: 46932, startDate: '2025-08-25', endDate: '2025-08-29' });
+
+            expect(response.status).toBe(502);
+            expect((await response.json()).message).toContain('503 Service Unavailable');
+        });
+    });
+
+    describe('POST /conflicts', () => {
+        const suggestions = {
+            suggestedAppointments: [
+                { start: '2025-08-25T00:00:00Z', end: '2025-08-25T01:30:00Z', locationId: 19042 },
+                { start: '2025-08-25T23:30:00Z', end: '2025-08-26T01:00:00Z', locationId: 19042 }
+            ],
+            summary: { totalAppointmentsSuggested: 2 }
+        };
+
+        test('should check suggestions against fetched availability', async () => {
+            const response = await post(`${baseUrl}/conflicts`, { suggestions, practitionerId: 46932, startDate: '2025-08-25', endDate: '2025-08-29' });
+            const result = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(result.summary.totalValid).toBe(1);
+            expect(result.summary.totalConflicted).toBe(1);
+        });
+
+        test('should check suggestions against supplied availability', async () => {
+            const availability = {
+                freeTimeSlots: [{ startDateTime: '2025-08-25T00:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z' }],
+                bookedAppointments: []
+            };
+
+            const response = await post(`${baseUrl}/conflicts`, { suggestions, availability });
+
+            expect((await response.json()).summary.totalValid).toBe(1);
+        });
+
+        test('should require availability or a practitioner date range', async () => {
+            const response = await post(`${baseUrl}/conflicts`, { suggestions });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('POST /schedule', () => {
+        test('should accept a job and report step progress through to the result', async () => {
+            const response = await post(`${baseUrl}/schedule`, { sdmText: 'SDM', practitionerId: 46932, instructions: 'Mornings' });
+            const accepted = await response.json();
+
+            expect(response.status).toBe(202);
+            expect(response.headers.get('location')).toBe(`/jobs/${accepted.id}`);
+            expect(['queued', 'running', 'completed']).toContain(accepted.status);
+
+            const job = await waitForJob(baseUrl, accepted.id);
+            expect(job.status).toBe('completed');
+            expect(job.steps.map(step => step.status)).toEqual(Array(5).fill('completed'));
+            expect(job.progress).toEqual({ step: 3, completedAppointments: 1, totalAppointments: 1 });
+            expect(job.result).toEqual({ summary: { practitionerId: 46932, totalAppointmentsRequested: 1 }, instructions: 'Mornings' });
+            expect(job.request).not.toHaveProperty('sdmText');
+        });
+
+        test('should record a failed job when the SDM data fails validation', async () => {
+            const realServer = new SchedulingServer({
+                apiToken: null,
+                createScheduler: (options) => new MasterScheduler({ ...options, extractionRetries: 0 })
+            });
+            const realUrl = await realServer.start();
+            const previousParser = process.env.SDM_PARSER;
+            process.env.SDM_PARSER = 'deterministic';
+
+            try {
+                const sdmText = fs.readFileSync(sdmFixture, 'utf8').replace('Plan End Date,30 Jun 2026', 'Plan End Date,30 Sep 2025');
+                const accepted = await (await post(`${realUrl}/schedule`, { sdmText, practitionerId: 46932 })).json();
+                const job = await waitForJob(realUrl, accepted.id);
+
+                expect(job.status).toBe('failed');
+                expect(job.error.type).toBe('SDMValidationError');
+                expect(job.currentStep).toEqual({ step: 1, name: 'SDM extraction' });
+                expect(job.steps[0].status).toBe('failed');
+                expect(job.steps[1].status).toBe('pending');
+            } finally {
+                if (previousParser === undefined) delete process.env.SDM_PARSER;
+                else process.env.SDM_PARSER = previousParser;
+                await realServer.stop();
+            }
+        });
+
+        test('should queue jobs beyond the concurrency limit', async () => {
+            let release;
+            const blocked = new Promise(resolve => { release = resolve; });
+            const queued = new SchedulingServer({
+                apiToken: null,
+                maxConcurrentJobs: 1,
+                createScheduler: () => ({ scheduleAppointments: () => blocked.then(() => ({ ok: true })) })
+            });
+
+            const first = queued.createJob({ sdmText: 'SDM', practitionerId: 1 });
+            const second = queued.createJob({ sdmText: 'SDM', practitionerId: 2 });
+
+            expect(queued.getJobView(first.id).status).toBe('running');
+            expect(queued.getJobView(second.id)).toMatchObject({ status: 'queued', queuePosition: 1 });
+
+            release();
+            await blocked;
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(queued.getJobView(second.id).status).toBe('completed');
+        });
+    });
+});
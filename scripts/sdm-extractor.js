@@ -1,7 +1,12 @@
 import 'dotenv/config';
-import { ChatOpenAI } from '@langchain/openai';
 import { HumanMessage } from '@langchain/core/messages';
 import { z } from 'zod';
+import { createStructuredModel } from './utils/model-factory.js';
+import { parseSDM } from './sdm-parser.js';
+import { getLogger } from './utils/logger.js';
+import { withRedactor, redactLogText } from './utils/pii-redactor.js';
+
+const logger = getLogger('sdm-extractor');
 
 const appointmentSchema = z.object({
     dateRangeStart: z.string().describe("Start date of the appointment range in ISO date format (e.g., '2025-08-24')"),
@@ -39,12 +44,63 @@ const sdmStructuredSchema = z.object({
     appointments: z.array(appointmentSchema).describe("List of appointments to be planned")
 });
 
-async function convertSDMToStructured(inputData) {
-    console.log('🔄 Starting SDM extraction process...');
+/**
+ * Convert SDM planning-tool data to the structured schema
+ * The rule-based parser runs first; the LLM is only called when a section fails to parse,
+ * and only the failed sections are taken from its output.
+ * @param {string} inputData - Raw SDM CSV/text export
+ * @param {Object} options - Extraction options
+ * @param {string} options.parser - 'auto' (parser with LLM fallback), 'deterministic' or 'llm'. Defaults to SDM_PARSER or 'auto'
+ * @param {string} options.feedback - Validation problems from a previous attempt; forces LLM extraction with the feedback in the prompt
+ * @returns {Promise<Object>} Data in sdmStructuredSchema shape
+ */
+async function convertSDMToStructured(inputData, options = {}) {
+    const parser = options.parser || process.env.SDM_PARSER || 'auto';
+    if (!['auto', 'deterministic', 'llm'].includes(parser)) {
+        throw new Error(`Invalid SDM parser "${parser}". Expected one of: auto, deterministic, llm`);
+    }
+
+    if (parser === 'llm' || options.feedback) {
+        return await extractWithLLM(inputData, options.feedback);
+    }
+
+    logger.info('Parsing SDM export');
+    const { data, failedSections } = parseSDM(inputData);
+
+    if (failedSections.length === 0) {
+        logger.info(redactLogText(`SDM parsed without LLM: ${data.appointments.length} appointments for ${data.participant.participantName}`, data.participant), { parser: 'deterministic', appointments: data.appointments.length });
+        return data;
+    }
+
+    for (const failed of failedSections) {
+        logger.warn(`Could not parse ${failed.section}: ${failed.errors.join('; ')}`, { section: failed.section });
+    }
+
+    if (parser === 'deterministic') {
+        throw new Error(`SDM parsing failed for: ${failedSections.map(failed => failed.section).join(', ')}`);
+    }
+
+    logger.info(`Falling back to LLM extraction for: ${failedSections.map(failed => failed.section).join(', ')}`, { sections: failedSections.map(failed => failed.section) });
+    const llmData = await extractWithLLM(inputData);
+
+    const merged = { ...data };
+    for (const failed of failedSections) {
+        merged[failed.section] = llmData[failed.section];
+    }
+    return merged;
+}
+
+/**
+ * Extract SDM data with the extraction-stage LLM
+ * @param {string} inputData - Raw SDM CSV/text export
+ * @param {string} feedback - Validation problems from a previous attempt to correct
+ * @returns {Promise<Object>} Data in sdmStructuredSchema shape
+ */
+async function extractWithLLM(inputData, feedback = '') {
+    logger.info('Starting LLM SDM extraction');
     
     try {
-        console.log('📝 Building extraction prompt...');
-        const prompt = `Extract and structure data from this SDM planning tool data.
+        let prompt = `Extract and structure data from this SDM planning tool data.
 
 Input Data:
 ${inputData}
@@ -94,50 +150,31 @@ Convert all dates to ISO format (YYYY-MM-DD). For example:
 - "30 Jun 2023" becomes "2023-06-30"
 - "Thursday, 07 Aug 2025" becomes "2025-08-07"`;
 
-        const modelConfig = {
-            modelName: "o3",
-            temperature: 1
-        };
+        if (feedback) {
+            prompt += `
 
-        console.log('⚙️  Configuring o3 model...');
-        console.log(`📊 Extraction prompt length: ${prompt.length} characters`);
-        
-        const model = new ChatOpenAI({
-            ...modelConfig,
-            openAIApiKey: process.env.OPENAI_API_KEY,
-        });
-        
-        const structuredModel = model.withStructuredOutput(sdmStructuredSchema);
-        
-        console.log('🧠 Calling o3 model for SDM extraction...');
-        const startTime = Date.now();
-        let response;
-        
-        try {
-            const messages = [new HumanMessage(prompt)];
-            
-            console.log('🤖 Processing with o3...');
-            response = await structuredModel.invoke(messages);
-            
-        } catch (error) {
-            console.error('❌ SDM extraction failed:', error.message);
-            console.error('🔍 Error details:', error);
-            throw error;
+A previous extraction of this data failed validation with the following problems. Re-read the input data and correct them:
+${feedback}`;
         }
+
+        const structuredModel = createStructuredModel('extraction', sdmStructuredSchema);
+
+        logger.info(`Calling ${structuredModel.label} for SDM extraction`, { model: structuredModel.label, promptChars: prompt.length });
+        const response = await withRedactor((redactor) => {
+            // The raw export holds the participant's name and state; register them so the prompt carries tokens instead
+            redactor.registerParticipant(parseSDM(inputData).data.participant);
+            return structuredModel.invoke([new HumanMessage(prompt)]);
+        });
         
-        const endTime = Date.now();
-        const duration = ((endTime - startTime) / 1000).toFixed(2);
-        
-        console.log(`✅ SDM extraction completed in ${duration}s`);
-        console.log(`📋 Extracted ${response.appointments.length} appointments for ${response.participant.participantName}`);
+        logger.info(redactLogText(`Extracted ${response.appointments.length} appointments for ${response.participant.participantName}`, response.participant), { parser: 'llm', appointments: response.appointments.length });
         
         return response;
         
     } catch (error) {
-        console.error('❌ Fatal error in SDM extraction:', error.message);
+        logger.error(`SDM extraction failed: ${error.message}`, { errorType: error.name });
         throw error;
     }
 }
 
 
-export { convertSDMToStructured };
\ No newline at end of file
+export { convertSDMToStructured, sdmStructuredSchema };
\ No newline at end of file
@@ -0,0 +1,371 @@
+/**
+ * Rule-based parser for the SDM planning-tool CSV/text export.
+ * Produces the same object as sdmStructuredSchema and applies the same rules as the LLM
+ * extraction prompt: Clinical Intake is skipped, appointments whose cumulative cost exceeds
+ * the plan budget are dropped, and Report components are split into separate reporting
+ * sessions with travel taken from the SERVICE DETAIL section.
+ * Sections that cannot be parsed are reported so the caller can fall back to the LLM for them.
+ */
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Field labels as they appear in the first column of the export
+const FIELD_LABELS = {
+    participant: {
+        participantName: /^participant(\s+name)?$/i,
+        state: /^state$/i,
+        serviceRequired: /^service\s+required$/i,
+        suitableDays: /^suitable\s+days/i,
+        suitableTime: /^suitable\s+time/i
+    },
+    planDetails: {
+        planStartDate: /^plan\s+start(\s+date)?$/i,
+        planEndDate: /^plan\s+end(\s+date)?$/i,
+        totalPlanBudget: /^total\s+plan\s+budget(\s*\(\$\))?$/i,
+        totalPlanBudgetHours: /^total\s+plan\s+budget.*hours/i
+    },
+    servicePlanning: {
+        intakeDate: /^intake(\s+date)?$/i,
+        serviceCommencement: /^service\s+commencement/i,
+        travelRequired: /^travel\s+required/i,
+        lastParticipantOfDay: /^last\s+participant\s+of\s+(the\s+)?day/i,
+        serviceFrequency: /^(service\s+)?frequency/i
+    }
+};
+
+const REQUIRED_FIELDS = {
+    participant: ['participantName', 'serviceRequired'],
+    planDetails: ['planStartDate', 'planEndDate', 'totalPlanBudget', 'totalPlanBudgetHours'],
+    servicePlanning: ['intakeDate', 'serviceCommencement', 'travelRequired', 'lastParticipantOfDay', 'serviceFrequency']
+};
+
+/**
+ * Split a CSV line into cells, honouring double-quoted cells
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Trimmed cells
+ */
+export function parseCSVLine(line) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+
+    return cells;
+}
+
+/**
+ * Convert SDM dates ("24 Aug 2025", "Thursday, 07 Aug 2025", "24/08/2025", "2025-08-24") to ISO format
+ * @param {string} value - Date text
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null when unparseable
+ */
+export function parseSDMDate(value) {
+    if (!value) return null;
+    const text = value.trim();
+    const pad = (number) => String(number).padStart(2, '0');
+
+    let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = /(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\s+(\d{4})/.exec(text);
+    if (match && MONTHS[match[2].toLowerCase()]) {
+        return `${match[3]}-${pad(MONTHS[match[2].toLowerCase()])}-${pad(match[1])}`;
+    }
+
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+    return null;
+}
+
+/**
+ * Convert currency text ("$4,013.82") to a number
+ * @param {string} value - Currency text
+ * @returns {number|null} Amount or null when unparseable
+ */
+export function parseCurrency(value) {
+    if (!value) return null;
+    const amount = Number(value.replace(/[$,\s]/g, ''));
+    return value.trim() !== '' && !isNaN(amount) ? amount : null;
+}
+
+/**
+ * Convert duration text ("1 h 30 m", "40 m", "2 h", "1h30m") to minutes
+ * @param {string} value - Duration text
+ * @returns {number|null} Minutes or null when unparseable
+ */
+export function parseDurationMinutes(value) {
+    if (!value) return null;
+    const match = /^\s*(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?\s*$/i.exec(value);
+    if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+    return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+}
+
+/**
+ * Convert indicative hours text ("17.2 hours") to a number
+ * @param {string} value - Hours text
+ * @returns {number|null} Hours or null when unparseable
+ */
+function parseHours(value) {
+    const match = /(\d+(?:\.\d+)?)/.exec(value || '');
+    return match ? Number(match[1]) : null;
+}
+
+function parseYesNo(value) {
+    if (/^\s*y(es)?\b/i.test(value || '')) return 'Yes';
+    if (/^\s*no?\b/i.test(value || '')) return 'No';
+    return null;
+}
+
+const FIELD_PARSERS = {
+    planStartDate: parseSDMDate,
+    planEndDate: parseSDMDate,
+    totalPlanBudget: parseCurrency,
+    totalPlanBudgetHours: parseHours,
+    intakeDate: parseSDMDate,
+    serviceCommencement: parseSDMDate,
+    travelRequired: parseYesNo,
+    lastParticipantOfDay: parseYesNo
+};
+
+/**
+ * Read labelled fields ("Label,Value" CSV rows or "Label: Value" lines) into a section object
+ */
+function parseLabelledSection(rows, section) {
+    const values = {};
+    const errors = [];
+
+    for (const [field, label] of Object.entries(FIELD_LABELS[section])) {
+        const row = rows.find(cells => label.test(cells[0]));
+        const rawValue = row ? row.slice(1).find(cell => cell !== '') : undefined;
+
+        if (rawValue === undefined) {
+            if (REQUIRED_FIELDS[section].includes(field)) {
+                errors.push(`Missing ${field}`);
+            } else {
+                values[field] = '';
+            }
+            continue;
+        }
+
+        const parse = FIELD_PARSERS[field];
+        const value = parse ? parse(rawValue) : rawValue;
+        if (value === null) {
+            errors.push(`Could not parse ${field} from "${rawValue}"`);
+            continue;
+        }
+        values[field] = value;
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Read per-service component times from the SERVICE DETAIL section
+ * @returns {Object} Map of lower-cased service name to { direct, report, travel } minutes
+ */
+function parseServiceDetail(rows) {
+    const start = rows.findIndex(cells => /^service\s+detail/i.test(cells[0]));
+    if (start === -1) return null;
+
+    const services = {};
+    let current = null;
+
+    for (const cells of rows.slice(start + 1)) {
+        const [name, time] = cells;
+        if (!name) continue;
+
+        const minutes = parseDurationMinutes(time);
+        if (minutes === null) {
+            // A row without a duration starts a new service block
+            current = { direct: 0, report: 0, travel: 0 };
+            services[name.toLowerCase()] = current;
+            continue;
+        }
+        if (!current) continue;
+
+        if (/report/i.test(name)) current.report += minutes;
+        else if (/travel/i.test(name)) current.travel += minutes;
+        else current.direct += minutes;
+    }
+
+    return services;
+}
+
+/**
+ * Read the "Appointments to plan:" table and apply the SDM planning rules
+ */
+function parseAppointments(rows, planDetails, servicePlanning) {
+    const errors = [];
+    const start = rows.findIndex(cells => /^appointments\s+to\s+plan/i.test(cells[0]));
+    if (start === -1) {
+        return { appointments: [], errors: ['Missing "Appointments to plan:" section'] };
+    }
+
+    const headerOffset = rows.slice(start + 1).findIndex(cells => cells.some(cell => /^service$/i.test(cell)));
+    if (headerOffset === -1) {
+        return { appointments: [], errors: ['Missing appointments table header'] };
+    }
+
+    const headerIndex = start + 1 + headerOffset;
+    const header = rows[headerIndex].map(cell => cell.toLowerCase());
+    const column = (pattern) => header.findIndex(cell => pattern.test(cell));
+    const columns = {
+        from: column(/^(from|start|date\s+range\s+start|date\s+from)$/),
+        to: column(/^(to|end|date\s+range\s+end|date\s+to)$/),
+        range: column(/^date(\s+range)?$/),
+        service: column(/^service$/),
+        time: column(/^time$/),
+        cost: column(/^cost$/),
+        total: column(/^total$/)
+    };
+
+    const missingColumns = ['service', 'time', 'cost', 'total'].filter(name => columns[name] === -1);
+    if (columns.range === -1 && (columns.from === -1 || columns.to === -1)) {
+        missingColumns.push('date range');
+    }
+    if (missingColumns.length > 0) {
+        return { appointments: [], errors: [`Appointments table is missing columns: ${missingColumns.join(', ')}`] };
+    }
+
+    const serviceDetail = parseServiceDetail(rows);
+    if (!serviceDetail) {
+        errors.push('Missing SERVICE DETAIL section');
+    }
+
+    const travelRequired = servicePlanning?.travelRequired !== 'No';
+    const appointments = [];
+
+    for (const cells of rows.slice(headerIndex + 1)) {
+        // The table ends at the first blank row or the next section
+        if (cells.every(cell => cell === '') || /^service\s+detail/i.test(cells[0])) break;
+
+        const service = cells[columns.service];
+        if (/clinical\s+intake/i.test(service)) continue;
+
+        let dateRangeStart;
+        let dateRangeEnd;
+        if (columns.range !== -1) {
+            const [from, to] = (cells[columns.range] || '').split(/\s+(?:-|to|–)\s+/);
+            dateRangeStart = parseSDMDate(from);
+            dateRangeEnd = parseSDMDate(to || from);
+        } else {
+            dateRangeStart = parseSDMDate(cells[columns.from]);
+            dateRangeEnd = parseSDMDate(cells[columns.to]);
+        }
+
+        const time = parseDurationMinutes(cells[columns.time]);
+        const cost = parseCurrency(cells[columns.cost]);
+        const cumulativeCost = parseCurrency(cells[columns.total]);
+
+        if (!service || !dateRangeStart || !dateRangeEnd || time === null || cost === null || cumulativeCost === null) {
+            errors.push(`Could not parse appointment row: ${cells.join(', ')}`);
+            continue;
+        }
+
+        if (planDetails?.totalPlanBudget !== undefined && cumulativeCost > planDetails.totalPlanBudget) continue;
+
+        const detail = serviceDetail?.[service.toLowerCase()];
+        if (serviceDetail && !detail) {
+            errors.push(`No SERVICE DETAIL entry for "${service}"`);
+            continue;
+        }
+
+        const isReportService = /report/i.test(service);
+        const travelTime = travelRequired && !isReportService ? (detail?.travel || 0) : 0;
+        const reportTime = isReportService ? 0 : (detail?.report || 0);
+        const duration = time - reportTime;
+
+        appointments.push({
+            dateRangeStart,
+            dateRangeEnd,
+            service,
+            duration,
+            travelTime,
+            totalTime: duration + travelTime,
+            cost,
+            cumulativeCost,
+            isReportingSession: isReportService
+        });
+
+        if (reportTime > 0) {
+            appointments.push({
+                dateRangeStart,
+                dateRangeEnd,
+                service: `${service} (Report)`,
+                duration: reportTime,
+                travelTime: 0,
+                totalTime: reportTime,
+                cost: 0,
+                cumulativeCost,
+                isReportingSession: true
+            });
+        }
+    }
+
+    if (appointments.length === 0 && errors.length === 0) {
+        errors.push('No appointments found within the plan budget');
+    }
+
+    return { appointments, errors };
+}
+
+/**
+ * Parse an SDM planning-tool export
+ * @param {string} inputData - Raw SDM CSV/text export
+ * @returns {Object} Parsed data in sdmStructuredSchema shape plus the sections that failed to parse
+ */
+export function parseSDM(inputData) {
+    const rows = (inputData || '')
+        .split(/\r?\n/)
+        .map(line => {
+            // Plain text exports use "Label: value" lines instead of CSV cells
+            const labelled = /^\s*([^,:"]+):\s*(\S.*)$/.exec(line);
+            if (labelled) {
+                return [labelled[1].trim(), labelled[2].trim()];
+            }
+            return parseCSVLine(line);
+        });
+
+    const failedSections = [];
+    const data = {};
+
+    for (const section of ['participant', 'planDetails', 'servicePlanning']) {
+        const { values, errors } = parseLabelledSection(rows, section);
+        data[section] = values;
+        if (errors.length > 0) {
+            failedSections.push({ section, errors });
+        }
+    }
+
+    const planDetailsParsed = !failedSections.some(failed => failed.section === 'planDetails');
+    const { appointments, errors } = parseAppointments(rows, planDetailsParsed ? data.planDetails : undefined, data.servicePlanning);
+    data.appointments = appointments;
+    if (errors.length > 0 || !planDetailsParsed) {
+        failedSections.push({
+            section: 'appointments',
+            errors: planDetailsParsed ? errors : [...errors, 'Plan budget unavailable - over-budget appointments could not be dropped']
+        });
+    }
+
+    return { data, failedSections };
+}
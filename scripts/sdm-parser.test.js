@@ -0,0 +1,134 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSDM, parseCSVLine, parseSDMDate, parseCurrency, parseDurationMinutes } from './sdm-parser.js';
+import { sdmStructuredSchema } from './sdm-extractor.js';
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt');
+const sdmExample = fs.readFileSync(fixturePath, 'utf8');
+
+describe('SDM parser', () => {
+    describe('value parsing', () => {
+        test('should split quoted CSV cells', () => {
+            expect(parseCSVLine('Suitable Days,"Mondays, Tuesdays",,')).toEqual(['Suitable Days', 'Mondays, Tuesdays', '', '']);
+            expect(parseCSVLine('Note,"He said ""hi"""')).toEqual(['Note', 'He said "hi"']);
+        });
+
+        test('should parse SDM date formats', () => {
+            expect(parseSDMDate('24 Aug 2025')).toBe('2025-08-24');
+            expect(parseSDMDate('Thursday, 07 Aug 2025')).toBe('2025-08-07');
+            expect(parseSDMDate('7 September 2025')).toBe('2025-09-07');
+            expect(parseSDMDate('24/08/2025')).toBe('2025-08-24');
+            expect(parseSDMDate('2025-08-24')).toBe('2025-08-24');
+            expect(parseSDMDate('next week')).toBeNull();
+        });
+
+        test('should parse currency and durations', () => {
+            expect(parseCurrency('$4,013.82')).toBe(4013.82);
+            expect(parseCurrency('n/a')).toBeNull();
+            expect(parseDurationMinutes('1 h 30 m')).toBe(90);
+            expect(parseDurationMinutes('40 m')).toBe(40);
+            expect(parseDurationMinutes('2 h')).toBe(120);
+            expect(parseDurationMinutes('1h30m')).toBe(90);
+            expect(parseDurationMinutes('Direct')).toBeNull();
+        });
+    });
+
+    describe('parseSDM', () => {
+        test('should parse the example export into the structured schema', () => {
+            const { data, failedSections } = parseSDM(sdmExample);
+
+            expect(failedSections).toEqual([]);
+            expect(sdmStructuredSchema.safeParse(data).success).toBe(true);
+            expect(data.participant).toEqual({
+                participantName: 'Jane Doe',
+                state: 'VIC',
+                serviceRequired: 'Psychology',
+                suitableDays: 'Mondays, Tuesdays or Wednesdays',
+                suitableTime: 'Mornings'
+            });
+            expect(data.planDetails).toEqual({
+                planStartDate: '2025-06-30',
+                planEndDate: '2026-06-30',
+                totalPlanBudget: 4013.82,
+                totalPlanBudgetHours: 17.2
+            });
+            expect(data.servicePlanning.intakeDate).toBe('2025-08-07');
+            expect(data.servicePlanning.serviceCommencement).toBe('2025-08-24');
+        });
+
+        test('should skip Clinical Intake and over-budget appointments', () => {
+            const { data } = parseSDM(sdmExample);
+
+            expect(data.appointments).toHaveLength(9);
+            expect(data.appointments.some(appointment => appointment.service === 'Clinical Intake')).toBe(false);
+            expect(data.appointments.every(appointment => appointment.cumulativeCost <= 4013.82)).toBe(true);
+        });
+
+        test('should split Report components into separate sessions', () => {
+            const { data } = parseSDM(sdmExample);
+            const [assessment, assessmentReport] = data.appointments;
+
+            expect(assessment).toEqual({
+                dateRangeStart: '2025-08-24',
+                dateRangeEnd: '2025-09-06',
+                service: 'Assessment',
+                duration: 90,
+                travelTime: 40,
+                totalTime: 130,
+                cost: 621.31,
+                cumulativeCost: 854.3,
+                isReportingSession: false
+            });
+            expect(assessmentReport).toEqual({
+                dateRangeStart: '2025-08-24',
+                dateRangeEnd: '2025-09-06',
+                service: 'Assessment (Report)',
+                duration: 30,
+                travelTime: 0,
+                totalTime: 30,
+                cost: 0,
+                cumulativeCost: 854.3,
+                isReportingSession: true
+            });
+            expect(data.appointments.filter(appointment => appointment.isReportingSession)).toHaveLength(2);
+        });
+
+        test('should omit travel when travel is not required', () => {
+            const { data } = parseSDM(sdmExample.replace('Travel Required,Yes', 'Travel Required,No'));
+
+            expect(data.appointments.every(appointment => appointment.travelTime === 0)).toBe(true);
+            expect(data.appointments[0].totalTime).toBe(90);
+        });
+
+        test('should accept "Label: value" text exports', () => {
+            const textExport = sdmExample
+                .replace('Participant Name,Jane Doe,,,,', 'Participant Name: Jane Doe')
+                .replace('Suitable Days,"Mondays, Tuesdays or Wednesdays",,,,', 'Suitable Days: Mondays, Tuesdays or Wednesdays');
+            const { data, failedSections } = parseSDM(textExport);
+
+            expect(failedSections).toEqual([]);
+            expect(data.participant.participantName).toBe('Jane Doe');
+            expect(data.participant.suitableDays).toBe('Mondays, Tuesdays or Wednesdays');
+        });
+
+        test('should report sections that fail to parse', () => {
+            const { data, failedSections } = parseSDM(sdmExample
+                .replace('Plan End Date,30 Jun 2026', 'Plan End Date,end of plan')
+                .replace(/SERVICE DETAIL[\s\S]*$/, ''));
+
+            expect(failedSections.map(failed => failed.section)).toEqual(['planDetails', 'appointments']);
+            expect(failedSections[0].errors[0]).toContain('planEndDate');
+            expect(failedSections[1].errors).toContain('Missing SERVICE DETAIL section');
+            expect(data.participant.participantName).toBe('Jane Doe');
+        });
+
+        test('should report services missing from SERVICE DETAIL', () => {
+            const { failedSections } = parseSDM(sdmExample.replace(/Progress Review,,,,,[\s\S]*$/, ''));
+
+            expect(failedSections).toHaveLength(1);
+            expect(failedSections[0].errors).toContain('No SERVICE DETAIL entry for "Progress Review"');
+        });
+    });
+});
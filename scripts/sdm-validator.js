@@ -0,0 +1,186 @@
+import 'dotenv/config';
+
+/**
+ * Issue codes raised by SDMValidator. Errors stop scheduling; warnings are reported and,
+ * where marked corrected, already fixed in the returned data.
+ */
+const SDM_VALIDATION_CODES = {
+    INVALID_DATE: 'INVALID_DATE',
+    INVALID_NUMBER: 'INVALID_NUMBER',
+    PLAN_PERIOD_INVERTED: 'PLAN_PERIOD_INVERTED',
+    NO_APPOINTMENTS: 'NO_APPOINTMENTS',
+    DATE_RANGE_INVERTED: 'DATE_RANGE_INVERTED',
+    OUTSIDE_PLAN_PERIOD: 'OUTSIDE_PLAN_PERIOD',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+    TOTAL_TIME_MISMATCH: 'TOTAL_TIME_MISMATCH',
+    CUMULATIVE_COST_MISMATCH: 'CUMULATIVE_COST_MISMATCH',
+    BEFORE_COMMENCEMENT: 'BEFORE_COMMENCEMENT',
+    HOURS_EXCEEDED: 'HOURS_EXCEEDED'
+};
+
+// Cost comparisons allow for rounding to the cent
+const COST_TOLERANCE = 0.01;
+
+/**
+ * Raised when extracted SDM data still has validation errors
+ */
+class SDMValidationError extends Error {
+    constructor(message, validation) {
+        super(message);
+        this.name = 'SDMValidationError';
+        this.validation = validation;
+    }
+}
+
+class SDMValidator {
+    /**
+     * Validate extracted SDM data and correct arithmetic that can be derived from other fields
+     * @param {Object} sdmData - Data in sdmStructuredSchema shape
+     * @returns {Object} { isValid, data (corrected copy), errors, warnings, corrections }
+     */
+    validate(sdmData) {
+        const data = JSON.parse(JSON.stringify(sdmData));
+        const issues = [];
+        const addIssue = (severity, code, path, message, correction) => {
+            issues.push({ severity, code, path, message, ...(correction ? { corrected: true, ...correction } : { corrected: false }) });
+        };
+
+        const { planDetails = {}, servicePlanning = {} } = data;
+        const appointments = Array.isArray(data.appointments) ? data.appointments : [];
+
+        // Plan period
+        for (const field of ['planStartDate', 'planEndDate']) {
+            if (!this.isISODate(planDetails[field])) {
+                addIssue('error', SDM_VALIDATION_CODES.INVALID_DATE, `planDetails.${field}`, `${field} "${planDetails[field]}" is not a valid YYYY-MM-DD date`);
+            }
+        }
+        const hasPlanPeriod = this.isISODate(planDetails.planStartDate) && this.isISODate(planDetails.planEndDate);
+        if (hasPlanPeriod && planDetails.planStartDate > planDetails.planEndDate) {
+            addIssue('error', SDM_VALIDATION_CODES.PLAN_PERIOD_INVERTED, 'planDetails', `Plan starts (${planDetails.planStartDate}) after it ends (${planDetails.planEndDate})`);
+        }
+
+        for (const field of ['totalPlanBudget', 'totalPlanBudgetHours']) {
+            if (!this.isNonNegativeNumber(planDetails[field])) {
+                addIssue('error', SDM_VALIDATION_CODES.INVALID_NUMBER, `planDetails.${field}`, `${field} "${planDetails[field]}" is not a non-negative number`);
+            }
+        }
+
+        if (appointments.length === 0) {
+            addIssue('error', SDM_VALIDATION_CODES.NO_APPOINTMENTS, 'appointments', 'No appointments were extracted');
+        }
+
+        let previousCumulativeCost = null;
+        let totalMinutes = 0;
+
+        appointments.forEach((appointment, index) => {
+            const path = `appointments[${index}]`;
+            const label = `Appointment #${index + 1} (${appointment.service})`;
+
+            const numbersValid = ['duration', 'travelTime', 'totalTime', 'cost', 'cumulativeCost'].every(field => {
+                if (this.isNonNegativeNumber(appointment[field])) return true;
+                addIssue('error', SDM_VALIDATION_CODES.INVALID_NUMBER, `${path}.${field}`, `${label}: ${field} "${appointment[field]}" is not a non-negative number`);
+                return false;
+            });
+
+            // Dates
+            const datesValid = ['dateRangeStart', 'dateRangeEnd'].every(field => {
+                if (this.isISODate(appointment[field])) return true;
+                addIssue('error', SDM_VALIDATION_CODES.INVALID_DATE, `${path}.${field}`, `${label}: ${field} "${appointment[field]}" is not a valid YYYY-MM-DD date`);
+                return false;
+            });
+
+            if (datesValid) {
+                if (appointment.dateRangeStart > appointment.dateRangeEnd) {
+                    addIssue('error', SDM_VALIDATION_CODES.DATE_RANGE_INVERTED, path,
+                        `${label}: date range starts (${appointment.dateRangeStart}) after it ends (${appointment.dateRangeEnd})`);
+                }
+                if (hasPlanPeriod && (appointment.dateRangeStart < planDetails.planStartDate || appointment.dateRangeEnd > planDetails.planEndDate)) {
+                    addIssue('error', SDM_VALIDATION_CODES.OUTSIDE_PLAN_PERIOD, path,
+                        `${label}: ${appointment.dateRangeStart} to ${appointment.dateRangeEnd} is outside the plan period ${planDetails.planStartDate} to ${planDetails.planEndDate}`);
+                }
+                if (this.isISODate(servicePlanning.serviceCommencement) && appointment.dateRangeEnd < servicePlanning.serviceCommencement) {
+                    addIssue('warning', SDM_VALIDATION_CODES.BEFORE_COMMENCEMENT, path,
+                        `${label}: date range ends before service commencement (${servicePlanning.serviceCommencement})`);
+                }
+            }
+
+            if (!numbersValid) {
+                previousCumulativeCost = null;
+                return;
+            }
+
+            // totalTime must include travel
+            const expectedTotalTime = appointment.duration + appointment.travelTime;
+            if (appointment.totalTime !== expectedTotalTime) {
+                addIssue('warning', SDM_VALIDATION_CODES.TOTAL_TIME_MISMATCH, `${path}.totalTime`,
+                    `${label}: totalTime ${appointment.totalTime} does not equal duration + travelTime (${expectedTotalTime})`,
+                    { from: appointment.totalTime, to: expectedTotalTime });
+                appointment.totalTime = expectedTotalTime;
+            }
+
+            // cumulativeCost is a running sum. The first appointment may carry earlier spend
+            // (e.g. the skipped Clinical Intake), so only later rows are derived from it.
+            if (previousCumulativeCost === null) {
+                if (appointment.cumulativeCost < appointment.cost - COST_TOLERANCE) {
+                    addIssue('warning', SDM_VALIDATION_CODES.CUMULATIVE_COST_MISMATCH, `${path}.cumulativeCost`,
+                        `${label}: cumulativeCost ${appointment.cumulativeCost} is less than its own cost ${appointment.cost}`,
+                        { from: appointment.cumulativeCost, to: appointment.cost });
+                    appointment.cumulativeCost = appointment.cost;
+                }
+            } else {
+                const expectedCumulativeCost = Math.round((previousCumulativeCost + appointment.cost) * 100) / 100;
+                if (Math.abs(appointment.cumulativeCost - expectedCumulativeCost) > COST_TOLERANCE) {
+                    addIssue('warning', SDM_VALIDATION_CODES.CUMULATIVE_COST_MISMATCH, `${path}.cumulativeCost`,
+                        `${label}: cumulativeCost ${appointment.cumulativeCost} is not the running total ${expectedCumulativeCost}`,
+                        { from: appointment.cumulativeCost, to: expectedCumulativeCost });
+                    appointment.cumulativeCost = expectedCumulativeCost;
+                }
+            }
+            previousCumulativeCost = appointment.cumulativeCost;
+
+            if (this.isNonNegativeNumber(planDetails.totalPlanBudget) && appointment.cumulativeCost > planDetails.totalPlanBudget + COST_TOLERANCE) {
+                addIssue('error', SDM_VALIDATION_CODES.BUDGET_EXCEEDED, `${path}.cumulativeCost`,
+                    `${label}: cumulativeCost $${appointment.cumulativeCost.toFixed(2)} exceeds the plan budget $${planDetails.totalPlanBudget.toFixed(2)}`);
+            }
+
+            totalMinutes += appointment.duration;
+        });
+
+        if (this.isNonNegativeNumber(planDetails.totalPlanBudgetHours) && totalMinutes > planDetails.totalPlanBudgetHours * 60) {
+            addIssue('warning', SDM_VALIDATION_CODES.HOURS_EXCEEDED, 'appointments',
+                `Appointments total ${(totalMinutes / 60).toFixed(1)} hours, more than the ${planDetails.totalPlanBudgetHours} indicative plan hours`);
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+
+        return {
+            isValid: errors.length === 0,
+            data,
+            errors,
+            warnings,
+            corrections: warnings.filter(issue => issue.corrected)
+        };
+    }
+
+    /**
+     * Describe validation errors as feedback for a re-prompted extraction
+     * @param {Object} validation - Result from validate
+     * @returns {string} One line per error
+     */
+    formatFeedback(validation) {
+        return validation.errors.map(error => `- [${error.code}] ${error.path}: ${error.message}`).join('\n');
+    }
+
+    isISODate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    }
+
+    isNonNegativeNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+}
+
+export { SDMValidator, SDMValidationError, SDM_VALIDATION_CODES };
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SDMValidator, SDM_VALIDATION_CODES } from './sdm-validator.js';
+import { parseSDM } from './sdm-parser.js';
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sdm', 'sdm-csv-example.txt');
+const sdmData = parseSDM(fs.readFileSync(fixturePath, 'utf8')).data;
+
+describe('SDMValidator', () => {
+    let validator;
+    let data;
+
+    beforeEach(() => {
+        validator = new SDMValidator();
+        data = JSON.parse(JSON.stringify(sdmData));
+    });
+
+    const codes = (issues) => issues.map(issue => issue.code);
+
+    test('should accept the parsed example without issues', () => {
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(true);
+        expect(validation.errors).toEqual([]);
+        expect(validation.warnings).toEqual([]);
+        expect(validation.data).toEqual(data);
+    });
+
+    test('should not modify the input data', () => {
+        data.appointments[0].totalTime = 999;
+        validator.validate(data);
+
+        expect(data.appointments[0].totalTime).toBe(999);
+    });
+
+    test('should correct totalTime to duration plus travel', () => {
+        data.appointments[0].totalTime = 90;
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(true);
+        expect(codes(validation.corrections)).toEqual([SDM_VALIDATION_CODES.TOTAL_TIME_MISMATCH]);
+        expect(validation.corrections[0]).toMatchObject({ path: 'appointments[0].totalTime', from: 90, to: 130 });
+        expect(validation.data.appointments[0].totalTime).toBe(130);
+    });
+
+    test('should correct cumulativeCost to the running total', () => {
+        // Report sessions cost nothing, so the intervention after the assessment report adds to $854.30
+        data.appointments[2].cumulativeCost = 1400;
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(true);
+        expect(validation.corrections).toHaveLength(1);
+        expect(validation.corrections[0]).toMatchObject({ code: SDM_VALIDATION_CODES.CUMULATIVE_COST_MISMATCH, from: 1400, to: 1359.11 });
+        expect(validation.data.appointments[3].cumulativeCost).toBe(1863.92);
+    });
+
+    test('should allow earlier spend in the first cumulative cost', () => {
+        // $854.30 includes the skipped Clinical Intake
+        expect(data.appointments[0].cumulativeCost).toBeGreaterThan(data.appointments[0].cost);
+        expect(validator.validate(data).corrections).toEqual([]);
+    });
+
+    test('should reject appointments over the plan budget', () => {
+        data.planDetails.totalPlanBudget = 3000;
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(false);
+        expect(codes(validation.errors)).toEqual([SDM_VALIDATION_CODES.BUDGET_EXCEEDED, SDM_VALIDATION_CODES.BUDGET_EXCEEDED]);
+        expect(validation.errors[0].path).toBe('appointments[7].cumulativeCost');
+    });
+
+    test('should reject inverted date ranges and dates outside the plan period', () => {
+        data.appointments[0].dateRangeStart = '2025-09-10';
+        data.appointments[1].dateRangeEnd = '2026-07-15';
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(false);
+        expect(codes(validation.errors)).toEqual([SDM_VALIDATION_CODES.DATE_RANGE_INVERTED, SDM_VALIDATION_CODES.OUTSIDE_PLAN_PERIOD]);
+    });
+
+    test('should reject malformed dates and numbers', () => {
+        data.planDetails.planEndDate = '30 Jun 2026';
+        data.appointments[0].dateRangeStart = '2025-02-30';
+        data.appointments[1].duration = -30;
+        const validation = validator.validate(data);
+
+        expect(codes(validation.errors)).toEqual([
+            SDM_VALIDATION_CODES.INVALID_DATE,
+            SDM_VALIDATION_CODES.INVALID_DATE,
+            SDM_VALIDATION_CODES.INVALID_NUMBER
+        ]);
+    });
+
+    test('should reject data without appointments', () => {
+        data.appointments = [];
+
+        expect(codes(validator.validate(data).errors)).toEqual([SDM_VALIDATION_CODES.NO_APPOINTMENTS]);
+    });
+
+    test('should warn about appointments before commencement and over the plan hours', () => {
+        data.servicePlanning.serviceCommencement = '2025-09-10';
+        data.planDetails.totalPlanBudgetHours = 10;
+        const validation = validator.validate(data);
+
+        expect(validation.isValid).toBe(true);
+        expect(codes(validation.warnings)).toEqual([
+            SDM_VALIDATION_CODES.BEFORE_COMMENCEMENT,
+            SDM_VALIDATION_CODES.BEFORE_COMMENCEMENT,
+            SDM_VALIDATION_CODES.HOURS_EXCEEDED
+        ]);
+        expect(validation.corrections).toEqual([]);
+    });
+
+    test('should format errors as extraction feedback', () => {
+        data.appointments[0].dateRangeStart = '2025-09-10';
+        const feedback = validator.formatFeedback(validator.validate(data));
+
+        expect(feedback).toBe('- [DATE_RANGE_INVERTED] appointments[0]: Appointment #1 (Assessment): date range starts (2025-09-10) after it ends (2025-09-06)');
+    });
+});
@@ -0,0 +1,335 @@
+import 'dotenv/config';
+import { ConflictChecker } from './conflict-checker.js';
+import { getLogger } from './utils/logger.js';
+import { getLocalTimeParts, formatClock, DEFAULT_TIMEZONE } from './utils/timezone-utils.js';
+import { parsePreferences, evaluatePreferences } from './preference-parser.js';
+import { SchedulingPolicySet, isInSessionWindow, isLastParticipantOfDay, hasHardSessionRules } from './utils/scheduling-policy.js';
+
+const logger = getLogger('slot-candidate-generator');
+
+/**
+ * Deterministic slot candidate generator.
+ * Slices the practitioner's free time slots into start times on a fixed grid (e.g. every 15
+ * minutes), keeps only those that fit the appointment's duration, date range, travel buffers and the
+ * hard rules of the practitioner's scheduling policy, scores them on the policy's session type window,
+ * participant preferences and location, and returns the best in the appointmentSuggestionSchema
+ * shape. Every suggestion it returns is conflict-free.
+ *
+ * Controlled by SLOT_STEP_MINUTES (default 15) and SUGGESTION_COUNT (default 5).
+ */
+
+const CANDIDATE_WEIGHTS = {
+    sessionWindow: 30,
+    preferredDay: 20,
+    preferredTime: 15,
+    preferredLocation: 10,
+    // Subtracted for each preference the participant insists on (or rules out) that a slot breaks
+    hardPreferenceViolation: 50,
+    // Subtracted when the participant should be last of the day but a booking follows (policy 'prefer')
+    lastParticipant: 20,
+    // Small per-day penalty so earlier slots in the date range win ties
+    dayOffset: 0.1
+};
+
+/**
+ * Read a positive integer option, falling back to an env var and then a default
+ * @param {*} value - Option value
+ * @param {string} envVar - Env var consulted when the option is not set
+ * @param {number} fallback - Default
+ * @returns {number} Resolved value
+ */
+function resolvePositiveInteger(value, envVar, fallback) {
+    const raw = value ?? process.env[envVar] ?? fallback;
+    const resolved = Number(raw);
+    if (!Number.isInteger(resolved) || resolved < 1) {
+        throw new Error(`Invalid ${envVar} "${raw}". Expected a positive integer`);
+    }
+    return resolved;
+}
+
+/**
+ * Human-readable duration (e.g. '1 h 30 m')
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Duration text
+ */
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest} m`;
+    return rest === 0 ? `${hours} h` : `${hours} h ${rest} m`;
+}
+
+class SlotCandidateGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {number} options.slotStepMinutes - Grid for start times (defaults to SLOT_STEP_MINUTES or 15)
+     * @param {number} options.maxSuggestions - Suggestions returned per appointment (defaults to SUGGESTION_COUNT or 5)
+     * @param {Array<number>} options.preferredLocationIds - Locations convenient for the participant
+     * @param {string} options.travelPolicy - Where travel sits around sessions (see utils/travel-policy.js)
+     * @param {SchedulingPolicySet} options.policies - Scheduling policies (see utils/scheduling-policy.js)
+     */
+    constructor(options = {}) {
+        this.slotStepMinutes = resolvePositiveInteger(options.slotStepMinutes, 'SLOT_STEP_MINUTES', 15);
+        this.maxSuggestions = resolvePositiveInteger(options.maxSuggestions, 'SUGGESTION_COUNT', 5);
+        this.preferredLocationIds = options.preferredLocationIds || [];
+        this.policies = options.policies || new SchedulingPolicySet();
+        this.conflictChecker = new ConflictChecker({ travelPolicy: options.travelPolicy });
+    }
+
+    /**
+     * The scheduling policy context for an appointment with a practitioner
+     * @param {Object} appointment - SDM appointment
+     * @param {Object|null} servicePlanning - SDM service planning details (last participant of day)
+     * @param {Object} availability - Practitioner availability data (practitionerId and bookedAppointments)
+     * @returns {Object} { policy, isReportingSession, lastParticipantOfDay, bookedAppointments }
+     */
+    getPolicyContext(appointment, servicePlanning, availability) {
+        return {
+            policy: this.policies.forPractitioner(availability?.practitionerId ?? null),
+            isReportingSession: Boolean(appointment.isReportingSession),
+            lastParticipantOfDay: isLastParticipantOfDay(servicePlanning),
+            bookedAppointments: availability?.bookedAppointments || []
+        };
+    }
+
+    /**
+     * Whether a slot lies in the appointment date range, inside a free slot, clear of booked
+     * appointments including travel and, with a policy context, breaks no hard policy rule
+     * @param {Object} slot - { start, end, locationId } with Date start and end
+     * @param {Object} appointment - SDM appointment
+     * @param {Array} freeSlots - Processed free time slots from ConflictChecker.buildFreeSlots
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array} bookedAppointments - Booked appointments the travel buffers must not overlap
+     * @param {Object|null} policyContext - Policy context from getPolicyContext
+     * @returns {boolean} True when the slot can be booked
+     */
+    isValidSlot(slot, appointment, freeSlots, timezone, bookedAppointments = [], policyContext = null) {
+        const localStart = getLocalTimeParts(slot.start, timezone);
+        if (localStart.date < appointment.dateRangeStart || localStart.date > appointment.dateRangeEnd) return false;
+        if (!this.conflictChecker.checkSingleAppointment(slot, freeSlots).isValid) return false;
+        if (!this.conflictChecker.checkTravelBuffers(slot, appointment.travelTime || 0, bookedAppointments).isValid) return false;
+        if (!policyContext || !hasHardSessionRules(policyContext)) return true;
+        return !this.conflictChecker.checkPolicy(slot, policyContext, timezone, policyContext.bookedAppointments)
+            .some(violation => violation.strength === 'hard');
+    }
+
+    /**
+     * Slice free time slots into valid start times on the grid
+     * @param {Object} appointment - SDM appointment (duration, dateRangeStart, dateRangeEnd, travelTime)
+     * @param {Array} freeSlots - Processed free time slots from ConflictChecker.buildFreeSlots
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array} bookedAppointments - Booked appointments the travel buffers must not overlap
+     * @param {Object|null} policyContext - Policy context from getPolicyContext; slots breaking a hard rule are skipped
+     * @returns {Array} Valid { start, end, locationId } slots in time order
+     */
+    generateSlots(appointment, freeSlots, timezone, bookedAppointments = [], policyContext = null) {
+        const durationMs = appointment.duration * 60 * 1000;
+        const stepMs = this.slotStepMinutes * 60 * 1000;
+        const slots = [];
+
+        for (const freeSlot of freeSlots) {
+            // Align the first start time to the grid in local time
+            const { minutesOfDay } = getLocalTimeParts(freeSlot.start, timezone);
+            const offsetMinutes = (this.slotStepMinutes - (minutesOfDay % this.slotStepMinutes)) % this.slotStepMinutes;
+            let start = new Date(freeSlot.start.getTime() + offsetMinutes * 60 * 1000);
+            start.setUTCSeconds(0, 0);
+
+            while (start.getTime() + durationMs <= freeSlot.end.getTime()) {
+                const slot = { start, end: new Date(start.getTime() + durationMs), locationId: freeSlot.locationId };
+                if (this.isValidSlot(slot, appointment, freeSlots, timezone, bookedAppointments, policyContext)) {
+                    slots.push(slot);
+                }
+                start = new Date(start.getTime() + stepMs);
+            }
+        }
+
+        return slots.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Score a slot on session type window, participant preferences, location and date
+     * @param {Object} slot - Slot with Date start and end and a locationId
+     * @param {Object} appointment - SDM appointment
+     * @param {Object|null} preferences - Parsed participant preferences (see preference-parser.js)
+     * @param {string} timezone - Practitioner timezone
+     * @param {Array<number>} preferredLocationIds - Locations convenient for the participant
+     * @param {Object|null} policyContext - Policy context from getPolicyContext (defaults to the default policy)
+     * @returns {Object} { score, localStart, inSessionWindow, matchesPreferences, preferenceViolations, reasons }
+     */
+    scoreSlot(slot, appointment, preferences, timezone, preferredLocationIds = this.preferredLocationIds, policyContext = null) {
+        const localStart = getLocalTimeParts(slot.start, timezone);
+        const localEnd = getLocalTimeParts(slot.end, timezone);
+        const reasons = [];
+        let score = 0;
+
+        const policy = policyContext?.policy ?? this.policies.forPractitioner();
+        const inSessionWindow = isInSessionWindow(policy, appointment.isReportingSession, localStart, localEnd);
+        if (inSessionWindow) {
+            score += CANDIDATE_WEIGHTS.sessionWindow;
+            reasons.push(`within ${appointment.isReportingSession ? 'reporting' : 'non-reporting'} session window`);
+        }
+        if (policyContext?.lastParticipantOfDay) {
+            const followed = this.conflictChecker.checkPolicy(slot, policyContext, timezone, policyContext.bookedAppointments)
+                .some(violation => violation.type === 'last_participant');
+            if (followed) {
+                score -= CANDIDATE_WEIGHTS.lastParticipant;
+                reasons.push('another booking follows the same day');
+            }
+        }
+
+        // Participants are not involved in reporting sessions, so their preferences do not apply
+        let preferenceViolations = [];
+        if (!appointment.isReportingSession && preferences) {
+            const { dayMatch, timeMatch, violations } = evaluatePreferences(preferences, localStart, localEnd);
+            if (dayMatch) {
+                score += CANDIDATE_WEIGHTS.preferredDay;
+                reasons.push('suits participant days');
+            }
+            if (timeMatch) {
+                score += CANDIDATE_WEIGHTS.preferredTime;
+                reasons.push('suits participant time');
+            }
+            const hardViolations = violations.filter(violation => violation.strength === 'hard');
+            if (hardViolations.length > 0) {
+                score -= CANDIDATE_WEIGHTS.hardPreferenceViolation * hardViolations.length;
+                reasons.push(`breaks participant constraint: ${hardViolations.map(violation => violation.message).join('; ')}`);
+            }
+            preferenceViolations = violations;
+        }
+        const matchesPreferences = preferenceViolations.length === 0;
+
+        if (preferredLocationIds.length > 0 && preferredLocationIds.includes(slot.locationId)) {
+            score += CANDIDATE_WEIGHTS.preferredLocation;
+            reasons.push('at a preferred location');
+        }
+
+        const rangeStart = new Date(`${appointment.dateRangeStart}T00:00:00Z`);
+        const localDay = new Date(`${localStart.date}T00:00:00Z`);
+        score -= CANDIDATE_WEIGHTS.dayOffset * Math.max(0, (localDay - rangeStart) / (24 * 60 * 60 * 1000));
+
+        return { score, localStart, inSessionWindow, matchesPreferences, preferenceViolations, reasons };
+    }
+
+    /**
+     * Generate, score and pick the best candidates for an appointment. The best slot of each day
+     * is taken first, so the picks are spread across the date range rather than clustered in one
+     * morning; remaining places go to the next best slots overall.
+     * @param {Object} appointment - SDM appointment
+     * @param {Object|null} caseDetails - { participant, preferences, preferredLocationIds, ... }; without parsed
+     *                                     preferences the participant's text is parsed with patterns
+     * @param {Object} availability - Practitioner availability data
+     * @param {number} limit - Candidates to return (defaults to maxSuggestions)
+     * @returns {Array} Scored candidates, best first
+     */
+    rankCandidates(appointment, caseDetails, availability, limit = this.maxSuggestions) {
+        const timezone = availability?.practitionerTimezone || DEFAULT_TIMEZONE;
+        const freeSlots = this.conflictChecker.buildFreeSlots(availability);
+        const preferredLocationIds = caseDetails?.preferredLocationIds || this.preferredLocationIds;
+        const preferences = caseDetails?.preferences ?? (caseDetails?.participant ? parsePreferences(caseDetails.participant) : null);
+        const policyContext = this.getPolicyContext(appointment, caseDetails?.servicePlanning, availability);
+
+        const scored = this.generateSlots(appointment, freeSlots, timezone, availability?.bookedAppointments, policyContext)
+            .map(slot => ({ ...slot, ...this.scoreSlot(slot, appointment, preferences, timezone, preferredLocationIds, policyContext) }))
+            .sort((a, b) => b.score - a.score || a.start - b.start);
+
+        const picked = new Set();
+        const days = new Set();
+        for (const candidate of scored) {
+            if (picked.size >= limit) break;
+            if (days.has(candidate.localStart.date)) continue;
+            days.add(candidate.localStart.date);
+            picked.add(candidate);
+        }
+        for (const candidate of scored) {
+            if (picked.size >= limit) break;
+            picked.add(candidate);
+        }
+
+        logger.debug(`${appointment.service}: ${scored.length} valid start times on a ${this.slotStepMinutes}-minute grid, ${picked.size} kept`, {
+            service: appointment.service,
+            candidates: scored.length,
+            kept: picked.size
+        });
+
+        return [...picked].sort((a, b) => b.score - a.score || a.start - b.start);
+    }
+
+    /**
+     * Rate a candidate for the suggestion confidence field
+     * @param {Object} candidate - Scored candidate
+     * @returns {string} 'high' in the session window and suiting the participant, 'medium' for one of the two, 'low' otherwise
+     */
+    getConfidence(candidate) {
+        if (candidate.inSessionWindow && candidate.matchesPreferences) return 'high';
+        return candidate.inSessionWindow || candidate.matchesPreferences ? 'medium' : 'low';
+    }
+
+    /**
+     * Convert candidates to the appointmentSuggestionSchema shape (UTC times)
+     * @param {Array} candidates - Candidates from rankCandidates, optionally carrying confidence and reasoning overrides
+     * @param {Object} appointment - SDM appointment
+     * @param {Object|null} caseDetails - Case details, read for serviceId, patientId and caseId when present
+     * @param {Object} availability - Practitioner availability data
+     * @param {Array<string>} recommendations - Extra recommendations for the summary
+     * @returns {Object} { suggestedAppointments, summary }
+     */
+    buildSuggestions(candidates, appointment, caseDetails, availability, recommendations = []) {
+        const timezone = availability?.practitionerTimezone || DEFAULT_TIMEZONE;
+
+        const suggestedAppointments = candidates.map((candidate, index) => {
+            const { localStart } = candidate;
+            const why = candidate.reasons.length > 0 ? candidate.reasons.join(', ') : 'earliest free slot in the date range';
+            return {
+                start: candidate.start.toISOString(),
+                end: candidate.end.toISOString(),
+                serviceId: appointment.serviceId ?? caseDetails?.serviceId ?? null,
+                locationId: candidate.locationId,
+                practitionerId: availability?.practitionerId ?? null,
+                patientId: caseDetails?.patientId ?? null,
+                caseId: caseDetails?.caseId ?? null,
+                note: appointment.service,
+                appointmentIndex: index,
+                service: appointment.service,
+                duration: formatDuration(appointment.duration),
+                confidence: candidate.confidence || this.getConfidence(candidate),
+                reasoning: candidate.reasoning || `${localStart.dayOfWeek} ${localStart.date} at ${formatClock(localStart.minutesOfDay)} ${timezone} time: ${why}`
+            };
+        });
+
+        const schedulingConflicts = [];
+        const allRecommendations = [...recommendations];
+        if (suggestedAppointments.length === 0) {
+            schedulingConflicts.push(`No free slot of ${appointment.duration} minutes between ${appointment.dateRangeStart} and ${appointment.dateRangeEnd}`);
+            allRecommendations.push('Widen the date range, add practitioner availability or book this appointment manually');
+        } else if (!candidates.some(candidate => candidate.inSessionWindow)) {
+            allRecommendations.push(`No free slot falls in the ${appointment.isReportingSession ? 'reporting' : 'non-reporting'} session window; the suggestions are outside it`);
+        }
+
+        return {
+            suggestedAppointments,
+            summary: {
+                totalAppointmentsSuggested: suggestedAppointments.length,
+                schedulingConflicts,
+                recommendations: allRecommendations
+            }
+        };
+    }
+
+    /**
+     * Suggest the best slots for an appointment without calling an LLM
+     * @param {Object} appointment - SDM appointment
+     * @param {Object|null} caseDetails - { participant, preferences, planDetails, servicePlanning, preferredLocationIds }
+     * @param {Object} availability - Practitioner availability data
+     * @returns {Object} Suggestions in the appointmentSuggestionSchema shape
+     */
+    suggest(appointment, caseDetails, availability) {
+        const candidates = this.rankCandidates(appointment, caseDetails, availability);
+        return this.buildSuggestions(candidates, appointment, caseDetails, availability);
+    }
+}
+
+export {
+    SlotCandidateGenerator,
+    CANDIDATE_WEIGHTS,
+    formatDuration
+};
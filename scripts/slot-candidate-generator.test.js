@@ -0,0 +1,218 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { SlotCandidateGenerator, formatDuration } from './slot-candidate-generator.js';
+import { AppointmentSuggestionEngine, resolveSuggestionMode } from './appointment-suggestion-engine.js';
+import { ConflictChecker } from './conflict-checker.js';
+import { getLocalTimeParts } from './utils/timezone-utils.js';
+
+// Melbourne is UTC+10 in August: each slot is 09:00-17:00 local
+const availability = {
+    practitionerId: 46932,
+    practitionerTimezone: 'Australia/Melbourne',
+    freeTimeSlots: [
+        { startDateTime: '2025-08-24T23:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z', locationId: 19042 },
+        { startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T07:00:00.000Z', locationId: 19042 },
+        { startDateTime: '2025-08-26T23:00:00.000Z', endDateTime: '2025-08-27T07:00:00.000Z', locationId: 20117 },
+        { startDateTime: '2025-08-27T23:00:00.000Z', endDateTime: '2025-08-28T07:00:00.000Z', locationId: 19042 },
+        { startDateTime: '2025-08-28T23:00:00.000Z', endDateTime: '2025-08-29T07:00:00.000Z', locationId: 19042 }
+    ],
+    bookedAppointments: []
+};
+
+const caseDetails = {
+    participant: { participantName: 'Test Participant', state: 'VIC', suitableDays: 'Tuesdays', suitableTime: 'Mornings' }
+};
+
+const directSession = { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Intervention (Direct)', duration: 90, travelTime: 40, isReportingSession: false };
+const report = { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Report', duration: 60, travelTime: 0, isReportingSession: true };
+
+const local = (iso) => getLocalTimeParts(new Date(iso), 'Australia/Melbourne');
+
+describe('SlotCandidateGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new SlotCandidateGenerator();
+    });
+
+    test('should slice free slots into start times on the grid that fit the duration', () => {
+        const freeSlots = new ConflictChecker().buildFreeSlots({ freeTimeSlots: [availability.freeTimeSlots[0]] });
+        const slots = generator.generateSlots({ ...directSession, travelTime: 0 }, freeSlots, 'Australia/Melbourne');
+
+        // 09:00 to 15:30 starts every 15 minutes for a 90 minute session ending by 17:00
+        expect(slots).toHaveLength(27);
+        expect(local(slots[0].start).minutesOfDay).toBe(9 * 60);
+        expect(local(slots.at(-1).start).minutesOfDay).toBe(15 * 60 + 30);
+        expect(slots.every(slot => slot.end - slot.start === 90 * 60 * 1000)).toBe(true);
+    });
+
+    test('should follow a configurable grid and skip slots outside the date range', () => {
+        const hourly = new SlotCandidateGenerator({ slotStepMinutes: 60 });
+        const freeSlots = new ConflictChecker().buildFreeSlots(availability);
+        const slots = hourly.generateSlots({ ...directSession, travelTime: 0, dateRangeStart: '2025-08-26', dateRangeEnd: '2025-08-26' }, freeSlots, 'Australia/Melbourne');
+
+        expect(slots.map(slot => local(slot.start).minutesOfDay / 60)).toEqual([9, 10, 11, 12, 13, 14, 15]);
+        expect(slots.every(slot => local(slot.start).date === '2025-08-26')).toBe(true);
+    });
+
+    test('should keep travel buffers clear of booked appointments', () => {
+        // Booked 11:00-12:00 local on Monday: with 40 minutes travel split 20/20, sessions must end by 10:40 or start from 12:20
+        const booked = [{ start: '2025-08-25T01:00:00.000Z', end: '2025-08-25T02:00:00.000Z' }];
+        const freeSlots = new ConflictChecker().buildFreeSlots({
+            freeTimeSlots: [
+                { startDateTime: '2025-08-24T23:00:00.000Z', endDateTime: '2025-08-25T01:00:00.000Z', locationId: 19042 },
+                { startDateTime: '2025-08-25T02:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z', locationId: 19042 }
+            ]
+        });
+        const slots = generator.generateSlots({ ...directSession, duration: 60 }, freeSlots, 'Australia/Melbourne', booked);
+        const starts = slots.map(slot => local(slot.start).minutesOfDay);
+
+        expect(starts).toContain(9 * 60 + 30);
+        expect(starts).not.toContain(9 * 60 + 45);
+        expect(starts).not.toContain(12 * 60);
+        expect(starts).toContain(12 * 60 + 30);
+    });
+
+    test('should rank preferred days and times first and spread picks across days', () => {
+        const suggestions = generator.suggest(directSession, caseDetails, availability);
+        const starts = suggestions.suggestedAppointments.map(suggestion => local(suggestion.start));
+
+        expect(suggestions.suggestedAppointments).toHaveLength(5);
+        expect(starts[0]).toMatchObject({ dayOfWeek: 'Tuesday', minutesOfDay: 9 * 60 });
+        expect(new Set(starts.map(start => start.date)).size).toBe(5);
+        expect(suggestions.suggestedAppointments[0]).toMatchObject({
+            practitionerId: 46932,
+            locationId: 19042,
+            service: 'Intervention (Direct)',
+            duration: '1 h 30 m',
+            confidence: 'high',
+            appointmentIndex: 0
+        });
+        expect(suggestions.suggestedAppointments[0].reasoning).toBe(
+            'Tuesday 2025-08-26 at 09:00 Australia/Melbourne time: within non-reporting session window, suits participant days, suits participant time'
+        );
+        expect(suggestions.summary).toEqual({ totalAppointmentsSuggested: 5, schedulingConflicts: [], recommendations: [] });
+    });
+
+    test('should place reporting sessions in the reporting window regardless of participant preferences', () => {
+        const suggestions = generator.suggest(report, caseDetails, availability);
+        const best = local(suggestions.suggestedAppointments[0].start);
+
+        expect((best.isoWeekday === 4 && best.minutesOfDay >= 12 * 60) || best.isoWeekday === 5).toBe(true);
+        expect(suggestions.suggestedAppointments[0].confidence).toBe('high');
+    });
+
+    test('should favour preferred locations', () => {
+        const participant = { ...caseDetails.participant, suitableDays: 'Any day' };
+        const suggestions = generator.suggest(directSession, { participant, preferredLocationIds: [20117] }, availability);
+
+        expect(suggestions.suggestedAppointments[0].locationId).toBe(20117);
+        expect(suggestions.suggestedAppointments[0].reasoning).toContain('at a preferred location');
+    });
+
+    test('should only suggest slots that pass the conflict check', () => {
+        const booked = { ...availability, bookedAppointments: [{ start: '2025-08-26T00:30:00.000Z', end: '2025-08-26T01:30:00.000Z' }] };
+        const suggestions = generator.suggest(directSession, caseDetails, booked);
+        const checked = new ConflictChecker().checkConflicts(booked, suggestions, directSession.travelTime);
+
+        expect(checked.summary.totalConflicted).toBe(0);
+        expect(checked.summary.totalValid).toBe(5);
+    });
+
+    test('should report when no slot fits', () => {
+        const suggestions = generator.suggest({ ...directSession, duration: 600 }, caseDetails, availability);
+
+        expect(suggestions.suggestedAppointments).toEqual([]);
+        expect(suggestions.summary.schedulingConflicts).toEqual(['No free slot of 600 minutes between 2025-08-25 and 2025-08-29']);
+    });
+
+    test('should reject invalid grid settings', () => {
+        expect(() => new SlotCandidateGenerator({ slotStepMinutes: 0 })).toThrow('Invalid SLOT_STEP_MINUTES "0". Expected a positive integer');
+        expect(formatDuration(45)).toBe('45 m');
+        expect(formatDuration(120)).toBe('2 h');
+    });
+});
+
+describe('AppointmentSuggestionEngine suggestion modes', () => {
+    afterEach(() => {
+        delete process.env.SUGGESTION_MODE;
+    });
+
+    test('should default to the generator and validate the mode', () => {
+        expect(resolveSuggestionMode()).toBe('generator');
+        process.env.SUGGESTION_MODE = 'rerank';
+        expect(resolveSuggestionMode()).toBe('rerank');
+        expect(() => resolveSuggestionMode('guess')).toThrow('Invalid SUGGESTION_MODE "guess". Expected one of: generator, rerank, llm');
+    });
+
+    test('should suggest from the generator without calling the LLM', async () => {
+        const engine = new AppointmentSuggestionEngine({ suggestionMode: 'generator' });
+        engine.callLLM = async () => {
+            throw new Error('LLM called');
+        };
+
+        const suggestions = await engine.suggestAppointments(directSession, caseDetails, JSON.stringify(availability));
+
+        expect(suggestions.suggestionMode).toBe('generator');
+        expect(suggestions.suggestedAppointments).toHaveLength(5);
+    });
+
+    test('should let the LLM re-rank generated candidates without inventing slots', async () => {
+        const engine = new AppointmentSuggestionEngine({ suggestionMode: 'rerank', maxSuggestions: 3 });
+        const offered = engine.candidateGenerator.rankCandidates(directSession, caseDetails, availability, 9);
+        let prompt;
+        engine.rankingModel = {
+            label: 'fake/ranker',
+            invoke: async (messages) => {
+                prompt = messages[0].content;
+                return {
+                    rankedCandidates: [
+                        { candidateId: 4, confidence: 'medium', reasoning: 'Keeps Thursdays free' },
+                        { candidateId: 42, confidence: 'high', reasoning: 'Not a real candidate' },
+                        { candidateId: 4, confidence: 'low', reasoning: 'Duplicate' }
+                    ],
+                    recommendations: ['Book the Thursday slot first']
+                };
+            }
+        };
+
+        const suggestions = await engine.suggestAppointments(directSession, caseDetails, availability);
+        const [first, second, third] = suggestions.suggestedAppointments;
+
+        expect(prompt).toContain('0. Tuesday 2025-08-26 09:00-10:30 at location 19042');
+        expect(suggestions.suggestedAppointments).toHaveLength(3);
+        expect(first).toMatchObject({ start: offered[4].start.toISOString(), confidence: 'medium', reasoning: 'Keeps Thursdays free' });
+        // Places the LLM left empty are filled in generator order
+        expect(second.start).toBe(offered[0].start.toISOString());
+        expect(third.start).toBe(offered[1].start.toISOString());
+        expect(suggestions.summary.recommendations).toEqual(['Book the Thursday slot first']);
+    });
+
+    test('should prompt with pre-filtered availability in llm mode and report the saving', async () => {
+        const engine = new AppointmentSuggestionEngine({ suggestionMode: 'llm' });
+        let prompt;
+        engine.structuredModel = {
+            label: 'fake/suggester',
+            invoke: async (messages) => {
+                prompt = messages[0].content;
+                return { suggestedAppointments: [], summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] } };
+            }
+        };
+
+        const suggestions = await engine.suggestAppointments({ ...directSession, dateRangeStart: '2025-08-26', dateRangeEnd: '2025-08-26' }, caseDetails, JSON.stringify(availability));
+
+        expect(prompt).toContain('FREE SLOTS (1) date|day|start|end|minutes|locationId\n2025-08-26|Tue|09:00|17:00|480|19042');
+        expect(prompt).not.toContain('freeTimeSlots');
+        expect(suggestions.availabilityPrompt).toMatchObject({ slotsBefore: 5, slotsAfter: 1 });
+        expect(suggestions.availabilityPrompt.tokensAfter).toBeLessThan(suggestions.availabilityPrompt.tokensBefore);
+    });
+
+    test('should keep the LLM as the slot source in llm mode', async () => {
+        const engine = new AppointmentSuggestionEngine({ suggestionMode: 'llm' });
+        engine.callLLM = async () => ({ suggestedAppointments: [], summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] } });
+
+        const suggestions = await engine.suggestAppointments(directSession, caseDetails, JSON.stringify(availability));
+
+        expect(suggestions.suggestionMode).toBe('llm');
+        expect(suggestions.suggestedAppointments).toEqual([]);
+    });
+});
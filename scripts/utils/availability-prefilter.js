@@ -0,0 +1,151 @@
+import { convertAvailabilityToLocalTime, getLocalTimeParts, formatClock } from './timezone-utils.js';
+
+/**
+ * Availability pre-filtering for LLM prompts
+ * calculateAvailability covers the whole earliest-to-latest SDM range, so embedding it as JSON
+ * in every suggestion prompt grows the prompt with the size of the calendar. Before prompting,
+ * the availability is cut down to what one appointment can use - free slots inside its date
+ * range, at least totalTime long and at an allowed location - and encoded as a compact table
+ * in practitioner local time. Each call records the estimated tokens before and after, and
+ * summarizePromptSavings totals them for the run.
+ */
+
+// Rough token estimate for English and JSON text (about four characters per token)
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the tokens a piece of prompt text costs
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Keep only the availability one appointment can use
+ * @param {Object} availability - Availability from PractitionerAvailabilityCalculator.calculateAvailability
+ * @param {Object} appointment - SDM appointment (dateRangeStart, dateRangeEnd, duration, travelTime, totalTime)
+ * @param {Object} options - Filter options
+ * @param {Array<number>} options.locationIds - Allowed locations; slots elsewhere are dropped unless that leaves none
+ * @returns {Object} Availability with filtered freeTimeSlots and bookedAppointments, plus a prefilter record
+ *                   { slotsBefore, slotsAfter, dropped: { dateRange, tooShort, location }, locationFallback }
+ */
+export function filterAvailabilityForAppointment(availability, appointment, options = {}) {
+    const timezone = availability.practitionerTimezone;
+    const minimumMinutes = appointment.totalTime ?? (appointment.duration + (appointment.travelTime || 0));
+    const locationIds = options.locationIds || [];
+    const dropped = { dateRange: 0, tooShort: 0, location: 0 };
+    const inRange = (date) => {
+        const localDate = getLocalTimeParts(date, timezone).date;
+        return localDate >= appointment.dateRangeStart && localDate <= appointment.dateRangeEnd;
+    };
+
+    const fitting = availability.freeTimeSlots.filter(slot => {
+        if (!inRange(new Date(slot.startDateTime))) {
+            dropped.dateRange++;
+            return false;
+        }
+        const minutes = (new Date(slot.endDateTime) - new Date(slot.startDateTime)) / (60 * 1000);
+        if (minutes < minimumMinutes) {
+            dropped.tooShort++;
+            return false;
+        }
+        return true;
+    });
+
+    // A location list narrows the slots, but never to nothing: then every location stays
+    let freeTimeSlots = fitting;
+    let locationFallback = false;
+    if (locationIds.length > 0) {
+        const atLocation = fitting.filter(slot => locationIds.includes(slot.locationId));
+        if (atLocation.length > 0) {
+            dropped.location = fitting.length - atLocation.length;
+            freeTimeSlots = atLocation;
+        } else {
+            locationFallback = fitting.length > 0;
+        }
+    }
+
+    return {
+        ...availability,
+        freeTimeSlots,
+        // Travel buffers are only checked against bookings on the days the appointment can fall on
+        bookedAppointments: (availability.bookedAppointments || []).filter(booked => inRange(new Date(booked.start))),
+        prefilter: {
+            slotsBefore: availability.freeTimeSlots.length,
+            slotsAfter: freeTimeSlots.length,
+            dropped,
+            locationFallback
+        }
+    };
+}
+
+/**
+ * Encode availability as a compact table in practitioner local time
+ * @param {Object} availability - Availability (typically from filterAvailabilityForAppointment)
+ * @returns {string} Table text for a prompt
+ */
+export function encodeAvailabilityTable(availability) {
+    const timezone = availability.practitionerTimezone;
+    const lines = [`Practitioner ${availability.practitionerId}, all times ${timezone} local time`];
+
+    lines.push(`FREE SLOTS (${availability.freeTimeSlots.length}) date|day|start|end|minutes|locationId`);
+    for (const slot of availability.freeTimeSlots) {
+        const start = getLocalTimeParts(new Date(slot.startDateTime), timezone);
+        const end = getLocalTimeParts(new Date(slot.endDateTime), timezone);
+        const minutes = Math.round((new Date(slot.endDateTime) - new Date(slot.startDateTime)) / (60 * 1000));
+        lines.push(`${start.date}|${start.dayOfWeek.slice(0, 3)}|${formatClock(start.minutesOfDay)}|${formatClock(end.minutesOfDay)}|${minutes}|${slot.locationId}`);
+    }
+
+    const booked = availability.bookedAppointments || [];
+    lines.push(`BOOKED (${booked.length}) date|start|end`);
+    for (const appointment of booked) {
+        const start = getLocalTimeParts(new Date(appointment.start), timezone);
+        const end = getLocalTimeParts(new Date(appointment.end), timezone);
+        lines.push(`${start.date}|${formatClock(start.minutesOfDay)}|${formatClock(end.minutesOfDay)}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Filter and encode availability for one appointment's prompt, measuring the saving against
+ * the full availability JSON the prompt used to embed
+ * @param {Object} availability - Full availability for the run
+ * @param {Object} appointment - SDM appointment
+ * @param {Object} options - { locationIds } (see filterAvailabilityForAppointment)
+ * @returns {Object} { text, stats: { slotsBefore, slotsAfter, dropped, locationFallback, tokensBefore, tokensAfter } }
+ */
+export function buildAvailabilityPrompt(availability, appointment, options = {}) {
+    const filtered = filterAvailabilityForAppointment(availability, appointment, options);
+    const text = encodeAvailabilityTable(filtered);
+    return {
+        text,
+        stats: {
+            ...filtered.prefilter,
+            tokensBefore: estimateTokens(JSON.stringify(convertAvailabilityToLocalTime(availability), null, 2)),
+            tokensAfter: estimateTokens(text)
+        }
+    };
+}
+
+/**
+ * Total the per-call savings of a run
+ * @param {Array<Object>} stats - Stats from buildAvailabilityPrompt, one per prompt
+ * @returns {Object} { prompts, slotsBefore, slotsAfter, tokensBefore, tokensAfter, tokensSaved, percentSaved }
+ */
+export function summarizePromptSavings(stats) {
+    const total = (key) => stats.reduce((sum, entry) => sum + entry[key], 0);
+    const tokensBefore = total('tokensBefore');
+    const tokensAfter = total('tokensAfter');
+    return {
+        prompts: stats.length,
+        slotsBefore: total('slotsBefore'),
+        slotsAfter: total('slotsAfter'),
+        tokensBefore,
+        tokensAfter,
+        tokensSaved: tokensBefore - tokensAfter,
+        percentSaved: tokensBefore > 0 ? Math.round(((tokensBefore - tokensAfter) / tokensBefore) * 1000) / 10 : 0
+    };
+}
@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    estimateTokens,
+    filterAvailabilityForAppointment,
+    encodeAvailabilityTable,
+    buildAvailabilityPrompt,
+    summarizePromptSavings
+} from './availability-prefilter.js';
+
+// Melbourne is UTC+10 in August
+const availability = {
+    practitionerId: 46932,
+    practitionerTimezone: 'Australia/Melbourne',
+    summary: { totalFreeSlots: 5, totalFreeMinutes: 1740 },
+    freeTimeSlots: [
+        // Monday 25 August 09:00-17:00 at 19042
+        { startDateTime: '2025-08-24T23:00:00.000Z', endDateTime: '2025-08-25T07:00:00.000Z', duration: '480 minutes', durationMs: 28800000, locationId: 19042 },
+        // Tuesday 26 August 09:00-10:30 at 19042 (too short for 90 + 40 minutes)
+        { startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T00:30:00.000Z', duration: '90 minutes', durationMs: 5400000, locationId: 19042 },
+        // Wednesday 27 August 09:00-17:00 at 20117
+        { startDateTime: '2025-08-26T23:00:00.000Z', endDateTime: '2025-08-27T07:00:00.000Z', duration: '480 minutes', durationMs: 28800000, locationId: 20117 },
+        // Monday 1 September 09:00-12:00 at 19042 (after the date range)
+        { startDateTime: '2025-08-31T23:00:00.000Z', endDateTime: '2025-09-01T02:00:00.000Z', duration: '180 minutes', durationMs: 10800000, locationId: 19042 },
+        // Monday 8 September 09:00-17:00 at 19042 (after the date range)
+        { startDateTime: '2025-09-07T23:00:00.000Z', endDateTime: '2025-09-08T07:00:00.000Z', duration: '480 minutes', durationMs: 28800000, locationId: 19042 }
+    ],
+    bookedAppointments: [
+        { start: '2025-08-26T01:00:00.000Z', end: '2025-08-26T02:00:00.000Z' },
+        { start: '2025-09-02T01:00:00.000Z', end: '2025-09-02T02:00:00.000Z' }
+    ]
+};
+
+const appointment = { dateRangeStart: '2025-08-25', dateRangeEnd: '2025-08-29', service: 'Intervention (Direct)', duration: 90, travelTime: 40, totalTime: 130, isReportingSession: false };
+
+describe('filterAvailabilityForAppointment', () => {
+    test('should drop slots outside the date range and shorter than the total time', () => {
+        const filtered = filterAvailabilityForAppointment(availability, appointment);
+
+        expect(filtered.freeTimeSlots.map(slot => slot.locationId)).toEqual([19042, 20117]);
+        expect(filtered.bookedAppointments).toEqual([availability.bookedAppointments[0]]);
+        expect(filtered.prefilter).toEqual({
+            slotsBefore: 5,
+            slotsAfter: 2,
+            dropped: { dateRange: 2, tooShort: 1, location: 0 },
+            locationFallback: false
+        });
+    });
+
+    test('should drop slots at other locations, unless no slot is left', () => {
+        const atLocation = filterAvailabilityForAppointment(availability, appointment, { locationIds: [20117] });
+        const nowhere = filterAvailabilityForAppointment(availability, appointment, { locationIds: [99999] });
+
+        expect(atLocation.freeTimeSlots.map(slot => slot.startDateTime)).toEqual(['2025-08-26T23:00:00.000Z']);
+        expect(atLocation.prefilter.dropped.location).toBe(1);
+        expect(nowhere.freeTimeSlots).toHaveLength(2);
+        expect(nowhere.prefilter.locationFallback).toBe(true);
+    });
+});
+
+describe('encodeAvailabilityTable', () => {
+    test('should encode free and booked times as local time rows', () => {
+        const table = encodeAvailabilityTable(filterAvailabilityForAppointment(availability, appointment));
+
+        expect(table).toBe([
+            'Practitioner 46932, all times Australia/Melbourne local time',
+            'FREE SLOTS (2) date|day|start|end|minutes|locationId',
+            '2025-08-25|Mon|09:00|17:00|480|19042',
+            '2025-08-27|Wed|09:00|17:00|480|20117',
+            'BOOKED (1) date|start|end',
+            '2025-08-26|11:00|12:00'
+        ].join('\n'));
+    });
+});
+
+describe('prompt savings', () => {
+    test('should measure the filtered table against the full availability JSON', () => {
+        const { text, stats } = buildAvailabilityPrompt(availability, appointment);
+
+        expect(stats.tokensAfter).toBe(estimateTokens(text));
+        expect(stats.tokensAfter).toBeLessThan(stats.tokensBefore / 4);
+        expect(stats).toMatchObject({ slotsBefore: 5, slotsAfter: 2 });
+    });
+
+    test('should total savings across prompts', () => {
+        const savings = summarizePromptSavings([
+            { slotsBefore: 5, slotsAfter: 2, tokensBefore: 1000, tokensAfter: 100 },
+            { slotsBefore: 5, slotsAfter: 3, tokensBefore: 1000, tokensAfter: 150 }
+        ]);
+
+        expect(savings).toEqual({ prompts: 2, slotsBefore: 10, slotsAfter: 5, tokensBefore: 2000, tokensAfter: 250, tokensSaved: 1750, percentSaved: 87.5 });
+        expect(estimateTokens('12345')).toBe(2);
+    });
+});
@@ -0,0 +1,17 @@
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+/**
+ * Whether a module is the script Node was started with. process.argv[1] is the path as typed, so it
+ * is resolved through symlinks first: npm's bin link (hhg-scheduler) points at scripts/cli.js.
+ * @param {string} moduleUrl - The module's import.meta.url
+ * @returns {boolean} True when the module was run directly rather than imported
+ */
+export function isMainModule(moduleUrl) {
+    if (!process.argv[1]) return false;
+    try {
+        return moduleUrl === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,32 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { isMainModule } from './entry-point.js';
+
+describe('isMainModule', () => {
+    const originalArgv = process.argv;
+
+    afterEach(() => {
+        process.argv = originalArgv;
+    });
+
+    test('should match the started script directly and through a bin symlink', () => {
+        const directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'entry-point-')));
+        const script = path.join(directory, 'cli.js');
+        const link = path.join(directory, 'hhg-scheduler');
+        fs.writeFileSync(script, '');
+        fs.symlinkSync(script, link);
+        const moduleUrl = pathToFileURL(script).href;
+
+        process.argv = ['node', script];
+        expect(isMainModule(moduleUrl)).toBe(true);
+        process.argv = ['node', link];
+        expect(isMainModule(moduleUrl)).toBe(true);
+        process.argv = ['node', path.join(directory, 'other.js')];
+        expect(isMainModule(moduleUrl)).toBe(false);
+        process.argv = ['node'];
+        expect(isMainModule(moduleUrl)).toBe(false);
+    });
+});
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * Record/replay layer for structured LLM calls
+ * In record mode each structured response is saved to a cassette file keyed by a hash of
+ * the stage and prompt messages. In replay mode the saved response is returned without
+ * calling the model, so pipeline scenarios can run offline and deterministically.
+ *
+ * Controlled by LLM_CASSETTE_MODE ('off', 'record' or 'replay'), LLM_CASSETTE_NAME and LLM_CASSETTE_DIR.
+ */
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+export const DEFAULT_CASSETTE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'cassettes');
+
+/**
+ * Raised in replay mode when no recorded response matches the prompt
+ */
+export class CassetteMissError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'CassetteMissError';
+        this.details = details;
+    }
+}
+
+/**
+ * Convert LangChain message objects and plain { role, content } objects to one shape
+ * @param {Array} messages - Messages passed to invoke
+ * @returns {Array} Messages as { role, content }
+ */
+export function normalizeMessages(messages) {
+    return messages.map(message => {
+        if (typeof message === 'string') {
+            return { role: 'user', content: message };
+        }
+        if (typeof message._getType === 'function') {
+            const type = message._getType();
+            return { role: type === 'human' ? 'user' : type, content: message.content };
+        }
+        return { role: message.role, content: message.content };
+    });
+}
+
+/**
+ * Hash a stage and its prompt messages
+ * @param {string} stage - Pipeline stage
+ * @param {Array} messages - Normalized messages
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashPrompt(stage, messages) {
+    return crypto.createHash('sha256').update(JSON.stringify({ stage, messages })).digest('hex');
+}
+
+class LLMCassette {
+    /**
+     * @param {Object} options - Cassette options
+     * @param {string} options.name - Cassette file name without extension
+     * @param {string} options.mode - 'off', 'record' or 'replay'
+     * @param {string} options.cassetteDir - Directory holding cassette files
+     */
+    constructor(options = {}) {
+        this.name = options.name || process.env.LLM_CASSETTE_NAME || 'default';
+        this.mode = options.mode || process.env.LLM_CASSETTE_MODE || 'off';
+        this.cassetteDir = options.cassetteDir || process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+        this.filePath = path.join(this.cassetteDir, `${this.name}.json`);
+
+        if (!CASSETTE_MODES.includes(this.mode)) {
+            throw new Error(`Invalid LLM_CASSETTE_MODE "${this.mode}". Expected one of: ${CASSETTE_MODES.join(', ')}`);
+        }
+
+        this.entries = this.load();
+        this.stats = { hits: 0, misses: 0, recorded: 0 };
+    }
+
+    /**
+     * Load recorded entries from disk
+     * @returns {Object} Entries keyed by prompt hash
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries || {};
+    }
+
+    /**
+     * Write all entries to disk
+     */
+    save() {
+        fs.mkdirSync(this.cassetteDir, { recursive: true });
+        const sortedEntries = Object.fromEntries(Object.entries(this.entries).sort(([a], [b]) => a.localeCompare(b)));
+        fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, name: this.name, entries: sortedEntries }, null, 2) + '\n');
+    }
+
+    /**
+     * Whether a recorded cassette file exists
+     * @returns {boolean} True when the cassette file is present
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Wrap a structured model so its invoke calls are recorded or replayed
+     * @param {Object} structuredModel - Model with invoke(messages, options)
+     * @param {string} stage - Pipeline stage used in the prompt hash
+     * @returns {Object} Model with the same interface
+     */
+    wrap(structuredModel, stage) {
+        if (this.mode === 'off') {
+            return structuredModel;
+        }
+
+        return {
+            ...structuredModel,
+            label: `${structuredModel.label || stage} [${this.mode}: ${this.name}]`,
+            invoke: async (messages, options) => {
+                const normalized = normalizeMessages(messages);
+                const promptHash = hashPrompt(stage, normalized);
+                const entry = this.entries[promptHash];
+
+                if (this.mode === 'replay') {
+                    if (!entry) {
+                        this.stats.misses++;
+                        throw this.buildMissError(stage, promptHash, normalized);
+                    }
+                    this.stats.hits++;
+                    return JSON.parse(JSON.stringify(entry.response));
+                }
+
+                const response = await structuredModel.invoke(messages, options);
+                this.entries[promptHash] = {
+                    stage,
+                    model: structuredModel.label || null,
+                    recordedAt: new Date().toISOString(),
+                    messages: normalized,
+                    response
+                };
+                this.stats.recorded++;
+                this.save();
+                return response;
+            }
+        };
+    }
+
+    /**
+     * Explain a replay miss, pointing at the closest recorded prompt for the same stage
+     * @param {string} stage - Pipeline stage
+     * @param {string} promptHash - Hash of the prompt that missed
+     * @param {Array} messages - Normalized messages that missed
+     * @returns {CassetteMissError} Error describing where the prompt diverged
+     */
+    buildMissError(stage, promptHash, messages) {
+        const currentLines = messages.map(message => `[${message.role}] ${message.content}`).join('\n').split('\n');
+        let closest = null;
+
+        for (const [hash, entry] of Object.entries(this.entries)) {
+            if (entry.stage !== stage) continue;
+
+            const recordedLines = entry.messages.map(message => `[${message.role}] ${message.content}`).join('\n').split('\n');
+            let line = 0;
+            while (line < currentLines.length && line < recordedLines.length && currentLines[line] === recordedLines[line]) {
+                line++;
+            }
+
+            if (!closest || line > closest.line) {
+                closest = { hash, line, recorded: recordedLines[line], current: currentLines[line] };
+            }
+        }
+
+        let message = `Cassette miss in "${this.name}" for ${stage} prompt ${promptHash.substring(0, 12)}.`;
+        if (closest) {
+            message += ` Closest recorded prompt ${closest.hash.substring(0, 12)} differs at line ${closest.line + 1}:` +
+                `\n  recorded: ${JSON.stringify(closest.recorded ?? '<end of prompt>')}` +
+                `\n  current:  ${JSON.stringify(closest.current ?? '<end of prompt>')}` +
+                `\nThe prompt template or its inputs changed - re-record with LLM_CASSETTE_MODE=record.`;
+        } else {
+            message += ` No ${stage} prompts are recorded - record with LLM_CASSETTE_MODE=record.`;
+        }
+
+        return new CassetteMissError(message, { stage, promptHash, closestHash: closest?.hash ?? null, divergentLine: closest ? closest.line + 1 : null });
+    }
+}
+
+const cassettes = new Map();
+
+/**
+ * Get the shared cassette for the current LLM_CASSETTE_* settings
+ * @param {Object} options - Overrides for name, mode and cassetteDir
+ * @returns {LLMCassette} Cassette instance (one per file and mode)
+ */
+export function getCassette(options = {}) {
+    const cassette = new LLMCassette(options);
+    const key = `${cassette.filePath}|${cassette.mode}`;
+    if (!cassettes.has(key)) {
+        cassettes.set(key, cassette);
+    }
+    return cassettes.get(key);
+}
+
+/**
+ * Forget shared cassettes so the next getCassette call reloads from disk
+ */
+export function resetCassettes() {
+    cassettes.clear();
+}
+
+export { LLMCassette };
@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HumanMessage } from '@langchain/core/messages';
+import {
+    LLMCassette,
+    CassetteMissError,
+    normalizeMessages,
+    hashPrompt
+} from './llm-cassette.js';
+
+describe('LLM Cassette', () => {
+    let cassetteDir;
+    let calls;
+
+    // Stand-in for a structured model: returns a response derived from the prompt
+    const fakeModel = {
+        label: 'fake/model',
+        invoke: async (messages) => {
+            calls++;
+            return { echo: normalizeMessages(messages).map(message => message.content).join('|'), call: calls };
+        }
+    };
+
+    const promptFor = (name) => [
+        { role: 'system', content: 'You are a scheduler.' },
+        new HumanMessage(`Schedule an appointment for ${name}.\nUse local time.\nReturn JSON.`)
+    ];
+
+    beforeEach(() => {
+        cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+        calls = 0;
+    });
+
+    afterEach(() => {
+        fs.rmSync(cassetteDir, { recursive: true, force: true });
+    });
+
+    describe('normalizeMessages', () => {
+        test('should give LangChain and plain messages the same shape', () => {
+            expect(normalizeMessages([new HumanMessage('hello'), { role: 'system', content: 'rules' }, 'plain'])).toEqual([
+                { role: 'user', content: 'hello' },
+                { role: 'system', content: 'rules' },
+                { role: 'user', content: 'plain' }
+            ]);
+        });
+
+        test('should hash identical prompts identically per stage', () => {
+            const messages = normalizeMessages(promptFor('Jane'));
+            expect(hashPrompt('selection', messages)).toBe(hashPrompt('selection', normalizeMessages(promptFor('Jane'))));
+            expect(hashPrompt('selection', messages)).not.toBe(hashPrompt('suggestion', messages));
+        });
+    });
+
+    test('should pass calls straight through when off', async () => {
+        const cassette = new LLMCassette({ name: 'off', mode: 'off', cassetteDir });
+        expect(cassette.wrap(fakeModel, 'selection')).toBe(fakeModel);
+    });
+
+    test('should record responses and replay them without calling the model', async () => {
+        const recorder = new LLMCassette({ name: 'scenario', mode: 'record', cassetteDir });
+        const recorded = await recorder.wrap(fakeModel, 'selection').invoke(promptFor('Jane'));
+
+        expect(calls).toBe(1);
+        expect(recorder.exists()).toBe(true);
+
+        const player = new LLMCassette({ name: 'scenario', mode: 'replay', cassetteDir });
+        const replayed = await player.wrap(fakeModel, 'selection').invoke(promptFor('Jane'));
+
+        expect(replayed).toEqual(recorded);
+        expect(calls).toBe(1);
+        expect(player.stats.hits).toBe(1);
+    });
+
+    test('should flag a miss with the line where the prompt template changed', async () => {
+        const recorder = new LLMCassette({ name: 'scenario', mode: 'record', cassetteDir });
+        await recorder.wrap(fakeModel, 'selection').invoke(promptFor('Jane'));
+
+        const player = new LLMCassette({ name: 'scenario', mode: 'replay', cassetteDir });
+        const changedPrompt = [
+            { role: 'system', content: 'You are a scheduler.' },
+            new HumanMessage('Schedule an appointment for Jane.\nUse UTC time.\nReturn JSON.')
+        ];
+
+        const error = await player.wrap(fakeModel, 'selection').invoke(changedPrompt).catch(e => e);
+
+        expect(error).toBeInstanceOf(CassetteMissError);
+        expect(error.details.divergentLine).toBe(3);
+        expect(error.message).toContain('Use local time.');
+        expect(error.message).toContain('LLM_CASSETTE_MODE=record');
+        expect(calls).toBe(1);
+    });
+
+    test('should flag a miss for a stage with nothing recorded', async () => {
+        const player = new LLMCassette({ name: 'empty', mode: 'replay', cassetteDir });
+        await expect(player.wrap(fakeModel, 'extraction').invoke(promptFor('Jane')))
+            .rejects.toThrow('No extraction prompts are recorded');
+    });
+
+    test('should reject unknown modes', () => {
+        expect(() => new LLMCassette({ mode: 'rewind', cassetteDir })).toThrow('Invalid LLM_CASSETTE_MODE "rewind"');
+    });
+});
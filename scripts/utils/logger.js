@@ -0,0 +1,358 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logging and run tracing for the scheduling pipeline
+ * Every record is a plain object ({ timestamp, level, module, message, runId, spanId, ... })
+ * handed to pluggable sinks. A run ID set with runWithContext follows async work, so records
+ * and spans from every module in one scheduling run share a correlation ID. Spans time pipeline
+ * steps, LLM calls and Windmill calls and carry attributes such as prompt length and token usage.
+ *
+ * Controlled by LOG_LEVEL (debug, info, warn, error or silent; default info), LOG_FORMAT
+ * (pretty, json or none for the console; default pretty), LOG_FILE (on or off; default on,
+ * off under Jest) and LOG_DIR (default logs/).
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_FORMATS = ['pretty', 'json', 'none'];
+export const DEFAULT_LOG_DIR = 'logs';
+
+const runContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a run ID (and optional fields) attached to every record it produces
+ * @param {Object} context - { runId, ...fields }; a run ID is generated when missing
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithContext(context, fn) {
+    const parent = runContext.getStore() || {};
+    return runContext.run({ ...parent, ...context, runId: context.runId || parent.runId || crypto.randomUUID() }, fn);
+}
+
+/**
+ * Current run context
+ * @returns {Object} { runId, spanId, ... } or an empty object outside a run
+ */
+export function getRunContext() {
+    return runContext.getStore() || {};
+}
+
+const LEVEL_ICONS = { debug: '🔍', info: 'ℹ️ ', warn: '⚠️ ', error: '❌' };
+
+/**
+ * Human-readable console format: icon, message and the fields that matter at a glance
+ * @param {Object} record - Log or span record
+ * @returns {string} Formatted line
+ */
+export function prettyFormatter(record) {
+    if (record.type === 'span') {
+        const seconds = (record.durationMs / 1000).toFixed(2);
+        const usage = record.attributes?.totalTokens ? `, ${record.attributes.totalTokens} tokens` : '';
+        return record.status === 'error'
+            ? `❌ ${record.name} failed after ${seconds}s: ${record.error}`
+            : `⏱️  ${record.name} completed in ${seconds}s${usage}`;
+    }
+    return `${LEVEL_ICONS[record.level] || ''} ${record.message}`;
+}
+
+/**
+ * One JSON object per line
+ * @param {Object} record - Log or span record
+ * @returns {string} JSON line
+ */
+export function jsonFormatter(record) {
+    return JSON.stringify(record);
+}
+
+/**
+ * Writes formatted records through console.log, so callers that redirect or silence the
+ * console (such as the CLI's --quiet) also control this sink
+ */
+export class ConsoleSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {Function} options.formatter - Record formatter (default prettyFormatter)
+     */
+    constructor(options = {}) {
+        this.formatter = options.formatter || prettyFormatter;
+    }
+
+    write(record) {
+        console.log(this.formatter(record));
+    }
+}
+
+/**
+ * Appends JSON lines to a daily file under the log directory
+ */
+export class FileSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {string} options.directory - Log directory (default LOG_DIR or logs/)
+     * @param {string} options.filename - File name (default scheduler-YYYY-MM-DD.jsonl)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.LOG_DIR || DEFAULT_LOG_DIR;
+        this.filename = options.filename || null;
+        this.ready = false;
+    }
+
+    /**
+     * Path records are written to
+     * @returns {string} File path
+     */
+    getFilePath() {
+        const filename = this.filename || `scheduler-${new Date().toISOString().substring(0, 10)}.jsonl`;
+        return path.join(this.directory, filename);
+    }
+
+    write(record) {
+        try {
+            if (!this.ready) {
+                fs.mkdirSync(this.directory, { recursive: true });
+                this.ready = true;
+            }
+            fs.appendFileSync(this.getFilePath(), `${jsonFormatter(record)}\n`);
+        } catch (error) {
+            // Logging must never break scheduling
+            if (!this.failed) {
+                this.failed = true;
+                console.error(`Log file sink disabled: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Keeps records in memory, for tests and for attaching a run's trace to its results
+ */
+export class MemorySink {
+    constructor() {
+        this.records = [];
+    }
+
+    write(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Span records, optionally filtered by name
+     * @param {string} name - Span name
+     * @returns {Array<Object>} Span records
+     */
+    spans(name = null) {
+        return this.records.filter(record => record.type === 'span' && (name === null || record.name === name));
+    }
+}
+
+/**
+ * Timed unit of work. Ending it writes one span record with its duration, status and attributes.
+ */
+class Span {
+    constructor(logger, name, attributes = {}) {
+        this.logger = logger;
+        this.name = name;
+        this.attributes = { ...attributes };
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = getRunContext().spanId || null;
+        this.startTime = Date.now();
+        this.ended = false;
+    }
+
+    /**
+     * Add attributes recorded when the span ends
+     * @param {Object} attributes - Attributes to merge
+     * @returns {Span} This span
+     */
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * End the span successfully
+     * @param {Object} attributes - Final attributes
+     * @returns {number} Duration in milliseconds
+     */
+    end(attributes = {}) {
+        return this.finish('ok', attributes);
+    }
+
+    /**
+     * End the span as failed
+     * @param {Error|string} error - Failure
+     * @param {Object} attributes - Final attributes
+     * @returns {number} Duration in milliseconds
+     */
+    fail(error, attributes = {}) {
+        return this.finish('error', attributes, error?.message || String(error));
+    }
+
+    finish(status, attributes, error = null) {
+        const durationMs = Date.now() - this.startTime;
+        if (this.ended) return durationMs;
+        this.ended = true;
+        this.setAttributes(attributes);
+        this.logger.emit({
+            type: 'span',
+            level: status === 'error' ? 'error' : 'info',
+            name: this.name,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            startTime: new Date(this.startTime).toISOString(),
+            durationMs,
+            status,
+            ...(error ? { error } : {}),
+            attributes: this.attributes
+        });
+        return durationMs;
+    }
+}
+
+export class Logger {
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} options.level - Minimum level written (default LOG_LEVEL or info)
+     * @param {Array<Object>} options.sinks - Sinks with write(record)
+     * @param {Object} options.bindings - Fields added to every record (e.g. { module })
+     */
+    constructor(options = {}) {
+        this.level = options.level || 'info';
+        if (LOG_LEVELS[this.level] === undefined) {
+            throw new Error(`Invalid log level "${this.level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+        this.sinks = options.sinks || [];
+        this.bindings = options.bindings || {};
+        this.root = options.root || this;
+    }
+
+    /**
+     * Logger that adds fields to every record and shares this logger's level and sinks
+     * @param {Object} bindings - Fields to add
+     * @returns {Logger} Child logger
+     */
+    child(bindings) {
+        const child = Object.create(Logger.prototype);
+        Object.assign(child, { root: this.root, bindings: { ...this.bindings, ...bindings } });
+        return child;
+    }
+
+    /**
+     * Whether records at a level are written
+     * @param {string} level - Level name
+     * @returns {boolean} True when enabled
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.root.level];
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+
+    /**
+     * Write a log record
+     * @param {string} level - Level name
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields
+     */
+    log(level, message, fields = {}) {
+        this.emit({ level, message, ...fields });
+    }
+
+    /**
+     * Start a span; end it with span.end() or span.fail(error)
+     * @param {string} name - Span name (e.g. 'pipeline.availability', 'llm.selection', 'windmill.get_appointments')
+     * @param {Object} attributes - Initial attributes
+     * @returns {Span} Span
+     */
+    startSpan(name, attributes = {}) {
+        return new Span(this, name, attributes);
+    }
+
+    /**
+     * Run a function inside a span. Spans started inside it record this span as their parent;
+     * the span fails and the error is rethrown when the function throws.
+     * @param {string} name - Span name
+     * @param {Object} attributes - Initial attributes
+     * @param {Function} fn - Function receiving the span
+     * @returns {Promise<*>} The function's return value
+     */
+    async span(name, attributes, fn) {
+        const span = this.startSpan(name, attributes);
+        try {
+            const result = await runContext.run({ ...getRunContext(), spanId: span.spanId }, () => fn(span));
+            span.end();
+            return result;
+        } catch (error) {
+            span.fail(error);
+            throw error;
+        }
+    }
+
+    emit(record) {
+        if (!this.isLevelEnabled(record.level)) return;
+
+        const { spanId, ...context } = getRunContext();
+        const full = {
+            timestamp: new Date().toISOString(),
+            ...this.bindings,
+            ...context,
+            ...(record.type !== 'span' && spanId ? { spanId } : {}),
+            ...record
+        };
+        for (const sink of this.root.sinks) {
+            sink.write(full);
+        }
+    }
+}
+
+/**
+ * Sinks from LOG_FORMAT and LOG_FILE
+ * @returns {Array<Object>} Default sinks
+ */
+export function createDefaultSinks() {
+    const format = process.env.LOG_FORMAT || 'pretty';
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Invalid LOG_FORMAT "${format}". Expected one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    // Test runs keep the working tree clean unless LOG_FILE asks for a file
+    const fileEnabled = (process.env.LOG_FILE || (process.env.JEST_WORKER_ID ? 'off' : 'on')) !== 'off';
+
+    const sinks = [];
+    if (format !== 'none') sinks.push(new ConsoleSink({ formatter: format === 'json' ? jsonFormatter : prettyFormatter }));
+    if (fileEnabled) sinks.push(new FileSink());
+    return sinks;
+}
+
+const rootLogger = new Logger({ level: process.env.LOG_LEVEL || 'info', sinks: createDefaultSinks() });
+
+/**
+ * Replace the level or sinks of the shared logger
+ * @param {Object} options - { level, sinks }
+ * @returns {Object} Previous { level, sinks }, for restoring
+ */
+export function configureLogging(options = {}) {
+    const previous = { level: rootLogger.level, sinks: rootLogger.sinks };
+    if (options.level !== undefined) {
+        if (LOG_LEVELS[options.level] === undefined) {
+            throw new Error(`Invalid log level "${options.level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+        rootLogger.level = options.level;
+    }
+    if (options.sinks !== undefined) rootLogger.sinks = options.sinks;
+    return previous;
+}
+
+/**
+ * Logger for a module, writing to the shared sinks
+ * @param {string} module - Module name (e.g. 'master-scheduler')
+ * @returns {Logger} Module logger
+ */
+export function getLogger(module) {
+    return rootLogger.child({ module });
+}
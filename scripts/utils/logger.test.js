@@ -0,0 +1,236 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    Logger,
+    MemorySink,
+    FileSink,
+    configureLogging,
+    getRunContext,
+    runWithContext,
+    prettyFormatter,
+    jsonFormatter
+} from './logger.js';
+import { readTokenUsage } from './model-factory.js';
+import { MasterScheduler } from '../master-scheduler.js';
+import { MockWindmillServer } from '../mock-windmill-server.js';
+
+const SDM_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'sdm', 'sdm-csv-example.txt');
+
+describe('Logger', () => {
+    let sink;
+    let logger;
+
+    beforeEach(() => {
+        sink = new MemorySink();
+        logger = new Logger({ level: 'info', sinks: [sink], bindings: { module: 'test' } });
+    });
+
+    test('should write records at or above the configured level', () => {
+        logger.debug('hidden');
+        logger.info('shown', { appointments: 3 });
+        logger.error('failed');
+
+        expect(sink.records.map(record => record.message)).toEqual(['shown', 'failed']);
+        expect(sink.records[0]).toMatchObject({ level: 'info', module: 'test', appointments: 3 });
+        expect(sink.records[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('should share level and sinks with child loggers', () => {
+        const child = logger.child({ practitionerId: 46932 });
+        logger.level = 'warn';
+
+        child.info('hidden');
+        child.warn('shown');
+
+        expect(sink.records).toHaveLength(1);
+        expect(sink.records[0]).toMatchObject({ module: 'test', practitionerId: 46932, message: 'shown' });
+    });
+
+    test('should reject unknown levels', () => {
+        expect(() => new Logger({ level: 'verbose' })).toThrow('Invalid log level "verbose"');
+        expect(() => configureLogging({ level: 'verbose' })).toThrow('Invalid log level "verbose"');
+    });
+
+    test('should tag every record in a run with the same run ID', async () => {
+        await runWithContext({}, async () => {
+            logger.info('first');
+            await new Promise(resolve => setTimeout(resolve, 1));
+            logger.info('second');
+        });
+        await runWithContext({ runId: 'job-1' }, async () => logger.info('third'));
+        logger.info('outside');
+
+        const [first, second, third, outside] = sink.records;
+        expect(first.runId).toBeDefined();
+        expect(second.runId).toBe(first.runId);
+        expect(third.runId).toBe('job-1');
+        expect(outside.runId).toBeUndefined();
+    });
+
+    test('should keep the parent run ID in nested contexts', () => {
+        runWithContext({ runId: 'batch-1' }, () => {
+            runWithContext({ batchInput: 'jane.txt' }, () => {
+                expect(getRunContext()).toMatchObject({ runId: 'batch-1', batchInput: 'jane.txt' });
+            });
+        });
+    });
+
+    describe('spans', () => {
+        test('should record duration, status, attributes and nesting', async () => {
+            const result = await logger.span('pipeline.selection', { step: 4 }, async (span) => {
+                logger.info('inside');
+                await logger.span('llm.selection', { promptChars: 1200 }, async (inner) => inner.setAttributes({ totalTokens: 900 }));
+                span.setAttributes({ selected: 9 });
+                return 'done';
+            });
+
+            const [outer] = sink.spans('pipeline.selection');
+            const [inner] = sink.spans('llm.selection');
+            expect(result).toBe('done');
+            expect(outer).toMatchObject({ type: 'span', status: 'ok', parentSpanId: null, attributes: { step: 4, selected: 9 } });
+            expect(outer.durationMs).toBeGreaterThanOrEqual(0);
+            expect(inner).toMatchObject({ parentSpanId: outer.spanId, attributes: { promptChars: 1200, totalTokens: 900 } });
+            expect(sink.records.find(record => record.message === 'inside').spanId).toBe(outer.spanId);
+        });
+
+        test('should fail the span and rethrow when the function throws', async () => {
+            await expect(logger.span('windmill.get_appointments', {}, async () => {
+                throw new Error('HTTP 500');
+            })).rejects.toThrow('HTTP 500');
+
+            expect(sink.spans('windmill.get_appointments')[0]).toMatchObject({ level: 'error', status: 'error', error: 'HTTP 500' });
+        });
+
+        test('should write a span once', () => {
+            const span = logger.startSpan('windmill.create_appointment');
+            span.end();
+            span.fail(new Error('late'));
+
+            expect(sink.spans()).toHaveLength(1);
+            expect(sink.spans()[0].status).toBe('ok');
+        });
+    });
+
+    describe('formatters', () => {
+        test('should pretty-print messages and spans', () => {
+            expect(prettyFormatter({ level: 'warn', message: 'Over budget' })).toContain('Over budget');
+            expect(prettyFormatter({ type: 'span', name: 'llm.selection', durationMs: 1500, status: 'ok', attributes: { totalTokens: 900 } }))
+                .toBe('⏱️  llm.selection completed in 1.50s, 900 tokens');
+            expect(prettyFormatter({ type: 'span', name: 'windmill.get_appointments', durationMs: 250, status: 'error', error: 'HTTP 500', attributes: {} }))
+                .toBe('❌ windmill.get_appointments failed after 0.25s: HTTP 500');
+        });
+
+        test('should write one JSON object per record', () => {
+            expect(JSON.parse(jsonFormatter({ level: 'info', message: 'hi', runId: 'r1' }))).toEqual({ level: 'info', message: 'hi', runId: 'r1' });
+        });
+    });
+
+    describe('FileSink', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hhg-logs-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should append JSON lines to a daily file, creating the directory', () => {
+            const fileSink = new FileSink({ directory: path.join(tempDir, 'logs') });
+            const fileLogger = new Logger({ sinks: [fileSink] });
+
+            fileLogger.info('one');
+            fileLogger.startSpan('pipeline.results').end();
+
+            const filePath = fileSink.getFilePath();
+            expect(path.basename(filePath)).toMatch(/^scheduler-\d{4}-\d{2}-\d{2}\.jsonl$/);
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(line => line.message ?? line.name)).toEqual(['one', 'pipeline.results']);
+        });
+    });
+});
+
+describe('readTokenUsage', () => {
+    test('should read OpenAI token usage', () => {
+        expect(readTokenUsage({ llmOutput: { tokenUsage: { promptTokens: 1000, completionTokens: 200, totalTokens: 1200 } } }))
+            .toEqual({ inputTokens: 1000, outputTokens: 200, totalTokens: 1200 });
+    });
+
+    test('should read usage metadata from the generated message', () => {
+        const output = { generations: [[{ message: { usage_metadata: { input_tokens: 50, output_tokens: 10, total_tokens: 60 } } }]] };
+        expect(readTokenUsage(output)).toEqual({ inputTokens: 50, outputTokens: 10, totalTokens: 60 });
+    });
+
+    test('should return null when the provider reports no usage', () => {
+        expect(readTokenUsage({ generations: [[{ text: '{}' }]] })).toBeNull();
+    });
+});
+
+describe('MasterScheduler tracing', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    const sink = new MemorySink();
+    let previousLogging;
+    let previousParser;
+    let scheduler;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        previousParser = process.env.SDM_PARSER;
+        process.env.SDM_PARSER = 'deterministic';
+        previousLogging = configureLogging({ level: 'info', sinks: [sink] });
+
+        // Deterministic selection from free time, so no LLM is called
+        scheduler = new MasterScheduler({ selectionMode: 'deterministic', extractionRetries: 0 });
+        scheduler.suggestionEngine.suggestAppointments = async () => ({
+            suggestedAppointments: [],
+            summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] }
+        });
+    });
+
+    afterAll(async () => {
+        configureLogging(previousLogging);
+        if (previousParser === undefined) delete process.env.SDM_PARSER;
+        else process.env.SDM_PARSER = previousParser;
+        await mockServer.stop();
+    });
+
+    beforeEach(() => {
+        sink.records.length = 0;
+    });
+
+    test('should trace each pipeline step and Windmill call under one run ID', async () => {
+        const results = await scheduler.scheduleAppointments(fs.readFileSync(SDM_FILE, 'utf8'), '', 46932);
+        const { runId } = results.summary;
+
+        expect(runId).toBeDefined();
+        expect(sink.spans().filter(span => span.name.startsWith('pipeline.')).map(span => span.name)).toEqual([
+            'pipeline.extraction',
+            'pipeline.availability',
+            'pipeline.suggestions',
+            'pipeline.selection',
+            'pipeline.results'
+        ]);
+        expect(sink.records.every(record => record.runId === runId)).toBe(true);
+
+        const [availabilityStep] = sink.spans('pipeline.availability');
+        const windmillCalls = sink.spans().filter(span => span.name.startsWith('windmill.'));
+        expect(windmillCalls.length).toBeGreaterThan(0);
+        expect(windmillCalls.filter(span => span.parentSpanId === availabilityStep.spanId).length).toBeGreaterThan(0);
+        expect(windmillCalls[0].attributes).toMatchObject({ practitionerId: 46932, httpStatus: 200 });
+    });
+
+    test('should give each run its own run ID', async () => {
+        const sdmText = fs.readFileSync(SDM_FILE, 'utf8');
+        const first = await scheduler.scheduleAppointments(sdmText, '', 46932);
+        const second = await scheduler.schedulePractitionerPool(sdmText, '', [46932, 51877]);
+
+        expect(second.summary.runId).not.toBe(first.summary.runId);
+        expect(sink.spans('pipeline.results').map(span => span.runId)).toEqual([first.summary.runId, second.summary.runId]);
+    });
+});
@@ -0,0 +1,198 @@
+import { ChatOpenAI } from '@langchain/openai';
+import { llmConfig } from '../../config/llm-config.js';
+import { getCassette, normalizeMessages } from './llm-cassette.js';
+import { getLogger } from './logger.js';
+import { wrapWithRedaction } from './pii-redactor.js';
+import { resolveResilienceSettings, withRetry, withTimeout, isParseError, buildRepairMessage } from './resilience.js';
+
+const logger = getLogger('model-factory');
+
+/**
+ * Shared chat model factory for the scheduling pipeline
+ * Each stage (extraction, suggestion, selection) reads its provider, model, temperature
+ * and token limit from config/llm-config.js, overridable through LLM_<STAGE>_* env vars
+ */
+
+/**
+ * Supported providers. Non-OpenAI packages are loaded on first use so they are only
+ * required when a stage is configured to use them. Provider SDK retries are off - retries,
+ * backoff and timeouts come from utils/resilience.js so every provider behaves the same.
+ */
+export const PROVIDERS = {
+    openai: {
+        packageName: '@langchain/openai',
+        create: async (settings, apiKey) => new ChatOpenAI({
+            model: settings.model,
+            apiKey,
+            maxRetries: 0,
+            ...(settings.temperature !== null && !isReasoningModel(settings.model) ? { temperature: settings.temperature } : {}),
+            ...(settings.maxTokens ? { maxTokens: settings.maxTokens } : {})
+        })
+    },
+    anthropic: {
+        packageName: '@langchain/anthropic',
+        create: async (settings, apiKey) => {
+            const { ChatAnthropic } = await importProviderPackage('@langchain/anthropic', 'anthropic');
+            return new ChatAnthropic({
+                model: settings.model,
+                apiKey,
+                maxRetries: 0,
+                ...(settings.temperature !== null ? { temperature: settings.temperature } : {}),
+                // Anthropic requires an explicit output limit
+                maxTokens: settings.maxTokens || 8192
+            });
+        }
+    },
+    google: {
+        packageName: '@langchain/google-genai',
+        create: async (settings, apiKey) => {
+            const { ChatGoogleGenerativeAI } = await importProviderPackage('@langchain/google-genai', 'google');
+            return new ChatGoogleGenerativeAI({
+                model: settings.model,
+                apiKey,
+                maxRetries: 0,
+                ...(settings.temperature !== null ? { temperature: settings.temperature } : {}),
+                ...(settings.maxTokens ? { maxOutputTokens: settings.maxTokens } : {})
+            });
+        }
+    }
+};
+
+/**
+ * OpenAI reasoning models (o1, o3, o4-mini...) reject custom temperatures
+ * @param {string} model - Model name
+ * @returns {boolean} True for reasoning models
+ */
+export function isReasoningModel(model) {
+    return /^o\d/.test(model || '');
+}
+
+async function importProviderPackage(packageName, provider) {
+    try {
+        return await import(packageName);
+    } catch (error) {
+        throw new Error(`LLM provider "${provider}" requires ${packageName}. Install it with: npm install ${packageName} (${error.message})`);
+    }
+}
+
+/**
+ * Resolve the model settings for a pipeline stage
+ * @param {string} stage - Pipeline stage ('extraction', 'suggestion' or 'selection')
+ * @param {Object} overrides - Settings that take precedence over config and env
+ * @returns {Object} Provider, model, temperature and maxTokens for the stage
+ */
+export function resolveModelSettings(stage, overrides = {}) {
+    const stageConfig = llmConfig.stages?.[stage];
+    if (!stageConfig) {
+        throw new Error(`Unknown LLM pipeline stage "${stage}". Expected one of: ${Object.keys(llmConfig.stages).join(', ')}`);
+    }
+
+    const settings = {
+        provider: overrides.provider || stageConfig.provider,
+        model: overrides.model || stageConfig.model || llmConfig.defaultModel,
+        temperature: overrides.temperature ?? stageConfig.temperature ?? llmConfig.scheduling.temperature,
+        maxTokens: overrides.maxTokens ?? stageConfig.maxTokens ?? null
+    };
+
+    if (!PROVIDERS[settings.provider]) {
+        throw new Error(`Unknown LLM provider "${settings.provider}" for stage "${stage}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Create the chat model for a pipeline stage
+ * @param {string} stage - Pipeline stage
+ * @param {Object} overrides - Settings that take precedence over config and env
+ * @returns {Promise<Object>} LangChain chat model
+ */
+export async function createChatModel(stage, overrides = {}) {
+    const settings = resolveModelSettings(stage, overrides);
+    const apiKey = overrides.apiKey || llmConfig[settings.provider]?.apiKey;
+    return await PROVIDERS[settings.provider].create(settings, apiKey);
+}
+
+/**
+ * Token usage reported by a provider at the end of a model call
+ * @param {Object} output - LLMResult passed to handleLLMEnd
+ * @returns {Object|null} { inputTokens, outputTokens, totalTokens }, or null when the provider reports none
+ */
+export function readTokenUsage(output) {
+    const tokenUsage = output?.llmOutput?.tokenUsage;
+    if (tokenUsage?.totalTokens !== undefined) {
+        return { inputTokens: tokenUsage.promptTokens ?? null, outputTokens: tokenUsage.completionTokens ?? null, totalTokens: tokenUsage.totalTokens };
+    }
+    const usage = output?.generations?.[0]?.[0]?.message?.usage_metadata;
+    if (usage) {
+        return { inputTokens: usage.input_tokens ?? null, outputTokens: usage.output_tokens ?? null, totalTokens: usage.total_tokens ?? null };
+    }
+    return null;
+}
+
+/**
+ * Create a structured-output model for a pipeline stage. The underlying model is built on
+ * the first invoke, so constructors stay synchronous and optional provider packages are
+ * only loaded when used.
+ * @param {string} stage - Pipeline stage
+ * @param {Object} schema - Zod schema for the structured response
+ * @param {Object} overrides - Settings that take precedence over config and env (cassette: LLMCassette options,
+ *                             resilience: timeout and retry overrides, see resolveResilienceSettings)
+ * @returns {Object} Model with invoke(messages) returning schema-shaped data, plus its resolved settings
+ */
+export function createStructuredModel(stage, schema, overrides = {}) {
+    const settings = resolveModelSettings(stage, overrides);
+    const resilience = resolveResilienceSettings('llm', overrides.resilience);
+    let structuredModelPromise = null;
+
+    // One span per call, with prompt size, attempts and the token usage the provider reports
+    const invokeWithSpan = (model, messages, options, repair) => {
+        const promptChars = normalizeMessages(messages).reduce((sum, message) => sum + String(message.content ?? '').length, 0);
+        return logger.span(`llm.${stage}`, { stage, provider: settings.provider, model: settings.model, promptChars, repair }, async (span) => {
+            const usageHandler = {
+                handleLLMEnd(output) {
+                    const usage = readTokenUsage(output);
+                    if (usage) span.setAttributes(usage);
+                }
+            };
+            return await withRetry((attempt) => {
+                span.setAttributes({ attempts: attempt });
+                return withTimeout(
+                    (signal) => model.invoke(messages, { ...options, signal, callbacks: [...(options?.callbacks || []), usageHandler] }),
+                    resilience.timeoutMs,
+                    `llm.${stage}`
+                );
+            }, { ...resilience, label: `llm.${stage}` });
+        });
+    };
+
+    const structuredModel = {
+        stage,
+        settings,
+        label: `${settings.provider}/${settings.model}`,
+        async invoke(messages, options) {
+            if (!structuredModelPromise) {
+                structuredModelPromise = createChatModel(stage, overrides).then(model => model.withStructuredOutput(schema));
+                // Allow a retry on the next call if model construction fails
+                structuredModelPromise.catch(() => { structuredModelPromise = null; });
+            }
+            const model = await structuredModelPromise;
+
+            // Output that fails to parse is re-asked with the parse error, up to repairRetries times
+            let attemptMessages = messages;
+            for (let repair = 0; ; repair++) {
+                try {
+                    return await invokeWithSpan(model, attemptMessages, options, repair);
+                } catch (error) {
+                    if (!isParseError(error) || repair >= resilience.repairRetries) throw error;
+                    logger.warn(`${stage} output failed to parse - asking the model to repair it (${repair + 1}/${resilience.repairRetries})`, { stage });
+                    attemptMessages = [...normalizeMessages(messages), buildRepairMessage(error)];
+                }
+            }
+        }
+    };
+
+    // Record or replay responses when LLM_CASSETTE_MODE is set; redaction sits outside the
+    // cassette so recorded prompts and responses never hold participant identifiers
+    return wrapWithRedaction(getCassette(overrides.cassette).wrap(structuredModel, stage), stage);
+}
@@ -0,0 +1,153 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { z } from 'zod';
+import { ChatOpenAI } from '@langchain/openai';
+import {
+    resolveModelSettings,
+    createChatModel,
+    createStructuredModel,
+    isReasoningModel,
+    PROVIDERS
+} from './model-factory.js';
+
+/**
+ * Register a provider whose structured model answers with queued responses, throwing queued errors
+ * @param {Array} responses - Responses or Errors, in call order
+ * @returns {Array} Messages sent on each call
+ */
+function registerFakeProvider(responses) {
+    const calls = [];
+    PROVIDERS.fake = {
+        create: async () => ({
+            withStructuredOutput: () => ({
+                async invoke(messages) {
+                    calls.push(messages);
+                    const next = responses.shift();
+                    if (next instanceof Error) throw next;
+                    return next;
+                }
+            })
+        })
+    };
+    return calls;
+}
+
+function createError(name, message, fields = {}) {
+    return Object.assign(new Error(message), { name, ...fields });
+}
+
+describe('Model Factory', () => {
+    describe('resolveModelSettings', () => {
+        test('should keep the existing model per pipeline stage by default', () => {
+            expect(resolveModelSettings('extraction')).toMatchObject({ provider: 'openai', model: 'o3' });
+            expect(resolveModelSettings('suggestion')).toMatchObject({ provider: 'openai', model: 'gpt-4o', temperature: 0.3 });
+            expect(resolveModelSettings('selection')).toMatchObject({ provider: 'openai', model: 'o3', maxTokens: 8000 });
+        });
+
+        test('should fall back to the scheduling temperature when a stage has none', () => {
+            expect(resolveModelSettings('selection').temperature).toBe(0.1);
+        });
+
+        test('should apply overrides', () => {
+            const settings = resolveModelSettings('suggestion', { provider: 'anthropic', model: 'claude-sonnet-4-5', temperature: 0, maxTokens: 2000 });
+            expect(settings).toEqual({ provider: 'anthropic', model: 'claude-sonnet-4-5', temperature: 0, maxTokens: 2000 });
+        });
+
+        test('should reject unknown stages and providers', () => {
+            expect(() => resolveModelSettings('booking')).toThrow('Unknown LLM pipeline stage "booking"');
+            expect(() => resolveModelSettings('suggestion', { provider: 'mistral' })).toThrow('Unknown LLM provider "mistral"');
+        });
+    });
+
+    describe('isReasoningModel', () => {
+        test('should detect OpenAI reasoning models', () => {
+            expect(isReasoningModel('o3')).toBe(true);
+            expect(isReasoningModel('o4-mini')).toBe(true);
+            expect(isReasoningModel('gpt-4o')).toBe(false);
+            expect(isReasoningModel(undefined)).toBe(false);
+        });
+    });
+
+    describe('createChatModel', () => {
+        test('should build an OpenAI model with the stage settings', async () => {
+            const model = await createChatModel('suggestion', { apiKey: 'test-key' });
+
+            expect(model).toBeInstanceOf(ChatOpenAI);
+            expect(model.model).toBe('gpt-4o');
+            expect(model.temperature).toBe(0.3);
+        });
+
+        test('should not send a custom temperature to reasoning models', async () => {
+            const model = await createChatModel('extraction', { apiKey: 'test-key' });
+
+            expect(model.model).toBe('o3');
+            expect(model.temperature).not.toBe(1);
+        });
+
+        test('should explain how to install a missing provider package', async () => {
+            await expect(createChatModel('suggestion', { provider: 'google', apiKey: 'test-key' }))
+                .rejects.toThrow('npm install @langchain/google-genai');
+        });
+    });
+
+    describe('createStructuredModel', () => {
+        test('should expose the resolved settings without building the model', () => {
+            const model = createStructuredModel('selection', z.object({ ok: z.boolean() }), { provider: 'anthropic', model: 'claude-sonnet-4-5' });
+
+            expect(model.label).toBe('anthropic/claude-sonnet-4-5');
+            expect(model.settings.maxTokens).toBe(8000);
+            expect(typeof model.invoke).toBe('function');
+        });
+
+        describe('resilience', () => {
+            const schema = z.object({ ok: z.boolean() });
+            const resilience = { baseDelayMs: 1, maxDelayMs: 1 };
+
+            afterEach(() => {
+                delete PROVIDERS.fake;
+            });
+
+            test('should retry rate limits and server errors', async () => {
+                const calls = registerFakeProvider([createError('RateLimitError', 'Too many requests', { status: 429 }), createError('APIError', 'Bad gateway', { status: 502 }), { ok: true }]);
+                const model = createStructuredModel('suggestion', schema, { provider: 'fake', resilience });
+
+                await expect(model.invoke(['Suggest'])).resolves.toEqual({ ok: true });
+                expect(calls).toHaveLength(3);
+            });
+
+            test('should not retry client errors', async () => {
+                const calls = registerFakeProvider([createError('BadRequestError', 'Invalid request', { status: 400 }), { ok: true }]);
+                const model = createStructuredModel('suggestion', schema, { provider: 'fake', resilience });
+
+                await expect(model.invoke(['Suggest'])).rejects.toThrow('Invalid request');
+                expect(calls).toHaveLength(1);
+            });
+
+            test('should re-ask with the parse error when output does not match the schema', async () => {
+                const calls = registerFakeProvider([createError('OutputParserException', 'Expected boolean at ok'), { ok: true }]);
+                const model = createStructuredModel('suggestion', schema, { provider: 'fake', resilience });
+
+                await expect(model.invoke([{ role: 'user', content: 'Suggest' }])).resolves.toEqual({ ok: true });
+                expect(calls[1]).toHaveLength(2);
+                expect(calls[1][1].content).toContain('Expected boolean at ok');
+            });
+
+            test('should give up after the repair retries', async () => {
+                const parseError = createError('OutputParserException', 'Expected boolean at ok');
+                const calls = registerFakeProvider([parseError, parseError, { ok: true }]);
+                const model = createStructuredModel('suggestion', schema, { provider: 'fake', resilience: { ...resilience, repairRetries: 1 } });
+
+                await expect(model.invoke(['Suggest'])).rejects.toThrow('Expected boolean at ok');
+                expect(calls).toHaveLength(2);
+            });
+
+            test('should time out slow calls', async () => {
+                PROVIDERS.fake = {
+                    create: async () => ({ withStructuredOutput: () => ({ invoke: () => new Promise(resolve => setTimeout(() => resolve({ ok: true }), 200)) }) })
+                };
+                const model = createStructuredModel('suggestion', schema, { provider: 'fake', resilience: { ...resilience, timeoutMs: 20, maxRetries: 0 } });
+
+                await expect(model.invoke(['Suggest'])).rejects.toThrow('llm.suggestion timed out after 20ms');
+            });
+        });
+    });
+});
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { normalizeMessages } from './llm-cassette.js';
+
+/**
+ * PII redaction for LLM prompts
+ * Participant names, state and other identifiers are swapped for stable tokens (e.g.
+ * [PARTICIPANT_1]) before a prompt leaves the process, and the real values are put back into
+ * the structured response (natural_response, reasoning, notes, issues) so reports read as
+ * before. Each scheduling run gets one redactor, so a value keeps the same token across every
+ * prompt in the run, and the redactor keeps an audit log of what it redacted. The audit log
+ * records tokens, categories, value fingerprints and counts per stage - never the values.
+ * Fingerprints are HMACs keyed by PII_FINGERPRINT_KEY, or by a random key per redactor when it is
+ * unset, so short values such as names and states cannot be recovered by hashing a dictionary.
+ * Log messages that mention the participant go through redactLogText, so logs carry the same tokens.
+ *
+ * Controlled by PII_REDACTION ('on' or 'off', default 'on') and PII_FINGERPRINT_KEY.
+ */
+
+export const REDACTION_MODES = ['on', 'off'];
+
+// Identifiers found by pattern in any prompt text, including free-text scheduling instructions
+const PII_PATTERNS = [
+    { category: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    { category: 'PHONE', pattern: /(?<![\d-])(?:\+61[ -]?|0)[2-478](?:[ -]?\d){8}(?![\d-])/g },
+    { category: 'NDIS_NUMBER', pattern: /\bNDIS\s*(?:number|no\.?|#)?\s*[:,]?\s*(\d{9})\b/gi, group: 1 }
+];
+
+// Name parts that are also calendar words stay in the prompt - redacting "May" would corrupt dates
+const CALENDAR_WORDS = new Set([
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Resolve and validate the redaction mode
+ * @param {string} mode - 'on' or 'off' (defaults to PII_REDACTION env or 'on')
+ * @returns {string} Redaction mode
+ */
+export function resolveRedactionMode(mode) {
+    const resolved = mode || process.env.PII_REDACTION || 'on';
+    if (!REDACTION_MODES.includes(resolved)) {
+        throw new Error(`Invalid PII_REDACTION "${resolved}". Expected one of: ${REDACTION_MODES.join(', ')}`);
+    }
+    return resolved;
+}
+
+class PIIRedactor {
+    /**
+     * @param {Object} options - Redactor options
+     * @param {string} options.mode - 'on' or 'off' (see resolveRedactionMode)
+     * @param {string} options.fingerprintKey - HMAC key for audit fingerprints (defaults to PII_FINGERPRINT_KEY env,
+     *                                          else a random key, so fingerprints only match within one run)
+     */
+    constructor(options = {}) {
+        this.enabled = resolveRedactionMode(options.mode) === 'on';
+        this.fingerprintKey = options.fingerprintKey || process.env.PII_FINGERPRINT_KEY || crypto.randomBytes(32);
+        this.values = new Map();   // value -> entry
+        this.tokens = new Map();   // token -> entry
+        this.counters = {};
+    }
+
+    /**
+     * Register a value to redact. The same value always maps to the same token.
+     * @param {string} value - Identifier as it appears in prompts
+     * @param {string} category - Token category (e.g. 'PARTICIPANT', 'STATE')
+     * @param {Object} options - { token } to use a specific token, { caseSensitive } for exact-case matching
+     * @returns {string|null} Token, or null when the value is empty
+     */
+    register(value, category, options = {}) {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (text.length < 2) return null;
+
+        const existing = this.values.get(text);
+        if (existing) return existing.token;
+
+        this.counters[category] = (this.counters[category] || 0) + 1;
+        const token = options.token || `[${category}_${this.counters[category]}]`;
+        const entry = {
+            value: text,
+            token,
+            category,
+            caseSensitive: options.caseSensitive ?? true,
+            occurrences: 0,
+            stages: {}
+        };
+        this.values.set(text, entry);
+        this.tokens.set(token, entry);
+        return token;
+    }
+
+    /**
+     * Register the participant's name (full and each part) and state
+     * @param {Object} participant - SDM participant ({ participantName, state })
+     */
+    registerParticipant(participant) {
+        if (!participant) return;
+
+        const name = participant.participantName?.trim();
+        const nameToken = this.register(name, 'PARTICIPANT', { caseSensitive: false });
+        if (nameToken) {
+            const parts = name.split(/\s+/);
+            const base = nameToken.slice(1, -1);
+            const registerPart = (part, suffix) => {
+                if (!CALENDAR_WORDS.has(part.toLowerCase())) {
+                    this.register(part, `${base}_${suffix}`, { token: `[${base}_${suffix}]` });
+                }
+            };
+            if (parts.length > 1) {
+                registerPart(parts[0], 'GIVEN_NAME');
+                registerPart(parts.at(-1), 'FAMILY_NAME');
+            }
+        }
+        this.register(participant.state, 'STATE');
+    }
+
+    /**
+     * Replace registered values and pattern-matched identifiers in text
+     * @param {string} text - Prompt text
+     * @param {string} stage - Pipeline stage, for the audit log
+     * @returns {string} Redacted text
+     */
+    redact(text, stage = 'unknown') {
+        if (!this.enabled || typeof text !== 'string') return text;
+
+        for (const { category, pattern, group } of PII_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                this.register(group ? match[group] : match[0], category);
+            }
+        }
+
+        return this.replaceValues(text, (entry) => {
+            entry.occurrences++;
+            entry.stages[stage] = (entry.stages[stage] || 0) + 1;
+        });
+    }
+
+    /**
+     * Replace registered values in a log message. Log messages are not prompts, so the audit log is left alone.
+     * @param {string} text - Log message
+     * @returns {string} Message with tokens in place of registered values
+     */
+    redactForLog(text) {
+        if (!this.enabled || typeof text !== 'string') return text;
+        return this.replaceValues(text, () => {});
+    }
+
+    replaceValues(text, onReplace) {
+        // Longest values first, so a full name is replaced before its parts
+        const entries = [...this.values.values()].sort((a, b) => b.value.length - a.value.length);
+        let redacted = text;
+        for (const entry of entries) {
+            const pattern = new RegExp(`(?<![\\w@])${escapeRegExp(entry.value)}(?![\\w@])`, entry.caseSensitive ? 'g' : 'gi');
+            redacted = redacted.replace(pattern, () => {
+                onReplace(entry);
+                return entry.token;
+            });
+        }
+        return redacted;
+    }
+
+    /**
+     * Keyed fingerprint of a redacted value, so the audit log can tell values apart without revealing them
+     * @param {string} value - Redacted value
+     * @returns {string} Truncated HMAC-SHA-256 hex digest
+     */
+    fingerprint(value) {
+        return crypto.createHmac('sha256', this.fingerprintKey).update(value).digest('hex').substring(0, 12);
+    }
+
+    /**
+     * Redact prompt messages
+     * @param {Array} messages - LangChain messages or { role, content } objects
+     * @param {string} stage - Pipeline stage, for the audit log
+     * @returns {Array} Messages as { role, content } with redacted content
+     */
+    redactMessages(messages, stage) {
+        if (!this.enabled) return messages;
+        return normalizeMessages(messages).map(message => ({ ...message, content: this.redactValue(message.content, stage) }));
+    }
+
+    /**
+     * Redact every string in a value
+     * @param {*} value - String, array or plain object
+     * @param {string} stage - Pipeline stage, for the audit log
+     * @returns {*} Copy with strings redacted
+     */
+    redactValue(value, stage) {
+        return this.mapStrings(value, text => this.redact(text, stage));
+    }
+
+    /**
+     * Put real values back in place of tokens. Tokens the model echoed without brackets are restored too.
+     * @param {string} text - Text from the model
+     * @returns {string} Text with real values
+     */
+    restore(text) {
+        if (!this.enabled || typeof text !== 'string' || this.tokens.size === 0) return text;
+
+        // Longest tokens first, so [PARTICIPANT_1_GIVEN_NAME] is not read as [PARTICIPANT_1]
+        const tokens = [...this.tokens.keys()].sort((a, b) => b.length - a.length);
+        let restored = text;
+        for (const token of tokens) {
+            const bare = token.slice(1, -1);
+            restored = restored.replace(new RegExp(`\\[${bare}\\]|\\b${bare}\\b`, 'g'), () => this.tokens.get(token).value);
+        }
+        return restored;
+    }
+
+    /**
+     * Restore every string in a structured response
+     * @param {*} value - Model output
+     * @returns {*} Copy with real values
+     */
+    restoreValue(value) {
+        return this.mapStrings(value, text => this.restore(text));
+    }
+
+    mapStrings(value, fn) {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(item => this.mapStrings(item, fn));
+        if (value && typeof value === 'object' && value.constructor === Object) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.mapStrings(item, fn)]));
+        }
+        return value;
+    }
+
+    /**
+     * What was redacted, without the redacted values
+     * @returns {Object} { enabled, totalRedactions, entries: [{ token, category, fingerprint, occurrences, stages }] }
+     */
+    getAuditLog() {
+        const entries = [...this.values.values()]
+            .filter(entry => entry.occurrences > 0)
+            .map(({ token, category, value, occurrences, stages }) => ({ token, category, fingerprint: this.fingerprint(value), occurrences, stages: { ...stages } }));
+        return {
+            enabled: this.enabled,
+            totalRedactions: entries.reduce((sum, entry) => sum + entry.occurrences, 0),
+            entries
+        };
+    }
+}
+
+const activeRedactor = new AsyncLocalStorage();
+
+/**
+ * Redactor for the current run, if any
+ * @returns {PIIRedactor|null} Active redactor
+ */
+export function getActiveRedactor() {
+    return activeRedactor.getStore() || null;
+}
+
+/**
+ * Run a function with a redactor active. Reuses the current run's redactor so tokens stay
+ * stable across every prompt in a run; starts a new one outside a run.
+ * @param {Function} fn - Function receiving the redactor
+ * @param {Object} options - PIIRedactor options for a new redactor
+ * @returns {*} The function's return value
+ */
+export function withRedactor(fn, options = {}) {
+    const current = getActiveRedactor();
+    if (current) return fn(current);
+    const redactor = new PIIRedactor(options);
+    return activeRedactor.run(redactor, () => fn(redactor));
+}
+
+/**
+ * Redact a log message with the current run's redactor, registering the participant first so their
+ * name and state are replaced by the same tokens the run's prompts carry
+ * @param {string} text - Log message
+ * @param {Object|null} participant - SDM participant ({ participantName, state })
+ * @returns {string} Message safe to write to the log
+ */
+export function redactLogText(text, participant = null) {
+    return withRedactor((redactor) => {
+        redactor.registerParticipant(participant);
+        return redactor.redactForLog(text);
+    });
+}
+
+/**
+ * Wrap a structured model so prompts are redacted by the active redactor before they are sent
+ * and real values are restored in the response
+ * @param {Object} structuredModel - Model with invoke(messages, options)
+ * @param {string} stage - Pipeline stage, for the audit log
+ * @returns {Object} Model with the same interface
+ */
+export function wrapWithRedaction(structuredModel, stage) {
+    return {
+        ...structuredModel,
+        invoke: (messages, options) => withRedactor(async (redactor) => {
+            const response = await structuredModel.invoke(redactor.redactMessages(messages, stage), options);
+            return redactor.restoreValue(response);
+        })
+    };
+}
+
+export { PIIRedactor };
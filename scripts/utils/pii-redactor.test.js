@@ -0,0 +1,177 @@
+import { describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { HumanMessage } from '@langchain/core/messages';
+import {
+    PIIRedactor,
+    withRedactor,
+    getActiveRedactor,
+    wrapWithRedaction,
+    redactLogText,
+    resolveRedactionMode
+} from './pii-redactor.js';
+
+const participant = { participantName: 'Jane Doe', state: 'VIC', serviceRequired: 'Psychology' };
+
+/**
+ * Structured model that records the messages it was sent and answers with a fixed response
+ */
+function createFakeModel(response) {
+    const model = {
+        label: 'fake/model',
+        sent: [],
+        async invoke(messages) {
+            model.sent.push(messages);
+            return typeof response === 'function' ? response(messages) : response;
+        }
+    };
+    return model;
+}
+
+describe('PIIRedactor', () => {
+    test('should swap the participant name, name parts and state for stable tokens', () => {
+        const redactor = new PIIRedactor({ mode: 'on' });
+        redactor.registerParticipant(participant);
+
+        const redacted = redactor.redact('Name: Jane Doe (JANE DOE), VIC. Jane prefers mornings; Doe family travels.', 'selection');
+
+        expect(redacted).toBe('Name: [PARTICIPANT_1] ([PARTICIPANT_1]), [STATE_1]. [PARTICIPANT_1_GIVEN_NAME] prefers mornings; [PARTICIPANT_1_FAMILY_NAME] family travels.');
+        expect(redactor.redact('Jane Doe', 'suggestion')).toBe('[PARTICIPANT_1]');
+    });
+
+    test('should leave calendar words in names alone', () => {
+        const redactor = new PIIRedactor({ mode: 'on' });
+        redactor.registerParticipant({ participantName: 'May Chen', state: 'NSW' });
+
+        expect(redactor.redact('May Chen from 01 May 2025; Chen prefers May', 'selection'))
+            .toBe('[PARTICIPANT_1] from 01 May 2025; [PARTICIPANT_1_FAMILY_NAME] prefers May');
+    });
+
+    test('should redact emails, phone numbers and NDIS numbers found in any text', () => {
+        const redactor = new PIIRedactor({ mode: 'on' });
+
+        const redacted = redactor.redact('Call 0412 345 678 or +61 3 9123 4567, email jane.doe@example.com, NDIS number: 431234567', 'selection');
+
+        expect(redacted).toBe('Call [PHONE_1] or [PHONE_2], email [EMAIL_1], NDIS number: [NDIS_NUMBER_1]');
+        expect(redactor.redact('durationMs 5400000 on 2025-08-24', 'selection')).toBe('durationMs 5400000 on 2025-08-24');
+    });
+
+    test('should restore real values in responses, including tokens echoed without brackets', () => {
+        const redactor = new PIIRedactor({ mode: 'on' });
+        redactor.registerParticipant(participant);
+        redactor.redact('Jane Doe lives in VIC', 'selection');
+
+        const restored = redactor.restoreValue({
+            natural_response: 'Booked [PARTICIPANT_1] on Mondays, as PARTICIPANT_1_GIVEN_NAME prefers.',
+            structured_response: { appointments: [{ notes: '[STATE_1] home visit', duration: 90 }], caseName: '[PARTICIPANT_1]' }
+        });
+
+        expect(restored).toEqual({
+            natural_response: 'Booked Jane Doe on Mondays, as Jane prefers.',
+            structured_response: { appointments: [{ notes: 'VIC home visit', duration: 90 }], caseName: 'Jane Doe' }
+        });
+    });
+
+    test('should keep an audit log of tokens, counts and stages without the values', () => {
+        const redactor = new PIIRedactor({ mode: 'on' });
+        redactor.registerParticipant(participant);
+        redactor.redact('Jane Doe, VIC', 'extraction');
+        redactor.redact('Jane Doe', 'selection');
+
+        const audit = redactor.getAuditLog();
+
+        expect(audit.enabled).toBe(true);
+        expect(audit.totalRedactions).toBe(3);
+        expect(audit.entries.find(entry => entry.token === '[PARTICIPANT_1]')).toMatchObject({
+            category: 'PARTICIPANT',
+            occurrences: 2,
+            stages: { extraction: 1, selection: 1 }
+        });
+        expect(JSON.stringify(audit)).not.toMatch(/Jane|Doe|VIC/);
+    });
+
+    test('should fingerprint values with a keyed HMAC rather than a plain hash', () => {
+        const fingerprintOf = (redactor) => {
+            redactor.registerParticipant(participant);
+            redactor.redact('Jane Doe', 'selection');
+            return redactor.getAuditLog().entries[0].fingerprint;
+        };
+        const plainHash = crypto.createHash('sha256').update('Jane Doe').digest('hex').substring(0, 12);
+        const keyed = fingerprintOf(new PIIRedactor({ mode: 'on', fingerprintKey: 'secret' }));
+
+        expect(keyed).not.toBe(plainHash);
+        expect(fingerprintOf(new PIIRedactor({ mode: 'on', fingerprintKey: 'secret' }))).toBe(keyed);
+        expect(fingerprintOf(new PIIRedactor({ mode: 'on' }))).not.toBe(fingerprintOf(new PIIRedactor({ mode: 'on' })));
+    });
+
+    test('should redact log messages with the run tokens without counting them in the audit log', () => {
+        withRedactor((redactor) => {
+            redactor.registerParticipant(participant);
+            redactor.redact('Jane Doe', 'selection');
+
+            expect(redactLogText('Extracted 9 appointments for Jane Doe', participant)).toBe('Extracted 9 appointments for [PARTICIPANT_1]');
+            expect(redactor.getAuditLog().totalRedactions).toBe(1);
+        }, { mode: 'on' });
+        expect(redactLogText('Scheduling Jane Doe', participant)).toBe('Scheduling [PARTICIPANT_1]');
+    });
+
+    test('should pass text through when redaction is off', () => {
+        const redactor = new PIIRedactor({ mode: 'off' });
+        redactor.registerParticipant(participant);
+
+        expect(redactor.redact('Jane Doe, VIC', 'selection')).toBe('Jane Doe, VIC');
+        expect(redactor.getAuditLog()).toMatchObject({ enabled: false, totalRedactions: 0 });
+    });
+
+    test('should reject unknown modes', () => {
+        expect(() => resolveRedactionMode('partial')).toThrow('Invalid PII_REDACTION "partial"');
+    });
+});
+
+describe('withRedactor', () => {
+    test('should reuse the redactor of the current run', async () => {
+        await withRedactor(async (outer) => {
+            await Promise.resolve();
+            withRedactor((inner) => expect(inner).toBe(outer));
+            expect(getActiveRedactor()).toBe(outer);
+        });
+        expect(getActiveRedactor()).toBeNull();
+    });
+});
+
+describe('wrapWithRedaction', () => {
+    test('should send redacted prompts and restore the response', async () => {
+        const fake = createFakeModel({ natural_response: 'Scheduled [PARTICIPANT_1] fortnightly', status: 'success' });
+        const model = wrapWithRedaction(fake, 'selection');
+
+        const response = await withRedactor((redactor) => {
+            redactor.registerParticipant(participant);
+            return model.invoke([
+                { role: 'system', content: 'You are a scheduler.' },
+                new HumanMessage('Participant: Jane Doe (VIC)')
+            ]);
+        });
+
+        expect(fake.sent[0]).toEqual([
+            { role: 'system', content: 'You are a scheduler.' },
+            { role: 'user', content: 'Participant: [PARTICIPANT_1] ([STATE_1])' }
+        ]);
+        expect(response).toEqual({ natural_response: 'Scheduled Jane Doe fortnightly', status: 'success' });
+        expect(model.label).toBe('fake/model');
+    });
+
+    test('should give a value the same token in every prompt of a run', async () => {
+        const fake = createFakeModel((messages) => ({ echo: messages[0].content }));
+        const model = wrapWithRedaction(fake, 'suggestion');
+
+        await withRedactor(async (redactor) => {
+            redactor.registerParticipant(participant);
+            await model.invoke(['Jane Doe, appointment 1']);
+            await model.invoke(['Contact jane@example.com for Jane Doe']);
+        });
+
+        expect(fake.sent.map(messages => messages[0].content)).toEqual([
+            '[PARTICIPANT_1], appointment 1',
+            'Contact [EMAIL_1] for [PARTICIPANT_1]'
+        ]);
+    });
+});
@@ -0,0 +1,245 @@
+import { getLogger } from './logger.js';
+
+/**
+ * Shared resilience layer for LLM and Windmill calls
+ * - Timeouts: each call gets an AbortSignal and fails with TimeoutError when it runs too long
+ * - Retries: 429, 5xx, timeouts and network failures are retried with exponential backoff
+ *   (a Retry-After header wins when the server sends one)
+ * - Repair retries: structured-output parse failures are re-asked with the parse error
+ * - Concurrency limits: createLimiter caps how many calls run at once
+ *
+ * Controlled by LLM_CONCURRENCY (default 4), LLM_TIMEOUT_MS (default 120000), LLM_MAX_RETRIES
+ * (default 2), LLM_REPAIR_RETRIES (default 1), WINDMILL_TIMEOUT_MS (default 30000),
+ * WINDMILL_MAX_RETRIES (default 3), RETRY_BASE_DELAY_MS (default 500) and RETRY_MAX_DELAY_MS
+ * (default 8000).
+ */
+
+const logger = getLogger('resilience');
+
+// Defaults per call target, each overridable by the env var named alongside it
+const DEFAULT_SETTINGS = {
+    llm: {
+        concurrency: ['LLM_CONCURRENCY', 4],
+        timeoutMs: ['LLM_TIMEOUT_MS', 120000],
+        maxRetries: ['LLM_MAX_RETRIES', 2],
+        repairRetries: ['LLM_REPAIR_RETRIES', 1],
+        baseDelayMs: ['RETRY_BASE_DELAY_MS', 500],
+        maxDelayMs: ['RETRY_MAX_DELAY_MS', 8000]
+    },
+    windmill: {
+        timeoutMs: ['WINDMILL_TIMEOUT_MS', 30000],
+        maxRetries: ['WINDMILL_MAX_RETRIES', 3],
+        baseDelayMs: ['RETRY_BASE_DELAY_MS', 500],
+        maxDelayMs: ['RETRY_MAX_DELAY_MS', 8000]
+    }
+};
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Raised when a call runs past its timeout
+ */
+export class TimeoutError extends Error {
+    constructor(message, timeoutMs) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Raised for HTTP responses worth retrying (429 and 5xx), carrying the response body
+ */
+export class HttpStatusError extends Error {
+    constructor(message, status, options = {}) {
+        super(message);
+        this.name = 'HttpStatusError';
+        this.status = status;
+        this.body = options.body ?? '';
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+}
+
+/**
+ * Resolve resilience settings for a call target
+ * @param {string} target - 'llm' or 'windmill'
+ * @param {Object} overrides - Settings that take precedence over env and defaults
+ * @returns {Object} { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, ... }
+ */
+export function resolveResilienceSettings(target, overrides = {}) {
+    const defaults = DEFAULT_SETTINGS[target];
+    if (!defaults) {
+        throw new Error(`Unknown resilience target "${target}". Expected one of: ${Object.keys(DEFAULT_SETTINGS).join(', ')}`);
+    }
+
+    const settings = {};
+    for (const [key, [envVar, fallback]] of Object.entries(defaults)) {
+        const raw = overrides[key] ?? process.env[envVar] ?? fallback;
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 0 || (key === 'concurrency' && value < 1)) {
+            throw new Error(`Invalid ${envVar} "${raw}". Expected a ${key === 'concurrency' ? 'positive' : 'non-negative'} integer`);
+        }
+        settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 429 and 5xx
+ */
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Whether a failed call is worth retrying: timeouts, network failures, 429 and 5xx
+ * @param {Error} error - Failure from the call
+ * @returns {boolean} True when a retry may succeed
+ */
+export function isRetryableError(error) {
+    if (error instanceof TimeoutError) return true;
+
+    const status = error?.status ?? error?.response?.status;
+    if (typeof status === 'number') return isRetryableStatus(status);
+
+    const code = error?.code ?? error?.cause?.code;
+    return NETWORK_ERROR_CODES.has(code) || (error?.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+/**
+ * Whether a model failed to produce output matching the structured-output schema
+ * @param {Error} error - Failure from the call
+ * @returns {boolean} True for parse failures
+ */
+export function isParseError(error) {
+    return error?.name === 'OutputParserException' || error?.lc_error_code === 'OUTPUT_PARSING_FAILURE' || error?.name === 'ZodError';
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header
+ * @param {string|null} header - Retry-After value (seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null when absent or unreadable
+ */
+export function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff before a retry: baseDelayMs doubled per retry, capped at maxDelayMs, unless the
+ * server asked for a specific delay
+ * @param {number} retry - Retry number (0 for the first retry)
+ * @param {Object} settings - { baseDelayMs, maxDelayMs }
+ * @param {Error} error - Failure being retried
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(retry, settings, error = null) {
+    if (error?.retryAfterMs !== null && error?.retryAfterMs !== undefined) {
+        return Math.min(error.retryAfterMs, settings.maxDelayMs);
+    }
+    return Math.min(settings.baseDelayMs * 2 ** retry, settings.maxDelayMs);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a call, retrying failures with exponential backoff
+ * @param {Function} fn - Call receiving the attempt number (1-based)
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, label, shouldRetry (default isRetryableError) }
+ * @returns {Promise<*>} The call's result
+ */
+export async function withRetry(fn, options = {}) {
+    const { maxRetries = 0, label = 'call', shouldRetry = isRetryableError } = options;
+    const settings = { baseDelayMs: options.baseDelayMs ?? 500, maxDelayMs: options.maxDelayMs ?? 8000 };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt > maxRetries || !shouldRetry(error)) {
+                error.attempts = attempt;
+                throw error;
+            }
+            const delayMs = getRetryDelay(attempt - 1, settings, error);
+            logger.warn(`${label} failed (${error.message}) - retrying in ${delayMs}ms (${attempt}/${maxRetries})`, { label, attempt, delayMs });
+            await sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Run a call with a timeout. The call receives an AbortSignal that fires when time runs out.
+ * @param {Function} fn - Call receiving the AbortSignal
+ * @param {number} timeoutMs - Timeout in milliseconds (0 for none)
+ * @param {string} label - Name used in the timeout message
+ * @returns {Promise<*>} The call's result
+ */
+export async function withTimeout(fn, timeoutMs, label = 'call') {
+    if (!timeoutMs) return await fn(undefined);
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new TimeoutError(`${label} timed out after ${timeoutMs}ms`, timeoutMs);
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([fn(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Limit how many calls run at once
+ * @param {number} concurrency - Maximum calls in flight
+ * @returns {Function} limit(fn) queueing fn until a slot is free and resolving with its result
+ */
+export function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const limit = (fn) => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+    limit.concurrency = concurrency;
+    limit.pending = () => queue.length;
+    limit.active = () => active;
+    return limit;
+}
+
+/**
+ * Message asking the model to try again after its output failed to parse
+ * @param {Error} error - Parse failure
+ * @returns {Object} { role: 'user', content }
+ */
+export function buildRepairMessage(error) {
+    const detail = String(error?.message || error).substring(0, 1000);
+    return {
+        role: 'user',
+        content: `Your previous response could not be parsed as the required structured output: ${detail}\n\nRespond again with output that matches the schema exactly.`
+    };
+}
@@ -0,0 +1,220 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    resolveResilienceSettings,
+    isRetryableError,
+    isParseError,
+    parseRetryAfter,
+    getRetryDelay,
+    withRetry,
+    withTimeout,
+    createLimiter,
+    buildRepairMessage,
+    TimeoutError,
+    HttpStatusError
+} from './resilience.js';
+import { MasterScheduler } from '../master-scheduler.js';
+import { MockWindmillServer } from '../mock-windmill-server.js';
+
+const SDM_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'sdm', 'sdm-csv-example.txt');
+
+describe('resolveResilienceSettings', () => {
+    afterEach(() => {
+        delete process.env.LLM_CONCURRENCY;
+        delete process.env.WINDMILL_MAX_RETRIES;
+    });
+
+    test('should use defaults, env and overrides in that order', () => {
+        process.env.LLM_CONCURRENCY = '2';
+
+        expect(resolveResilienceSettings('llm')).toEqual({ concurrency: 2, timeoutMs: 120000, maxRetries: 2, repairRetries: 1, baseDelayMs: 500, maxDelayMs: 8000 });
+        expect(resolveResilienceSettings('llm', { concurrency: 6 }).concurrency).toBe(6);
+        expect(resolveResilienceSettings('windmill')).toEqual({ timeoutMs: 30000, maxRetries: 3, baseDelayMs: 500, maxDelayMs: 8000 });
+    });
+
+    test('should reject invalid values and unknown targets', () => {
+        process.env.WINDMILL_MAX_RETRIES = 'lots';
+
+        expect(() => resolveResilienceSettings('windmill')).toThrow('Invalid WINDMILL_MAX_RETRIES "lots"');
+        expect(() => resolveResilienceSettings('llm', { concurrency: 0 })).toThrow('Expected a positive integer');
+        expect(() => resolveResilienceSettings('splose')).toThrow('Unknown resilience target "splose"');
+    });
+});
+
+describe('error classification', () => {
+    test('should retry timeouts, network failures, 429 and 5xx only', () => {
+        expect(isRetryableError(new TimeoutError('slow', 10))).toBe(true);
+        expect(isRetryableError(new HttpStatusError('HTTP 429', 429))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+        expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error('Unauthorized'), { status: 401 }))).toBe(false);
+        expect(isRetryableError(new Error('Schema mismatch'))).toBe(false);
+    });
+
+    test('should recognise structured-output parse failures', () => {
+        expect(isParseError(Object.assign(new Error('bad'), { name: 'OutputParserException' }))).toBe(true);
+        expect(isParseError(new Error('bad'))).toBe(false);
+    });
+});
+
+describe('backoff', () => {
+    test('should double the delay per retry up to the cap', () => {
+        const settings = { baseDelayMs: 500, maxDelayMs: 3000 };
+
+        expect([0, 1, 2, 3].map(retry => getRetryDelay(retry, settings))).toEqual([500, 1000, 2000, 3000]);
+    });
+
+    test('should follow Retry-After, capped at the maximum delay', () => {
+        const settings = { baseDelayMs: 500, maxDelayMs: 8000 };
+
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter('soon')).toBeNull();
+        expect(getRetryDelay(0, settings, new HttpStatusError('HTTP 429', 429, { retryAfterMs: 2000 }))).toBe(2000);
+        expect(getRetryDelay(0, settings, new HttpStatusError('HTTP 429', 429, { retryAfterMs: 60000 }))).toBe(8000);
+    });
+});
+
+describe('withRetry', () => {
+    test('should retry retryable failures until the call succeeds', async () => {
+        const attempts = [];
+        const result = await withRetry(async (attempt) => {
+            attempts.push(attempt);
+            if (attempt < 3) throw new HttpStatusError('HTTP 503', 503);
+            return 'ok';
+        }, { maxRetries: 3, baseDelayMs: 1 });
+
+        expect(result).toBe('ok');
+        expect(attempts).toEqual([1, 2, 3]);
+    });
+
+    test('should stop after maxRetries and record the attempts', async () => {
+        const error = await withRetry(async () => {
+            throw new HttpStatusError('HTTP 503', 503);
+        }, { maxRetries: 2, baseDelayMs: 1 }).catch(failure => failure);
+
+        expect(error.message).toBe('HTTP 503');
+        expect(error.attempts).toBe(3);
+    });
+
+    test('should not retry failures that will not change', async () => {
+        let calls = 0;
+        await expect(withRetry(async () => {
+            calls++;
+            throw new Error('Invalid payload');
+        }, { maxRetries: 3, baseDelayMs: 1 })).rejects.toThrow('Invalid payload');
+
+        expect(calls).toBe(1);
+    });
+});
+
+describe('withTimeout', () => {
+    test('should reject with TimeoutError and abort the call', async () => {
+        let signal;
+        const error = await withTimeout((callSignal) => {
+            signal = callSignal;
+            return new Promise(resolve => setTimeout(resolve, 200));
+        }, 20, 'windmill.get_appointments').catch(failure => failure);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.message).toBe('windmill.get_appointments timed out after 20ms');
+        expect(signal.aborted).toBe(true);
+    });
+
+    test('should return results that arrive in time', async () => {
+        await expect(withTimeout(async () => 'done', 1000)).resolves.toBe('done');
+        await expect(withTimeout(async (signal) => signal, 0)).resolves.toBeUndefined();
+    });
+});
+
+describe('createLimiter', () => {
+    test('should cap calls in flight and run every call', async () => {
+        const limit = createLimiter(2);
+        let active = 0;
+        let peak = 0;
+
+        const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            return value * 10;
+        })));
+
+        expect(results).toEqual([10, 20, 30, 40, 50]);
+        expect(peak).toBe(2);
+    });
+
+    test('should keep going after a call fails', async () => {
+        const limit = createLimiter(1);
+
+        const outcomes = await Promise.allSettled([
+            limit(async () => { throw new Error('first failed'); }),
+            limit(async () => 'second ran')
+        ]);
+
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['rejected', 'fulfilled']);
+        expect(outcomes[1].value).toBe('second ran');
+    });
+});
+
+describe('buildRepairMessage', () => {
+    test('should quote the parse error back to the model', () => {
+        expect(buildRepairMessage(new Error('Expected number at duration'))).toMatchObject({
+            role: 'user',
+            content: expect.stringContaining('Expected number at duration')
+        });
+    });
+});
+
+describe('MasterScheduler suggestion failures', () => {
+    const mockServer = new MockWindmillServer({ workspaceId: 'test-workspace', token: 'test-token' });
+    let previousParser;
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'test-workspace';
+        process.env.WINDMILL_TOKEN = 'test-token';
+        previousParser = process.env.SDM_PARSER;
+        process.env.SDM_PARSER = 'deterministic';
+    });
+
+    afterAll(async () => {
+        if (previousParser === undefined) delete process.env.SDM_PARSER;
+        else process.env.SDM_PARSER = previousParser;
+        await mockServer.stop();
+    });
+
+    test('should report a failed appointment as an issue and schedule the rest, within the concurrency limit', async () => {
+        // Deterministic selection from free time, so no LLM is called
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', extractionRetries: 0, suggestionConcurrency: 2 });
+        let active = 0;
+        let peak = 0;
+        let calls = 0;
+        scheduler.suggestionEngine.suggestAppointments = async () => {
+            const call = ++calls;
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            if (call === 2) throw new Error('llm.suggestion timed out after 120000ms');
+            return { suggestedAppointments: [], summary: { totalAppointmentsSuggested: 0, schedulingConflicts: [], recommendations: [] } };
+        };
+
+        const results = await scheduler.scheduleAppointments(fs.readFileSync(SDM_FILE, 'utf8'), '', 46932);
+        const failed = results.appointmentResults.filter(result => result.error);
+        const { issues, appointments } = results.selection.structured_response;
+
+        expect(peak).toBe(2);
+        expect(calls).toBe(results.appointmentResults.length);
+        expect(failed).toHaveLength(1);
+        expect(failed[0].error).toBe('llm.suggestion timed out after 120000ms');
+        expect(issues).toContainEqual(expect.objectContaining({
+            appointmentIndex: failed[0].index,
+            issue: 'Suggestions could not be generated: llm.suggestion timed out after 120000ms'
+        }));
+        expect(appointments.some(appointment => appointment.originalAppointmentIndex !== failed[0].index)).toBe(true);
+    });
+});
@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { formatClock } from './timezone-utils.js';
+
+/**
+ * Clinic scheduling policies
+ * A versioned JSON file (config/scheduling-policies.json) holds named policies, each covering:
+ * - sessionWindows:         when non-reporting and reporting sessions may be held (practitioner local time);
+ *                           strict windows are enforced, others are only preferred
+ * - lastParticipantOfDay:   'require' (no booking may follow the session), 'prefer' or 'ignore' when the
+ *                           SDM marks the participant as the last of the day
+ * - maxSessionsPerDay:      participant sessions allowed on one day (null for no limit)
+ * - minDaysBetweenSessions: days required between participant sessions on different days
+ * - lunchBreak:             practitioner lunch break no session may overlap (null for none)
+ * - maxDirectMinutesPerDay: direct-service minutes a practitioner may work in one day, counting existing
+ *                           bookings (null for no cap)
+ * - homeVisitBreakMinutes:  break a home visit (a session with travel) needs from the practitioner's
+ *                           neighbouring bookings, beyond its travel time
+ *
+ * A practitioner's policy is picked by: SCHEDULING_POLICY (forces one policy for every practitioner),
+ * then the file's practitioners map, then its brands map for SCHEDULING_BRAND, then defaultPolicy.
+ * Controlled by SCHEDULING_POLICY_FILE (default config/scheduling-policies.json).
+ */
+
+export const DEFAULT_POLICY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'scheduling-policies.json');
+
+export const LAST_PARTICIPANT_MODES = ['require', 'prefer', 'ignore'];
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const CLOCK_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const WEEK_TIME_PATTERN = new RegExp(`^(${WEEKDAYS.join('|')}) ((?:[01]\\d|2[0-4]):[0-5]\\d)$`);
+
+const clockSchema = z.string().regex(CLOCK_PATTERN, 'Expected a time as HH:MM');
+const weekTimeSchema = z.string().regex(WEEK_TIME_PATTERN, 'Expected a weekday and time, e.g. "Monday 09:00"');
+
+const sessionWindowSchema = z.object({
+    from: weekTimeSchema,
+    to: weekTimeSchema,
+    strict: z.boolean().default(false),
+    description: z.string().min(1)
+});
+
+const policySchema = z.object({
+    version: z.number().int().positive(),
+    description: z.string().default(''),
+    sessionWindows: z.object({
+        nonReporting: sessionWindowSchema,
+        reporting: sessionWindowSchema
+    }),
+    lastParticipantOfDay: z.enum(LAST_PARTICIPANT_MODES).default('prefer'),
+    maxSessionsPerDay: z.number().int().positive().nullable().default(null),
+    minDaysBetweenSessions: z.number().int().min(0).default(0),
+    lunchBreak: z.object({ start: clockSchema, end: clockSchema }).nullable().default(null),
+    maxDirectMinutesPerDay: z.number().int().positive().nullable().default(null),
+    homeVisitBreakMinutes: z.number().int().min(0).default(0)
+});
+
+const policyFileSchema = z.object({
+    version: z.literal(1),
+    defaultPolicy: z.string(),
+    practitioners: z.record(z.string()).default({}),
+    brands: z.record(z.string()).default({}),
+    policies: z.record(policySchema)
+});
+
+// Parsed policy files by path; policies are read once per process
+const fileCache = new Map();
+
+/**
+ * Minutes past midnight for an HH:MM clock time
+ * @param {string} clock - Time as HH:MM
+ * @returns {number} Minutes past midnight
+ */
+function parseClock(clock) {
+    const [, hours, minutes] = clock.match(CLOCK_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Read a "Monday 09:00" window bound
+ * @param {string} text - Weekday and time
+ * @returns {Object} { isoWeekday, minutes }
+ */
+function parseWeekTime(text) {
+    const [, day, clock] = text.match(WEEK_TIME_PATTERN);
+    return { isoWeekday: WEEKDAYS.indexOf(day) + 1, minutes: parseClock(clock) };
+}
+
+/**
+ * Convert a validated policy into the form used by the checks
+ * @param {string} name - Policy name
+ * @param {Object} policy - Policy as validated by policySchema
+ * @returns {Object} Policy with window bounds as { isoWeekday, minutes } and the lunch break in minutes
+ */
+function normalizePolicy(name, policy) {
+    const toWindow = (window) => ({ ...window, start: parseWeekTime(window.from), end: parseWeekTime(window.to) });
+    return {
+        ...policy,
+        name,
+        label: `${name}@${policy.version}`,
+        sessionWindows: {
+            nonReporting: toWindow(policy.sessionWindows.nonReporting),
+            reporting: toWindow(policy.sessionWindows.reporting)
+        },
+        lunchBreak: policy.lunchBreak ? { start: parseClock(policy.lunchBreak.start), end: parseClock(policy.lunchBreak.end) } : null
+    };
+}
+
+/**
+ * Load and validate a scheduling policy file
+ * @param {string} filePath - Policy file (defaults to SCHEDULING_POLICY_FILE env or config/scheduling-policies.json)
+ * @returns {Object} { version, defaultPolicy, practitioners, brands, policies } with policies as a Map of normalized policies
+ */
+export function loadSchedulingPolicies(filePath) {
+    const resolvedPath = path.resolve(filePath || process.env.SCHEDULING_POLICY_FILE || DEFAULT_POLICY_FILE);
+    if (fileCache.has(resolvedPath)) {
+        return fileCache.get(resolvedPath);
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read scheduling policy file "${resolvedPath}": ${error.message}`);
+    }
+
+    const parsed = policyFileSchema.safeParse(raw);
+    if (!parsed.success) {
+        const problems = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+        throw new Error(`Invalid scheduling policy file "${resolvedPath}": ${problems.join('; ')}`);
+    }
+
+    const policies = new Map(Object.entries(parsed.data.policies).map(([name, policy]) => [name, normalizePolicy(name, policy)]));
+    const referenced = [parsed.data.defaultPolicy, ...Object.values(parsed.data.practitioners), ...Object.values(parsed.data.brands)];
+    const unknown = [...new Set(referenced.filter(name => !policies.has(name)))];
+    if (unknown.length > 0) {
+        throw new Error(`Invalid scheduling policy file "${resolvedPath}": unknown polic${unknown.length === 1 ? 'y' : 'ies'} ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+
+    const loaded = { ...parsed.data, policies };
+    fileCache.set(resolvedPath, loaded);
+    return loaded;
+}
+
+/**
+ * Scheduling policies from one policy file, resolved per practitioner
+ */
+export class SchedulingPolicySet {
+    /**
+     * @param {Object} options - Policy options
+     * @param {string} options.file - Policy file (defaults to SCHEDULING_POLICY_FILE env or config/scheduling-policies.json)
+     * @param {string} options.policy - Policy used for every practitioner (defaults to SCHEDULING_POLICY env)
+     * @param {string} options.brand - Brand whose policy applies to practitioners without their own (defaults to SCHEDULING_BRAND env)
+     */
+    constructor(options = {}) {
+        this.config = loadSchedulingPolicies(options.file);
+        this.policy = options.policy || process.env.SCHEDULING_POLICY || null;
+        this.brand = options.brand || process.env.SCHEDULING_BRAND || null;
+
+        if (this.policy && !this.config.policies.has(this.policy)) {
+            throw new Error(`Invalid SCHEDULING_POLICY "${this.policy}". Expected one of: ${[...this.config.policies.keys()].join(', ')}`);
+        }
+    }
+
+    /**
+     * Pick the policy for a practitioner
+     * @param {number|string|null} practitionerId - Practitioner ID
+     * @param {string|null} brand - Brand the practitioner works for (defaults to the set's brand)
+     * @returns {Object} Normalized policy ({ name, version, label, sessionWindows, ... })
+     */
+    forPractitioner(practitionerId = null, brand = this.brand) {
+        const { practitioners, brands, defaultPolicy, policies } = this.config;
+        const name = this.policy
+            || (practitionerId != null ? practitioners[String(practitionerId)] : null)
+            || (brand ? brands[brand] : null)
+            || defaultPolicy;
+        return policies.get(name);
+    }
+}
+
+/**
+ * Whether the SDM marks the participant as the last participant of the practitioner's day
+ * @param {Object} servicePlanning - SDM service planning details
+ * @returns {boolean} True for "Yes"
+ */
+export function isLastParticipantOfDay(servicePlanning) {
+    return /^y(es)?$/i.test(String(servicePlanning?.lastParticipantOfDay ?? '').trim());
+}
+
+/**
+ * The session window that applies to a session type
+ * @param {Object} policy - Normalized policy
+ * @param {boolean} isReportingSession - Whether the session is a reporting session
+ * @returns {Object} Window ({ from, to, strict, description, start, end })
+ */
+export function getSessionWindow(policy, isReportingSession) {
+    return isReportingSession ? policy.sessionWindows.reporting : policy.sessionWindows.nonReporting;
+}
+
+/**
+ * Whether the policy has any rule that can make a single session invalid, so callers can skip
+ * the per-slot check when it has none
+ * @param {Object} policyContext - { policy, isReportingSession, lastParticipantOfDay }
+ * @returns {boolean} True for a strict session window, a lunch break or a required last participant of day
+ */
+export function hasHardSessionRules({ policy, isReportingSession = false, lastParticipantOfDay = false }) {
+    if (!policy) return false;
+    return getSessionWindow(policy, isReportingSession).strict
+        || Boolean(policy.lunchBreak)
+        || (!isReportingSession && lastParticipantOfDay && policy.lastParticipantOfDay === 'require');
+}
+
+/**
+ * Whether a session lies inside its session type window
+ * @param {Object} policy - Normalized policy
+ * @param {boolean} isReportingSession - Whether the session is a reporting session
+ * @param {Object} localStart - Local start parts from getLocalTimeParts
+ * @param {Object} localEnd - Local end parts from getLocalTimeParts
+ * @returns {boolean} True when the session starts and ends inside the window
+ */
+export function isInSessionWindow(policy, isReportingSession, localStart, localEnd) {
+    const window = getSessionWindow(policy, isReportingSession);
+    const weekMinutes = (parts) => parts.isoWeekday * 24 * 60 + parts.minutesOfDay;
+    const windowStart = window.start.isoWeekday * 24 * 60 + window.start.minutes;
+    const windowEnd = window.end.isoWeekday * 24 * 60 + window.end.minutes;
+    return weekMinutes(localStart) >= windowStart && weekMinutes(localEnd) <= windowEnd;
+}
+
+/**
+ * Whether a session overlaps the policy's lunch break
+ * @param {Object} policy - Normalized policy
+ * @param {Object} localStart - Local start parts from getLocalTimeParts
+ * @param {Object} localEnd - Local end parts from getLocalTimeParts
+ * @returns {boolean} True when the session overlaps the lunch break on its start day
+ */
+export function overlapsLunchBreak(policy, localStart, localEnd) {
+    if (!policy.lunchBreak) return false;
+    const endMinutes = localEnd.date === localStart.date ? localEnd.minutesOfDay : 24 * 60;
+    return localStart.minutesOfDay < policy.lunchBreak.end && endMinutes > policy.lunchBreak.start;
+}
+
+/**
+ * Describe a session type window for LLM prompts
+ * @param {Object} policy - Normalized policy
+ * @param {boolean} isReportingSession - Whether to describe the reporting window
+ * @returns {string} Window description, marked when the window is strict
+ */
+export function describeSessionWindow(policy, isReportingSession) {
+    const window = getSessionWindow(policy, isReportingSession);
+    return `${window.description}${window.strict ? ' - never outside this window' : ''}`;
+}
+
+/**
+ * Describe the lunch break as HH:MM-HH:MM
+ * @param {Object} policy - Normalized policy
+ * @returns {string|null} Lunch break text, or null when the policy has none
+ */
+export function describeLunchBreak(policy) {
+    return policy.lunchBreak ? `${formatClock(policy.lunchBreak.start)}-${formatClock(policy.lunchBreak.end)}` : null;
+}
+
+/**
+ * Describe the policy's daily rules for LLM prompts
+ * @param {Object} policy - Normalized policy
+ * @param {boolean} lastParticipantOfDay - Whether the SDM marks the participant as the last of the day
+ * @returns {Array<string>} One sentence per rule the policy sets
+ */
+export function describePolicyRules(policy, lastParticipantOfDay = false) {
+    const rules = [];
+    if (policy.maxSessionsPerDay) {
+        rules.push(`No more than ${policy.maxSessionsPerDay} participant session${policy.maxSessionsPerDay === 1 ? '' : 's'} on one day`);
+    }
+    if (policy.minDaysBetweenSessions > 0) {
+        rules.push(`At least ${policy.minDaysBetweenSessions} day${policy.minDaysBetweenSessions === 1 ? '' : 's'} between participant sessions`);
+    }
+    if (policy.maxDirectMinutesPerDay) {
+        rules.push(`The practitioner works no more than ${policy.maxDirectMinutesPerDay} minutes of direct service in one day, including existing bookings`);
+    }
+    if (policy.homeVisitBreakMinutes > 0) {
+        rules.push(`Leave at least ${policy.homeVisitBreakMinutes} minutes between a home visit (with its travel) and the practitioner's other bookings`);
+    }
+    if (policy.lunchBreak) {
+        rules.push(`Keep the practitioner's ${describeLunchBreak(policy)} lunch break free of sessions`);
+    }
+    if (lastParticipantOfDay && policy.lastParticipantOfDay === 'require') {
+        rules.push('The participant must be the practitioner\'s last booking of the day - never choose a slot with a booking after it that day');
+    } else if (lastParticipantOfDay && policy.lastParticipantOfDay === 'prefer') {
+        rules.push('The participant should be the practitioner\'s last booking of the day - prefer slots with no booking after them that day');
+    }
+    return rules;
+}
+
+/**
+ * Whether a selected appointment breaks a hard daily rule (see MasterScheduler.validateDailyShape).
+ * Such selections are held back from booking and calendar export like conflicted ones
+ * @param {Object} appointment - Selected appointment with optional dailyShapeViolations
+ * @returns {boolean} True when any daily-shape violation is hard
+ */
+export function hasHardDailyShapeViolation(appointment) {
+    return (appointment?.dailyShapeViolations || []).some(violation => violation.strength === 'hard');
+}
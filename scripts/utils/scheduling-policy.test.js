@@ -0,0 +1,275 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    SchedulingPolicySet,
+    loadSchedulingPolicies,
+    isLastParticipantOfDay,
+    isInSessionWindow,
+    overlapsLunchBreak,
+    describeSessionWindow,
+    describePolicyRules
+} from './scheduling-policy.js';
+import { getLocalTimeParts } from './timezone-utils.js';
+import { ConflictChecker } from '../conflict-checker.js';
+import { SlotCandidateGenerator } from '../slot-candidate-generator.js';
+import { MasterScheduler } from '../master-scheduler.js';
+
+const local = (iso) => getLocalTimeParts(new Date(iso), 'Australia/Melbourne');
+
+const writePolicyFile = (content) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduling-policy-'));
+    const filePath = path.join(directory, 'policies.json');
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+};
+
+const window = (from, to, description) => ({ from, to, description });
+const clinicPolicies = {
+    version: 1,
+    defaultPolicy: 'weekdays',
+    practitioners: { 51877: 'mornings' },
+    brands: { 'Coastal Kids': 'mornings' },
+    policies: {
+        weekdays: { version: 3, sessionWindows: { nonReporting: window('Monday 09:00', 'Friday 17:00', 'weekdays'), reporting: window('Friday 09:00', 'Friday 17:00', 'Fridays') } },
+        mornings: { version: 1, sessionWindows: { nonReporting: window('Monday 08:00', 'Friday 12:00', 'weekday mornings'), reporting: window('Friday 12:00', 'Friday 17:00', 'Friday afternoons') } }
+    }
+};
+
+describe('SchedulingPolicySet', () => {
+    afterEach(() => {
+        delete process.env.SCHEDULING_POLICY;
+        delete process.env.SCHEDULING_BRAND;
+    });
+
+    test('should default to the standard policy from the policy file', () => {
+        const policy = new SchedulingPolicySet().forPractitioner(46932);
+
+        expect(policy.label).toBe('standard@1');
+        expect(policy.sessionWindows.nonReporting).toMatchObject({ start: { isoWeekday: 1, minutes: 0 }, end: { isoWeekday: 4, minutes: 13 * 60 }, strict: false });
+        expect(describeSessionWindow(policy, true)).toBe('Thursday afternoons through Friday afternoons');
+    });
+
+    test('should pick a forced policy, then the practitioner, then the brand, then the default', () => {
+        const file = writePolicyFile(clinicPolicies);
+
+        expect(new SchedulingPolicySet({ file }).forPractitioner(46932).label).toBe('weekdays@3');
+        expect(new SchedulingPolicySet({ file }).forPractitioner(51877).label).toBe('mornings@1');
+        expect(new SchedulingPolicySet({ file, brand: 'Coastal Kids' }).forPractitioner(46932).label).toBe('mornings@1');
+        process.env.SCHEDULING_POLICY = 'weekdays';
+        expect(new SchedulingPolicySet({ file }).forPractitioner(51877).label).toBe('weekdays@3');
+        expect(() => new SchedulingPolicySet({ file, policy: 'evenings' })).toThrow('Invalid SCHEDULING_POLICY "evenings". Expected one of: weekdays, mornings');
+    });
+
+    test('should reject policy files that do not validate', () => {
+        const badWindow = writePolicyFile({
+            ...clinicPolicies,
+            policies: { weekdays: { ...clinicPolicies.policies.weekdays, sessionWindows: { ...clinicPolicies.policies.weekdays.sessionWindows, reporting: window('Fri 9am', 'Friday 17:00', 'Fridays') } }, mornings: clinicPolicies.policies.mornings }
+        });
+        const unknownPolicy = writePolicyFile({ ...clinicPolicies, brands: { 'Coastal Kids': 'evenings' } });
+
+        expect(() => loadSchedulingPolicies(badWindow)).toThrow('policies.weekdays.sessionWindows.reporting.from: Expected a weekday and time, e.g. "Monday 09:00"');
+        expect(() => loadSchedulingPolicies(unknownPolicy)).toThrow('unknown policy "evenings"');
+        expect(() => loadSchedulingPolicies(path.join(os.tmpdir(), 'missing-policies.json'))).toThrow('Could not read scheduling policy file');
+    });
+});
+
+describe('policy rules', () => {
+    const extended = new SchedulingPolicySet({ policy: 'extended-week' }).forPractitioner(46932);
+
+    test('should check session windows and the lunch break in local time', () => {
+        // Friday 29 August 12:00-13:30 Melbourne time
+        expect(isInSessionWindow(extended, false, local('2025-08-29T02:00:00Z'), local('2025-08-29T03:30:00Z'))).toBe(false);
+        expect(isInSessionWindow(extended, true, local('2025-08-29T02:00:00Z'), local('2025-08-29T03:30:00Z'))).toBe(true);
+        expect(overlapsLunchBreak(extended, local('2025-08-29T02:00:00Z'), local('2025-08-29T03:30:00Z'))).toBe(true);
+        expect(overlapsLunchBreak(extended, local('2025-08-28T23:00:00Z'), local('2025-08-29T02:30:00Z'))).toBe(false);
+    });
+
+    test('should describe the daily rules for prompts', () => {
+        expect(isLastParticipantOfDay({ lastParticipantOfDay: 'Yes' })).toBe(true);
+        expect(isLastParticipantOfDay({ lastParticipantOfDay: 'No' })).toBe(false);
+        expect(describePolicyRules(extended, true)).toEqual([
+            'No more than 1 participant session on one day',
+            'At least 2 days between participant sessions',
+            'The practitioner works no more than 300 minutes of direct service in one day, including existing bookings',
+            'Leave at least 30 minutes between a home visit (with its travel) and the practitioner\'s other bookings',
+            'Keep the practitioner\'s 12:30-13:15 lunch break free of sessions',
+            'The participant must be the practitioner\'s last booking of the day - never choose a slot with a booking after it that day'
+        ]);
+        expect(describePolicyRules(new SchedulingPolicySet().forPractitioner(46932), false)).toEqual([
+            'The practitioner works no more than 360 minutes of direct service in one day, including existing bookings',
+            'Leave at least 15 minutes between a home visit (with its travel) and the practitioner\'s other bookings'
+        ]);
+        expect(describePolicyRules(new SchedulingPolicySet({ file: writePolicyFile(clinicPolicies) }).forPractitioner(46932), false)).toEqual([]);
+    });
+});
+
+describe('policy enforcement', () => {
+    const policies = new SchedulingPolicySet({ policy: 'extended-week' });
+    const extended = policies.forPractitioner(46932);
+    const availability = {
+        practitionerId: 46932,
+        practitionerTimezone: 'Australia/Melbourne',
+        // Tuesday 26 August 09:00-16:00 local
+        freeTimeSlots: [{ startDateTime: '2025-08-25T23:00:00.000Z', endDateTime: '2025-08-26T06:00:00.000Z', locationId: 19042 }],
+        // Tuesday 26 August 16:00-17:00 local
+        bookedAppointments: [{ start: '2025-08-26T06:00:00.000Z', end: '2025-08-26T07:00:00.000Z' }]
+    };
+
+    test('should make hard policy breaches conflicts and keep soft ones as flags', () => {
+        const suggestions = {
+            suggestedAppointments: [
+                // Tuesday 12:00-13:00 overlaps lunch; 09:00-10:00 is followed by the 16:00 booking
+                { start: '2025-08-26T02:00:00.000Z', end: '2025-08-26T03:00:00.000Z', locationId: 19042, service: 'Therapy' },
+                { start: '2025-08-25T23:00:00.000Z', end: '2025-08-26T00:00:00.000Z', locationId: 19042, service: 'Therapy' }
+            ],
+            summary: { totalAppointmentsSuggested: 2 }
+        };
+        const checker = new ConflictChecker();
+        const prefer = { ...extended, lastParticipantOfDay: 'prefer' };
+
+        const checked = checker.checkConflicts(availability, suggestions, 0, null, { policy: prefer, isReportingSession: false, lastParticipantOfDay: true });
+        const [lunch, morning] = checked.suggestedAppointments;
+
+        expect(lunch.hasConflict).toBe(true);
+        expect(lunch.conflictDetails).toEqual([
+            { type: 'lunch_break', strength: 'hard', message: '12:00-13:00 overlaps the 12:30-13:15 lunch break (policy extended-week@1)' }
+        ]);
+        expect(morning.hasConflict).toBe(false);
+        expect(morning.policyViolations).toEqual([
+            { type: 'last_participant', strength: 'soft', message: 'A booking follows at 16:00 on 2025-08-26, but the participant should be the last of the day' }
+        ]);
+        expect(checker.checkPolicy(suggestions.suggestedAppointments[1], { policy: extended, lastParticipantOfDay: true }, 'Australia/Melbourne', availability.bookedAppointments)[0].strength).toBe('hard');
+        expect(checker.generateReport(checked)).toContain('lunch_break: 12:00-13:00 overlaps the 12:30-13:15 lunch break');
+    });
+
+    test('should enforce the daily limit and session spacing across selected appointments', () => {
+        const session = (start, index) => ({ start, end: new Date(new Date(start).getTime() + 60 * 60 * 1000).toISOString(), originalAppointmentIndex: index, service: 'Therapy', isReportingSession: false });
+        const selected = [
+            session('2025-08-25T23:00:00.000Z', 0), // Tuesday 26 August 09:00
+            session('2025-08-26T03:30:00.000Z', 1), // Tuesday 26 August 13:30
+            session('2025-08-26T23:00:00.000Z', 2), // Wednesday 27 August 09:00
+            session('2025-08-28T23:00:00.000Z', 3) // Friday 29 August 09:00
+        ];
+
+        const check = new ConflictChecker().checkSelectionConflicts(selected, [], extended, 'Australia/Melbourne');
+
+        expect(check.appointments.map(apt => apt.conflictDetails?.[0]?.type ?? null)).toEqual([null, 'daily_limit', 'session_spacing', null]);
+        expect(check.appointments[2].conflictDetails[0].message).toBe('2025-08-27 is within 2 days of Therapy on 2025-08-26 (policy extended-week@1)');
+        expect(check.doubleBookings).toEqual([]);
+    });
+
+    test('should describe each conflict by its own type in the scheduling report', () => {
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', runStore: null, availabilityCalculator: {} });
+        const sdmData = {
+            participant: { participantName: 'Jane Doe' },
+            planDetails: { planStartDate: '2025-08-01', planEndDate: '2025-12-31' },
+            appointments: [{ service: 'Therapy', isReportingSession: false }, { service: 'Therapy', isReportingSession: false }]
+        };
+        const therapy = (start, index, conflictDetails) => ({ start, end: start, service: 'Therapy', originalAppointmentIndex: index, hasConflict: true, conflictDetails });
+        const selection = {
+            natural_response: 'Selected',
+            status: 'partial_success',
+            structured_response: {
+                appointments: [
+                    therapy('2025-08-26T03:30:00.000Z', 0, [{ type: 'daily_limit', strength: 'hard', message: '2025-08-26 already has 1 participant session (policy extended-week@1 allows 1 per day)', conflictingAppointmentIndex: 1 }]),
+                    therapy('2025-08-26T23:00:00.000Z', 1, [{ type: 'double_booking', conflictingAppointmentIndex: 0, conflictingService: 'Therapy' }])
+                ],
+                issues: [],
+                schedulePlanSummary: 'Summary.'
+            }
+        };
+
+        const text = scheduler.generateHumanReadableReport(selection, sdmData);
+
+        expect(text).toContain('**⚠️ Conflict:** 2025-08-26 already has 1 participant session (policy extended-week@1 allows 1 per day)');
+        expect(text).toContain('**⚠️ Conflict:** Double-booked with appointment #1 (Therapy), including travel time');
+    });
+
+    test('should keep generated slots clear of the lunch break and outside strict windows', () => {
+        const generator = new SlotCandidateGenerator({ policies, slotStepMinutes: 60 });
+        const appointment = { dateRangeStart: '2025-08-26', dateRangeEnd: '2025-08-26', service: 'Therapy', duration: 60, travelTime: 0, isReportingSession: false };
+        const report = { ...appointment, service: 'Report', isReportingSession: true };
+
+        const starts = generator.rankCandidates(appointment, null, availability, 10).map(candidate => candidate.localStart.minutesOfDay / 60).sort((a, b) => a - b);
+
+        expect(starts).toEqual([9, 10, 11, 14, 15]);
+        expect(generator.rankCandidates(report, null, availability, 10)).toEqual([]);
+    });
+});
+
+describe('daily shape', () => {
+    const sdmAppointments = [
+        { service: 'Therapy', duration: 90, travelTime: 30, isReportingSession: false },
+        { service: 'Therapy', duration: 120, travelTime: 0, isReportingSession: false },
+        { service: 'Report', duration: 60, travelTime: 0, isReportingSession: true }
+    ];
+    const selected = [
+        // Tuesday 26 August 09:00-10:30 home visit (travel 08:45-10:45), then 11:00-13:00 and a 14:00 report
+        { start: '2025-08-25T23:00:00.000Z', end: '2025-08-26T00:30:00.000Z', service: 'Therapy', originalAppointmentIndex: 0, practitionerId: 46932 },
+        { start: '2025-08-26T01:00:00.000Z', end: '2025-08-26T03:00:00.000Z', service: 'Therapy', originalAppointmentIndex: 1, practitionerId: 46932 },
+        { start: '2025-08-26T04:00:00.000Z', end: '2025-08-26T05:00:00.000Z', service: 'Report', originalAppointmentIndex: 2, practitionerId: 46932, isReportingSession: true }
+    ];
+    // Tuesday 26 August 15:00-17:00 with another client
+    const bookings = [{ start: '2025-08-26T05:00:00.000Z', end: '2025-08-26T07:00:00.000Z', patientId: 71002 }];
+
+    test('should check last participant, direct minutes and home visit breaks against existing bookings', () => {
+        const policy = new SchedulingPolicySet({ policy: 'extended-week' }).forPractitioner(46932);
+        const check = (options) => new ConflictChecker().checkDailyShape(selected, bookings, { policy, sdmAppointments, timezone: 'Australia/Melbourne', ...options });
+
+        expect(check({ lastParticipantOfDay: true })).toEqual([
+            { type: 'last_participant', strength: 'hard', message: 'A booking follows at 15:00 on 2025-08-26, but the participant should be the last of the day', originalAppointmentIndex: 0 },
+            { type: 'last_participant', strength: 'hard', message: 'A booking follows at 15:00 on 2025-08-26, but the participant should be the last of the day', originalAppointmentIndex: 1 },
+            { type: 'daily_direct_minutes', strength: 'hard', message: '2025-08-26 would have 330 minutes of direct service (policy extended-week@1 allows 300)', originalAppointmentIndex: 1 },
+            { type: 'home_visit_break', strength: 'hard', message: 'Only 15 minutes between this home visit and Therapy at 11:00 on 2025-08-26 (policy extended-week@1 requires 30)', originalAppointmentIndex: 0 }
+        ]);
+        expect(check({ policy: { ...policy, maxDirectMinutesPerDay: null, homeVisitBreakMinutes: 0 }, lastParticipantOfDay: false })).toEqual([]);
+        // The selection itself, once booked, is not another client's booking; a same-time booking for another client is
+        const home = { ...selected[0], patientId: 555, serviceId: 101 };
+        const sameTime = (patientId) => [{ start: home.start, end: home.end, patientId, serviceId: 101 }];
+        const checkHome = (booked, appointment = home) => new ConflictChecker().checkDailyShape([appointment], booked, { policy, lastParticipantOfDay: true, sdmAppointments, timezone: 'Australia/Melbourne' });
+        expect(checkHome(sameTime(555))).toEqual([]);
+        expect(checkHome(sameTime(71002)).map(violation => violation.message)).toEqual(['Only 0 minutes between this home visit and the booking at 09:00 on 2025-08-26 (policy extended-week@1 requires 30)']);
+        // A later booking already reported by the suggestion-time policy check is not reported again
+        const flagged = { ...home, policyViolations: [{ type: 'last_participant', strength: 'soft', message: 'A booking follows at 15:00 on 2025-08-26, but the participant should be the last of the day' }] };
+        expect(checkHome(bookings).map(violation => violation.type)).toEqual(['last_participant']);
+        expect(checkHome(bookings, flagged)).toEqual([]);
+    });
+
+    test('should add daily shape violations from the current schedule as selection issues', async () => {
+        const requested = [];
+        const scheduler = new MasterScheduler({ selectionMode: 'deterministic', runStore: null, schedulingPolicy: 'extended-week', availabilityCalculator: {
+            getPractitionerCurrentSchedule: async (...args) => {
+                requested.push(args);
+                return { status: 'success', data: bookings };
+            }
+        } });
+        const sdmData = {
+            participant: { participantName: 'Jane Doe' },
+            planDetails: { planStartDate: '2025-08-01', planEndDate: '2025-12-31' },
+            servicePlanning: { lastParticipantOfDay: 'Yes' },
+            appointments: sdmAppointments
+        };
+        const selection = {
+            natural_response: 'Selected',
+            status: 'success',
+            structured_response: { practitionerId: 46932, appointments: [selected[0], selected[2]], issues: [], schedulePlanSummary: 'Summary.' }
+        };
+
+        const validated = await scheduler.validateDailyShape(sdmData, selection, () => 'Australia/Melbourne');
+        const text = scheduler.generateHumanReadableReport(validated, sdmData);
+
+        expect(requested).toEqual([[46932, '2025-08-24', '2025-08-27']]);
+        expect(validated.status).toBe('partial_success');
+        expect(validated.structured_response.appointments[0].dailyShapeViolations.map(violation => violation.type)).toEqual(['last_participant']);
+        expect(validated.structured_response.appointments[1].dailyShapeViolations).toBeUndefined();
+        expect(validated.structured_response.issues).toEqual([{
+            appointmentIndex: 0,
+            service: 'Therapy',
+            issue: 'Breaks the practitioner\'s daily schedule: A booking follows at 15:00 on 2025-08-26, but the participant should be the last of the day',
+            recommendation: 'Choose another day or time for this session, or confirm the exception with the practitioner before booking'
+        }]);
+        expect(text).toContain('**🗓️ Practitioner Day:** ❌ A booking follows at 15:00 on 2025-08-26');
+    });
+});
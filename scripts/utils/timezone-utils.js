@@ -1,5 +1,5 @@
 import { fromZonedTime, formatInTimeZone, getTimezoneOffset as getTimezoneOffsetFns, toZonedTime } from 'date-fns-tz';
-import { parseISO, getHours, format } from 'date-fns';
+import { parseISO, getHours, getMinutes, format } from 'date-fns';
 
 /**
  * Timezone utility functions for the HHG Calvin-2 scheduling system
@@ -174,6 +174,31 @@ export function getDayOfWeek(utcDate, timezone) {
     return format(localDate, 'EEEE'); // Full day name (e.g., 'Monday')
 }
 
+/**
+ * Get the local calendar parts of a UTC date for rule checks done in code
+ * @param {Date} utcDate - UTC date object
+ * @param {string} timezone - Timezone identifier
+ * @returns {Object} Local date (YYYY-MM-DD), day of week, ISO weekday (1 = Monday) and minutes past midnight
+ */
+export function getLocalTimeParts(utcDate, timezone) {
+    const localDate = toZonedTime(utcDate, timezone);
+    return {
+        date: format(localDate, 'yyyy-MM-dd'),
+        dayOfWeek: format(localDate, 'EEEE'),
+        isoWeekday: Number(format(localDate, 'i')),
+        minutesOfDay: getHours(localDate) * 60 + getMinutes(localDate)
+    };
+}
+
+/**
+ * Format minutes past midnight as a 24-hour clock time
+ * @param {number} minutesOfDay - Minutes past midnight (e.g. from getLocalTimeParts)
+ * @returns {string} Time as HH:MM
+ */
+export function formatClock(minutesOfDay) {
+    return `${String(Math.floor(minutesOfDay / 60)).padStart(2, '0')}:${String(minutesOfDay % 60).padStart(2, '0')}`;
+}
+
 /**
  * Convert availability data from UTC to local time for LLM consumption
  * @param {Object} availability - Availability data with UTC timestamps
@@ -205,7 +230,13 @@ export function convertAvailabilityToLocalTime(availability) {
                 dayOfWeek: dayOfWeek,
                 timeOfDay: timeOfDay
             };
-        })
+        }),
+        ...(availability.bookedAppointments ? {
+            bookedAppointments: availability.bookedAppointments.map(booked => ({
+                startDateTime: formatInTimeZone(new Date(booked.start), practitionerTimezone, 'yyyy-MM-dd HH:mm:ss'),
+                endDateTime: formatInTimeZone(new Date(booked.end), practitionerTimezone, 'yyyy-MM-dd HH:mm:ss')
+            }))
+        } : {})
     };
 }
 
@@ -9,6 +9,7 @@ import {
     getDayOfWeek,
     convertAvailabilityToLocalTime,
     getTimezoneOffset,
+    getLocalTimeParts,
     DEFAULT_LOCALE,
     DEFAULT_TIMEZONE
 } from './timezone-utils.js';
@@ -505,6 +506,31 @@ describe('Timezone Utils', () => {
         });
     });
 
+    describe('getLocalTimeParts', () => {
+        test('should return local date, weekday and minutes in standard time', () => {
+            const parts = getLocalTimeParts(testDates.winterUTC, 'Australia/Melbourne');
+            expect(parts).toEqual({
+                date: '2025-08-26',
+                dayOfWeek: 'Tuesday',
+                isoWeekday: 2,
+                minutesOfDay: 11 * 60
+            });
+        });
+
+        test('should roll over to the next local day', () => {
+            const parts = getLocalTimeParts(new Date('2025-08-28T23:30:00.000Z'), 'Australia/Melbourne');
+            expect(parts.date).toBe('2025-08-29');
+            expect(parts.dayOfWeek).toBe('Friday');
+            expect(parts.isoWeekday).toBe(5);
+            expect(parts.minutesOfDay).toBe(9 * 60 + 30);
+        });
+
+        test('should respect daylight saving time', () => {
+            const parts = getLocalTimeParts(testDates.summerUTC, 'Australia/Melbourne');
+            expect(parts.minutesOfDay).toBe(12 * 60);
+        });
+    });
+
     describe('Integration tests for scheduling scenarios', () => {
         test('should handle complete appointment scheduling workflow', () => {
             // Simulate a real scheduling scenario
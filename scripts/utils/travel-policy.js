@@ -0,0 +1,106 @@
+/**
+ * Travel buffer policy for in-person sessions
+ * SDM travel time is the practitioner travel allocated to a session. The policy decides where
+ * that time sits in the calendar around the session:
+ * - split:  half before (travel to the visit), half after (travel back)
+ * - before: all travel before the session
+ * - after:  all travel after the session
+ * - both:   the full travel time before and again after (travel time is one-way)
+ *
+ * Controlled by TRAVEL_POLICY (default 'split').
+ */
+
+export const TRAVEL_POLICIES = ['split', 'before', 'after', 'both'];
+
+/**
+ * Resolve and validate a travel policy
+ * @param {string} policy - Policy name (defaults to TRAVEL_POLICY env or 'split')
+ * @returns {string} Travel policy
+ */
+export function resolveTravelPolicy(policy) {
+    const resolved = policy || process.env.TRAVEL_POLICY || 'split';
+    if (!TRAVEL_POLICIES.includes(resolved)) {
+        throw new Error(`Invalid travel policy "${resolved}". Expected one of: ${TRAVEL_POLICIES.join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Minutes of travel placed before and after a session
+ * @param {number} travelMinutes - SDM travel time for the session
+ * @param {string} policy - Travel policy
+ * @returns {Object} { beforeMinutes, afterMinutes }
+ */
+export function getTravelBuffers(travelMinutes, policy = 'split') {
+    const minutes = travelMinutes > 0 ? travelMinutes : 0;
+
+    switch (policy) {
+        case 'before':
+            return { beforeMinutes: minutes, afterMinutes: 0 };
+        case 'after':
+            return { beforeMinutes: 0, afterMinutes: minutes };
+        case 'both':
+            return { beforeMinutes: minutes, afterMinutes: minutes };
+        default: {
+            const beforeMinutes = Math.floor(minutes / 2);
+            return { beforeMinutes, afterMinutes: minutes - beforeMinutes };
+        }
+    }
+}
+
+/**
+ * Build the travel calendar entries around a session
+ * @param {Object} appointment - Session with start and end times
+ * @param {number} travelMinutes - SDM travel time for the session
+ * @param {string} policy - Travel policy
+ * @returns {Array} Travel blocks ({ type, direction, start, end, durationMinutes }), empty for invalid times
+ */
+export function buildTravelBlocks(appointment, travelMinutes, policy = 'split') {
+    const start = new Date(appointment.start);
+    const end = new Date(appointment.end);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return [];
+    }
+
+    const { beforeMinutes, afterMinutes } = getTravelBuffers(travelMinutes, policy);
+    const blocks = [];
+
+    if (beforeMinutes > 0) {
+        blocks.push({
+            type: 'travel',
+            direction: 'to',
+            start: new Date(start.getTime() - beforeMinutes * 60 * 1000).toISOString(),
+            end: start.toISOString(),
+            durationMinutes: beforeMinutes
+        });
+    }
+    if (afterMinutes > 0) {
+        blocks.push({
+            type: 'travel',
+            direction: 'from',
+            start: end.toISOString(),
+            end: new Date(end.getTime() + afterMinutes * 60 * 1000).toISOString(),
+            durationMinutes: afterMinutes
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Describe how travel is placed around a session, for LLM prompts
+ * @param {number} travelMinutes - SDM travel time for the session
+ * @param {string} policy - Travel policy
+ * @returns {string} Plain-language description of the travel buffers
+ */
+export function describeTravelPolicy(travelMinutes, policy = 'split') {
+    const { beforeMinutes, afterMinutes } = getTravelBuffers(travelMinutes, policy);
+    if (beforeMinutes === 0 && afterMinutes === 0) {
+        return 'No travel buffer is required for this session.';
+    }
+
+    const parts = [];
+    if (beforeMinutes > 0) parts.push(`${beforeMinutes} minutes of travel immediately BEFORE the session start`);
+    if (afterMinutes > 0) parts.push(`${afterMinutes} minutes of travel immediately AFTER the session end`);
+    return `Travel policy "${policy}": reserve ${parts.join(' and ')}.`;
+}
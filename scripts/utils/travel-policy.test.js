@@ -0,0 +1,48 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { resolveTravelPolicy, getTravelBuffers, buildTravelBlocks, describeTravelPolicy } from './travel-policy.js';
+
+describe('travel policy', () => {
+    const originalPolicy = process.env.TRAVEL_POLICY;
+
+    afterEach(() => {
+        if (originalPolicy === undefined) {
+            delete process.env.TRAVEL_POLICY;
+        } else {
+            process.env.TRAVEL_POLICY = originalPolicy;
+        }
+    });
+
+    test('should resolve the policy from options, then env, then split', () => {
+        delete process.env.TRAVEL_POLICY;
+        expect(resolveTravelPolicy()).toBe('split');
+
+        process.env.TRAVEL_POLICY = 'before';
+        expect(resolveTravelPolicy()).toBe('before');
+        expect(resolveTravelPolicy('after')).toBe('after');
+
+        expect(() => resolveTravelPolicy('nearby')).toThrow('Invalid travel policy "nearby"');
+    });
+
+    test('should place travel minutes around the session', () => {
+        expect(getTravelBuffers(45, 'split')).toEqual({ beforeMinutes: 22, afterMinutes: 23 });
+        expect(getTravelBuffers(40, 'before')).toEqual({ beforeMinutes: 40, afterMinutes: 0 });
+        expect(getTravelBuffers(40, 'after')).toEqual({ beforeMinutes: 0, afterMinutes: 40 });
+        expect(getTravelBuffers(40, 'both')).toEqual({ beforeMinutes: 40, afterMinutes: 40 });
+        expect(getTravelBuffers(0, 'both')).toEqual({ beforeMinutes: 0, afterMinutes: 0 });
+    });
+
+    test('should build travel blocks next to the session', () => {
+        const session = { start: '2025-08-26T01:00:00.000Z', end: '2025-08-26T02:30:00.000Z' };
+
+        expect(buildTravelBlocks(session, 40, 'before')).toEqual([
+            { type: 'travel', direction: 'to', start: '2025-08-26T00:20:00.000Z', end: '2025-08-26T01:00:00.000Z', durationMinutes: 40 }
+        ]);
+        expect(buildTravelBlocks(session, 0, 'split')).toEqual([]);
+        expect(buildTravelBlocks({ start: 'invalid', end: 'invalid' }, 40, 'split')).toEqual([]);
+    });
+
+    test('should describe the buffers for prompts', () => {
+        expect(describeTravelPolicy(40, 'split')).toBe('Travel policy "split": reserve 20 minutes of travel immediately BEFORE the session start and 20 minutes of travel immediately AFTER the session end.');
+        expect(describeTravelPolicy(0, 'split')).toBe('No travel buffer is required for this session.');
+    });
+});
@@ -3,24 +3,85 @@
 import 'dotenv/config';
 import fs from 'fs';
 import { MasterScheduler } from './scripts/master-scheduler.js';
+import { MockWindmillServer } from './scripts/mock-windmill-server.js';
+import { isMainModule } from './scripts/utils/entry-point.js';
+
+/**
+ * Scheduling scenarios. test-master-scheduler.test.js runs each one offline against the mock Windmill
+ * server with the deterministic selector, checking the expected status and selected slots (UTC), and
+ * replays it in LLM mode once its cassette (scripts/fixtures/cassettes/<name>.json) has been recorded
+ * against a real model. Record with: npm run record:scenarios
+ */
+const SCENARIOS = [
+    {
+        name: 'jane-doe-morning-preference',
+        sdmFilePath: './scripts/fixtures/sdm/sdm-csv-example.txt',
+        practitionerId: 46932,
+        schedulingInstructions: `
+SPECIAL SCHEDULING INSTRUCTIONS:
+- Jane Doe prefers morning appointments when possible
+        `,
+        expected: {
+            status: 'success',
+            deterministicStarts: [
+                '2025-08-24T23:00:00.000Z',
+                '2025-08-28T02:00:00.000Z',
+                '2025-09-07T23:00:00.000Z',
+                '2025-09-21T23:00:00.000Z',
+                '2025-10-05T22:00:00.000Z',
+                '2025-10-19T22:00:00.000Z',
+                '2025-10-23T01:00:00.000Z',
+                '2025-11-02T22:00:00.000Z',
+                '2025-11-16T22:00:00.000Z'
+            ]
+        }
+    }
+];
+
+/**
+ * Run a single scenario through the master scheduler
+ * @param {Object} scenario - Entry from SCENARIOS
+ * @param {MasterScheduler} scheduler - Scheduler to run with
+ * @returns {Object} Complete scheduling results
+ */
+async function runScenario(scenario, scheduler = new MasterScheduler()) {
+    return await scheduler.scheduleFromFile(
+        scenario.sdmFilePath,
+        scenario.schedulingInstructions,
+        scenario.practitionerId,
+        scenario.startDate,
+        scenario.endDate
+    );
+}
+
+async function testMasterScheduler(scenario = SCENARIOS[0]) {
+    let mockServer = null;
 
-async function testMasterScheduler() {
     try {
         console.log('🚀 Testing Master Scheduler - Complete End-to-End Process\n');
         console.log('='.repeat(60) + '\n');
 
+        // Serve Windmill from local fixtures when requested (required when recording cassettes)
+        if (process.env.MOCK_WINDMILL === 'true') {
+            mockServer = new MockWindmillServer();
+            process.env.WINDMILL_BASE_URL = await mockServer.start();
+            process.env.WINDMILL_WORKSPACE_ID = process.env.WINDMILL_WORKSPACE_ID || 'mock';
+            process.env.WINDMILL_TOKEN = process.env.WINDMILL_TOKEN || 'mock';
+            console.log(`🧪 Using mock Windmill at ${process.env.WINDMILL_BASE_URL}\n`);
+        }
+
+        if (process.env.LLM_CASSETTE_MODE && process.env.LLM_CASSETTE_MODE !== 'off') {
+            process.env.LLM_CASSETTE_NAME = process.env.LLM_CASSETTE_NAME || scenario.name;
+            console.log(`📼 LLM cassette: ${process.env.LLM_CASSETTE_MODE} ${process.env.LLM_CASSETTE_NAME}\n`);
+        }
+
         // Create scheduler instance
         const scheduler = new MasterScheduler();
 
-        // Define scheduling instructions
-        const schedulingInstructions = `
-SPECIAL SCHEDULING INSTRUCTIONS:
-- Jane Doe prefers morning appointments when possible
-        `;
-
         console.log('📋 SCHEDULING PARAMETERS:');
-        console.log('- SDM File: sdm-csv-example.txt');
-        console.log('- Practitioner ID: 46932');
+        console.log(`- Scenario: ${scenario.name}`);
+        console.log(`- SDM File: ${scenario.sdmFilePath}`);
+        console.log(`- Practitioner ID: ${scenario.practitionerId}`);
         console.log('- Availability Period: Dynamic (extracted from SDM data)');
         console.log('- Special Instructions: Morning preference, consistency patterns');
         console.log();
@@ -29,13 +90,7 @@ SPECIAL SCHEDULING INSTRUCTIONS:
         console.log(`🕐 Test started at: ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Melbourne' })} AEST\n`);
         const startTime = Date.now();
         
-        const results = await scheduler.scheduleFromFile(
-            './sdm-csv-example.txt',
-            schedulingInstructions,
-            46932,
-            '2025-08-01',
-            '2025-08-31'
-        );
+        const results = await runScenario(scenario, scheduler);
 
         const endTime = Date.now();
         const processingTime = ((endTime - startTime) / 1000).toFixed(2);
@@ -83,8 +138,9 @@ SPECIAL SCHEDULING INSTRUCTIONS:
         
         console.log(results.humanReadableReport);
 
-        // Results available in memory for further processing if needed
-        console.log('💾 Complete results available in memory\n');
+        if (results.summary.storedRunId) {
+            console.log(`💾 Complete results saved as run ${results.summary.storedRunId} (node scripts/cli.js runs show ${results.summary.storedRunId})\n`);
+        }
 
         // Display quick action summary
         if (results.summary.status === 'success') {
@@ -111,12 +167,18 @@ SPECIAL SCHEDULING INSTRUCTIONS:
             console.error('\nStack trace:', error.stack);
         }
         process.exit(1);
+    } finally {
+        await mockServer?.stop();
     }
 }
 
 // Only run if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-    testMasterScheduler();
+if (isMainModule(import.meta.url)) {
+    // A local ./sdm-csv-example.txt takes precedence over the bundled fixture, except when recording cassettes
+    const scenario = fs.existsSync('./sdm-csv-example.txt') && process.env.LLM_CASSETTE_MODE !== 'record'
+        ? { ...SCENARIOS[0], sdmFilePath: './sdm-csv-example.txt' }
+        : SCENARIOS[0];
+    testMasterScheduler(scenario);
 }
 
-export { testMasterScheduler };
\ No newline at end of file
+export { testMasterScheduler, runScenario, SCENARIOS };
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { MasterScheduler } from './scripts/master-scheduler.js';
+import { MockWindmillServer } from './scripts/mock-windmill-server.js';
+import { LLMCassette, getCassette, resetCassettes } from './scripts/utils/llm-cassette.js';
+import { runScenario, SCENARIOS } from './test-master-scheduler.js';
+
+// Runs each scenario offline against the mock Windmill server. The deterministic run checks the exact
+// selections; the LLM run replays a cassette recorded against a real model and stays a todo until one
+// is recorded with: npm run record:scenarios
+describe('Master Scheduler scenarios (offline)', () => {
+    const mockServer = new MockWindmillServer();
+
+    beforeAll(async () => {
+        process.env.WINDMILL_BASE_URL = await mockServer.start();
+        process.env.WINDMILL_WORKSPACE_ID = 'mock';
+        process.env.WINDMILL_TOKEN = 'mock';
+    });
+
+    afterAll(async () => {
+        await mockServer.stop();
+        delete process.env.LLM_CASSETTE_MODE;
+        delete process.env.LLM_CASSETTE_NAME;
+    });
+
+    for (const scenario of SCENARIOS) {
+        test(`${scenario.name} selects the expected slots with the deterministic selector`, async () => {
+            const results = await runScenario(scenario, new MasterScheduler({ selectionMode: 'deterministic' }));
+            const { appointments } = results.selection.structured_response;
+
+            expect(results.summary.status).toBe(scenario.expected.status);
+            expect(results.summary.totalAppointmentsRequired).toBe(results.sdmData.appointments.length);
+            expect(appointments.map(apt => apt.start)).toEqual(scenario.expected.deterministicStarts);
+            expect(appointments.filter(apt => apt.hasConflict)).toHaveLength(0);
+            expect(results.selection.structured_response.issues).toHaveLength(0);
+            expect(results.humanReadableReport).toContain('APPOINTMENT SCHEDULING REPORT');
+        }, 30000);
+
+        const cassette = new LLMCassette({ name: scenario.name, mode: 'replay' });
+        if (!cassette.exists()) {
+            test.todo(`${scenario.name} replays its LLM cassette (not recorded yet: npm run record:scenarios)`);
+            continue;
+        }
+
+        test(`${scenario.name} replays its recorded LLM cassette`, async () => {
+            resetCassettes();
+            process.env.LLM_CASSETTE_MODE = 'replay';
+            process.env.LLM_CASSETTE_NAME = scenario.name;
+
+            const results = await runScenario(scenario, new MasterScheduler({ selectionMode: 'llm' }));
+            const { appointments } = results.selection.structured_response;
+
+            expect(results.summary.status).toBe(scenario.expected.status);
+            expect(appointments).toHaveLength(results.sdmData.appointments.length);
+            expect(appointments.filter(apt => apt.hasConflict)).toHaveLength(0);
+            expect(getCassette().stats).toMatchObject({ misses: 0, recorded: 0 });
+            expect(getCassette().stats.hits).toBeGreaterThan(0);
+        }, 30000);
+    }
+});